@@ -4,15 +4,44 @@ dotenv.config();
 
 const requiredEnvVars = [
   'MONGODB_URI',
-  'JWT_SECRET'
+  'JWT_SECRET',
+  'DATA_ENCRYPTION_KEYS',
+  'DATA_ENCRYPTION_KEY_ID'
 ];
 
+/**
+ * Parse a keyring of the form "keyId:base64Key,keyId:base64Key"
+ */
+const parseKeyring = (value = '') => {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .reduce((keyring, entry) => {
+      const [keyId, key] = entry.split(':');
+      keyring[keyId] = key;
+      return keyring;
+    }, {});
+};
+
 export const validateEnvironment = () => {
   const missing = requiredEnvVars.filter(envVar => !process.env[envVar]);
   
   if (missing.length > 0) {
     throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
   }
+
+  const { keys, currentKeyId } = config.security.encryption;
+
+  if (!keys[currentKeyId]) {
+    throw new Error(`DATA_ENCRYPTION_KEY_ID "${currentKeyId}" is not in DATA_ENCRYPTION_KEYS`);
+  }
+
+  for (const [keyId, key] of Object.entries(keys)) {
+    if (!/^[A-Za-z0-9_-]+$/.test(keyId) || Buffer.from(key || '', 'base64').length !== 32) {
+      throw new Error(`Data encryption key "${keyId}" must have an alphanumeric ID and be 32 bytes of base64`);
+    }
+  }
 };
 
 export const config = {
@@ -27,7 +56,62 @@ export const config = {
   },
   jwt: {
     secret: process.env.JWT_SECRET,
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+    // Access tokens are short-lived, sessions are extended with refresh tokens
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    refreshTokenDays: parseInt(process.env.JWT_REFRESH_TOKEN_DAYS || '30', 10)
+  },
+  twoFactor: {
+    // Shown as the account's name in authenticator apps
+    issuer: process.env.TOTP_ISSUER || 'VPN',
+    challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+    recoveryCodeCount: 10
+  },
+  apiKeys: {
+    defaultExpiryDays: 90,
+    maxExpiryDays: 365,
+    maxPerUser: 20
+  },
+  // Per-account protection against password guessing
+  lockout: {
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5', 10),
+    lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES || '15', 10),
+    // Failures older than this no longer count towards a lock
+    failureWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '15', 10),
+    // Wait between attempts doubles with each failure, up to the maximum
+    baseDelaySeconds: 1,
+    maxDelaySeconds: 30
+  },
+  organizations: {
+    invitationExpiryDays: parseInt(process.env.ORGANIZATION_INVITATION_EXPIRY_DAYS || '7', 10)
+  },
+  // Links in emails point at the client app
+  appUrl: process.env.APP_URL || 'http://localhost:5173',
+  accountTokens: {
+    emailVerificationExpiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h',
+    passwordResetExpiresIn: process.env.PASSWORD_RESET_EXPIRES_IN || '1h'
+  },
+  mail: {
+    // 'smtp' sends through a relay, 'file' drops .eml files for offline testing
+    transport: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'file'),
+    from: process.env.MAIL_FROM || 'VPN <no-reply@localhost>',
+    dropDir: process.env.MAIL_DROP_DIR || './mail-drop',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    }
+  },
+  sso: {
+    // Redirect URI registered with every IdP
+    callbackUrl: process.env.SSO_CALLBACK_URL || 'http://localhost:3001/api/auth/sso/callback',
+    // Where login codes may be delivered, the desktop app's custom protocol by default
+    allowedRedirectUris: (process.env.SSO_ALLOWED_REDIRECT_URIS || 'vpnapp://sso/callback')
+      .split(',')
+      .map(uri => uri.trim())
+      .filter(Boolean),
+    requestTtlMinutes: 10
   },
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '900000', 10),
@@ -35,9 +119,68 @@ export const config = {
   },
   wireguard: {
     configPath: process.env.WIREGUARD_CONFIG_PATH || './wireguard-configs',
-    interface: process.env.WIREGUARD_INTERFACE || 'wg0'
+    interface: process.env.WIREGUARD_INTERFACE || 'wg0',
+    // 'cli' drives wg/ip on this host, 'memory' keeps peers in process
+    driver: process.env.WIREGUARD_DRIVER || (process.env.NODE_ENV === 'production' ? 'cli' : 'memory'),
+    // ID of the server whose interface is on this host, the only one the cli driver manages
+    localServerId: process.env.WIREGUARD_LOCAL_SERVER_ID,
+    // Optional saved `wg show dump` output to collect transfer counters from
+    dumpFile: process.env.WIREGUARD_DUMP_FILE
+  },
+  servers: {
+    drain: {
+      // Sessions asked to move per run of the drain job
+      batchSize: parseInt(process.env.SERVER_DRAIN_BATCH_SIZE || '25', 10),
+      // Time a client gets to reconnect elsewhere before its session is ended
+      graceSeconds: parseInt(process.env.SERVER_DRAIN_GRACE_SECONDS || '60', 10)
+    },
+    agents: {
+      enrollmentTtlMinutes: parseInt(process.env.AGENT_ENROLLMENT_TTL_MINUTES || '60', 10),
+      heartbeatIntervalSeconds: parseInt(process.env.AGENT_HEARTBEAT_INTERVAL_SECONDS || '30', 10),
+      // A node is marked offline after this many heartbeats in a row are missed
+      missedHeartbeats: parseInt(process.env.AGENT_MISSED_HEARTBEATS || '3', 10),
+      // How far an agent's clock may be off before its heartbeats are rejected
+      clockSkewSeconds: parseInt(process.env.AGENT_CLOCK_SKEW_SECONDS || '300', 10)
+    },
+    probes: {
+      timeoutMs: parseInt(process.env.PROBE_TIMEOUT_MS || '3000', 10),
+      // Where the agent answers UDP echo and HTTP health probes unless a probe says otherwise
+      udpEchoPort: parseInt(process.env.PROBE_UDP_ECHO_PORT || '51821', 10),
+      httpPort: parseInt(process.env.PROBE_HTTP_PORT || '8080', 10),
+      historyDays: parseInt(process.env.PROBE_HISTORY_DAYS || '7', 10),
+      // Consecutive probe rounds needed before a server changes state
+      degradeAfter: parseInt(process.env.PROBE_DEGRADE_AFTER || '2', 10),
+      offlineAfter: parseInt(process.env.PROBE_OFFLINE_AFTER || '3', 10),
+      recoverAfter: parseInt(process.env.PROBE_RECOVER_AFTER || '3', 10)
+    },
+    metrics: {
+      // How long each resolution is kept
+      retentionDays: {
+        '1m': parseInt(process.env.METRICS_RAW_RETENTION_DAYS || '2', 10),
+        '5m': parseInt(process.env.METRICS_5M_RETENTION_DAYS || '14', 10),
+        '1h': parseInt(process.env.METRICS_1H_RETENTION_DAYS || '180', 10)
+      },
+      // Largest number of points a metrics query may return
+      maxPoints: 2000
+    }
+  },
+  pki: {
+    rootCommonName: process.env.PKI_ROOT_COMMON_NAME || 'VPN Root CA',
+    rootValidityDays: parseInt(process.env.PKI_ROOT_VALIDITY_DAYS || '3650', 10),
+    intermediateValidityDays: parseInt(process.env.PKI_INTERMEDIATE_VALIDITY_DAYS || '730', 10),
+    // Node certificates are renewed by the agent well before they expire
+    serverValidityDays: parseInt(process.env.PKI_SERVER_VALIDITY_DAYS || '90', 10),
+    // Client certificates cover one session, reconnecting issues a fresh one
+    clientValidityHours: parseInt(process.env.PKI_CLIENT_VALIDITY_HOURS || '24', 10),
+    crlValidityHours: parseInt(process.env.PKI_CRL_VALIDITY_HOURS || '24', 10)
   },
   security: {
-    adminApiKey: process.env.ADMIN_API_KEY
+    adminApiKey: process.env.ADMIN_API_KEY,
+    // Key-encryption keys for data at rest. New data is wrapped with the
+    // current key, older keys stay listed until records are re-wrapped.
+    encryption: {
+      currentKeyId: process.env.DATA_ENCRYPTION_KEY_ID,
+      keys: parseKeyring(process.env.DATA_ENCRYPTION_KEYS)
+    }
   }
 };
\ No newline at end of file
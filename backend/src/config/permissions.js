@@ -0,0 +1,48 @@
+/**
+ * Role-based access control
+ * Permissions are named <resource>:<action>. Roles are fixed bundles of
+ * permissions, a user holds the union of the permissions of their roles.
+ */
+export const PERMISSIONS = [
+  'servers:read',
+  'servers:write',
+  'users:read',
+  'users:write',
+  'audit:read',
+  'stats:read',
+  'organizations:read',
+  'organizations:write'
+];
+
+export const ROLES = {
+  // Regular customers, no administrative access whatever their subscription
+  user: [],
+  // Support staff can look people up and read the audit trail
+  support: ['users:read', 'audit:read', 'stats:read'],
+  // Operators run the server fleet
+  operator: ['servers:read', 'servers:write', 'stats:read'],
+  admin: PERMISSIONS
+};
+
+export const ROLE_NAMES = Object.keys(ROLES);
+
+/**
+ * Scopes a personal API key can be granted. They only ever narrow what
+ * the owning user may do, and routes must opt in to API key access.
+ */
+export const API_KEY_SCOPES = [
+  'vpn:connect',
+  'vpn:read',
+  'devices:read',
+  'devices:write',
+  'stats:read'
+];
+
+/**
+ * Resolve the permissions granted by a set of roles
+ * @param {string[]} roles
+ * @returns {Set<string>}
+ */
+export const permissionsForRoles = (roles = []) => {
+  return new Set(roles.flatMap(role => ROLES[role] || []));
+};
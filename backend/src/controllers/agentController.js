@@ -0,0 +1,110 @@
+import { AgentService } from '../services/agentService.js';
+import { OpenVPNService } from '../services/openvpnService.js';
+
+const getClientInfo = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+export const createAgentEnrollment = async (req, res, next) => {
+  try {
+    const { agent, token, expiresAt } = await AgentService.createEnrollment(
+      req.params.serverId,
+      req.user._id,
+      getClientInfo(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Enrollment token created. It is shown only once.',
+      data: {
+        agentId: agent._id,
+        token,
+        expiresAt
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getServerAgent = async (req, res, next) => {
+  try {
+    const agent = await AgentService.getAgent(req.params.serverId);
+
+    res.json({
+      success: true,
+      data: agent
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const revokeServerAgent = async (req, res, next) => {
+  try {
+    await AgentService.revokeAgent(req.params.serverId, req.user._id, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: 'Agent revoked'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const enrollAgent = async (req, res, next) => {
+  try {
+    const { token, hostname, version } = req.body;
+
+    const credential = await AgentService.enroll(token, { hostname, version }, getClientInfo(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Agent enrolled',
+      data: credential
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const receiveHeartbeat = async (req, res, next) => {
+  try {
+    const { cpu, bandwidth, peers, interface: wgInterface, openvpn, agentVersion } = req.body;
+
+    const result = await AgentService.recordHeartbeat(
+      req.agent,
+      { cpu, bandwidth, peers, interface: wgInterface, openvpn, agentVersion },
+      getClientInfo(req)
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const issueOpenVpnCredentials = async (req, res, next) => {
+  try {
+    const credentials = await OpenVPNService.issueNodeCredentials(req.agent.serverId);
+
+    res.status(201).json({
+      success: true,
+      message: 'OpenVPN credentials issued. The private key is shown only once.',
+      data: credentials
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
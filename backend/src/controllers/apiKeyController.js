@@ -0,0 +1,96 @@
+import { ApiKeyService } from '../services/apiKeyService.js';
+
+const getClientInfo = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+export const listApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKeyService.listKeys(req.user._id);
+
+    res.json({
+      success: true,
+      data: apiKeys
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const { apiKey, key } = await ApiKeyService.createKey(
+      req.user._id,
+      { name, scopes, expiresInDays },
+      getClientInfo(req)
+    );
+
+    // The key can't be recovered later, only its hash is stored
+    res.set('Cache-Control', 'no-store');
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: {
+        apiKey,
+        key
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKeyService.getKey(req.user._id, req.params.keyId);
+
+    res.json({
+      success: true,
+      data: apiKey
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes } = req.body;
+
+    const apiKey = await ApiKeyService.updateKey(
+      req.user._id,
+      req.params.keyId,
+      { name, scopes },
+      getClientInfo(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'API key updated successfully',
+      data: apiKey
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteApiKey = async (req, res, next) => {
+  try {
+    await ApiKeyService.deleteKey(req.user._id, req.params.keyId, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: 'API key deleted successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,6 +1,12 @@
 import User from '../models/User.js';
 import AuditLog from '../models/AuditLog.js';
-import { generateToken } from '../middleware/auth.js';
+import { QuotaService } from '../services/quotaService.js';
+import { SessionService } from '../services/sessionService.js';
+import { TwoFactorService } from '../services/twoFactorService.js';
+import { AccountService } from '../services/accountService.js';
+import { LockoutService } from '../services/lockoutService.js';
+import { SsoService } from '../services/ssoService.js';
+import { config } from '../config/environment.js';
 import { validationResult } from 'express-validator';
 
 export const register = async (req, res, next) => {
@@ -33,18 +39,31 @@ export const register = async (req, res, next) => {
     const user = new User({
       username: username.trim(),
       email: email.toLowerCase().trim(),
-      password
+      password,
+      emailVerificationRequired: true
     });
 
     await user.save();
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Open a session for the new account
+    const tokens = await SessionService.createSession(user._id, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      device: req.body.device
+    });
 
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
+    // A mail outage must not fail the signup, the link can be resent
+    await AccountService.sendVerificationEmail(user, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }).catch(error => {
+      console.warn(`Could not send verification email to user ${user._id}:`, error.message);
+    });
+
     // Log registration
     await AuditLog.log({
       action: 'user_registered',
@@ -69,9 +88,10 @@ export const register = async (req, res, next) => {
           email: user.email,
           preferences: user.preferences,
           subscription: user.subscription,
+          emailVerified: user.emailVerified,
           createdAt: user.createdAt
         },
-        token
+        ...tokens
       }
     });
 
@@ -130,14 +150,61 @@ export const login = async (req, res, next) => {
       });
     }
 
+    // Accounts provisioned by an IdP have no usable password
+    if (user.isSsoAccount()) {
+      await AuditLog.log({
+        action: 'user_login',
+        userId: user._id,
+        details: {
+          reason: 'sso_required'
+        },
+        ipAddress: req.ip,
+        status: 'failure'
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: 'This account signs in with single sign-on',
+        code: 'SSO_REQUIRED'
+      });
+    }
+
+    // Refuse locked or backing-off accounts before the password is checked
+    const lock = LockoutService.getLockState(user);
+    if (lock) {
+      await AuditLog.log({
+        action: 'user_login',
+        userId: user._id,
+        details: {
+          reason: lock.code === 'ACCOUNT_LOCKED' ? 'account_locked' : 'login_throttled'
+        },
+        ipAddress: req.ip,
+        status: 'failure'
+      });
+
+      res.set('Retry-After', String(lock.retryAfter));
+      return res.status(lock.statusCode).json({
+        success: false,
+        message: lock.message,
+        code: lock.code,
+        retryAfter: lock.retryAfter
+      });
+    }
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      const failure = await LockoutService.recordFailure(user, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
       await AuditLog.log({
         action: 'user_login',
         userId: user._id,
         details: {
-          reason: 'invalid_password'
+          reason: 'invalid_password',
+          failedAttempts: failure?.failedAttempts
         },
         ipAddress: req.ip,
         status: 'failure'
@@ -149,46 +216,116 @@ export const login = async (req, res, next) => {
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // The password alone is not enough once 2FA is on
+    if (user.twoFactor.enabled) {
+      await AuditLog.log({
+        action: 'security_event',
+        userId: user._id,
+        resourceType: 'user',
+        details: {
+          type: 'two_factor_challenge_issued'
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        status: 'success'
+      });
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: TwoFactorService.createChallenge(user._id),
+          expiresIn: config.twoFactor.challengeExpiresIn
+        }
+      });
+    }
 
-    // Log successful login
-    await AuditLog.log({
-      action: 'user_login',
-      userId: user._id,
-      resourceType: 'user',
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent'),
-      status: 'success'
-    });
+    await completeLogin(req, res, user);
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          preferences: user.preferences,
-          subscription: user.subscription,
-          dataUsage: user.dataUsage,
-          limits: user.limits,
-          lastLogin: user.lastLogin
-        },
-        token
-      }
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const loginWithTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const { user, method } = await TwoFactorService.completeChallenge(
+      challengeToken,
+      { code, recoveryCode },
+      { ipAddress: req.ip, userAgent: req.get('User-Agent') }
+    );
+
+    await completeLogin(req, res, user, { twoFactorMethod: method });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const loginWithSso = async (req, res, next) => {
+  try {
+    const { user, organizationId } = await SsoService.exchangeLoginCode({
+      code: req.body.code,
+      codeVerifier: req.body.codeVerifier
     });
 
+    // Second factors are the IdP's business for these accounts
+    await completeLogin(req, res, user, { method: 'sso', organizationId });
+
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Open a session once every login step has passed
+ */
+const completeLogin = async (req, res, user, details = {}) => {
+  const tokens = await SessionService.createSession(user._id, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    device: req.body.device
+  });
+
+  await LockoutService.recordSuccess(user);
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Log successful login
+  await AuditLog.log({
+    action: 'user_login',
+    userId: user._id,
+    resourceType: 'user',
+    details,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    status: 'success'
+  });
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        preferences: user.preferences,
+        subscription: user.subscription,
+        dataUsage: user.dataUsage,
+        limits: user.limits,
+        lastLogin: user.lastLogin
+      },
+      ...tokens
+    }
+  });
+};
+
 export const getProfile = async (req, res, next) => {
   try {
     const user = await User.findById(req.user._id);
@@ -216,10 +353,13 @@ export const getProfile = async (req, res, next) => {
           email: user.email,
           preferences: user.preferences,
           subscription: user.subscription,
+          roles: user.roles,
+          permissions: user.getPermissions(),
           dataUsage: user.dataUsage,
           limits: user.limits,
           isActive: user.isActive,
           emailVerified: user.emailVerified,
+          twoFactorEnabled: user.twoFactor.enabled,
           createdAt: user.createdAt,
           lastLogin: user.lastLogin
         },
@@ -323,6 +463,14 @@ export const changePassword = async (req, res, next) => {
 
     // Get user with password
     const user = await User.findById(userId).select('+password');
+
+    if (user.isSsoAccount()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account signs in with single sign-on and has no password',
+        code: 'SSO_REQUIRED'
+      });
+    }
     
     // Verify current password
     const isCurrentPasswordValid = await user.comparePassword(currentPassword);
@@ -337,13 +485,19 @@ export const changePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device, the current one stays logged in
+    const revokedSessions = await SessionService.revokeAllUserSessions(userId, 'password_change', {
+      exceptSessionId: req.session._id
+    });
+
     // Log password change
     await AuditLog.log({
       action: 'security_event',
       userId,
       resourceType: 'user',
       details: {
-        type: 'password_change'
+        type: 'password_change',
+        revokedSessions
       },
       ipAddress: req.ip,
       status: 'success'
@@ -351,7 +505,167 @@ export const changePassword = async (req, res, next) => {
 
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: {
+        revokedSessions
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const refreshToken = async (req, res, next) => {
+  try {
+    const tokens = await SessionService.refresh(req.body.refreshToken, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const logout = async (req, res, next) => {
+  try {
+    await SessionService.revokeSession(req.session, 'logout');
+
+    await AuditLog.log({
+      action: 'user_logout',
+      userId: req.user._id,
+      resourceId: req.session._id,
+      resourceType: 'user',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      status: 'success'
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await SessionService.listSessions(req.user._id, req.session._id);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const revokeSession = async (req, res, next) => {
+  try {
+    await SessionService.revokeUserSession(req.user._id, req.params.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revoked = await SessionService.revokeAllUserSessions(req.user._id, 'revoked_by_user', {
+      exceptSessionId: req.session._id
+    });
+
+    res.json({
+      success: true,
+      message: `${revoked} sessions revoked`,
+      data: {
+        revoked
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const verifyEmail = async (req, res, next) => {
+  try {
+    await AccountService.verifyEmail(req.body.token, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Email address verified'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const resendVerificationEmail = async (req, res, next) => {
+  try {
+    await AccountService.sendVerificationEmail(req.user, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const forgotPassword = async (req, res, next) => {
+  try {
+    await AccountService.requestPasswordReset(req.body.email, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    // Same answer whether or not the account exists
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const resetPassword = async (req, res, next) => {
+  try {
+    await AccountService.resetPassword(req.body.token, req.body.password, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset, please log in again'
     });
 
   } catch (error) {
@@ -371,6 +685,20 @@ export const getActivity = async (req, res, next) => {
       data: activity
     });
 
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getQuota = async (req, res, next) => {
+  try {
+    const quota = await QuotaService.getQuota(req.user);
+
+    res.json({
+      success: true,
+      data: quota
+    });
+
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,209 @@
+import Device from '../models/Device.js';
+import Connection from '../models/Connection.js';
+import Organization from '../models/Organization.js';
+import AuditLog from '../models/AuditLog.js';
+import { WireGuardService } from '../services/wireguardService.js';
+
+export const getDevices = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+
+    const devices = await Device.findByUser(userId);
+    const activeConnections = await Connection.findAllActiveByUser(userId);
+    // Members share their organization's device seats
+    const organization = await Organization.findByMember(userId);
+
+    const sessionsByDevice = new Map(
+      activeConnections
+        .filter(connection => connection.deviceId)
+        .map(connection => [connection.deviceId._id.toString(), connection])
+    );
+
+    res.json({
+      success: true,
+      data: {
+        devices: devices.map(device => {
+          const session = sessionsByDevice.get(device._id.toString());
+          return {
+            ...device.toJSON(),
+            activeSession: session ? {
+              connectionId: session._id,
+              status: session.status,
+              server: session.serverId,
+              duration: session.currentDuration
+            } : null
+          };
+        }),
+        limit: organization ? organization.pool.maxDevices : req.user.limits.maxConnections
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getDevice = async (req, res, next) => {
+  try {
+    const device = await Device.findOwned(req.params.deviceId, req.user._id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: device
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const createDevice = async (req, res, next) => {
+  try {
+    const { name, platform, publicKey } = req.body;
+    const userId = req.user._id;
+
+    // Without a client key the server would have to generate and keep one
+    if (!publicKey && !req.user.preferences.serverKeyGeneration) {
+      return res.status(400).json({
+        success: false,
+        code: 'CLIENT_PUBLIC_KEY_REQUIRED',
+        message: 'A public key generated on the device is required'
+      });
+    }
+
+    const existingDevice = await Device.findOne({ userId, name });
+    if (existingDevice) {
+      return res.status(409).json({
+        success: false,
+        message: 'A device with this name already exists'
+      });
+    }
+
+    if (publicKey && await Device.isKeyRegistered(publicKey)) {
+      return res.status(409).json({
+        success: false,
+        code: 'PUBLIC_KEY_IN_USE',
+        message: 'This public key is already registered to a device'
+      });
+    }
+
+    const device = await Device.createForUser(userId, { name, platform, publicKey });
+
+    await AuditLog.log({
+      action: 'config_update',
+      userId,
+      resourceId: device._id,
+      resourceType: 'user',
+      details: {
+        type: 'device_created',
+        name: device.name,
+        platform: device.platform,
+        keySource: device.keySource
+      },
+      ipAddress: req.ip,
+      status: 'success'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Device created successfully',
+      data: device
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateDevice = async (req, res, next) => {
+  try {
+    const { name, platform } = req.body;
+    const userId = req.user._id;
+
+    const device = await Device.findOwned(req.params.deviceId, userId);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    if (name && name !== device.name) {
+      const existingDevice = await Device.findOne({ userId, name });
+      if (existingDevice) {
+        return res.status(409).json({
+          success: false,
+          message: 'A device with this name already exists'
+        });
+      }
+      device.name = name;
+    }
+
+    if (platform) {
+      device.platform = platform;
+    }
+
+    await device.save();
+
+    res.json({
+      success: true,
+      message: 'Device updated successfully',
+      data: device
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteDevice = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+
+    const device = await Device.findOwned(req.params.deviceId, userId);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    // End the device's session before its keys disappear
+    const session = await Connection.findActiveByDevice(device._id);
+    if (session) {
+      await WireGuardService.disconnect(session._id, userId.toString());
+    }
+
+    await device.deleteOne();
+
+    await AuditLog.log({
+      action: 'config_update',
+      userId,
+      resourceId: device._id,
+      resourceType: 'user',
+      details: {
+        type: 'device_deleted',
+        name: device.name
+      },
+      ipAddress: req.ip,
+      status: 'success'
+    });
+
+    res.json({
+      success: true,
+      message: 'Device deleted successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,11 @@
+import { register } from '../utils/metrics.js';
+
+export const getPrometheusMetrics = async (req, res, next) => {
+  try {
+    res.set('Content-Type', register.contentType);
+    res.end(await register.metrics());
+
+  } catch (error) {
+    next(error);
+  }
+};
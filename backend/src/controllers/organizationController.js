@@ -0,0 +1,341 @@
+import { OrganizationService } from '../services/organizationService.js';
+import { QuotaService } from '../services/quotaService.js';
+
+const getClientInfo = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+/**
+ * What members see of their organization
+ */
+const toMemberView = async (organization, role) => ({
+  id: organization._id,
+  name: organization.name,
+  slug: organization.slug,
+  role,
+  ssoEnabled: organization.sso.enabled,
+  memberCount: organization.members.length,
+  quota: await QuotaService.getPoolQuota(organization)
+});
+
+export const listOrganizations = async (req, res, next) => {
+  try {
+    const organizations = await OrganizationService.listOrganizations();
+
+    res.json({
+      success: true,
+      data: organizations
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getOrganization = async (req, res, next) => {
+  try {
+    const organization = await OrganizationService.getOrganization(req.params.organizationId);
+
+    res.json({
+      success: true,
+      data: organization
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const createOrganization = async (req, res, next) => {
+  try {
+    const { name, slug, domains } = req.body;
+
+    const organization = await OrganizationService.createOrganization(
+      { name, slug, domains },
+      req.user._id,
+      getClientInfo(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created',
+      data: organization
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateOrganizationSso = async (req, res, next) => {
+  try {
+    const {
+      enabled,
+      issuer,
+      clientId,
+      clientSecret,
+      scopes,
+      groupsClaim,
+      jitProvisioning,
+      defaultSubscription,
+      groupMappings,
+      domains
+    } = req.body;
+
+    const organization = await OrganizationService.updateSso(
+      req.params.organizationId,
+      { enabled, issuer, clientId, clientSecret, scopes, groupsClaim, jitProvisioning, defaultSubscription, groupMappings, domains },
+      req.user._id,
+      getClientInfo(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Single sign-on settings updated',
+      data: organization
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateOrganizationPool = async (req, res, next) => {
+  try {
+    const { maxDevices, dataLimit } = req.body;
+
+    const organization = await OrganizationService.updatePool(
+      req.params.organizationId,
+      { maxDevices, dataLimit },
+      req.user._id,
+      getClientInfo(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Organization pool updated',
+      data: organization
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getMyOrganization = async (req, res, next) => {
+  try {
+    const membership = await OrganizationService.getUserOrganization(req.user._id);
+
+    res.json({
+      success: true,
+      data: membership ? await toMemberView(membership.organization, membership.role) : null
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const createMyOrganization = async (req, res, next) => {
+  try {
+    const { name, slug } = req.body;
+
+    const organization = await OrganizationService.createOwnedOrganization(
+      req.user,
+      { name, slug },
+      getClientInfo(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created',
+      data: await toMemberView(organization, 'owner')
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const leaveOrganization = async (req, res, next) => {
+  try {
+    await OrganizationService.leaveOrganization(req.user._id, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: 'You left the organization'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const acceptInvitation = async (req, res, next) => {
+  try {
+    const organization = await OrganizationService.acceptInvitation(req.user, req.body.token, getClientInfo(req));
+    const member = organization.getMember(req.user._id);
+
+    res.json({
+      success: true,
+      message: `You joined ${organization.name}`,
+      data: await toMemberView(organization, member.role)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getMemberOrganization = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await toMemberView(req.organization, req.membership.role)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const listMembers = async (req, res, next) => {
+  try {
+    const members = await OrganizationService.listMembers(req.organization);
+
+    res.json({
+      success: true,
+      data: members
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateMemberRole = async (req, res, next) => {
+  try {
+    const member = await OrganizationService.updateMemberRole(
+      req.organization,
+      req.user._id,
+      req.params.userId,
+      req.body.role,
+      getClientInfo(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Member role updated',
+      data: member
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const removeMember = async (req, res, next) => {
+  try {
+    await OrganizationService.removeMember(req.organization, req.membership, req.params.userId, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: 'Member removed'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const listInvitations = async (req, res, next) => {
+  try {
+    const invitations = await OrganizationService.listInvitations(req.organization);
+
+    res.json({
+      success: true,
+      data: invitations
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const inviteMember = async (req, res, next) => {
+  try {
+    const { email, role } = req.body;
+
+    const invitation = await OrganizationService.inviteMember(
+      req.organization,
+      req.user,
+      req.membership.role,
+      { email, role },
+      getClientInfo(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invitation.email}`,
+      data: invitation
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const revokeInvitation = async (req, res, next) => {
+  try {
+    await OrganizationService.revokeInvitation(
+      req.organization,
+      req.params.invitationId,
+      req.user._id,
+      getClientInfo(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getMemberConnections = async (req, res, next) => {
+  try {
+    const limit = parseInt(req.query.limit || '20', 10);
+    const connections = await OrganizationService.getMemberConnections(req.organization, req.params.userId, limit);
+
+    res.json({
+      success: true,
+      data: connections
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const disconnectMember = async (req, res, next) => {
+  try {
+    const result = await OrganizationService.disconnectMember(
+      req.organization,
+      req.membership,
+      req.params.userId,
+      getClientInfo(req)
+    );
+
+    res.json({
+      success: true,
+      message: `Disconnected ${result.successful} of ${result.total} sessions`,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
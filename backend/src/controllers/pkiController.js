@@ -0,0 +1,53 @@
+import { PkiService } from '../services/pkiService.js';
+import { CertificateAuthority } from '../utils/certificateAuthority.js';
+
+/**
+ * Send a CRL as DER, or PEM when ?format=pem is given
+ */
+const sendCrl = (req, res, crl) => {
+  // VPN servers poll these, a short cache keeps revocations timely
+  res.setHeader('Cache-Control', 'public, max-age=300');
+
+  if (req.query.format === 'pem') {
+    res.setHeader('Content-Type', 'application/x-pem-file');
+    return res.send(CertificateAuthority.crlToPem(crl));
+  }
+
+  res.setHeader('Content-Type', 'application/pkix-crl');
+  res.send(Buffer.from(crl.rawData));
+};
+
+export const getCaCertificate = async (req, res, next) => {
+  try {
+    const certificate = await PkiService.getRootCertificate();
+
+    res.setHeader('Content-Type', 'application/x-pem-file');
+    res.setHeader('Content-Disposition', 'inline; filename="ca.crt"');
+    res.send(certificate);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getRootCrl = async (req, res, next) => {
+  try {
+    const crl = await PkiService.getRootCrl();
+    sendCrl(req, res, crl);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getServerCrl = async (req, res, next) => {
+  try {
+    const { serverId } = req.params;
+
+    const crl = await PkiService.getServerCrl(serverId);
+    sendCrl(req, res, crl);
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,59 @@
+import { ProbeService } from '../services/probeService.js';
+
+const getClientInfo = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+export const getServerProbes = async (req, res, next) => {
+  try {
+    const { since, limit } = req.query;
+
+    const probeStatus = await ProbeService.getProbeStatus(req.params.serverId, {
+      since: since ? new Date(since) : undefined,
+      limit: limit ? parseInt(limit, 10) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: probeStatus
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateServerProbes = async (req, res, next) => {
+  try {
+    const probes = req.body.probes.map(({ type, port, path, timeoutMs }) => ({ type, port, path, timeoutMs }));
+
+    const server = await ProbeService.updateProbes(req.params.serverId, probes, req.user._id, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: 'Server probes updated',
+      data: {
+        serverId: server._id,
+        probes: server.healthChecks.probes
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const runServerProbes = async (req, res, next) => {
+  try {
+    const result = await ProbeService.runNow(req.params.serverId);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,7 +1,33 @@
 import { ServerService } from '../services/serverService.js';
+import { MetricsService } from '../services/metricsService.js';
+import { IpamService } from '../services/ipamService.js';
 import { validationResult } from 'express-validator';
 import Server from '../models/Server.js';
 
+const getClientInfo = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+// Fields accepted when an administrator creates or edits a server
+const pickServerFields = (body) => {
+  const {
+    name,
+    country,
+    countryCode,
+    hostname,
+    ip,
+    port,
+    coordinates,
+    maxUsers,
+    flags,
+    technical,
+    metadata
+  } = body;
+
+  return { name, country, countryCode, hostname, ip, port, coordinates, maxUsers, flags, technical, metadata };
+};
+
 export const getAllServers = async (req, res, next) => {
   try {
     const {
@@ -77,7 +103,7 @@ export const getServersByCountry = async (req, res, next) => {
 export const getOptimalServer = async (req, res, next) => {
   try {
     const { preferredCountry } = req.query;
-    const userSubscription = req.user?.subscription || 'free';
+    const userSubscription = req.user?.getServerTier() || 'free';
 
     const server = await ServerService.getOptimalServer(userSubscription, preferredCountry);
 
@@ -145,4 +171,212 @@ export const getServerHealth = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+export const getServerAddressPool = async (req, res, next) => {
+  try {
+    const { serverId } = req.params;
+
+    const pool = await IpamService.getPoolUsage(serverId);
+
+    res.json({
+      success: true,
+      data: pool
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getServerAdminDetails = async (req, res, next) => {
+  try {
+    const { serverId } = req.params;
+
+    const server = await ServerService.getServerAdminView(serverId);
+
+    res.json({
+      success: true,
+      data: server
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updatePresharedKeyPolicy = async (req, res, next) => {
+  try {
+    const { serverId } = req.params;
+    const { policy } = req.body;
+
+    const server = await ServerService.updatePresharedKeyPolicy(serverId, policy, req.user._id, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: 'Preshared key policy updated',
+      data: {
+        serverId: server._id,
+        presharedKeyPolicy: server.technical.presharedKeyPolicy
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const listServersAdmin = async (req, res, next) => {
+  try {
+    const query = req.query.state ? { 'lifecycle.state': req.query.state } : {};
+    const servers = await Server.find(query).sort({ name: 1 }).lean();
+
+    res.json({
+      success: true,
+      data: servers
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const createServer = async (req, res, next) => {
+  try {
+    const server = await ServerService.createServer(pickServerFields(req.body), req.user._id, getClientInfo(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Server created',
+      data: server.toObject()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateServer = async (req, res, next) => {
+  try {
+    const server = await ServerService.updateServer(
+      req.params.serverId,
+      pickServerFields(req.body),
+      req.user._id,
+      getClientInfo(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Server updated',
+      data: server.toObject()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteServer = async (req, res, next) => {
+  try {
+    await ServerService.deleteServer(req.params.serverId, req.user._id, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: 'Server deleted'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const drainServer = async (req, res, next) => {
+  try {
+    const { server, sessions } = await ServerService.drainServer(req.params.serverId, req.user._id, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: `Server is draining, ${sessions} sessions will be moved`,
+      data: {
+        serverId: server._id,
+        lifecycle: server.lifecycle,
+        sessions
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const undrainServer = async (req, res, next) => {
+  try {
+    const server = await ServerService.undrainServer(req.params.serverId, req.user._id, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: 'Server is back in service',
+      data: {
+        serverId: server._id,
+        lifecycle: server.lifecycle
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const retireServer = async (req, res, next) => {
+  try {
+    const { server, archive } = await ServerService.retireServer(
+      req.params.serverId,
+      { reason: req.body.reason },
+      req.user._id,
+      getClientInfo(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Server retired, its statistics were archived',
+      data: {
+        serverId: server._id,
+        lifecycle: server.lifecycle,
+        archive
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getServerStatsArchive = async (req, res, next) => {
+  try {
+    const archive = await ServerService.getStatsArchive(req.params.serverId);
+
+    res.json({
+      success: true,
+      data: archive
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getServerMetrics = async (req, res, next) => {
+  try {
+    const { range = '24h', step = '5m' } = req.query;
+
+    const metrics = await MetricsService.getMetrics(req.params.serverId, { range, step });
+
+    res.json({
+      success: true,
+      data: metrics
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,44 @@
+import { SsoService } from '../services/ssoService.js';
+
+const getClientInfo = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+/**
+ * Opened by the app in the system browser, sends it on to the IdP
+ */
+export const startSso = async (req, res, next) => {
+  try {
+    const authorizationUrl = await SsoService.startLogin(req.params.organization, {
+      redirectUri: req.query.redirect_uri,
+      codeChallenge: req.query.code_challenge,
+      state: req.query.state
+    });
+
+    res.redirect(authorizationUrl);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * The IdP's redirect, answered with a redirect to the app
+ */
+export const ssoCallback = async (req, res, next) => {
+  try {
+    const { state, code, error, error_description: errorDescription } = req.query;
+
+    const redirectUrl = await SsoService.handleCallback(
+      { state, code, error, errorDescription },
+      getClientInfo(req)
+    );
+
+    res.set('Cache-Control', 'no-store');
+    res.redirect(redirectUrl);
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,95 @@
+import { TwoFactorService } from '../services/twoFactorService.js';
+
+const getClientInfo = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+export const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const status = await TwoFactorService.getStatus(req.user._id);
+
+    res.json({
+      success: true,
+      data: status
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const setupTwoFactor = async (req, res, next) => {
+  try {
+    const setup = await TwoFactorService.beginSetup(req.user._id, getClientInfo(req));
+
+    // The secret is shown once, while the user scans it
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      message: 'Scan the secret with your authenticator app, then verify a code',
+      data: setup
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const verifyTwoFactorSetup = async (req, res, next) => {
+  try {
+    const { recoveryCodes } = await TwoFactorService.confirmSetup(req.user._id, req.body.code, getClientInfo(req));
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    await TwoFactorService.disable(req.user._id, { password, code, recoveryCode }, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    const { recoveryCodes } = await TwoFactorService.regenerateRecoveryCodes(
+      req.user._id,
+      { password, code },
+      getClientInfo(req)
+    );
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated, the previous ones no longer work',
+      data: {
+        recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,19 @@
+import { LockoutService } from '../services/lockoutService.js';
+
+export const unlockUser = async (req, res, next) => {
+  try {
+    const user = await LockoutService.unlock(req.params.userId, req.user._id, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: user.wasLocked ? 'Account unlocked' : 'Account was not locked, failure count reset',
+      data: user
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,4 +1,5 @@
 import { WireGuardService } from '../services/wireguardService.js';
+import { OpenVPNService } from '../services/openvpnService.js';
 import { validationResult } from 'express-validator';
 import Connection from '../models/Connection.js';
 import User from '../models/User.js';
@@ -18,22 +19,36 @@ export const connect = async (req, res, next) => {
       });
     }
 
-    const { serverId, clientInfo = {} } = req.body;
+    const {
+      serverId,
+      deviceId,
+      clientPublicKey,
+      usePresharedKey,
+      protocol = 'wireguard',
+      transport,
+      clientInfo = {}
+    } = req.body;
     const userId = req.user._id.toString();
 
-    const result = await WireGuardService.connect(userId, serverId, {
+    const sessionInfo = {
       ...clientInfo,
       ip: req.ip,
       userAgent: req.get('User-Agent')
-    });
+    };
+
+    const result = protocol === 'openvpn'
+      ? await OpenVPNService.connect(userId, serverId, sessionInfo, { deviceId, transport })
+      : await WireGuardService.connect(userId, serverId, sessionInfo, { deviceId, clientPublicKey, usePresharedKey });
 
     // Notify via WebSocket
     broadcastToUser(userId, {
       type: 'connection_started',
       data: {
         connectionId: result.connectionId,
-        status: 'connecting',
-        server: result.server
+        status: result.status,
+        protocol,
+        server: result.server,
+        device: result.device
       }
     });
 
@@ -103,25 +118,27 @@ export const getStatus = async (req, res, next) => {
   try {
     const userId = req.user._id.toString();
 
-    const activeConnection = await Connection.findActiveByUser(userId);
-    
-    if (!activeConnection) {
-      return res.json({
-        success: true,
-        data: {
-          isConnected: false,
-          connection: null
-        }
-      });
-    }
+    const activeConnections = await Connection.findAllActiveByUser(userId);
 
-    const status = await WireGuardService.getConnectionStatus(activeConnection._id, userId);
+    const sessions = activeConnections.map(connection => ({
+      connectionId: connection._id,
+      status: connection.status,
+      server: connection.serverId,
+      device: connection.deviceId,
+      duration: connection.currentDuration,
+      dataTransferred: connection.dataTransferred,
+      speed: connection.speed,
+      quality: connection.quality,
+      startTime: connection.startTime
+    }));
 
     res.json({
       success: true,
       data: {
-        isConnected: true,
-        connection: status
+        isConnected: sessions.length > 0,
+        // Most recent session, kept for single-device clients
+        connection: sessions[0] || null,
+        sessions
       }
     });
 
@@ -159,14 +176,10 @@ export const updateStats = async (req, res, next) => {
     }
 
     const { connectionId } = req.params;
-    const { upload, download, uploadSpeed, downloadSpeed, ping } = req.body;
+    const { ping } = req.body;
     const userId = req.user._id.toString();
 
-    const updatedConnection = await WireGuardService.updateStats(
-      connectionId,
-      { upload, download, uploadSpeed, downloadSpeed, ping },
-      userId
-    );
+    const updatedConnection = await WireGuardService.updateLatency(connectionId, ping, userId);
 
     // Notify via WebSocket for real-time updates
     broadcastToUser(userId, {
@@ -184,7 +197,7 @@ export const updateStats = async (req, res, next) => {
 
     res.json({
       success: true,
-      message: 'Statistics updated successfully',
+      message: 'Latency updated successfully',
       data: updatedConnection
     });
 
@@ -229,6 +242,17 @@ export const getConfigFile = async (req, res, next) => {
     const { connectionId } = req.params;
     const userId = req.user._id.toString();
 
+    if (req.query.format === 'qr') {
+      const qrCode = await WireGuardService.getConfigQrCode(connectionId, userId, req.query.type);
+
+      // The image carries the full config, never let it be cached
+      res.setHeader('Content-Type', qrCode.contentType);
+      res.setHeader('Content-Disposition', `inline; filename="${qrCode.filename}"`);
+      res.setHeader('Cache-Control', 'no-store');
+
+      return res.send(qrCode.body);
+    }
+
     const configFile = await WireGuardService.getConfigFile(connectionId, userId);
 
     // Set headers for file download
@@ -245,13 +269,13 @@ export const getConfigFile = async (req, res, next) => {
 export const quickConnect = async (req, res, next) => {
   try {
     const userId = req.user._id.toString();
-    const { preferredCountry } = req.body;
+    const { preferredCountry, deviceId, clientPublicKey, usePresharedKey } = req.body;
 
     // Get optimal server
     const user = await User.findById(userId);
     const ServerService = (await import('../services/serverService.js')).ServerService;
     const optimalServer = await ServerService.getOptimalServer(
-      user.subscription, 
+      user.getServerTier(), 
       preferredCountry
     );
 
@@ -269,7 +293,8 @@ export const quickConnect = async (req, res, next) => {
       {
         ip: req.ip,
         userAgent: req.get('User-Agent')
-      }
+      },
+      { deviceId, clientPublicKey, usePresharedKey }
     );
 
     // Log quick connect action
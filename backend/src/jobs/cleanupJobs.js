@@ -2,6 +2,11 @@ import cron from 'node-cron';
 import Connection from '../models/Connection.js';
 import AuditLog from '../models/AuditLog.js';
 import User from '../models/User.js';
+import Organization from '../models/Organization.js';
+import AddressLease from '../models/AddressLease.js';
+import { IpamService } from '../services/ipamService.js';
+import { WireGuardService } from '../services/wireguardService.js';
+import { trackJob } from '../utils/metrics.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -14,16 +19,25 @@ export const startCleanupJobs = () => {
   // Cleanup old connections every hour
   cron.schedule('0 * * * *', async () => {
     try {
-      await cleanupOldConnections();
+      await trackJob('connection_cleanup', cleanupOldConnections);
     } catch (error) {
       console.error('❌ Connection cleanup failed:', error);
     }
   });
 
+  // Reclaim tunnel addresses from ended connections and check for conflicts every 15 minutes
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      await trackJob('address_lease_reclaim', reclaimAddressLeases);
+    } catch (error) {
+      console.error('❌ Address lease reclaim failed:', error);
+    }
+  });
+
   // Cleanup old audit logs daily at 2 AM
   cron.schedule('0 2 * * *', async () => {
     try {
-      await cleanupOldAuditLogs();
+      await trackJob('audit_log_cleanup', cleanupOldAuditLogs);
     } catch (error) {
       console.error('❌ Audit log cleanup failed:', error);
     }
@@ -32,7 +46,7 @@ export const startCleanupJobs = () => {
   // Cleanup orphaned config files every 6 hours
   cron.schedule('0 */6 * * *', async () => {
     try {
-      await cleanupOrphanedConfigs();
+      await trackJob('config_cleanup', cleanupOrphanedConfigs);
     } catch (error) {
       console.error('❌ Config cleanup failed:', error);
     }
@@ -41,7 +55,7 @@ export const startCleanupJobs = () => {
   // Reset data usage monthly
   cron.schedule('0 0 1 * *', async () => {
     try {
-      await resetDataUsage();
+      await trackJob('data_usage_reset', resetDataUsage);
     } catch (error) {
       console.error('❌ Data usage reset failed:', error);
     }
@@ -50,7 +64,7 @@ export const startCleanupJobs = () => {
   // Database maintenance weekly
   cron.schedule('0 3 * * 0', async () => {
     try {
-      await performDatabaseMaintenance();
+      await trackJob('database_maintenance', performDatabaseMaintenance);
     } catch (error) {
       console.error('❌ Database maintenance failed:', error);
     }
@@ -71,6 +85,22 @@ const cleanupOldConnections = async () => {
   console.log(`🧹 Cleaned up ${result.deletedCount} old connections`);
 };
 
+/**
+ * Release address leases held by connections that are no longer active
+ * and report servers where addresses conflict
+ */
+const reclaimAddressLeases = async () => {
+  const reclaimed = await IpamService.reclaimStaleLeases();
+
+  console.log(`🧹 Reclaimed ${reclaimed} stale address leases`);
+
+  const conflicted = await IpamService.reportConflicts();
+
+  if (conflicted > 0) {
+    console.warn(`⚠️  Address conflicts found on ${conflicted} servers`);
+  }
+};
+
 /**
  * Cleanup audit logs older than 90 days
  */
@@ -85,7 +115,7 @@ const cleanupOldAuditLogs = async () => {
 };
 
 /**
- * Cleanup orphaned WireGuard config files
+ * Cleanup orphaned WireGuard and OpenVPN config files
  */
 const cleanupOrphanedConfigs = async () => {
   try {
@@ -93,17 +123,17 @@ const cleanupOrphanedConfigs = async () => {
     
     // Get all config files
     const files = await fs.readdir(configsDir);
-    const configFiles = files.filter(file => file.endsWith('.conf'));
+    const configFiles = files.filter(file => file.endsWith('.conf') || file.endsWith('.ovpn'));
     
     let cleanedCount = 0;
     
     for (const file of configFiles) {
       try {
-        // Extract connection ID from filename (wg-{connectionId}.conf)
-        const match = file.match(/^wg-([a-f0-9]+)\.conf$/);
+        // Extract connection ID from filename (wg-{connectionId}.conf or ovpn-{connectionId}.ovpn)
+        const match = file.match(/^(?:wg-([a-f0-9]+)\.conf|ovpn-([a-f0-9]+)\.ovpn)$/);
         if (!match) continue;
         
-        const connectionId = match[1];
+        const connectionId = match[1] || match[2];
         
         // Check if connection exists and is active
         const connection = await Connection.findById(connectionId);
@@ -130,7 +160,7 @@ const cleanupOrphanedConfigs = async () => {
 };
 
 /**
- * Reset monthly data usage for all users
+ * Reset monthly data usage for all users and organization pools
  */
 const resetDataUsage = async () => {
   const result = await User.updateMany(
@@ -139,12 +169,27 @@ const resetDataUsage = async () => {
       $set: {
         'dataUsage.upload': 0,
         'dataUsage.download': 0,
-        'dataUsage.resetDate': new Date()
+        'dataUsage.resetDate': new Date(),
+        'dataUsage.warningLevel': 0
       }
     }
   );
   
   console.log(`🔄 Reset data usage for ${result.modifiedCount} users`);
+
+  const organizations = await Organization.updateMany(
+    {},
+    {
+      $set: {
+        'dataUsage.upload': 0,
+        'dataUsage.download': 0,
+        'dataUsage.resetDate': new Date(),
+        'dataUsage.warningLevel': 0
+      }
+    }
+  );
+
+  console.log(`🔄 Reset data usage for ${organizations.modifiedCount} organizations`);
 };
 
 /**
@@ -178,6 +223,7 @@ const performDatabaseMaintenance = async () => {
     await User.syncIndexes();
     await Server.syncIndexes();
     await AuditLog.syncIndexes();
+    await AddressLease.syncIndexes();
     
     console.log('✅ Database indexes updated');
     
@@ -199,6 +245,12 @@ export const emergencyCleanup = async () => {
     });
     
     for (const connection of activeConnections) {
+      try {
+        await WireGuardService.uninstallPeer(connection.serverId, connection.config);
+      } catch (error) {
+        console.warn(`Could not remove peer for connection ${connection._id}:`, error.message);
+      }
+
       connection.status = 'disconnected';
       connection.endTime = new Date();
       connection.duration = Math.floor(
@@ -207,6 +259,9 @@ export const emergencyCleanup = async () => {
       await connection.save();
     }
     
+    // Return every tunnel address to its pool
+    await AddressLease.deleteMany({});
+    
     // Reset all server user counts
     await Server.updateMany(
       {},
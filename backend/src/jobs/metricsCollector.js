@@ -0,0 +1,49 @@
+import cron from 'node-cron';
+import { MetricsService } from '../services/metricsService.js';
+import { trackJob } from '../utils/metrics.js';
+
+/**
+ * Server metrics jobs
+ * Samples every server each minute and downsamples the samples
+ * into 5 minute and hourly rollups for longer ranges
+ */
+export const startMetricsCollector = () => {
+  console.log('📈 Starting metrics collector...');
+
+  cron.schedule('* * * * *', async () => {
+    try {
+      await trackJob('metrics_sampling', () => MetricsService.recordSamples());
+    } catch (error) {
+      console.error('❌ Metrics sampling failed:', error);
+    }
+  });
+
+  // Just after each 5 minute bucket closes
+  cron.schedule('1-59/5 * * * *', async () => {
+    try {
+      await trackJob('metrics_rollup_5m', () => rollupMetrics('5m'));
+    } catch (error) {
+      console.error('❌ 5 minute metrics rollup failed:', error);
+    }
+  });
+
+  // After the last 5 minute rollup of the hour is written
+  cron.schedule('6 * * * *', async () => {
+    try {
+      await trackJob('metrics_rollup_1h', () => rollupMetrics('1h'));
+    } catch (error) {
+      console.error('❌ Hourly metrics rollup failed:', error);
+    }
+  });
+};
+
+/**
+ * Roll up one resolution and log what was written
+ */
+const rollupMetrics = async (resolution) => {
+  const written = await MetricsService.rollup(resolution);
+
+  if (written > 0) {
+    console.log(`📈 Wrote ${written} ${resolution} metric rollups`);
+  }
+};
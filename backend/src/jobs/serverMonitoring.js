@@ -2,28 +2,39 @@ import cron from 'node-cron';
 import Server from '../models/Server.js';
 import Connection from '../models/Connection.js';
 import { ServerService } from '../services/serverService.js';
+import { AgentService } from '../services/agentService.js';
+import { ProbeService } from '../services/probeService.js';
+import { trackJob, overloadedServerCount } from '../utils/metrics.js';
 
 /**
- * Server health monitoring job
- * Runs every 5 minutes to check server status and update metrics
+ * Server health monitoring jobs
+ * Health comes from agent heartbeats and from probing the nodes directly
  */
 export const startMonitoringJobs = () => {
   console.log('🔄 Starting server monitoring jobs...');
 
-  // Monitor server health every 5 minutes
-  cron.schedule('*/5 * * * *', async () => {
+  // Mark nodes offline that missed their heartbeats, every minute
+  cron.schedule('* * * * *', async () => {
     try {
-      console.log('🔍 Running server health check...');
-      await monitorServerHealth();
+      await trackJob('agent_heartbeats', checkAgentHeartbeats);
     } catch (error) {
-      console.error('❌ Server health check failed:', error);
+      console.error('❌ Heartbeat check failed:', error);
     }
   });
 
-  // Update server loads every 2 minutes
+  // Probe servers that have probes configured every minute
+  cron.schedule('* * * * *', async () => {
+    try {
+      await trackJob('server_probes', probeServers);
+    } catch (error) {
+      console.error('❌ Server probing failed:', error);
+    }
+  });
+
+  // Update loads of servers without an agent every 2 minutes
   cron.schedule('*/2 * * * *', async () => {
     try {
-      await updateServerLoads();
+      await trackJob('server_loads', updateServerLoads);
     } catch (error) {
       console.error('❌ Server load update failed:', error);
     }
@@ -32,82 +43,64 @@ export const startMonitoringJobs = () => {
   // Check for overloaded servers every minute
   cron.schedule('* * * * *', async () => {
     try {
-      await checkOverloadedServers();
+      await trackJob('overloaded_servers', checkOverloadedServers);
     } catch (error) {
       console.error('❌ Overload check failed:', error);
     }
   });
-};
 
-/**
- * Monitor server health and update status
- */
-const monitorServerHealth = async () => {
-  const servers = await Server.find({ active: true });
-  
-  const healthChecks = servers.map(async (server) => {
+  // Move sessions off draining servers every minute
+  cron.schedule('* * * * *', async () => {
     try {
-      // Simulate health check (in production, this would ping the actual server)
-      const isHealthy = await simulateHealthCheck(server);
-      const currentLoad = await calculateServerLoad(server);
-      const ping = await simulatePing(server);
-      
-      await ServerService.updateServerMetrics(server._id, {
-        load: currentLoad,
-        ping: ping,
-        healthStatus: isHealthy ? 'healthy' : 'offline',
-        currentUsers: await Connection.getServerConnectionsCount(server._id)
-      });
-      
-      return {
-        server: server.name,
-        status: isHealthy ? 'healthy' : 'offline',
-        load: currentLoad,
-        ping: ping
-      };
-      
+      await trackJob('server_drain', drainServers);
     } catch (error) {
-      console.error(`Health check failed for server ${server.name}:`, error);
-      
-      // Mark server as offline if health check fails
-      await ServerService.updateServerMetrics(server._id, {
-        healthStatus: 'offline',
-        load: 100
-      });
-      
-      return {
-        server: server.name,
-        status: 'offline',
-        error: error.message
-      };
+      console.error('❌ Server drain failed:', error);
     }
   });
+};
+
+/**
+ * Mark servers offline whose agent stopped sending heartbeats
+ */
+const checkAgentHeartbeats = async () => {
+  const marked = await AgentService.markMissedHeartbeats();
+
+  if (marked > 0) {
+    console.warn(`📡 ${marked} server(s) missed their heartbeats and were marked offline`);
+  }
+};
+
+/**
+ * Run the configured probes against every server
+ */
+const probeServers = async () => {
+  const results = await ProbeService.probeAll();
+
+  if (results.length === 0) {
+    return;
+  }
 
-  const results = await Promise.allSettled(healthChecks);
-  
   const successful = results.filter(r => r.status === 'fulfilled').length;
-  const failed = results.filter(r => r.status === 'rejected').length;
-  
-  console.log(`✅ Server health check completed: ${successful} successful, ${failed} failed`);
+  const offline = results.filter(r => r.status === 'fulfilled' && r.value.healthStatus === 'offline').length;
+  const failed = results.length - successful;
+
+  console.log(`🔍 Probed ${results.length} servers: ${offline} offline, ${failed} probe runs failed`);
 };
 
 /**
- * Update server load metrics based on current usage
+ * Servers without an agent only know their load from the sessions we track
  */
 const updateServerLoads = async () => {
-  const servers = await Server.find({ active: true });
+  const reportingServerIds = await AgentService.getReportingServerIds();
+  const servers = await Server.find({ active: true, _id: { $nin: reportingServerIds } });
   
   for (const server of servers) {
     try {
       const currentConnections = await Connection.getServerConnectionsCount(server._id);
       const utilization = (currentConnections / server.maxUsers) * 100;
       
-      // Add some random variation to simulate real load
-      const randomVariation = (Math.random() * 20) - 10; // -10 to +10
-      const simulatedLoad = Math.max(0, Math.min(100, utilization + randomVariation));
-      
       await ServerService.updateServerMetrics(server._id, {
-        load: simulatedLoad,
+        load: utilization,
         currentUsers: currentConnections
       });
       
@@ -117,6 +110,25 @@ const updateServerLoads = async () => {
   }
 };
 
+/**
+ * Work through draining servers one batch at a time
+ */
+const drainServers = async () => {
+  const servers = await Server.find({ 'lifecycle.state': 'draining', 'lifecycle.drainCompletedAt': null });
+
+  for (const server of servers) {
+    try {
+      const result = await ServerService.processDrain(server);
+
+      if (result.requested > 0 || result.disconnected > 0) {
+        console.log(`🚚 Draining ${server.name}: ${result.requested} asked to move, ${result.disconnected} disconnected, ${result.remaining} remaining`);
+      }
+    } catch (error) {
+      console.error(`Failed to drain server ${server.name}:`, error);
+    }
+  }
+};
+
 /**
  * Check for overloaded servers and take action
  */
@@ -129,6 +141,8 @@ const checkOverloadedServers = async () => {
     ]
   });
 
+  overloadedServerCount.set(overloadedServers.length);
+
   if (overloadedServers.length > 0) {
     console.warn(`🚨 Found ${overloadedServers.length} overloaded servers:`);
     
@@ -139,61 +153,3 @@ const checkOverloadedServers = async () => {
     // In production, this could trigger alerts or auto-scaling
   }
 };
-
-/**
- * Simulate server health check
- */
-const simulateHealthCheck = async (server) => {
-  // Simulate occasional failures (5% chance)
-  if (Math.random() < 0.05) {
-    throw new Error('Simulated health check failure');
-  }
-  
-  // Server is considered healthy if load < 95%
-  return server.load < 95;
-};
-
-/**
- * Calculate simulated server load
- */
-const calculateServerLoad = async (server) => {
-  const baseLoad = (server.currentUsers / server.maxUsers) * 100;
-  
-  // Add some realistic variation
-  const variation = (Math.random() * 30) - 15; // -15 to +15
-  return Math.max(0, Math.min(100, baseLoad + variation));
-};
-
-/**
- * Simulate ping time to server
- */
-const simulatePing = async (server) => {
-  // Base ping based on server location (simplified)
-  const basePing = getBasePingByRegion(server.countryCode);
-  
-  // Add some random variation
-  const variation = Math.random() * 50; // 0-50ms variation
-  return Math.round(basePing + variation);
-};
-
-/**
- * Get base ping time by region
- */
-const getBasePingByRegion = (countryCode) => {
-  const regionPing = {
-    // North America
-    'US': 30, 'CA': 40, 'MX': 60,
-    // Europe
-    'GB': 20, 'DE': 25, 'FR': 25, 'NL': 20, 'SE': 30,
-    // Asia
-    'JP': 120, 'SG': 150, 'KR': 130, 'HK': 140,
-    // Australia
-    'AU': 180, 'NZ': 190,
-    // South America
-    'BR': 100, 'AR': 120, 'CL': 110,
-    // Africa
-    'ZA': 200, 'EG': 150, 'KE': 220
-  };
-  
-  return regionPing[countryCode] || 100; // Default ping
-};
\ No newline at end of file
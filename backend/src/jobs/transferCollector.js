@@ -0,0 +1,33 @@
+import cron from 'node-cron';
+import { TransferStatsService } from '../services/transferStatsService.js';
+import { trackJob } from '../utils/metrics.js';
+
+/**
+ * Peer transfer collection job
+ * Reads WireGuard counters every minute and updates connection,
+ * user and server usage from them instead of client reports
+ */
+export const startTransferCollector = () => {
+  console.log('📶 Starting transfer collector...');
+
+  cron.schedule('* * * * *', async () => {
+    try {
+      await trackJob('transfer_collection', collectTransferStats);
+    } catch (error) {
+      console.error('❌ Transfer collection failed:', error);
+    }
+  });
+};
+
+/**
+ * Collect peer counters and log a summary
+ */
+const collectTransferStats = async () => {
+  const totals = await TransferStatsService.collect();
+
+  if (totals.missing > 0) {
+    console.warn(`⚠️ ${totals.missing} connected peers missing from WireGuard counters`);
+  }
+
+  console.log(`📶 Collected transfer stats for ${totals.peers} peers on ${totals.servers} servers`);
+};
@@ -1,15 +1,21 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import AuditLog from '../models/AuditLog.js';
+import Organization from '../models/Organization.js';
+import { ApiKeyService } from '../services/apiKeyService.js';
+import { AgentService } from '../services/agentService.js';
+import { AGENT_HEADERS } from '../utils/agentProtocol.js';
 import { config } from '../config/environment.js';
 
 /**
- * Generate JWT token
+ * Generate a short-lived JWT access token bound to a session
  */
-export const generateToken = (userId) => {
+export const generateToken = (userId, sessionId) => {
   return jwt.sign(
     { 
       userId,
+      sid: sessionId.toString(),
       iat: Math.floor(Date.now() / 1000)
     },
     config.jwt.secret,
@@ -32,8 +38,52 @@ export const verifyToken = (token) => {
   }
 };
 
+/**
+ * Let API keys holding the scope call the routes that follow.
+ * Everything else only accepts session tokens.
+ */
+export const allowApiKey = (scope) => (req, res, next) => {
+  req.apiKeyScope = scope;
+  next();
+};
+
+/**
+ * Authenticate with a personal API key instead of a session
+ */
+const authenticateWithApiKey = async (req, res, next, key) => {
+  if (!req.apiKeyScope) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot be used for this endpoint.'
+    });
+  }
+
+  const { apiKey, user } = await ApiKeyService.authenticate(key, { ipAddress: req.ip });
+
+  if (!apiKey.hasScope(req.apiKeyScope)) {
+    return res.status(403).json({
+      success: false,
+      message: `API key is missing the ${req.apiKeyScope} scope.`
+    });
+  }
+
+  if (!user.isActive) {
+    return res.status(403).json({
+      success: false,
+      message: 'Account is deactivated.'
+    });
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  req.token = key;
+
+  next();
+};
+
 /**
  * Authentication middleware
+ * Accepts a session access token, or an API key on routes that allow one
  */
 export const authenticate = async (req, res, next) => {
   try {
@@ -55,16 +105,30 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    if (ApiKeyService.isApiKey(token)) {
+      return await authenticateWithApiKey(req, res, next, token);
+    }
+
     // Verify token
     const decoded = verifyToken(token);
     
-    if (!decoded.userId) {
+    if (!decoded.userId || !decoded.sid) {
       return res.status(401).json({
         success: false,
         message: 'Invalid token format.'
       });
     }
 
+    // Logging out or revoking a session invalidates its access tokens right away
+    const session = await Session.findActive(decoded.sid, decoded.userId);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked.'
+      });
+    }
+
     // Get user from database
     const user = await User.findById(decoded.userId);
     
@@ -84,6 +148,7 @@ export const authenticate = async (req, res, next) => {
 
     // Attach user to request
     req.user = user;
+    req.session = session;
     req.token = token;
     
     next();
@@ -115,6 +180,13 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    if (error.code === 'INVALID_API_KEY' || error.code === 'API_KEY_EXPIRED') {
+      return res.status(401).json({
+        success: false,
+        message: `${error.message}.`
+      });
+    }
+
     res.status(401).json({
       success: false,
       message: 'Authentication failed.'
@@ -133,10 +205,12 @@ export const optionalAuth = async (req, res, next) => {
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.replace('Bearer ', '');
       const decoded = verifyToken(token);
-      const user = await User.findById(decoded.userId);
+      const session = decoded.sid && await Session.findActive(decoded.sid, decoded.userId);
+      const user = session && await User.findById(decoded.userId);
       
       if (user && user.isActive) {
         req.user = user;
+        req.session = session;
         req.token = token;
       }
     }
@@ -149,9 +223,10 @@ export const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * Admin authorization middleware
+ * Permission authorization middleware
+ * Requires every listed permission, e.g. requirePermission('servers:write')
  */
-export const requireAdmin = async (req, res, next) => {
+export const requirePermission = (...permissions) => async (req, res, next) => {
   try {
     if (!req.user) {
       return res.status(401).json({
@@ -160,11 +235,23 @@ export const requireAdmin = async (req, res, next) => {
       });
     }
 
-    // Check if user has admin privileges
-    // This would typically check user.role or similar field
-    const isAdmin = req.user.subscription === 'enterprise'; // Example check
-    
-    if (!isAdmin) {
+    const missing = permissions.filter(permission => !req.user.hasPermission(permission));
+
+    if (missing.length > 0) {
+      await AuditLog.log({
+        action: 'security_event',
+        userId: req.user._id,
+        details: {
+          type: 'permission_denied',
+          required: missing,
+          url: req.originalUrl,
+          method: req.method
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        status: 'failure'
+      });
+
       return res.status(403).json({
         success: false,
         message: 'Insufficient permissions.'
@@ -180,6 +267,56 @@ export const requireAdmin = async (req, res, next) => {
   }
 };
 
+/**
+ * Organization role middleware
+ * Loads the organization in :organizationId and requires the user to hold
+ * one of the listed roles in it, e.g. requireOrganizationRole('owner', 'admin')
+ */
+export const requireOrganizationRole = (...roles) => async (req, res, next) => {
+  try {
+    const organization = await Organization.findById(req.params.organizationId);
+    const membership = organization?.getMember(req.user._id);
+
+    // Outsiders can't tell an organization from a missing one
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    if (!roles.includes(membership.role)) {
+      await AuditLog.log({
+        action: 'security_event',
+        userId: req.user._id,
+        resourceId: organization._id,
+        resourceType: 'organization',
+        details: {
+          type: 'organization_permission_denied',
+          role: membership.role,
+          required: roles,
+          url: req.originalUrl,
+          method: req.method
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        status: 'failure'
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient organization permissions.'
+      });
+    }
+
+    req.organization = organization;
+    req.membership = membership;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * API key authentication for internal services
  */
@@ -208,4 +345,24 @@ export const authenticateApiKey = async (req, res, next) => {
       message: 'API key authentication failed.'
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Authenticate a server agent by its signed request headers
+ */
+export const authenticateAgent = async (req, res, next) => {
+  try {
+    req.agent = await AgentService.authenticate({
+      agentId: req.header(AGENT_HEADERS.id),
+      timestamp: req.header(AGENT_HEADERS.timestamp),
+      signature: req.header(AGENT_HEADERS.signature),
+      method: req.method,
+      path: req.originalUrl,
+      body: req.rawBody
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
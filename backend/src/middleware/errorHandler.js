@@ -79,6 +79,7 @@ export const errorHandler = (err, req, res, next) => {
   const errorResponse = {
     success: false,
     message,
+    ...(typeof error.code === 'string' && { code: error.code }),
     ...(config.env === 'development' && { stack: error.stack })
   };
 
@@ -87,15 +88,22 @@ export const errorHandler = (err, req, res, next) => {
     errorResponse.errors = error.errors;
   }
 
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
   res.status(statusCode).json(errorResponse);
 };
 
 /**
  * Create standardized error object
  */
-const createError = (message, statusCode) => {
+export const createError = (message, statusCode, code) => {
   const error = new Error(message);
   error.statusCode = statusCode;
+  if (code) {
+    error.code = code;
+  }
   return error;
 };
 
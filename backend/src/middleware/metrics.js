@@ -0,0 +1,35 @@
+import { httpRequestDuration } from '../utils/metrics.js';
+
+/**
+ * Time every request. Routes are labelled by their pattern, not the
+ * actual path, so IDs in URLs do not create a series each.
+ */
+export const httpMetrics = (req, res, next) => {
+  const end = httpRequestDuration.startTimer();
+  let route;
+  let routeLabel = 'unmatched';
+
+  // Routers reset req.baseUrl when they pass an error on,
+  // so the full pattern is taken when a route matches
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      if (value) {
+        routeLabel = `${req.baseUrl}${value.path}`;
+      }
+    }
+  });
+
+  res.on('finish', () => {
+    end({
+      method: req.method,
+      route: routeLabel,
+      status_code: res.statusCode
+    });
+  });
+
+  next();
+};
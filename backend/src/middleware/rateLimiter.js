@@ -1,11 +1,13 @@
 import rateLimit from 'express-rate-limit';
 import { config } from '../config/environment.js';
 import AuditLog from '../models/AuditLog.js';
+import { rateLimitHits } from '../utils/metrics.js';
 
 /**
- * Create rate limiters with different configurations
+ * Create rate limiters with different configurations.
+ * The name labels the limiter's hits in the metrics.
  */
-const createLimiter = (windowMs, max, message, keyGenerator = null) => {
+const createLimiter = (name, windowMs, max, message, keyGenerator = null) => {
   return rateLimit({
     windowMs,
     max,
@@ -15,6 +17,8 @@ const createLimiter = (windowMs, max, message, keyGenerator = null) => {
     },
     keyGenerator: keyGenerator || ((req) => req.ip),
     handler: async (req, res) => {
+      rateLimitHits.inc({ limiter: name });
+
       // Log rate limit hits for security monitoring
       await AuditLog.log({
         action: 'security_event',
@@ -45,6 +49,7 @@ const createLimiter = (windowMs, max, message, keyGenerator = null) => {
  * General API rate limiter
  */
 export const generalLimiter = createLimiter(
+  'general',
   config.rateLimit.windowMs,
   config.rateLimit.max,
   'Too many requests from this IP, please try again later.'
@@ -54,15 +59,27 @@ export const generalLimiter = createLimiter(
  * Strict rate limiter for authentication endpoints
  */
 export const authLimiter = createLimiter(
+  'auth',
   15 * 60 * 1000, // 15 minutes
   5, // 5 attempts per window
   'Too many authentication attempts, please try again later.'
 );
 
+/**
+ * Refresh token rate limiter, looser than login since clients refresh routinely
+ */
+export const refreshLimiter = createLimiter(
+  'refresh',
+  60 * 1000, // 1 minute
+  20, // 20 refreshes per minute
+  'Too many token refresh attempts, please try again later.'
+);
+
 /**
  * Connection rate limiter
  */
 export const connectionLimiter = createLimiter(
+  'connection',
   60 * 1000, // 1 minute
   10, // 10 connection attempts per minute
   'Too many connection attempts, please try again later.'
@@ -72,6 +89,7 @@ export const connectionLimiter = createLimiter(
  * Strict rate limiter per user
  */
 export const userLimiter = createLimiter(
+  'user',
   config.rateLimit.windowMs,
   50, // 50 requests per window per user
   'Too many requests from this account, please try again later.',
@@ -82,6 +100,7 @@ export const userLimiter = createLimiter(
  * Public endpoints rate limiter (more generous)
  */
 export const publicLimiter = createLimiter(
+  'public',
   config.rateLimit.windowMs,
   200, // 200 requests per window
   'Too many requests, please try again later.'
@@ -91,7 +110,20 @@ export const publicLimiter = createLimiter(
  * WebSocket connection rate limiter
  */
 export const websocketLimiter = createLimiter(
+  'websocket',
   60 * 1000, // 1 minute
   20, // 20 WebSocket connections per minute
   'Too many WebSocket connections, please try again later.'
-);
\ No newline at end of file
+);
+
+/**
+ * Server agent rate limiter, keyed by agent so nodes behind one address do not share a budget.
+ * Goes after authenticateAgent, the agent ID header alone could be anyone's.
+ */
+export const agentLimiter = createLimiter(
+  'agent',
+  60 * 1000, // 1 minute
+  30, // 30 requests per minute per agent
+  'Too many agent requests, please slow down.',
+  (req) => req.agent?._id.toString() || req.ip
+);
@@ -1,5 +1,11 @@
 import { body, param, query, validationResult } from 'express-validator';
 import User from '../models/User.js';
+import { PROBE_TYPES } from '../models/Server.js';
+import { CryptoUtils } from '../utils/crypto.js';
+import { QR_IMAGE_TYPES } from '../utils/qrCode.js';
+import { OPENVPN_TRANSPORTS } from '../utils/openvpn.js';
+import { API_KEY_SCOPES, ROLE_NAMES } from '../config/permissions.js';
+import { config } from '../config/environment.js';
 
 /**
  * Common validation rules
@@ -16,6 +22,22 @@ export const validateRequest = (req, res, next) => {
   next();
 };
 
+/**
+ * Optional description of the device a session is opened from
+ */
+const sessionDeviceRules = [
+  body('device.name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Device name must be between 1 and 50 characters'),
+
+  body('device.platform')
+    .optional()
+    .isIn(['windows', 'macos', 'linux', 'android', 'ios', 'other'])
+    .withMessage('Invalid platform')
+];
+
 /**
  * Authentication validation rules
  */
@@ -49,6 +71,8 @@ export const validateRegistration = [
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
     .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
 
+  ...sessionDeviceRules,
+
   validateRequest
 ];
 
@@ -62,6 +86,50 @@ export const validateLogin = [
     .notEmpty()
     .withMessage('Password is required'),
 
+  ...sessionDeviceRules,
+
+  validateRequest
+];
+
+export const validateEmailVerification = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required'),
+
+  validateRequest
+];
+
+export const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+
+  validateRequest
+];
+
+export const validatePasswordReset = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+
+  validateRequest
+];
+
+export const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+
   validateRequest
 ];
 
@@ -79,6 +147,403 @@ export const validatePasswordChange = [
   validateRequest
 ];
 
+/**
+ * Two-factor authentication validation rules
+ */
+const totpCodeRule = (field) => body(field)
+  .trim()
+  .matches(/^\d{6}$/)
+  .withMessage('Code must be 6 digits');
+
+// Either an authenticator code or a recovery code
+const secondFactorRules = [
+  totpCodeRule('code').optional(),
+
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Invalid recovery code'),
+
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('An authenticator code or recovery code is required')
+];
+
+export const validateTwoFactorCode = [
+  totpCodeRule('code'),
+
+  validateRequest
+];
+
+export const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+
+  ...secondFactorRules,
+
+  ...sessionDeviceRules,
+
+  validateRequest
+];
+
+export const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  ...secondFactorRules,
+
+  validateRequest
+];
+
+export const validateRecoveryCodeRegeneration = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  totpCodeRule('code'),
+
+  validateRequest
+];
+
+/**
+ * Single sign-on validation rules
+ */
+const pkceChallengePattern = /^[A-Za-z0-9_-]{43}$/;
+
+export const validateSsoStart = [
+  param('organization')
+    .matches(/^[a-z0-9-]{1,40}$/i)
+    .withMessage('Invalid organization'),
+
+  query('redirect_uri')
+    .isString()
+    .notEmpty()
+    .withMessage('Redirect URI is required'),
+
+  query('code_challenge')
+    .matches(pkceChallengePattern)
+    .withMessage('Code challenge must be a base64url SHA-256 hash'),
+
+  query('code_challenge_method')
+    .optional()
+    .equals('S256')
+    .withMessage('Only the S256 code challenge method is supported'),
+
+  query('state')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('State cannot exceed 200 characters'),
+
+  validateRequest
+];
+
+export const validateSsoCallback = [
+  query('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required'),
+
+  query('code')
+    .if(query('error').not().exists())
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+
+  validateRequest
+];
+
+export const validateSsoExchange = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Login code is required'),
+
+  body('codeVerifier')
+    .matches(/^[A-Za-z0-9._~-]{43,128}$/)
+    .withMessage('Code verifier must be 43 to 128 unreserved characters'),
+
+  ...sessionDeviceRules,
+
+  validateRequest
+];
+
+/**
+ * Organization validation rules
+ */
+const organizationDomainRules = [
+  body('domains')
+    .optional()
+    .isArray()
+    .withMessage('Domains must be an array'),
+
+  body('domains.*')
+    .isFQDN()
+    .withMessage('Domains must be valid domain names')
+];
+
+const organizationProfileRules = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Organization name must be between 1 and 100 characters'),
+
+  body('slug')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9](?:[a-z0-9-]{0,38}[a-z0-9])?$/)
+    .withMessage('Slug can only contain lowercase letters, numbers and dashes')
+];
+
+export const validateOrganizationCreate = [
+  ...organizationProfileRules,
+  ...organizationDomainRules,
+
+  validateRequest
+];
+
+// Customers can't claim email domains, SSO could take over accounts on them
+export const validateOwnedOrganizationCreate = [
+  ...organizationProfileRules,
+
+  body('domains')
+    .not()
+    .exists()
+    .withMessage('Email domains are set by support once ownership is verified'),
+
+  validateRequest
+];
+
+export const validateOrganizationSso = [
+  param('organizationId')
+    .isMongoId()
+    .withMessage('Invalid organization ID format'),
+
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Enabled must be a boolean'),
+
+  body('issuer')
+    .optional()
+    .isURL({ protocols: ['http', 'https'], require_tld: false, require_protocol: true })
+    .withMessage('Issuer must be a URL'),
+
+  body('clientId')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Client ID cannot be empty'),
+
+  body('clientSecret')
+    .optional()
+    .isString()
+    .withMessage('Client secret must be a string'),
+
+  body('scopes')
+    .optional()
+    .isArray({ min: 1 })
+    .custom(scopes => scopes.includes('openid'))
+    .withMessage('Scopes must include openid'),
+
+  body('groupsClaim')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Groups claim cannot be empty'),
+
+  body('jitProvisioning')
+    .optional()
+    .isBoolean()
+    .withMessage('JIT provisioning must be a boolean'),
+
+  body('defaultSubscription')
+    .optional()
+    .isIn(['free', 'premium', 'enterprise'])
+    .withMessage('Invalid subscription'),
+
+  body('groupMappings')
+    .optional()
+    .isArray()
+    .withMessage('Group mappings must be an array'),
+
+  body('groupMappings.*.group')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Each group mapping needs a group'),
+
+  body('groupMappings.*.subscription')
+    .optional()
+    .isIn(['free', 'premium', 'enterprise'])
+    .withMessage('Invalid subscription'),
+
+  body('groupMappings.*.roles')
+    .optional()
+    .isArray()
+    .withMessage('Roles must be an array'),
+
+  body('groupMappings.*.roles.*')
+    .isIn(ROLE_NAMES)
+    .withMessage(`Roles must be among: ${ROLE_NAMES.join(', ')}`),
+
+  ...organizationDomainRules,
+
+  validateRequest
+];
+
+export const validateOrganizationPool = [
+  param('organizationId')
+    .isMongoId()
+    .withMessage('Invalid organization ID format'),
+
+  body('maxDevices')
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('Device seats must be between 1 and 10000')
+    .toInt(),
+
+  body('dataLimit')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Data limit must be a non-negative number of bytes')
+    .toInt(),
+
+  validateRequest
+];
+
+const organizationMemberParams = [
+  param('organizationId')
+    .isMongoId()
+    .withMessage('Invalid organization ID format'),
+
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID format')
+];
+
+export const validateOrganizationMember = [
+  ...organizationMemberParams,
+
+  validateRequest
+];
+
+export const validateMemberRole = [
+  ...organizationMemberParams,
+
+  body('role')
+    .isIn(['owner', 'admin', 'member'])
+    .withMessage('Role must be owner, admin or member'),
+
+  validateRequest
+];
+
+export const validateMemberConnections = [
+  ...organizationMemberParams,
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  validateRequest
+];
+
+export const validateInvitation = [
+  param('organizationId')
+    .isMongoId()
+    .withMessage('Invalid organization ID format'),
+
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+
+  body('role')
+    .optional()
+    .isIn(['admin', 'member'])
+    .withMessage('Role must be admin or member'),
+
+  validateRequest
+];
+
+export const validateInvitationAccept = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Invitation token is required'),
+
+  validateRequest
+];
+
+export const validateInvitationId = [
+  param('organizationId')
+    .isMongoId()
+    .withMessage('Invalid organization ID format'),
+
+  param('invitationId')
+    .isMongoId()
+    .withMessage('Invalid invitation ID format'),
+
+  validateRequest
+];
+
+/**
+ * API key validation rules
+ */
+export const validateApiKeyCreate = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('API key name must be between 1 and 50 characters'),
+
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Scopes must be among: ${API_KEY_SCOPES.join(', ')}`),
+
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: config.apiKeys.maxExpiryDays })
+    .withMessage(`Expiry must be between 1 and ${config.apiKeys.maxExpiryDays} days`)
+    .toInt(),
+
+  validateRequest
+];
+
+export const validateApiKeyUpdate = [
+  param('keyId')
+    .isMongoId()
+    .withMessage('Invalid API key ID format'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('API key name must be between 1 and 50 characters'),
+
+  body('scopes')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Scopes must be among: ${API_KEY_SCOPES.join(', ')}`),
+
+  validateRequest
+];
+
 /**
  * VPN connection validation rules
  */
@@ -87,6 +552,34 @@ export const validateConnection = [
     .isMongoId()
     .withMessage('Invalid server ID'),
 
+  body('deviceId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid device ID'),
+
+  body('clientPublicKey')
+    .optional()
+    .custom(value => CryptoUtils.validateKey(value, 'public'))
+    .withMessage('Invalid client public key'),
+
+  body('usePresharedKey')
+    .optional()
+    .isBoolean()
+    .withMessage('usePresharedKey must be a boolean'),
+
+  body('protocol')
+    .optional()
+    .isIn(['wireguard', 'openvpn'])
+    .withMessage('Protocol must be wireguard or openvpn'),
+
+  // WireGuard only runs over UDP, TCP is an OpenVPN option
+  body('transport')
+    .optional()
+    .isIn(OPENVPN_TRANSPORTS)
+    .withMessage('Transport must be udp or tcp')
+    .custom((value, { req }) => value === 'udp' || req.body.protocol === 'openvpn')
+    .withMessage('TCP transport is only available with OpenVPN'),
+
   body('clientInfo')
     .optional()
     .isObject()
@@ -106,30 +599,47 @@ export const validateConnection = [
 ];
 
 export const validateStatsUpdate = [
-  body('upload')
-    .optional()
+  // Transfer and speed come from WireGuard counters, clients only report latency
+  body('ping')
     .isFloat({ min: 0 })
-    .withMessage('Upload must be a positive number'),
+    .withMessage('Ping must be a positive number'),
+
+  validateRequest
+];
 
-  body('download')
+/**
+ * Device validation rules
+ */
+export const validateDevice = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Device name must be between 1 and 50 characters'),
+
+  body('publicKey')
     .optional()
-    .isFloat({ min: 0 })
-    .withMessage('Download must be a positive number'),
+    .custom(value => CryptoUtils.validateKey(value, 'public'))
+    .withMessage('Invalid public key'),
 
-  body('uploadSpeed')
+  body('platform')
     .optional()
-    .isFloat({ min: 0 })
-    .withMessage('Upload speed must be a positive number'),
+    .isIn(['windows', 'macos', 'linux', 'android', 'ios', 'other'])
+    .withMessage('Invalid platform'),
 
-  body('downloadSpeed')
+  validateRequest
+];
+
+export const validateDeviceUpdate = [
+  body('name')
     .optional()
-    .isFloat({ min: 0 })
-    .withMessage('Download speed must be a positive number'),
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Device name must be between 1 and 50 characters'),
 
-  body('ping')
+  body('platform')
     .optional()
-    .isFloat({ min: 0 })
-    .withMessage('Ping must be a positive number'),
+    .isIn(['windows', 'macos', 'linux', 'android', 'ios', 'other'])
+    .withMessage('Invalid platform'),
 
   validateRequest
 ];
@@ -192,6 +702,46 @@ export const validateConnectionId = [
   validateRequest
 ];
 
+export const validateDeviceId = [
+  param('deviceId')
+    .isMongoId()
+    .withMessage('Invalid device ID format'),
+
+  validateRequest
+];
+
+export const validateSessionId = [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid session ID format'),
+
+  validateRequest
+];
+
+export const validateApiKeyId = [
+  param('keyId')
+    .isMongoId()
+    .withMessage('Invalid API key ID format'),
+
+  validateRequest
+];
+
+export const validateUserId = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+
+  validateRequest
+];
+
+export const validateOrganizationId = [
+  param('organizationId')
+    .isMongoId()
+    .withMessage('Invalid organization ID format'),
+
+  validateRequest
+];
+
 export const validateServerId = [
   param('serverId')
     .isMongoId()
@@ -200,6 +750,325 @@ export const validateServerId = [
   validateRequest
 ];
 
+/**
+ * Config export validation
+ */
+export const validateConfigExport = [
+  param('connectionId')
+    .isMongoId()
+    .withMessage('Invalid connection ID format'),
+
+  query('format')
+    .optional()
+    .isIn(['conf', 'qr'])
+    .withMessage('Format must be conf or qr'),
+
+  query('type')
+    .optional()
+    .isIn(QR_IMAGE_TYPES)
+    .withMessage('QR image type must be png or svg'),
+
+  validateRequest
+];
+
+/**
+ * Server administration rules. Required fields are only
+ * required on create, every field is optional on update.
+ */
+const serverFieldRules = (required) => {
+  const field = (chain) => (required ? chain : chain.optional());
+
+  return [
+    field(body('name'))
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Server name must be between 1 and 100 characters'),
+
+    field(body('country'))
+      .trim()
+      .notEmpty()
+      .withMessage('Country is required'),
+
+    field(body('countryCode'))
+      .matches(/^[A-Za-z]{2}$/)
+      .withMessage('Country code must be 2 letters')
+      .toUpperCase(),
+
+    field(body('hostname'))
+      .isFQDN({ require_tld: false })
+      .withMessage('Invalid hostname format'),
+
+    field(body('ip'))
+      .isIP(4)
+      .withMessage('Invalid IP address format'),
+
+    body('port')
+      .optional()
+      .isInt({ min: 1, max: 65535 })
+      .withMessage('Port must be between 1 and 65535')
+      .toInt(),
+
+    field(body('coordinates.lat'))
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90')
+      .toFloat(),
+
+    field(body('coordinates.lng'))
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180')
+      .toFloat(),
+
+    body('maxUsers')
+      .optional()
+      .isInt({ min: 1, max: 10000 })
+      .withMessage('Max users must be between 1 and 10000')
+      .toInt(),
+
+    body(['flags.isPremium', 'flags.supportsWireGuard', 'flags.supportsOpenVPN', 'flags.supportsIKEv2', 'flags.isRecommended'])
+      .optional()
+      .isBoolean()
+      .withMessage('Server flags must be booleans'),
+
+    field(body('technical.publicKey'))
+      .custom(value => CryptoUtils.validateKey(value, 'public'))
+      .withMessage('Invalid WireGuard public key'),
+
+    field(body('technical.endpoint'))
+      .matches(/^[A-Za-z0-9.-]+:\d{1,5}$/)
+      .withMessage('Endpoint must be host:port'),
+
+    body(['technical.allowedIPs', 'technical.dns'])
+      .optional()
+      .isArray()
+      .withMessage('Allowed IPs and DNS must be arrays'),
+
+    body('technical.persistentKeepalive')
+      .optional()
+      .isInt({ min: 0, max: 255 })
+      .withMessage('Persistent keepalive must be between 0 and 255')
+      .toInt(),
+
+    body(['technical.openvpn.udpPort', 'technical.openvpn.tcpPort'])
+      .optional()
+      .isInt({ min: 1, max: 65535 })
+      .withMessage('OpenVPN ports must be between 1 and 65535')
+      .toInt()
+  ];
+};
+
+export const validateServerCreate = [
+  ...serverFieldRules(true),
+
+  body('technical.presharedKeyPolicy')
+    .optional()
+    .isIn(['off', 'per-connection', 'required'])
+    .withMessage('Policy must be off, per-connection or required'),
+
+  validateRequest
+];
+
+export const validateServerUpdate = [
+  param('serverId')
+    .isMongoId()
+    .withMessage('Invalid server ID format'),
+
+  ...serverFieldRules(false),
+
+  validateRequest
+];
+
+export const validateServerRetire = [
+  param('serverId')
+    .isMongoId()
+    .withMessage('Invalid server ID format'),
+
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  validateRequest
+];
+
+export const validateServerAdminQuery = [
+  query('state')
+    .optional()
+    .isIn(['active', 'draining', 'retired'])
+    .withMessage('State must be active, draining or retired'),
+
+  validateRequest
+];
+
+export const validateServerMetrics = [
+  param('serverId')
+    .isMongoId()
+    .withMessage('Invalid server ID format'),
+
+  query(['range', 'step'])
+    .optional()
+    .matches(/^[1-9]\d*[mhd]$/)
+    .withMessage('Range and step must look like 30m, 24h or 7d'),
+
+  validateRequest
+];
+
+export const validateServerProbes = [
+  param('serverId')
+    .isMongoId()
+    .withMessage('Invalid server ID format'),
+
+  body('probes')
+    .isArray({ max: 10 })
+    .withMessage('Probes must be a list of at most 10 entries'),
+
+  body('probes.*.type')
+    .isIn(PROBE_TYPES)
+    .withMessage(`Probe type must be one of: ${PROBE_TYPES.join(', ')}`),
+
+  body('probes.*.port')
+    .optional()
+    .isInt({ min: 1, max: 65535 })
+    .withMessage('Probe port must be between 1 and 65535')
+    .toInt(),
+
+  body('probes.*.path')
+    .optional()
+    .matches(/^\/\S*$/)
+    .withMessage('Probe path must start with /'),
+
+  body('probes.*.timeoutMs')
+    .optional()
+    .isInt({ min: 100, max: 30000 })
+    .withMessage('Probe timeout must be between 100 and 30000 ms')
+    .toInt(),
+
+  validateRequest
+];
+
+export const validateProbeHistory = [
+  param('serverId')
+    .isMongoId()
+    .withMessage('Invalid server ID format'),
+
+  query('since')
+    .optional()
+    .isISO8601()
+    .withMessage('Since must be an ISO 8601 date'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+
+  validateRequest
+];
+
+export const validateAgentEnroll = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Enrollment token is required'),
+
+  body('hostname')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Hostname cannot exceed 255 characters'),
+
+  body('version')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Version cannot exceed 50 characters'),
+
+  validateRequest
+];
+
+export const validateHeartbeat = [
+  body('cpu.usage')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('CPU usage must be a percentage')
+    .toFloat(),
+
+  body(['bandwidth.rxBytesPerSec', 'bandwidth.txBytesPerSec'])
+    .isFloat({ min: 0 })
+    .withMessage('Bandwidth must be a non-negative number of bytes per second')
+    .toFloat(),
+
+  body('peers.total')
+    .isInt({ min: 0 })
+    .withMessage('Peer count must be a non-negative integer')
+    .toInt(),
+
+  body('peers.active')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Active peer count must be a non-negative integer')
+    .toInt(),
+
+  body('interface.up')
+    .isBoolean({ strict: true })
+    .withMessage('Interface state must be a boolean'),
+
+  body('interface.listenPort')
+    .optional()
+    .isInt({ min: 1, max: 65535 })
+    .withMessage('Listen port must be between 1 and 65535')
+    .toInt(),
+
+  body('interface.publicKey')
+    .optional()
+    .isString()
+    .withMessage('Interface public key must be a string'),
+
+  body('openvpn.clients')
+    .optional()
+    .isArray({ max: 10000 })
+    .withMessage('OpenVPN clients must be a list'),
+
+  // Agents before byte reporting send bare certificate names
+  body('openvpn.clients.*')
+    .customSanitizer(client => (typeof client === 'string' ? { commonName: client } : client)),
+
+  body('openvpn.clients.*.commonName')
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Invalid OpenVPN client certificate name'),
+
+  body(['openvpn.clients.*.bytesReceived', 'openvpn.clients.*.bytesSent'])
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('OpenVPN client byte counts must be non-negative integers')
+    .toInt(),
+
+  body('agentVersion')
+    .optional()
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Agent version cannot exceed 50 characters'),
+
+  validateRequest
+];
+
+/**
+ * Preshared key policy validation
+ */
+export const validatePresharedKeyPolicy = [
+  param('serverId')
+    .isMongoId()
+    .withMessage('Invalid server ID format'),
+
+  body('policy')
+    .isIn(['off', 'per-connection', 'required'])
+    .withMessage('Policy must be off, per-connection or required'),
+
+  validateRequest
+];
+
 /**
  * Profile update validation
  */
@@ -229,6 +1098,11 @@ export const validateProfileUpdate = [
     .isBoolean()
     .withMessage('Kill switch must be a boolean'),
 
+  body('preferences.serverKeyGeneration')
+    .optional()
+    .isBoolean()
+    .withMessage('Server key generation must be a boolean'),
+
   body('preferences.notifications')
     .optional()
     .isObject()
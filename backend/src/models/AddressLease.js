@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { isIP } from 'net';
+
+const addressLeaseSchema = new mongoose.Schema({
+  serverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Server',
+    required: [true, 'Server ID is required']
+  },
+  connectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Connection',
+    required: [true, 'Connection ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  ipv4: {
+    type: String,
+    required: true,
+    match: [/^(\d{1,3}\.){3}\d{1,3}$/, 'Invalid IP address format']
+  },
+  ipv6: {
+    type: String,
+    validate: {
+      validator: (value) => isIP(value) === 6,
+      message: 'Invalid IPv6 address format'
+    }
+  },
+  leasedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// A lease exists only while its connection holds the address,
+// so uniqueness per server is what prevents two peers sharing an IP
+addressLeaseSchema.index({ serverId: 1, ipv4: 1 }, { unique: true });
+addressLeaseSchema.index(
+  { serverId: 1, ipv6: 1 },
+  { unique: true, partialFilterExpression: { ipv6: { $type: 'string' } } }
+);
+addressLeaseSchema.index({ connectionId: 1 }, { unique: true });
+
+// Static methods
+addressLeaseSchema.statics.findByServer = function(serverId) {
+  return this.find({ serverId }).sort({ leasedAt: 1 });
+};
+
+addressLeaseSchema.statics.countByServer = function(serverId) {
+  return this.countDocuments({ serverId });
+};
+
+export default mongoose.model('AddressLease', addressLeaseSchema);
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import { API_KEY_SCOPES } from '../config/permissions.js';
+
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [50, 'API key name cannot exceed 50 characters']
+  },
+  // Start of the key, shown so users can tell their keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // Only the SHA-256 of the key is stored, the key itself is shown once
+  keyHash: {
+    type: String,
+    required: true,
+    select: false,
+    match: [/^[a-f0-9]{64}$/, 'Invalid API key hash']
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: API_KEY_SCOPES,
+        message: '{VALUE} is not a valid API key scope'
+      }
+    }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.keyHash;
+      return ret;
+    }
+  }
+});
+
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+apiKeySchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Static methods
+apiKeySchema.statics.findByUser = function(userId) {
+  return this.find({ userId }).sort({ createdAt: -1 });
+};
+
+apiKeySchema.statics.findOwned = function(keyId, userId) {
+  return this.findOne({ _id: keyId, userId });
+};
+
+// Methods
+apiKeySchema.methods.isExpired = function() {
+  return this.expiresAt <= new Date();
+};
+
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+export default mongoose.model('ApiKey', apiKeySchema);
@@ -26,7 +26,7 @@ const auditLogSchema = new mongoose.Schema({
   },
   resourceType: {
     type: String,
-    enum: ['user', 'server', 'connection', 'system']
+    enum: ['user', 'server', 'connection', 'organization', 'system']
   },
   details: {
     type: mongoose.Schema.Types.Mixed,
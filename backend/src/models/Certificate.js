@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+import { EnvelopeEncryption } from '../utils/crypto.js';
+
+const certificateSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: {
+      values: ['root', 'intermediate', 'server', 'client'],
+      message: '{VALUE} is not a valid certificate type'
+    },
+    required: true
+  },
+  commonName: {
+    type: String,
+    required: true
+  },
+  serialNumber: {
+    type: String,
+    required: true,
+    lowercase: true,
+    match: [/^[0-9a-f]+$/, 'Invalid serial number format']
+  },
+  certificate: {
+    type: String,
+    required: true
+  },
+  // Only kept for authorities, node and client keys only exist where they were delivered
+  privateKey: {
+    type: String,
+    select: false,
+    validate: [value => EnvelopeEncryption.isEncrypted(value), 'Private key must be encrypted']
+  },
+  issuerSerial: String,
+  // Intermediates are issued per server, node and client certificates inherit it
+  serverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Server'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  connectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Connection'
+  },
+  notBefore: {
+    type: Date,
+    required: true
+  },
+  notAfter: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  revokedAt: Date,
+  // RFC 5280 reason name, e.g. cessationOfOperation or affiliationChanged
+  revocationReason: String
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.privateKey;
+      return ret;
+    }
+  }
+});
+
+certificateSchema.index({ serialNumber: 1 }, { unique: true });
+certificateSchema.index({ connectionId: 1 });
+certificateSchema.index({ userId: 1, status: 1 });
+certificateSchema.index({ issuerSerial: 1, status: 1 });
+// Only one root and one active intermediate per server can exist,
+// concurrent bootstraps collide here
+certificateSchema.index({ type: 1 }, { unique: true, partialFilterExpression: { type: 'root' } });
+certificateSchema.index(
+  { serverId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'intermediate', status: 'active' } }
+);
+
+// Middleware
+certificateSchema.pre('validate', function(next) {
+  if (this.isModified('privateKey') && this.privateKey && !EnvelopeEncryption.isEncrypted(this.privateKey)) {
+    this.privateKey = EnvelopeEncryption.encrypt(this.privateKey);
+  }
+  next();
+});
+
+// Static methods
+certificateSchema.statics.findRoot = function() {
+  return this.findOne({ type: 'root' });
+};
+
+certificateSchema.statics.findServerAuthority = function(serverId) {
+  return this.findOne({ type: 'intermediate', serverId, status: 'active' });
+};
+
+certificateSchema.statics.findByConnection = function(connectionId) {
+  return this.find({ connectionId }).sort({ createdAt: -1 });
+};
+
+certificateSchema.statics.findBySerial = function(serialNumber) {
+  return this.findOne({ serialNumber: serialNumber.toLowerCase() });
+};
+
+// Expired certificates are rejected anyway, so CRLs only list unexpired ones
+certificateSchema.statics.findRevokedByIssuer = function(issuerSerial) {
+  return this.find({
+    issuerSerial,
+    status: 'revoked',
+    notAfter: { $gt: new Date() }
+  }).select('serialNumber revokedAt revocationReason');
+};
+
+// Methods
+certificateSchema.methods.isValid = function() {
+  const now = new Date();
+  return this.status === 'active' && this.notBefore <= now && this.notAfter > now;
+};
+
+export default mongoose.model('Certificate', certificateSchema);
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { isValidAddress, isValidCidr } from '../utils/network.js';
+import { EnvelopeEncryption } from '../utils/crypto.js';
 
 const connectionSchema = new mongoose.Schema({
   userId: {
@@ -12,26 +14,52 @@ const connectionSchema = new mongoose.Schema({
     ref: 'Server',
     required: [true, 'Server ID is required']
   },
+  deviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device'
+  },
   config: {
     publicKey: {
       type: String,
-      required: true,
+      required: function() { return this.metadata?.protocol !== 'openvpn'; },
       match: [/^[A-Za-z0-9+/]{43}=$/, 'Invalid public key format']
     },
+    // Only present when the server generated the key pair, encrypted at rest
     privateKey: {
       type: String,
-      required: true,
       select: false, // Never return private key in queries
-      match: [/^[A-Za-z0-9+/]{43}=$/, 'Invalid private key format']
+      validate: [
+        value => EnvelopeEncryption.isEncrypted(value) || /^[A-Za-z0-9+/]{43}=$/.test(value),
+        'Invalid private key format'
+      ]
+    },
+    keySource: {
+      type: String,
+      enum: ['client', 'server'],
+      default: 'client'
     },
+    // Per-connection preshared key, encrypted at rest
+    presharedKey: {
+      type: String,
+      select: false,
+      validate: [
+        value => EnvelopeEncryption.isEncrypted(value) || /^[A-Za-z0-9+/]{43}=$/.test(value),
+        'Invalid preshared key format'
+      ]
+    },
+    // OpenVPN servers assign tunnel addresses from their own pool
     address: {
       type: String,
-      required: true,
-      match: [/^(\d{1,3}\.){3}\d{1,3}\/\d{1,2}$/, 'Invalid IP address format']
+      required: function() { return this.metadata?.protocol !== 'openvpn'; },
+      validate: [isValidCidr, 'Invalid IP address format']
+    },
+    addressV6: {
+      type: String,
+      validate: [isValidCidr, 'Invalid IPv6 address format']
     },
     dns: [{
       type: String,
-      match: [/^(\d{1,3}\.){3}\d{1,3}$/, 'Invalid DNS IP format']
+      validate: [isValidAddress, 'Invalid DNS IP format']
     }],
     endpoint: {
       type: String,
@@ -39,14 +67,22 @@ const connectionSchema = new mongoose.Schema({
     },
     allowedIPs: [{
       type: String,
-      match: [/^(\d{1,3}\.){3}\d{1,3}\/\d{1,2}$/, 'Invalid IP range format']
+      validate: [isValidCidr, 'Invalid IP range format']
     }],
     persistentKeepalive: {
       type: Number,
       min: 0,
       max: 255,
       default: 25
-    }
+    },
+    // OpenVPN only: transport and the client certificate issued for this session
+    transport: {
+      type: String,
+      enum: ['udp', 'tcp'],
+      default: 'udp'
+    },
+    certificateSerial: String,
+    configFile: String
   },
   status: {
     type: String,
@@ -101,10 +137,17 @@ const connectionSchema = new mongoose.Schema({
     },
     lastUpdate: Date
   },
+  // Last WireGuard peer or OpenVPN client counters seen, used to compute deltas
+  peerCounters: {
+    rx: { type: Number, default: 0, min: 0 },
+    tx: { type: Number, default: 0, min: 0 },
+    latestHandshake: Date,
+    sampledAt: Date
+  },
   clientInfo: {
     ip: {
       type: String,
-      match: [/^(?:[0-9]{1,3}\.){3}[0-9]{1,3}$/, 'Invalid IP format']
+      validate: [isValidAddress, 'Invalid IP format']
     },
     userAgent: String,
     platform: String,
@@ -117,6 +160,11 @@ const connectionSchema = new mongoose.Schema({
     message: String,
     timestamp: Date
   },
+  // Set when the server is drained and the client was asked to move
+  migration: {
+    targetServerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Server' },
+    requestedAt: Date
+  },
   metadata: {
     isAutoReconnect: { type: Boolean, default: false },
     killSwitchEnabled: { type: Boolean, default: true },
@@ -127,6 +175,7 @@ const connectionSchema = new mongoose.Schema({
   toJSON: {
     transform: function(doc, ret) {
       delete ret.config.privateKey;
+      delete ret.config.presharedKey;
       return ret;
     }
   }
@@ -135,6 +184,7 @@ const connectionSchema = new mongoose.Schema({
 // Compound indexes
 connectionSchema.index({ userId: 1, status: 1 });
 connectionSchema.index({ serverId: 1, status: 1 });
+connectionSchema.index({ deviceId: 1, status: 1 });
 connectionSchema.index({ startTime: -1 });
 connectionSchema.index({ userId: 1, startTime: -1 });
 connectionSchema.index({ 'clientInfo.ip': 1 });
@@ -157,6 +207,18 @@ connectionSchema.virtual('quality').get(function() {
   return Math.round((pingScore * 0.6 + speedScore * 0.4) * 100);
 });
 
+// Pre-save middleware to encrypt key material at rest
+connectionSchema.pre('save', function(next) {
+  for (const field of ['privateKey', 'presharedKey']) {
+    const value = this.config?.[field];
+
+    if (this.isModified(`config.${field}`) && value && !EnvelopeEncryption.isEncrypted(value)) {
+      this.config[field] = EnvelopeEncryption.encrypt(value);
+    }
+  }
+  next();
+});
+
 // Pre-save middleware to calculate total data
 connectionSchema.pre('save', function(next) {
   if (this.isModified('dataTransferred.upload') || this.isModified('dataTransferred.download')) {
@@ -215,6 +277,50 @@ connectionSchema.statics.findActiveByUser = function(userId) {
   }).populate('serverId', 'name country hostname load ping');
 };
 
+connectionSchema.statics.findAllActiveByUser = function(userId) {
+  return this.find({
+    userId,
+    status: { $in: ['connected', 'connecting'] }
+  })
+  .populate('serverId', 'name country hostname load ping')
+  .populate('deviceId', 'name platform lastSeen')
+  .sort({ startTime: -1 });
+};
+
+connectionSchema.statics.findActiveByDevice = function(deviceId) {
+  return this.findOne({
+    deviceId,
+    status: { $in: ['connected', 'connecting'] }
+  });
+};
+
+connectionSchema.statics.countActiveByUser = function(userId, { excludeDeviceId } = {}) {
+  const query = {
+    userId,
+    status: { $in: ['connected', 'connecting'] }
+  };
+
+  if (excludeDeviceId) {
+    query.deviceId = { $ne: excludeDeviceId };
+  }
+
+  return this.countDocuments(query);
+};
+
+// Active sessions across several users, e.g. the members of an organization
+connectionSchema.statics.countActiveByUsers = function(userIds, { excludeDeviceId } = {}) {
+  const query = {
+    userId: { $in: userIds },
+    status: { $in: ['connected', 'connecting'] }
+  };
+
+  if (excludeDeviceId) {
+    query.deviceId = { $ne: excludeDeviceId };
+  }
+
+  return this.countDocuments(query);
+};
+
 connectionSchema.statics.getUserConnectionHistory = function(userId, limit = 10) {
   return this.find({ userId })
     .populate('serverId', 'name country countryCode hostname')
@@ -229,6 +335,13 @@ connectionSchema.statics.getServerConnectionsCount = function(serverId) {
   });
 };
 
+connectionSchema.statics.countActiveByServer = function() {
+  return this.aggregate([
+    { $match: { status: { $in: ['connected', 'connecting'] } } },
+    { $group: { _id: '$serverId', count: { $sum: 1 } } }
+  ]);
+};
+
 connectionSchema.statics.getDataUsageByPeriod = function(userId, startDate, endDate) {
   return this.aggregate([
     {
@@ -250,7 +363,7 @@ connectionSchema.statics.getDataUsageByPeriod = function(userId, startDate, endD
 
 // Instance method to get connection config for client
 connectionSchema.methods.getClientConfig = function() {
-  const { privateKey, ...safeConfig } = this.config;
+  const { privateKey, presharedKey, ...safeConfig } = this.config;
   return {
     ...safeConfig,
     connectionId: this._id,
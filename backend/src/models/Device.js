@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import { CryptoUtils, EnvelopeEncryption } from '../utils/crypto.js';
+
+const deviceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Device name is required'],
+    trim: true,
+    maxlength: [50, 'Device name cannot exceed 50 characters']
+  },
+  platform: {
+    type: String,
+    enum: {
+      values: ['windows', 'macos', 'linux', 'android', 'ios', 'other'],
+      message: '{VALUE} is not a supported platform'
+    },
+    default: 'other'
+  },
+  publicKey: {
+    type: String,
+    required: true,
+    match: [/^[A-Za-z0-9+/]{43}=$/, 'Invalid public key format']
+  },
+  // 'client' keys are generated on the device and only the public half is known here
+  keySource: {
+    type: String,
+    enum: ['client', 'server'],
+    default: 'client'
+  },
+  // Encrypted at rest, only unwrapped when a config file is downloaded
+  privateKey: {
+    type: String,
+    required: function() { return this.keySource === 'server'; },
+    select: false, // Never return private key in queries
+    validate: [
+      value => EnvelopeEncryption.isEncrypted(value) || /^[A-Za-z0-9+/]{43}=$/.test(value),
+      'Invalid private key format'
+    ]
+  },
+  lastSeen: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.privateKey;
+      return ret;
+    }
+  }
+});
+
+// Device names are unique per user
+deviceSchema.index({ userId: 1, name: 1 }, { unique: true });
+// A public key identifies one peer on the interface, so it can only belong to one device
+deviceSchema.index({ publicKey: 1 }, { unique: true });
+
+// Middleware
+deviceSchema.pre('save', function(next) {
+  if (this.isModified('privateKey') && this.privateKey && !EnvelopeEncryption.isEncrypted(this.privateKey)) {
+    this.privateKey = EnvelopeEncryption.encrypt(this.privateKey);
+  }
+  next();
+});
+
+// Static methods
+deviceSchema.statics.findByUser = function(userId) {
+  return this.find({ userId }).sort({ lastSeen: -1, createdAt: -1 });
+};
+
+deviceSchema.statics.findOwned = function(deviceId, userId) {
+  return this.findOne({ _id: deviceId, userId });
+};
+
+deviceSchema.statics.findDefault = function(userId) {
+  return this.findOne({ userId, name: 'Default' });
+};
+
+deviceSchema.statics.isKeyRegistered = function(publicKey, exceptDeviceId = null) {
+  return this.exists({ publicKey, ...(exceptDeviceId && { _id: { $ne: exceptDeviceId } }) });
+};
+
+/**
+ * Create a device from a client public key, or with a server-generated
+ * key pair when no public key is given
+ */
+deviceSchema.statics.createForUser = function(userId, { name, platform, publicKey }) {
+  if (publicKey) {
+    return this.create({ userId, name, platform, publicKey, keySource: 'client' });
+  }
+
+  const keys = CryptoUtils.generateKeyPair();
+
+  return this.create({
+    userId,
+    name,
+    platform,
+    publicKey: keys.publicKey,
+    privateKey: keys.privateKey,
+    keySource: 'server'
+  });
+};
+
+// Methods
+deviceSchema.methods.adoptClientKey = async function(publicKey) {
+  this.publicKey = publicKey;
+  this.keySource = 'client';
+  this.privateKey = undefined;
+  await this.save();
+};
+
+export default mongoose.model('Device', deviceSchema);
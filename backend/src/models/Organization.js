@@ -0,0 +1,166 @@
+import mongoose from 'mongoose';
+import { EnvelopeEncryption } from '../utils/crypto.js';
+import { ROLE_NAMES } from '../config/permissions.js';
+
+const SUBSCRIPTIONS = ['free', 'premium', 'enterprise'];
+
+// Maps an IdP group to what its members get here
+const groupMappingSchema = new mongoose.Schema({
+  group: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true
+  },
+  subscription: {
+    type: String,
+    enum: SUBSCRIPTIONS
+  },
+  roles: [{
+    type: String,
+    enum: {
+      values: ROLE_NAMES,
+      message: '{VALUE} is not a valid role'
+    }
+  }]
+}, { _id: false });
+
+export const ORGANIZATION_ROLES = ['owner', 'admin', 'member'];
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ORGANIZATION_ROLES,
+    default: 'member'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: [100, 'Organization name cannot exceed 100 characters']
+  },
+  // Used in SSO login URLs
+  slug: {
+    type: String,
+    required: [true, 'Organization slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9](?:[a-z0-9-]{0,38}[a-z0-9])?$/, 'Slug can only contain lowercase letters, numbers and dashes']
+  },
+  members: [memberSchema],
+  // Shared by every member in place of their own limits
+  pool: {
+    maxDevices: { type: Number, default: 10, min: 1 },
+    dataLimit: { type: Number, default: 1099511627776, min: 0 } // 1TB in bytes
+  },
+  dataUsage: {
+    upload: { type: Number, default: 0 },
+    download: { type: Number, default: 0 },
+    resetDate: { type: Date, default: Date.now },
+    // Highest quota warning threshold already sent this period
+    warningLevel: { type: Number, default: 0 }
+  },
+  // Email domains the organization owns, existing accounts on them can be linked to SSO.
+  // Only platform admins set them, after checking ownership
+  domains: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  sso: {
+    enabled: { type: Boolean, default: false },
+    // OIDC issuer, discovery is read from <issuer>/.well-known/openid-configuration
+    issuer: { type: String, trim: true },
+    clientId: { type: String, trim: true },
+    // Optional, public clients rely on PKCE alone
+    clientSecret: {
+      type: String,
+      select: false,
+      validate: [value => EnvelopeEncryption.isEncrypted(value), 'Client secret must be encrypted']
+    },
+    scopes: { type: [String], default: ['openid', 'email', 'profile'] },
+    groupsClaim: { type: String, default: 'groups' },
+    // Create accounts on first login instead of requiring them to exist
+    jitProvisioning: { type: Boolean, default: true },
+    defaultSubscription: { type: String, enum: SUBSCRIPTIONS, default: 'enterprise' },
+    groupMappings: [groupMappingSchema]
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      if (ret.sso) {
+        delete ret.sso.clientSecret;
+      }
+      return ret;
+    }
+  }
+});
+
+// Indexes
+// A user belongs to at most one organization
+organizationSchema.index(
+  { 'members.userId': 1 },
+  { unique: true, partialFilterExpression: { 'members.userId': { $exists: true } } }
+);
+
+// Middleware
+organizationSchema.pre('validate', function(next) {
+  if (this.isModified('sso.clientSecret') && this.sso.clientSecret && !EnvelopeEncryption.isEncrypted(this.sso.clientSecret)) {
+    this.sso.clientSecret = EnvelopeEncryption.encrypt(this.sso.clientSecret);
+  }
+  next();
+});
+
+// Static methods
+organizationSchema.statics.findBySlug = function(slug) {
+  return this.findOne({ slug: slug.toLowerCase() });
+};
+
+organizationSchema.statics.findByMember = function(userId) {
+  return this.findOne({ 'members.userId': userId });
+};
+
+// Methods
+organizationSchema.methods.ownsEmail = function(email) {
+  const domain = email.split('@').pop().toLowerCase();
+  return this.domains.includes(domain);
+};
+
+organizationSchema.methods.getMember = function(userId) {
+  return this.members.find(member => member.userId.toString() === userId.toString()) || null;
+};
+
+organizationSchema.methods.getMemberIds = function() {
+  return this.members.map(member => member.userId);
+};
+
+organizationSchema.methods.hasReachedDataLimit = function() {
+  const totalData = this.dataUsage.upload + this.dataUsage.download;
+  return totalData >= this.pool.dataLimit;
+};
+
+organizationSchema.methods.getDataUsagePercent = function() {
+  const totalData = this.dataUsage.upload + this.dataUsage.download;
+  if (!this.pool.dataLimit) return 0;
+  return Math.round((totalData / this.pool.dataLimit) * 10000) / 100;
+};
+
+organizationSchema.methods.getRemainingData = function() {
+  const totalData = this.dataUsage.upload + this.dataUsage.download;
+  return Math.max(0, this.pool.dataLimit - totalData);
+};
+
+export default mongoose.model('Organization', organizationSchema);
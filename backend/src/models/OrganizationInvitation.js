@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const organizationInvitationSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'member'],
+    default: 'member'
+  },
+  // SHA-256 of the token emailed to the invitee
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+organizationInvitationSchema.index({ tokenHash: 1 }, { unique: true });
+organizationInvitationSchema.index({ organizationId: 1, email: 1 }, { unique: true });
+organizationInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('OrganizationInvitation', organizationInvitationSchema);
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import { PROBE_TYPES } from './Server.js';
+import { config } from '../config/environment.js';
+
+// One document per probe run, kept in a time-series collection
+const probeResultSchema = new mongoose.Schema({
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  meta: {
+    serverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Server',
+      required: true
+    },
+    type: {
+      type: String,
+      enum: PROBE_TYPES,
+      required: true
+    },
+    port: Number
+  },
+  ok: {
+    type: Boolean,
+    required: true
+  },
+  latencyMs: Number,
+  error: String,
+  // Server status after the round this result belongs to
+  status: String
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'meta',
+    granularity: 'minutes'
+  },
+  expireAfterSeconds: config.servers.probes.historyDays * 24 * 60 * 60,
+  versionKey: false
+});
+
+probeResultSchema.index({ 'meta.serverId': 1, timestamp: -1 });
+
+// Static methods
+probeResultSchema.statics.getHistory = function(serverId, { since, limit = 100 } = {}) {
+  const query = { 'meta.serverId': serverId };
+
+  if (since) {
+    query.timestamp = { $gte: since };
+  }
+
+  return this.find(query)
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .lean();
+};
+
+export default mongoose.model('ProbeResult', probeResultSchema);
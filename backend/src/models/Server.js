@@ -1,4 +1,24 @@
 import mongoose from 'mongoose';
+import { isUniqueLocalPrefix, ipv6PrefixFitsPool } from '../utils/network.js';
+import { HEALTH_STATUSES } from '../utils/health.js';
+
+export const PROBE_TYPES = ['tcp', 'udp', 'http'];
+
+const probeSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: {
+      values: PROBE_TYPES,
+      message: '{VALUE} is not a valid probe type'
+    }
+  },
+  // Defaults to the OpenVPN TCP port, the agent's echo port or its health port
+  port: { type: Number, min: 1, max: 65535 },
+  // HTTP probes only
+  path: { type: String, default: '/health' },
+  timeoutMs: { type: Number, min: 100, max: 30000 }
+}, { _id: false });
 
 const serverSchema = new mongoose.Schema({
   name: {
@@ -91,9 +111,40 @@ const serverSchema = new mongoose.Schema({
   technical: {
     publicKey: { type: String, required: true },
     endpoint: { type: String, required: true },
-    allowedIPs: { type: [String], default: ['0.0.0.0/0'] },
-    dns: { type: [String], default: ['1.1.1.1', '8.8.8.8'] },
-    persistentKeepalive: { type: Number, default: 25, min: 0, max: 255 }
+    allowedIPs: { type: [String], default: ['0.0.0.0/0', '::/0'] },
+    dns: { type: [String], default: ['1.1.1.1', '8.8.8.8', '2606:4700:4700::1111'] },
+    persistentKeepalive: { type: Number, default: 25, min: 0, max: 255 },
+    // 'per-connection' lets clients opt in, 'required' gives every peer a preshared key
+    presharedKeyPolicy: {
+      type: String,
+      enum: {
+        values: ['off', 'per-connection', 'required'],
+        message: '{VALUE} is not a valid preshared key policy'
+      },
+      default: 'off'
+    },
+    openvpn: {
+      udpPort: { type: Number, default: 1194, min: 1, max: 65535 },
+      // 443 gets through networks that block everything but HTTPS
+      tcpPort: { type: Number, default: 443, min: 1, max: 65535 },
+      // Shared tls-crypt key, encrypted at rest
+      tlsCryptKey: { type: String, select: false }
+    },
+    addressPool: {
+      ipv4: {
+        type: String,
+        default: '10.8.0.0/16',
+        match: [/^(\d{1,3}\.){3}\d{1,3}\/\d{1,2}$/, 'Invalid IPv4 subnet format']
+      },
+      ipv6: {
+        type: String,
+        default: 'fd00:8::/64',
+        validate: {
+          validator: (value) => !value || isUniqueLocalPrefix(value),
+          message: 'IPv6 pool must be a unique local (fc00::/7) prefix'
+        }
+      }
+    }
   },
   stats: {
     uptime: { type: Number, default: 0 },
@@ -105,7 +156,7 @@ const serverSchema = new mongoose.Schema({
     lastHealthCheck: { type: Date, default: Date.now },
     healthStatus: { 
       type: String, 
-      enum: ['healthy', 'degraded', 'offline'], 
+      enum: HEALTH_STATUSES, 
       default: 'healthy' 
     }
   },
@@ -115,6 +166,31 @@ const serverSchema = new mongoose.Schema({
     isp: String,
     bandwidth: Number, // in Mbps
     version: String
+  },
+  // Probes the backend runs against the node itself, none means it is not probed
+  healthChecks: {
+    probes: [probeSchema],
+    // Verdict of the probes alone, combined with agent reports into stats.healthStatus
+    status: { type: String, enum: HEALTH_STATUSES },
+    streaks: {
+      healthy: { type: Number, default: 0 },
+      reachable: { type: Number, default: 0 },
+      failing: { type: Number, default: 0 },
+      down: { type: Number, default: 0 }
+    },
+    lastProbeAt: Date
+  },
+  // Draining servers take no new connections and move their sessions
+  // elsewhere, retired servers are kept only for their history
+  lifecycle: {
+    state: {
+      type: String,
+      enum: ['active', 'draining', 'retired'],
+      default: 'active'
+    },
+    drainStartedAt: Date,
+    drainCompletedAt: Date,
+    retiredAt: Date
   }
 }, {
   timestamps: true,
@@ -122,6 +198,7 @@ const serverSchema = new mongoose.Schema({
     transform: function(doc, ret) {
       // Remove technical details from public responses
       delete ret.technical;
+      delete ret.healthChecks;
       return ret;
     }
   }
@@ -132,6 +209,19 @@ serverSchema.index({ countryCode: 1, active: 1 });
 serverSchema.index({ active: 1, load: 1, ping: 1 });
 serverSchema.index({ 'flags.isPremium': 1, active: 1 });
 serverSchema.index({ 'stats.healthStatus': 1 });
+serverSchema.index({ 'lifecycle.state': 1 });
+serverSchema.index({ 'healthChecks.probes.type': 1 });
+
+// IPv6 addresses are leased at the same host offset as IPv4 ones
+serverSchema.pre('validate', function(next) {
+  const { ipv4, ipv6 } = this.technical?.addressPool || {};
+
+  if (ipv4 && ipv6 && isUniqueLocalPrefix(ipv6) && !ipv6PrefixFitsPool(ipv6, ipv4)) {
+    this.invalidate('technical.addressPool.ipv6', `IPv6 pool ${ipv6} is too small for the IPv4 pool ${ipv4}`);
+  }
+
+  next();
+});
 
 // Virtual for server utilization percentage
 serverSchema.virtual('utilization').get(function() {
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import { EnvelopeEncryption } from '../utils/crypto.js';
+
+const serverAgentSchema = new mongoose.Schema({
+  serverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Server',
+    required: [true, 'Server ID is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'enrolled'],
+    default: 'pending'
+  },
+  // SHA-256 of the one-time enrollment token
+  enrollmentTokenHash: {
+    type: String,
+    select: false,
+    match: [/^[a-f0-9]{64}$/, 'Invalid enrollment token hash']
+  },
+  enrollmentExpiresAt: Date,
+  enrolledAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Heartbeat signing secret, encrypted at rest
+  secret: {
+    type: String,
+    select: false,
+    validate: [value => EnvelopeEncryption.isEncrypted(value), 'Agent secret must be encrypted']
+  },
+  hostname: String,
+  version: String,
+  // Timestamp of the last accepted heartbeat, older ones are replays
+  lastTimestamp: {
+    type: Number,
+    default: 0
+  },
+  lastHeartbeatAt: Date,
+  lastHeartbeatIp: String,
+  lastReport: {
+    cpu: Number,
+    rxBytesPerSec: Number,
+    txBytesPerSec: Number,
+    peers: Number,
+    activePeers: Number,
+    interfaceUp: Boolean,
+    listenPort: Number,
+    // The node's health as judged from this report alone
+    healthStatus: String
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.enrollmentTokenHash;
+      delete ret.secret;
+      return ret;
+    }
+  }
+});
+
+serverAgentSchema.index({ serverId: 1 }, { unique: true });
+serverAgentSchema.index({ enrollmentTokenHash: 1 }, { unique: true, sparse: true });
+serverAgentSchema.index({ status: 1, lastHeartbeatAt: 1 });
+
+// Middleware
+serverAgentSchema.pre('validate', function(next) {
+  if (this.isModified('secret') && this.secret && !EnvelopeEncryption.isEncrypted(this.secret)) {
+    this.secret = EnvelopeEncryption.encrypt(this.secret);
+  }
+  next();
+});
+
+// Methods
+serverAgentSchema.methods.getSecret = function() {
+  return this.secret ? EnvelopeEncryption.decrypt(this.secret) : null;
+};
+
+serverAgentSchema.methods.isEnrollmentExpired = function() {
+  return !this.enrollmentExpiresAt || this.enrollmentExpiresAt <= new Date();
+};
+
+export default mongoose.model('ServerAgent', serverAgentSchema);
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import { config } from '../config/environment.js';
+
+/**
+ * Stored metric resolutions and their bucket size in milliseconds.
+ * Raw samples are taken every minute, the others are rollups of the one before.
+ */
+export const METRIC_RESOLUTIONS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000
+};
+
+const createMetricModel = (resolution, modelName, collection) => {
+  const schema = new mongoose.Schema({
+    timestamp: {
+      type: Date,
+      required: true
+    },
+    meta: {
+      serverId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Server',
+        required: true
+      }
+    },
+    load: Number,
+    loadMax: Number,
+    users: Number,
+    usersMax: Number,
+    ping: Number,
+    // Bytes per second, upload is what clients send through the server
+    throughput: {
+      upload: Number,
+      download: Number
+    },
+    // Raw samples only: the server's transfer counters, used for the next sample's throughput
+    totals: {
+      upload: Number,
+      download: Number
+    },
+    // Number of raw samples behind the value
+    samples: {
+      type: Number,
+      default: 1
+    }
+  }, {
+    timeseries: {
+      timeField: 'timestamp',
+      metaField: 'meta',
+      granularity: resolution === '1h' ? 'hours' : 'minutes'
+    },
+    expireAfterSeconds: config.servers.metrics.retentionDays[resolution] * 24 * 60 * 60,
+    collection,
+    versionKey: false
+  });
+
+  schema.index({ 'meta.serverId': 1, timestamp: -1 });
+
+  return mongoose.model(modelName, schema);
+};
+
+const metricModels = {
+  '1m': createMetricModel('1m', 'ServerMetric', 'servermetrics'),
+  '5m': createMetricModel('5m', 'ServerMetric5m', 'servermetrics_5m'),
+  '1h': createMetricModel('1h', 'ServerMetric1h', 'servermetrics_1h')
+};
+
+export const getMetricModel = (resolution) => metricModels[resolution];
+
+export default metricModels['1m'];
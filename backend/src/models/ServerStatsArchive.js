@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+/**
+ * Lifetime statistics of a retired server, kept after its
+ * connection records have been cleaned up
+ */
+const serverStatsArchiveSchema = new mongoose.Schema({
+  serverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Server',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  hostname: String,
+  country: String,
+  countryCode: String,
+  stats: {
+    uptime: Number,
+    totalConnections: Number,
+    totalDataTransferred: {
+      upload: Number,
+      download: Number
+    },
+    lastHealthCheck: Date,
+    healthStatus: String
+  },
+  // Totals over the connection records still stored at retirement
+  connections: {
+    count: { type: Number, default: 0 },
+    uniqueUsers: { type: Number, default: 0 },
+    totalDuration: { type: Number, default: 0 },
+    upload: { type: Number, default: 0 },
+    download: { type: Number, default: 0 },
+    firstConnectionAt: Date,
+    lastConnectionAt: Date
+  },
+  serviceStartedAt: Date,
+  retiredAt: {
+    type: Date,
+    default: Date.now
+  },
+  retiredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: String
+}, {
+  timestamps: true
+});
+
+serverStatsArchiveSchema.index({ serverId: 1 }, { unique: true });
+serverStatsArchiveSchema.index({ retiredAt: -1 });
+
+export default mongoose.model('ServerStatsArchive', serverStatsArchiveSchema);
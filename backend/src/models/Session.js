@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // Only the SHA-256 of the current refresh token is stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false,
+    match: [/^[a-f0-9]{64}$/, 'Invalid refresh token hash']
+  },
+  device: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Device name cannot exceed 50 characters']
+    },
+    platform: {
+      type: String,
+      enum: {
+        values: ['windows', 'macos', 'linux', 'android', 'ios', 'other'],
+        message: '{VALUE} is not a supported platform'
+      },
+      default: 'other'
+    }
+  },
+  ipAddress: String,
+  userAgent: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Number of times the refresh token has been rotated
+  rotations: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked_by_user', 'password_change', 'password_reset', 'account_deactivated', 'refresh_token_reuse']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.refreshTokenHash;
+      return ret;
+    }
+  }
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB itself
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual fields
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static methods
+sessionSchema.statics.findActive = function(sessionId, userId) {
+  return this.findOne({
+    _id: sessionId,
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+export default mongoose.model('Session', sessionSchema);
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+/**
+ * A single SSO login in flight. Created when the login starts, completed
+ * by the IdP callback and consumed when the app exchanges its login code.
+ */
+const ssoRequestSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  // OAuth state and OIDC nonce sent to the IdP
+  state: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  // PKCE verifier for the code exchange with the IdP
+  codeVerifier: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Where the app wants the login code delivered, and the app's own
+  // PKCE challenge and state for that leg
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  appCodeChallenge: {
+    type: String,
+    required: true
+  },
+  appState: String,
+  // pending -> callback (IdP answered, being processed) -> authenticated
+  status: {
+    type: String,
+    enum: ['pending', 'callback', 'authenticated'],
+    default: 'pending'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  loginCodeHash: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+ssoRequestSchema.index({ state: 1 }, { unique: true });
+ssoRequestSchema.index({ loginCodeHash: 1 }, { unique: true, sparse: true });
+ssoRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('SsoRequest', ssoRequestSchema);
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { ROLE_NAMES, permissionsForRoles } from '../config/permissions.js';
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -30,6 +31,8 @@ const userSchema = new mongoose.Schema({
     accentColor: { type: String, default: '#10b981' },
     autoConnect: { type: Boolean, default: false },
     killSwitch: { type: Boolean, default: true },
+    // Opt-in to the legacy mode where the server generates and keeps device private keys
+    serverKeyGeneration: { type: Boolean, default: false },
     notifications: {
       connection: { type: Boolean, default: true },
       security: { type: Boolean, default: true },
@@ -42,10 +45,23 @@ const userSchema = new mongoose.Schema({
     default: 'free',
     required: true
   },
+  // Access is granted by roles only, never by subscription tier
+  roles: {
+    type: [{
+      type: String,
+      enum: {
+        values: ROLE_NAMES,
+        message: '{VALUE} is not a valid role'
+      }
+    }],
+    default: ['user']
+  },
   dataUsage: {
     upload: { type: Number, default: 0 },
     download: { type: Number, default: 0 },
-    resetDate: { type: Date, default: Date.now }
+    resetDate: { type: Date, default: Date.now },
+    // Highest quota warning threshold already sent this period
+    warningLevel: { type: Number, default: 0 }
   },
   limits: {
     maxConnections: { type: Number, default: 3 },
@@ -56,15 +72,54 @@ const userSchema = new mongoose.Schema({
     default: true
   },
   lastLogin: Date,
+  // Failed login tracking, stored here so a restart does not reset it
+  lockout: {
+    failedAttempts: { type: Number, default: 0 },
+    lastFailedAt: Date,
+    nextAttemptAt: Date,
+    lockedUntil: Date,
+    lockCount: { type: Number, default: 0 }
+  },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: Date,
+    // TOTP secrets are envelope-encrypted, the pending one only exists during enrolment
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    // Last accepted time step, so a code cannot be used twice
+    lastUsedStep: { type: Number, select: false },
+    recoveryCodes: {
+      type: [{
+        _id: false,
+        codeHash: { type: String, required: true },
+        usedAt: Date
+      }],
+      select: false
+    }
+  },
   emailVerified: {
     type: Boolean,
     default: false
+  },
+  // Only set on accounts created since verification was introduced,
+  // older accounts keep their plan without verifying
+  emailVerificationRequired: Boolean,
+  // Set for accounts that sign in through an organization's IdP
+  sso: {
+    organizationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
+    subject: String
   }
 }, {
   timestamps: true,
   toJSON: {
     transform: function(doc, ret) {
       delete ret.password;
+      if (ret.twoFactor) {
+        delete ret.twoFactor.secret;
+        delete ret.twoFactor.pendingSecret;
+        delete ret.twoFactor.lastUsedStep;
+        delete ret.twoFactor.recoveryCodes;
+      }
       return ret;
     }
   }
@@ -74,6 +129,10 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ 'subscription': 1, 'isActive': 1 });
+userSchema.index(
+  { 'sso.organizationId': 1, 'sso.subject': 1 },
+  { unique: true, partialFilterExpression: { 'sso.subject': { $exists: true } } }
+);
 
 // Middleware
 userSchema.pre('save', async function(next) {
@@ -95,7 +154,48 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+// Deactivating an account signs it out everywhere, ends its VPN sessions
+// and revokes its certificates
+userSchema.pre('save', function(next) {
+  this.$locals.wasDeactivated = !this.isNew && this.isModified('isActive') && !this.isActive;
+  next();
+});
+
+userSchema.post('save', async function(doc) {
+  if (!doc.$locals.wasDeactivated) return;
+
+  try {
+    // Loaded lazily, the services depend on this model
+    const { WireGuardService } = await import('../services/wireguardService.js');
+    const { PkiService } = await import('../services/pkiService.js');
+    const { SessionService } = await import('../services/sessionService.js');
+
+    await SessionService.revokeAllUserSessions(doc._id, 'account_deactivated');
+    await WireGuardService.disconnectAllUserConnections(doc._id.toString());
+    await PkiService.revokeUserCertificates(doc._id);
+  } catch (error) {
+    console.error(`Could not revoke access for deactivated user ${doc._id}:`, error.message);
+  }
+});
+
 // Methods
+userSchema.methods.getPermissions = function() {
+  return [...permissionsForRoles(this.roles)];
+};
+
+userSchema.methods.hasPermission = function(permission) {
+  return permissionsForRoles(this.roles).has(permission);
+};
+
+userSchema.methods.isSsoAccount = function() {
+  return !!this.sso?.subject;
+};
+
+// Unverified accounts are limited to free servers whatever their plan
+userSchema.methods.getServerTier = function() {
+  return this.emailVerified || !this.emailVerificationRequired ? this.subscription : 'free';
+};
+
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
@@ -105,6 +205,12 @@ userSchema.methods.hasReachedDataLimit = function() {
   return totalData >= this.limits.dataLimit;
 };
 
+userSchema.methods.getDataUsagePercent = function() {
+  const totalData = this.dataUsage.upload + this.dataUsage.download;
+  if (!this.limits.dataLimit) return 0;
+  return Math.round((totalData / this.limits.dataLimit) * 10000) / 100;
+};
+
 userSchema.methods.getRemainingData = function() {
   const totalData = this.dataUsage.upload + this.dataUsage.download;
   return Math.max(0, this.limits.dataLimit - totalData);
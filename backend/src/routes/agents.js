@@ -0,0 +1,14 @@
+import express from 'express';
+import { enrollAgent, receiveHeartbeat, issueOpenVpnCredentials } from '../controllers/agentController.js';
+import { validateAgentEnroll, validateHeartbeat } from '../middleware/validation.js';
+import { authenticateAgent } from '../middleware/auth.js';
+import { authLimiter, agentLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+// Called by the agent running on each VPN node
+router.post('/enroll', authLimiter, validateAgentEnroll, enrollAgent);
+router.post('/heartbeat', authenticateAgent, agentLimiter, validateHeartbeat, receiveHeartbeat);
+router.post('/openvpn/credentials', authenticateAgent, agentLimiter, issueOpenVpnCredentials);
+
+export default router;
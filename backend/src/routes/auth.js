@@ -5,27 +5,99 @@ import {
   getProfile,
   updateProfile,
   changePassword,
-  getActivity
+  getActivity,
+  getQuota,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  loginWithTwoFactor,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  loginWithSso
 } from '../controllers/authController.js';
+import { startSso, ssoCallback } from '../controllers/ssoController.js';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  verifyTwoFactorSetup,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} from '../controllers/twoFactorController.js';
+import {
+  listApiKeys,
+  createApiKey,
+  getApiKey,
+  updateApiKey,
+  deleteApiKey
+} from '../controllers/apiKeyController.js';
 import {
   validateRegistration,
   validateLogin,
   validatePasswordChange,
-  validateProfileUpdate
+  validateProfileUpdate,
+  validateRefreshToken,
+  validateSessionId,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateRecoveryCodeRegeneration,
+  validateEmailVerification,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateApiKeyCreate,
+  validateApiKeyUpdate,
+  validateApiKeyId,
+  validateSsoStart,
+  validateSsoCallback,
+  validateSsoExchange
 } from '../middleware/validation.js';
 import { authenticate } from '../middleware/auth.js';
-import { authLimiter, userLimiter } from '../middleware/rateLimiter.js';
+import { authLimiter, refreshLimiter, userLimiter } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
 
 // Public routes
 router.post('/register', authLimiter, validateRegistration, register);
 router.post('/login', authLimiter, validateLogin, login);
+router.post('/2fa/login', authLimiter, validateTwoFactorLogin, loginWithTwoFactor);
+router.post('/refresh', refreshLimiter, validateRefreshToken, refreshToken);
+router.post('/verify-email', authLimiter, validateEmailVerification, verifyEmail);
+router.post('/forgot-password', authLimiter, validateForgotPassword, forgotPassword);
+router.post('/reset-password', authLimiter, validatePasswordReset, resetPassword);
+
+// Single sign-on through an organization's OIDC provider
+router.get('/sso/callback', validateSsoCallback, ssoCallback);
+router.post('/sso/exchange', authLimiter, validateSsoExchange, loginWithSso);
+router.get('/sso/:organization/start', validateSsoStart, startSso);
 
 // Protected routes
 router.get('/profile', authenticate, userLimiter, getProfile);
 router.put('/profile', authenticate, userLimiter, validateProfileUpdate, updateProfile);
 router.put('/password', authenticate, userLimiter, validatePasswordChange, changePassword);
 router.get('/activity', authenticate, userLimiter, getActivity);
+router.get('/quota', authenticate, userLimiter, getQuota);
+router.post('/verify-email/resend', authenticate, authLimiter, resendVerificationEmail);
+router.post('/logout', authenticate, refreshLimiter, logout);
+router.get('/sessions', authenticate, userLimiter, getSessions);
+router.delete('/sessions', authenticate, userLimiter, revokeOtherSessions);
+router.delete('/sessions/:sessionId', authenticate, userLimiter, validateSessionId, revokeSession);
+
+// Two-factor authentication
+router.get('/2fa', authenticate, userLimiter, getTwoFactorStatus);
+router.post('/2fa/setup', authenticate, userLimiter, setupTwoFactor);
+router.post('/2fa/verify', authenticate, authLimiter, validateTwoFactorCode, verifyTwoFactorSetup);
+router.post('/2fa/disable', authenticate, authLimiter, validateTwoFactorDisable, disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, authLimiter, validateRecoveryCodeRegeneration, regenerateRecoveryCodes);
+
+// Personal API keys
+router.get('/api-keys', authenticate, userLimiter, listApiKeys);
+router.post('/api-keys', authenticate, userLimiter, validateApiKeyCreate, createApiKey);
+router.get('/api-keys/:keyId', authenticate, userLimiter, validateApiKeyId, getApiKey);
+router.put('/api-keys/:keyId', authenticate, userLimiter, validateApiKeyUpdate, updateApiKey);
+router.delete('/api-keys/:keyId', authenticate, userLimiter, validateApiKeyId, deleteApiKey);
 
 export default router;
\ No newline at end of file
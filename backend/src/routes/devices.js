@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  getDevices,
+  getDevice,
+  createDevice,
+  updateDevice,
+  deleteDevice
+} from '../controllers/deviceController.js';
+import {
+  validateDevice,
+  validateDeviceUpdate,
+  validateDeviceId
+} from '../middleware/validation.js';
+import { authenticate, allowApiKey } from '../middleware/auth.js';
+import { userLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+// Routes automation may call with a personal API key
+router.get(['/', '/:deviceId'], allowApiKey('devices:read'));
+router.post('/', allowApiKey('devices:write'));
+router.put('/:deviceId', allowApiKey('devices:write'));
+router.delete('/:deviceId', allowApiKey('devices:write'));
+
+// All device routes require authentication
+router.use(authenticate);
+
+router.get('/', userLimiter, getDevices);
+router.post('/', userLimiter, validateDevice, createDevice);
+router.get('/:deviceId', userLimiter, validateDeviceId, getDevice);
+router.put('/:deviceId', userLimiter, validateDeviceId, validateDeviceUpdate, updateDevice);
+router.delete('/:deviceId', userLimiter, validateDeviceId, deleteDevice);
+
+export default router;
@@ -3,6 +3,11 @@ import authRoutes from './auth.js';
 import vpnRoutes from './vpn.js';
 import serverRoutes from './servers.js';
 import statsRoutes from './stats.js';
+import deviceRoutes from './devices.js';
+import pkiRoutes from './pki.js';
+import userRoutes from './users.js';
+import organizationRoutes from './organizations.js';
+import agentRoutes from './agents.js';
 import { notFound } from '../middleware/errorHandler.js';
 
 const router = express.Router();
@@ -12,6 +17,11 @@ router.use('/auth', authRoutes);
 router.use('/vpn', vpnRoutes);
 router.use('/servers', serverRoutes);
 router.use('/stats', statsRoutes);
+router.use('/devices', deviceRoutes);
+router.use('/pki', pkiRoutes);
+router.use('/users', userRoutes);
+router.use('/organizations', organizationRoutes);
+router.use('/agents', agentRoutes);
 
 // Health check endpoint
 router.get('/health', (req, res) => {
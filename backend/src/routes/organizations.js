@@ -0,0 +1,70 @@
+import express from 'express';
+import {
+  listOrganizations,
+  getOrganization,
+  createOrganization,
+  updateOrganizationSso,
+  updateOrganizationPool,
+  getMyOrganization,
+  createMyOrganization,
+  leaveOrganization,
+  acceptInvitation,
+  getMemberOrganization,
+  listMembers,
+  updateMemberRole,
+  removeMember,
+  listInvitations,
+  inviteMember,
+  revokeInvitation,
+  getMemberConnections,
+  disconnectMember
+} from '../controllers/organizationController.js';
+import {
+  validateOrganizationCreate,
+  validateOwnedOrganizationCreate,
+  validateOrganizationId,
+  validateOrganizationSso,
+  validateOrganizationPool,
+  validateOrganizationMember,
+  validateMemberRole,
+  validateMemberConnections,
+  validateInvitation,
+  validateInvitationAccept,
+  validateInvitationId
+} from '../middleware/validation.js';
+import { authenticate, requirePermission, requireOrganizationRole } from '../middleware/auth.js';
+import { authLimiter, userLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+// Admin routes
+router.get('/admin', authenticate, requirePermission('organizations:read'), userLimiter, listOrganizations);
+router.post('/admin', authenticate, requirePermission('organizations:write'), userLimiter, validateOrganizationCreate, createOrganization);
+router.get('/admin/:organizationId', authenticate, requirePermission('organizations:read'), userLimiter, validateOrganizationId, getOrganization);
+router.put('/admin/:organizationId/sso', authenticate, requirePermission('organizations:write'), userLimiter, validateOrganizationSso, updateOrganizationSso);
+router.put('/admin/:organizationId/pool', authenticate, requirePermission('organizations:write'), userLimiter, validateOrganizationPool, updateOrganizationPool);
+
+// The current user's organization
+router.get('/', authenticate, userLimiter, getMyOrganization);
+router.post('/', authenticate, userLimiter, validateOwnedOrganizationCreate, createMyOrganization);
+router.post('/leave', authenticate, userLimiter, leaveOrganization);
+router.post('/invitations/accept', authenticate, authLimiter, validateInvitationAccept, acceptInvitation);
+
+// Members
+const anyMember = requireOrganizationRole('owner', 'admin', 'member');
+const orgAdmin = requireOrganizationRole('owner', 'admin');
+const orgOwner = requireOrganizationRole('owner');
+
+router.get('/:organizationId', authenticate, userLimiter, validateOrganizationId, anyMember, getMemberOrganization);
+
+// Organization admins
+router.get('/:organizationId/members', authenticate, userLimiter, validateOrganizationId, orgAdmin, listMembers);
+router.put('/:organizationId/members/:userId/role', authenticate, userLimiter, validateMemberRole, orgOwner, updateMemberRole);
+router.delete('/:organizationId/members/:userId', authenticate, userLimiter, validateOrganizationMember, orgAdmin, removeMember);
+router.get('/:organizationId/members/:userId/connections', authenticate, userLimiter, validateMemberConnections, orgAdmin, getMemberConnections);
+router.post('/:organizationId/members/:userId/disconnect', authenticate, userLimiter, validateOrganizationMember, orgAdmin, disconnectMember);
+router.get('/:organizationId/invitations', authenticate, userLimiter, validateOrganizationId, orgAdmin, listInvitations);
+router.post('/:organizationId/invitations', authenticate, userLimiter, validateInvitation, orgAdmin, inviteMember);
+router.delete('/:organizationId/invitations/:invitationId', authenticate, userLimiter, validateInvitationId, orgAdmin, revokeInvitation);
+
+export default router;
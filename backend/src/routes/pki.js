@@ -0,0 +1,17 @@
+import express from 'express';
+import {
+  getCaCertificate,
+  getRootCrl,
+  getServerCrl
+} from '../controllers/pkiController.js';
+import { validateServerId } from '../middleware/validation.js';
+import { publicLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+// Public trust material, VPN servers and clients fetch these without a login
+router.get('/ca', publicLimiter, getCaCertificate);
+router.get('/crl', publicLimiter, getRootCrl);
+router.get('/crl/:serverId', publicLimiter, validateServerId, getServerCrl);
+
+export default router;
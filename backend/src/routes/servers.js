@@ -6,14 +6,36 @@ import {
   getOptimalServer,
   getServerStats,
   getCountries,
-  getServerHealth
+  getServerHealth,
+  getServerAddressPool,
+  getServerAdminDetails,
+  updatePresharedKeyPolicy,
+  listServersAdmin,
+  createServer,
+  updateServer,
+  deleteServer,
+  drainServer,
+  undrainServer,
+  retireServer,
+  getServerStatsArchive,
+  getServerMetrics
 } from '../controllers/serverController.js';
+import { createAgentEnrollment, getServerAgent, revokeServerAgent } from '../controllers/agentController.js';
+import { getServerProbes, updateServerProbes, runServerProbes } from '../controllers/probeController.js';
 import {
   validateServerQuery,
   validateServerId,
-  validateObjectId
+  validateObjectId,
+  validatePresharedKeyPolicy,
+  validateServerCreate,
+  validateServerUpdate,
+  validateServerRetire,
+  validateServerAdminQuery,
+  validateServerProbes,
+  validateProbeHistory,
+  validateServerMetrics
 } from '../middleware/validation.js';
-import { optionalAuth, authenticate, requireAdmin } from '../middleware/auth.js';
+import { optionalAuth, authenticate, requirePermission } from '../middleware/auth.js';
 import { publicLimiter, userLimiter } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
@@ -22,13 +44,33 @@ const router = express.Router();
 router.get('/', publicLimiter, validateServerQuery, getAllServers);
 router.get('/countries', publicLimiter, getCountries);
 router.get('/optimal', optionalAuth, publicLimiter, getOptimalServer);
-router.get('/:serverId', publicLimiter, validateServerId, getServer);
 router.get('/country/:countryCode', publicLimiter, getServersByCountry);
 
 // Protected server stats (requires authentication)
 router.get('/stats/overview', authenticate, userLimiter, getServerStats);
 
 // Admin routes
-router.get('/admin/health', authenticate, requireAdmin, userLimiter, getServerHealth);
+router.get('/admin', authenticate, requirePermission('servers:read'), userLimiter, validateServerAdminQuery, listServersAdmin);
+router.post('/admin', authenticate, requirePermission('servers:write'), userLimiter, validateServerCreate, createServer);
+router.get('/admin/health', authenticate, requirePermission('servers:read'), userLimiter, getServerHealth);
+router.get('/admin/:serverId', authenticate, requirePermission('servers:read'), userLimiter, validateServerId, getServerAdminDetails);
+router.put('/admin/:serverId', authenticate, requirePermission('servers:write'), userLimiter, validateServerUpdate, updateServer);
+router.delete('/admin/:serverId', authenticate, requirePermission('servers:write'), userLimiter, validateServerId, deleteServer);
+router.get('/admin/:serverId/pool', authenticate, requirePermission('servers:read'), userLimiter, validateServerId, getServerAddressPool);
+router.get('/admin/:serverId/archive', authenticate, requirePermission('servers:read'), userLimiter, validateServerId, getServerStatsArchive);
+router.put('/admin/:serverId/psk-policy', authenticate, requirePermission('servers:write'), userLimiter, validatePresharedKeyPolicy, updatePresharedKeyPolicy);
+router.post('/admin/:serverId/drain', authenticate, requirePermission('servers:write'), userLimiter, validateServerId, drainServer);
+router.post('/admin/:serverId/undrain', authenticate, requirePermission('servers:write'), userLimiter, validateServerId, undrainServer);
+router.post('/admin/:serverId/retire', authenticate, requirePermission('servers:write'), userLimiter, validateServerRetire, retireServer);
+router.get('/admin/:serverId/agent', authenticate, requirePermission('servers:read'), userLimiter, validateServerId, getServerAgent);
+router.post('/admin/:serverId/agent/enrollment', authenticate, requirePermission('servers:write'), userLimiter, validateServerId, createAgentEnrollment);
+router.delete('/admin/:serverId/agent', authenticate, requirePermission('servers:write'), userLimiter, validateServerId, revokeServerAgent);
+router.get('/admin/:serverId/probes', authenticate, requirePermission('servers:read'), userLimiter, validateProbeHistory, getServerProbes);
+router.put('/admin/:serverId/probes', authenticate, requirePermission('servers:write'), userLimiter, validateServerProbes, updateServerProbes);
+router.post('/admin/:serverId/probes/run', authenticate, requirePermission('servers:write'), userLimiter, validateServerId, runServerProbes);
+
+// Registered last, so a server ID never swallows the paths above
+router.get('/:serverId', publicLimiter, validateServerId, getServer);
+router.get('/:serverId/metrics', authenticate, userLimiter, validateServerMetrics, getServerMetrics);
 
 export default router;
\ No newline at end of file
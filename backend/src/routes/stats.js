@@ -1,5 +1,5 @@
 import express from 'express';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { authenticate, requirePermission, allowApiKey } from '../middleware/auth.js';
 import { userLimiter } from '../middleware/rateLimiter.js';
 import Connection from '../models/Connection.js';
 import User from '../models/User.js';
@@ -9,7 +9,7 @@ import AuditLog from '../models/AuditLog.js';
 const router = express.Router();
 
 // User statistics
-router.get('/user', authenticate, userLimiter, async (req, res) => {
+router.get('/user', allowApiKey('stats:read'), authenticate, userLimiter, async (req, res) => {
   try {
     const userId = req.user._id;
 
@@ -122,7 +122,7 @@ router.get('/user', authenticate, userLimiter, async (req, res) => {
 });
 
 // Admin statistics
-router.get('/admin/overview', authenticate, requireAdmin, userLimiter, async (req, res) => {
+router.get('/admin/overview', authenticate, requirePermission('stats:read'), userLimiter, async (req, res) => {
   try {
     const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
     const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
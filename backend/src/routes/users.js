@@ -0,0 +1,12 @@
+import express from 'express';
+import { unlockUser } from '../controllers/userController.js';
+import { validateUserId } from '../middleware/validation.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { userLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+// Admin routes
+router.post('/admin/:userId/unlock', authenticate, requirePermission('users:write'), userLimiter, validateUserId, unlockUser);
+
+export default router;
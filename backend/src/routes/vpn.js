@@ -13,13 +13,19 @@ import {
 import {
   validateConnection,
   validateStatsUpdate,
-  validateConnectionId
+  validateConnectionId,
+  validateConfigExport
 } from '../middleware/validation.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, allowApiKey } from '../middleware/auth.js';
 import { connectionLimiter, userLimiter } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
 
+// Routes automation may call with a personal API key
+router.post(['/connect', '/quick-connect', '/disconnect/all', '/disconnect/:connectionId'], allowApiKey('vpn:connect'));
+router.get('/config/:connectionId', allowApiKey('vpn:connect'));
+router.get(['/status', '/status/:connectionId', '/history'], allowApiKey('vpn:read'));
+
 // All VPN routes require authentication
 router.use(authenticate);
 
@@ -36,6 +42,6 @@ router.put('/stats/:connectionId', userLimiter, validateConnectionId, validateSt
 
 // History and configuration
 router.get('/history', userLimiter, getConnectionHistory);
-router.get('/config/:connectionId', userLimiter, validateConnectionId, getConfigFile);
+router.get('/config/:connectionId', userLimiter, validateConfigExport, getConfigFile);
 
 export default router;
\ No newline at end of file
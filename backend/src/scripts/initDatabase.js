@@ -18,6 +18,18 @@ const initDatabase = async () => {
     const Server = (await import('../models/Server.js')).default;
     const Connection = (await import('../models/Connection.js')).default;
     const AuditLog = (await import('../models/AuditLog.js')).default;
+    const AddressLease = (await import('../models/AddressLease.js')).default;
+    const Device = (await import('../models/Device.js')).default;
+    const Certificate = (await import('../models/Certificate.js')).default;
+    const Session = (await import('../models/Session.js')).default;
+    const ApiKey = (await import('../models/ApiKey.js')).default;
+    const Organization = (await import('../models/Organization.js')).default;
+    const SsoRequest = (await import('../models/SsoRequest.js')).default;
+    const OrganizationInvitation = (await import('../models/OrganizationInvitation.js')).default;
+    const ServerStatsArchive = (await import('../models/ServerStatsArchive.js')).default;
+    const ServerAgent = (await import('../models/ServerAgent.js')).default;
+    const ProbeResult = (await import('../models/ProbeResult.js')).default;
+    const { getMetricModel, METRIC_RESOLUTIONS } = await import('../models/ServerMetric.js');
     
     // Create indexes
     console.log('📊 Creating indexes...');
@@ -34,6 +46,48 @@ const initDatabase = async () => {
     await AuditLog.createIndexes();
     console.log('✅ AuditLog indexes created');
     
+    await AddressLease.createIndexes();
+    console.log('✅ AddressLease indexes created');
+    
+    await Device.createIndexes();
+    console.log('✅ Device indexes created');
+
+    await Certificate.createIndexes();
+    console.log('✅ Certificate indexes created');
+
+    await Session.createIndexes();
+    console.log('✅ Session indexes created');
+
+    await ApiKey.createIndexes();
+    console.log('✅ ApiKey indexes created');
+
+    await Organization.createIndexes();
+    console.log('✅ Organization indexes created');
+
+    await SsoRequest.createIndexes();
+    console.log('✅ SsoRequest indexes created');
+
+    await OrganizationInvitation.createIndexes();
+    console.log('✅ OrganizationInvitation indexes created');
+
+    await ServerStatsArchive.createIndexes();
+    console.log('✅ ServerStatsArchive indexes created');
+
+    await ServerAgent.createIndexes();
+    console.log('✅ ServerAgent indexes created');
+
+    // Time-series collections have to be created before they are used
+    await ProbeResult.createCollection();
+    await ProbeResult.createIndexes();
+    console.log('✅ ProbeResult time-series collection created');
+
+    for (const resolution of Object.keys(METRIC_RESOLUTIONS)) {
+      const ServerMetric = getMetricModel(resolution);
+      await ServerMetric.createCollection();
+      await ServerMetric.createIndexes();
+    }
+    console.log('✅ ServerMetric time-series collections created');
+    
     // Perform initial data setup if needed
     const serverCount = await Server.countDocuments();
     
@@ -0,0 +1,187 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { createHash, generateKeyPairSync, randomBytes } from 'crypto';
+
+/**
+ * Local OpenID Connect provider for trying out single sign-on.
+ * Every authorization request is approved straight away for the user
+ * configured below; the code exchange enforces PKCE like a real IdP.
+ *
+ * Usage: MOCK_IDP_EMAIL=jane@example.com MOCK_IDP_GROUPS=vpn-admins npm run mock-idp
+ * then point an organization at issuer http://localhost:4000 with client ID "vpn-app".
+ * Add ?login_hint=<email> to the start URL to log in as someone else.
+ */
+const port = parseInt(process.env.MOCK_IDP_PORT || '4000', 10);
+const issuer = process.env.MOCK_IDP_ISSUER || `http://localhost:${port}`;
+const clientId = process.env.MOCK_IDP_CLIENT_ID || 'vpn-app';
+const clientSecret = process.env.MOCK_IDP_CLIENT_SECRET;
+const defaultUser = {
+  email: process.env.MOCK_IDP_EMAIL || 'jane.doe@example.com',
+  name: process.env.MOCK_IDP_NAME || 'Jane Doe',
+  groups: (process.env.MOCK_IDP_GROUPS || 'vpn-users')
+    .split(',')
+    .map(group => group.trim())
+    .filter(Boolean)
+};
+
+const CODE_TTL_MS = 60 * 1000;
+
+// A fresh signing key per run, published through the JWKS endpoint
+const keyId = randomBytes(8).toString('hex');
+const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid: keyId, use: 'sig', alg: 'RS256' };
+
+// Issued authorization codes, keyed by code
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const tokenError = (res, error, description, status = 400) => {
+  res.status(status).json({ error, error_description: description });
+};
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    scopes_supported: ['openid', 'email', 'profile', 'groups'],
+    token_endpoint_auth_methods_supported: clientSecret ? ['client_secret_post'] : ['none'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [publicJwk] });
+});
+
+app.get('/authorize', (req, res) => {
+  const {
+    response_type: responseType,
+    client_id: requestClientId,
+    redirect_uri: redirectUri,
+    scope = '',
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: codeChallengeMethod,
+    login_hint: loginHint
+  } = req.query;
+
+  // Errors before the redirect URI is trusted are shown here, not redirected
+  if (requestClientId !== clientId || !redirectUri) {
+    return res.status(400).send('Unknown client or missing redirect_uri');
+  }
+
+  const redirect = new URL(redirectUri);
+  if (state) {
+    redirect.searchParams.set('state', state);
+  }
+
+  const fail = (error, description) => {
+    redirect.searchParams.set('error', error);
+    redirect.searchParams.set('error_description', description);
+    res.redirect(redirect.toString());
+  };
+
+  if (responseType !== 'code') {
+    return fail('unsupported_response_type', 'Only the code flow is supported');
+  }
+  if (!scope.split(' ').includes('openid')) {
+    return fail('invalid_scope', 'The openid scope is required');
+  }
+  if (!codeChallenge || codeChallengeMethod !== 'S256') {
+    return fail('invalid_request', 'PKCE with S256 is required');
+  }
+
+  const email = loginHint || defaultUser.email;
+  const code = randomBytes(24).toString('base64url');
+
+  codes.set(code, {
+    redirectUri,
+    codeChallenge,
+    nonce,
+    user: {
+      ...defaultUser,
+      email,
+      sub: createHash('sha256').update(email).digest('hex').slice(0, 24)
+    },
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+
+  console.log(`🔑 Approved login for ${email}`);
+
+  redirect.searchParams.set('code', code);
+  res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  const {
+    grant_type: grantType,
+    code,
+    redirect_uri: redirectUri,
+    client_id: requestClientId,
+    client_secret: requestClientSecret,
+    code_verifier: codeVerifier
+  } = req.body;
+
+  if (grantType !== 'authorization_code') {
+    return tokenError(res, 'unsupported_grant_type', 'Only authorization_code is supported');
+  }
+  if (requestClientId !== clientId || (clientSecret && requestClientSecret !== clientSecret)) {
+    return tokenError(res, 'invalid_client', 'Client authentication failed', 401);
+  }
+
+  // Codes are single use
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== redirectUri) {
+    return tokenError(res, 'invalid_grant', 'Authorization code is invalid or has expired');
+  }
+
+  const challenge = createHash('sha256').update(codeVerifier || '').digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return tokenError(res, 'invalid_grant', 'PKCE verification failed');
+  }
+
+  const { user } = grant;
+  const idToken = jwt.sign(
+    {
+      nonce: grant.nonce,
+      email: user.email,
+      email_verified: true,
+      name: user.name,
+      preferred_username: user.email.split('@')[0],
+      groups: user.groups
+    },
+    privateKey,
+    {
+      algorithm: 'RS256',
+      keyid: keyId,
+      issuer,
+      audience: clientId,
+      subject: user.sub,
+      expiresIn: '5m'
+    }
+  );
+
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    access_token: randomBytes(24).toString('base64url'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(port, () => {
+  console.log(`🪪 Mock OIDC provider running at ${issuer}`);
+  console.log(`   Client ID: ${clientId}${clientSecret ? ' (client secret required)' : ''}`);
+  console.log(`   Default user: ${defaultUser.email}, groups: ${defaultUser.groups.join(', ') || 'none'}`);
+});
@@ -0,0 +1,146 @@
+import mongoose from 'mongoose';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/environment.js';
+import { EnvelopeEncryption } from '../utils/crypto.js';
+
+/**
+ * Encryption key rotation script
+ * Re-wraps every secret stored at rest with the current key encryption key.
+ *
+ * Zero-downtime rotation:
+ *   1. Add the new key to DATA_ENCRYPTION_KEYS, keeping the old one
+ *   2. Point DATA_ENCRYPTION_KEY_ID at the new key and do a rolling restart
+ *   3. Run "npm run rotate-keys"
+ *   4. Remove the old key from DATA_ENCRYPTION_KEYS and restart again
+ *
+ * Only the wrapped data keys change, the encrypted payloads are untouched.
+ * Legacy plaintext values are encrypted on the way.
+ */
+
+// Returns the re-wrapped value, or null when it is already current
+const rotateValue = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  if (!EnvelopeEncryption.isEncrypted(value)) {
+    return EnvelopeEncryption.encrypt(value);
+  }
+
+  const rotated = EnvelopeEncryption.rewrap(value);
+  return rotated === value ? null : rotated;
+};
+
+export const rotateCollection = async (Model, field) => {
+  let rotated = 0;
+  const cursor = Model.find({ [field]: { $exists: true, $ne: null } })
+    .select(`+${field}`)
+    .lean()
+    .cursor();
+
+  for await (const doc of cursor) {
+    const value = field.split('.').reduce((current, key) => current?.[key], doc);
+    const next = rotateValue(value);
+
+    if (next) {
+      await Model.updateOne({ _id: doc._id }, { $set: { [field]: next } });
+      rotated++;
+    }
+  }
+
+  return rotated;
+};
+
+const rotateConfigFiles = async () => {
+  const configDir = path.join(process.cwd(), 'wireguard-configs');
+  let files;
+
+  try {
+    files = await fs.readdir(configDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+
+  let rotated = 0;
+
+  for (const file of files.filter(name => name.endsWith('.conf') || name.endsWith('.ovpn'))) {
+    const filePath = path.join(configDir, file);
+    const content = await fs.readFile(filePath, 'utf8');
+    const next = rotateValue(content.trim() ? content : null);
+
+    if (next) {
+      await fs.writeFile(filePath, next, 'utf8');
+      rotated++;
+    }
+  }
+
+  return rotated;
+};
+
+const rotateEncryptionKey = async () => {
+  try {
+    const { currentKeyId } = config.security.encryption;
+    console.log(`🔑 Rotating secrets at rest to key "${currentKeyId}"...`);
+
+    await mongoose.connect(config.mongodb.uri, config.mongodb.options);
+    console.log('✅ Connected to database');
+
+    const Connection = (await import('../models/Connection.js')).default;
+    const Device = (await import('../models/Device.js')).default;
+    const Server = (await import('../models/Server.js')).default;
+    const Certificate = (await import('../models/Certificate.js')).default;
+    const Organization = (await import('../models/Organization.js')).default;
+    const ServerAgent = (await import('../models/ServerAgent.js')).default;
+    const User = (await import('../models/User.js')).default;
+
+    const connections = await rotateCollection(Connection, 'config.privateKey');
+    console.log(`✅ Connection private keys re-wrapped: ${connections}`);
+
+    const presharedKeys = await rotateCollection(Connection, 'config.presharedKey');
+    console.log(`✅ Connection preshared keys re-wrapped: ${presharedKeys}`);
+
+    const devices = await rotateCollection(Device, 'privateKey');
+    console.log(`✅ Device private keys re-wrapped: ${devices}`);
+
+    const tlsCryptKeys = await rotateCollection(Server, 'technical.openvpn.tlsCryptKey');
+    console.log(`✅ OpenVPN tls-crypt keys re-wrapped: ${tlsCryptKeys}`);
+
+    const authorityKeys = await rotateCollection(Certificate, 'privateKey');
+    console.log(`✅ Certificate authority keys re-wrapped: ${authorityKeys}`);
+
+    const clientSecrets = await rotateCollection(Organization, 'sso.clientSecret');
+    console.log(`✅ SSO client secrets re-wrapped: ${clientSecrets}`);
+
+    const agentSecrets = await rotateCollection(ServerAgent, 'secret');
+    console.log(`✅ Server agent secrets re-wrapped: ${agentSecrets}`);
+
+    const totpSecrets = await rotateCollection(User, 'twoFactor.secret');
+    console.log(`✅ Two-factor secrets re-wrapped: ${totpSecrets}`);
+
+    const pendingTotpSecrets = await rotateCollection(User, 'twoFactor.pendingSecret');
+    console.log(`✅ Pending two-factor secrets re-wrapped: ${pendingTotpSecrets}`);
+
+    const files = await rotateConfigFiles();
+    console.log(`✅ Config files re-wrapped: ${files}`);
+
+    console.log('\n🎉 Key rotation completed! The previous key can now be removed.');
+
+  } catch (error) {
+    console.error('❌ Key rotation failed:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.connection.close();
+    console.log('✅ Database connection closed');
+  }
+};
+
+// Run rotation if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  rotateEncryptionKey();
+}
+
+export default rotateEncryptionKey;
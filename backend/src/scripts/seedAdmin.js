@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import { config } from '../config/environment.js';
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+
+/**
+ * First admin account script
+ * Creates an admin from ADMIN_EMAIL, ADMIN_USERNAME and ADMIN_PASSWORD,
+ * or grants the admin role to an existing account with that email.
+ *
+ * Usage: ADMIN_EMAIL=ops@example.com ADMIN_PASSWORD=... npm run seed:admin
+ */
+const seedAdmin = async () => {
+  try {
+    const email = process.env.ADMIN_EMAIL;
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (!email) {
+      throw new Error('ADMIN_EMAIL is required');
+    }
+
+    console.log('👤 Seeding admin account...');
+
+    await mongoose.connect(config.mongodb.uri, config.mongodb.options);
+    console.log('✅ Connected to database');
+
+    let user = await User.findOne({ email: email.toLowerCase() });
+
+    if (user) {
+      if (user.roles.includes('admin')) {
+        console.log(`ℹ️  ${user.email} is already an admin`);
+        return;
+      }
+
+      user.roles = [...new Set([...user.roles, 'admin'])];
+      await user.save();
+      console.log(`✅ Granted admin role to existing account ${user.email}`);
+    } else {
+      if (!password || password.length < 12) {
+        throw new Error('ADMIN_PASSWORD of at least 12 characters is required for a new account');
+      }
+
+      user = await User.create({
+        username,
+        email,
+        password,
+        roles: ['user', 'admin'],
+        emailVerified: true
+      });
+      console.log(`✅ Created admin account ${user.email} (${user.username})`);
+    }
+
+    await AuditLog.log({
+      action: 'admin_action',
+      userId: user._id,
+      resourceId: user._id,
+      resourceType: 'user',
+      details: {
+        type: 'role_granted',
+        role: 'admin',
+        source: 'seed_script'
+      }
+    });
+
+    console.log('\n🎉 Admin account ready!');
+
+  } catch (error) {
+    console.error('❌ Admin seeding failed:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.connection.close();
+    console.log('✅ Database connection closed');
+  }
+};
+
+// Run seeding if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  seedAdmin();
+}
+
+export default seedAdmin;
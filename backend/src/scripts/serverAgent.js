@@ -0,0 +1,284 @@
+import axios from 'axios';
+import dgram from 'dgram';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { WireGuardCliDriver } from '../services/drivers/wireguardCliDriver.js';
+import { parseWireGuardDump } from '../utils/wireguardDump.js';
+import { AGENT_HEADERS, signAgentRequest } from '../utils/agentProtocol.js';
+import { isInitiationPacket } from '../services/probes/udpProbe.js';
+import { parseOpenVPNStatus } from '../utils/openvpn.js';
+
+/**
+ * Reference agent for VPN nodes. Enrolls once with a token from
+ * POST /api/servers/admin/:serverId/agent/enrollment, keeps the credential
+ * it receives and then sends a signed heartbeat on every interval.
+ * It also answers the backend's UDP echo and HTTP health probes.
+ *
+ * With AGENT_OPENVPN_DIR set it also keeps the node's OpenVPN certificate,
+ * CA chain and tls-crypt key in that directory, renewing the certificate
+ * before it expires, and reports the clients in the OpenVPN status file
+ * so their sessions are marked connected.
+ *
+ * Usage: AGENT_API_URL=https://api.example.com/api AGENT_ENROLLMENT_TOKEN=vpne_... npm run agent
+ */
+const apiUrl = (process.env.AGENT_API_URL || 'http://localhost:3001/api').replace(/\/$/, '');
+const credentialsFile = process.env.AGENT_CREDENTIALS_FILE || './agent-credentials.json';
+const interfaceName = process.env.AGENT_INTERFACE || process.env.WIREGUARD_INTERFACE || 'wg0';
+const echoPort = parseInt(process.env.AGENT_ECHO_PORT || '51821', 10);
+const healthPort = parseInt(process.env.AGENT_HEALTH_PORT || '8080', 10);
+const openvpnDir = process.env.AGENT_OPENVPN_DIR;
+const openvpnStatusFile = process.env.AGENT_OPENVPN_STATUS_FILE || '/run/openvpn/status.log';
+const AGENT_VERSION = '1.0.0';
+// Peers that completed a handshake this recently count as active
+const ACTIVE_HANDSHAKE_MS = 3 * 60 * 1000;
+
+const driver = new WireGuardCliDriver({ interfaceName });
+
+const loadCredentials = async () => {
+  try {
+    return JSON.parse(await fs.readFile(credentialsFile, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const enroll = async () => {
+  const token = process.env.AGENT_ENROLLMENT_TOKEN;
+
+  if (!token) {
+    throw new Error(`No credentials in ${credentialsFile} and AGENT_ENROLLMENT_TOKEN is not set`);
+  }
+
+  const response = await axios.post(`${apiUrl}/agents/enroll`, {
+    token,
+    hostname: os.hostname(),
+    version: AGENT_VERSION
+  });
+
+  const credentials = response.data.data;
+  await fs.writeFile(credentialsFile, JSON.stringify(credentials, null, 2), { mode: 0o600 });
+  console.log(`✅ Enrolled as agent ${credentials.agentId}, credentials saved to ${credentialsFile}`);
+
+  return credentials;
+};
+
+// CPU usage across all cores since the previous sample
+let previousCpu = null;
+const sampleCpu = () => {
+  const totals = os.cpus().reduce((sum, cpu) => {
+    const { idle, ...busy } = cpu.times;
+    sum.idle += idle;
+    sum.total += idle + Object.values(busy).reduce((a, b) => a + b, 0);
+    return sum;
+  }, { idle: 0, total: 0 });
+
+  const usage = previousCpu && totals.total > previousCpu.total
+    ? (1 - (totals.idle - previousCpu.idle) / (totals.total - previousCpu.total)) * 100
+    : 0;
+
+  previousCpu = totals;
+  return Math.round(usage * 100) / 100;
+};
+
+// Interface throughput from the peers' transfer counters since the previous sample
+let previousTransfer = null;
+const sampleWireGuard = async () => {
+  try {
+    const dump = parseWireGuardDump(await driver.run(driver.wgBinary, ['show', interfaceName, 'dump']));
+    const now = Date.now();
+    const transfer = dump.peers.reduce((sum, peer) => ({
+      rx: sum.rx + peer.transferRx,
+      tx: sum.tx + peer.transferTx
+    }), { rx: 0, tx: 0 });
+
+    let rxBytesPerSec = 0;
+    let txBytesPerSec = 0;
+    if (previousTransfer) {
+      const seconds = (now - previousTransfer.at) / 1000;
+      rxBytesPerSec = Math.max(0, (transfer.rx - previousTransfer.rx) / seconds);
+      txBytesPerSec = Math.max(0, (transfer.tx - previousTransfer.tx) / seconds);
+    }
+    previousTransfer = { ...transfer, at: now };
+
+    return {
+      bandwidth: { rxBytesPerSec, txBytesPerSec },
+      peers: {
+        total: dump.peers.length,
+        active: dump.peers.filter(peer => peer.latestHandshake && now - peer.latestHandshake < ACTIVE_HANDSHAKE_MS).length
+      },
+      interface: {
+        name: interfaceName,
+        up: Boolean(dump.interface),
+        listenPort: dump.interface?.listenPort || undefined,
+        publicKey: dump.interface?.publicKey
+      }
+    };
+  } catch (error) {
+    console.warn(`⚠️  Could not read ${interfaceName}: ${error.message}`);
+    previousTransfer = null;
+
+    return {
+      bandwidth: { rxBytesPerSec: 0, txBytesPerSec: 0 },
+      peers: { total: 0, active: 0 },
+      interface: { name: interfaceName, up: false }
+    };
+  }
+};
+
+/**
+ * Send handshake initiations back unchanged. Replies are never larger
+ * than the request, so the responder cannot be used for amplification.
+ */
+const startEchoResponder = () => {
+  const socket = dgram.createSocket('udp4');
+
+  socket.on('message', (packet, remote) => {
+    if (isInitiationPacket(packet)) {
+      socket.send(packet, remote.port, remote.address);
+    }
+  });
+  socket.on('error', (error) => console.error('❌ Echo responder failed:', error.message));
+
+  socket.bind(echoPort, () => console.log(`🔁 Answering UDP echo probes on port ${echoPort}`));
+};
+
+/**
+ * Healthy while the WireGuard interface can be read
+ */
+const startHealthServer = () => {
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== 'GET' || req.url !== '/health') {
+      res.writeHead(404).end();
+      return;
+    }
+
+    try {
+      await driver.run(driver.wgBinary, ['show', interfaceName, 'dump']);
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ status: 'ok' }));
+    } catch (error) {
+      res.writeHead(503, { 'Content-Type': 'application/json' }).end(JSON.stringify({ status: 'interface_down' }));
+    }
+  });
+
+  server.listen(healthPort, () => console.log(`🩺 Answering health probes on port ${healthPort}`));
+};
+
+// Timestamps must increase even if two requests land in the same millisecond
+let lastTimestamp = 0;
+const signedPost = async (credentials, endpoint, payload) => {
+  const url = `${apiUrl}${endpoint}`;
+  const body = JSON.stringify(payload);
+
+  lastTimestamp = Math.max(Date.now(), lastTimestamp + 1);
+  const timestamp = String(lastTimestamp);
+  const signature = signAgentRequest(credentials.secret, {
+    method: 'POST',
+    path: new URL(url).pathname,
+    timestamp,
+    body
+  });
+
+  const response = await axios.post(url, body, {
+    headers: {
+      'Content-Type': 'application/json',
+      [AGENT_HEADERS.id]: credentials.agentId,
+      [AGENT_HEADERS.timestamp]: timestamp,
+      [AGENT_HEADERS.signature]: signature
+    }
+  });
+
+  return response.data.data;
+};
+
+// Clients OpenVPN currently serves, with the bytes of their session so far
+const sampleOpenVpn = async () => {
+  try {
+    const clients = parseOpenVPNStatus(await fs.readFile(openvpnStatusFile, 'utf8'));
+    return { clients: clients.map(({ commonName, bytesReceived, bytesSent }) => ({ commonName, bytesReceived, bytesSent })) };
+  } catch (error) {
+    console.warn(`⚠️  Could not read ${openvpnStatusFile}: ${error.message}`);
+    return { clients: [] };
+  }
+};
+
+const sendHeartbeat = async (credentials) => {
+  return signedPost(credentials, '/agents/heartbeat', {
+    cpu: { usage: sampleCpu() },
+    ...(await sampleWireGuard()),
+    ...(openvpnDir && { openvpn: await sampleOpenVpn() }),
+    agentVersion: AGENT_VERSION
+  });
+};
+
+// When the node certificate is due for renewal, null until one was fetched
+let openvpnRenewAt = null;
+
+/**
+ * Fetch a fresh node certificate and write everything OpenVPN needs.
+ * Point the server config at ca.crt, server.crt, server.key and tls-crypt.key.
+ */
+const syncOpenVpnCredentials = async (credentials) => {
+  const issued = await signedPost(credentials, '/agents/openvpn/credentials', {});
+
+  await fs.mkdir(openvpnDir, { recursive: true, mode: 0o700 });
+  await fs.writeFile(path.join(openvpnDir, 'ca.crt'), issued.caCertificate);
+  await fs.writeFile(path.join(openvpnDir, 'server.crt'), issued.certificate);
+  await fs.writeFile(path.join(openvpnDir, 'server.key'), issued.privateKey, { mode: 0o600 });
+  await fs.writeFile(path.join(openvpnDir, 'tls-crypt.key'), issued.tlsCryptKey, { mode: 0o600 });
+
+  // Renew once two thirds of the validity have passed
+  const notBefore = new Date(issued.notBefore).getTime();
+  const notAfter = new Date(issued.notAfter).getTime();
+  openvpnRenewAt = new Date(notBefore + (notAfter - notBefore) * 2 / 3);
+
+  console.log(`🔐 OpenVPN certificate ${issued.serialNumber} written to ${openvpnDir}, valid until ${issued.notAfter}`);
+  console.log('   Reload OpenVPN to start using it');
+};
+
+const runAgent = async () => {
+  const credentials = (await loadCredentials()) || (await enroll());
+  let intervalSeconds = credentials.heartbeatIntervalSeconds || 30;
+
+  console.log(`📡 Sending heartbeats for ${interfaceName} to ${apiUrl} every ${intervalSeconds}s`);
+
+  const beat = async () => {
+    if (openvpnDir && (!openvpnRenewAt || new Date() >= openvpnRenewAt)) {
+      try {
+        await syncOpenVpnCredentials(credentials);
+      } catch (error) {
+        console.error('❌ OpenVPN credential renewal failed:', error.response?.data?.message || error.message);
+      }
+    }
+
+    try {
+      const result = await sendHeartbeat(credentials);
+      intervalSeconds = result.heartbeatIntervalSeconds || intervalSeconds;
+      console.log(`💓 Heartbeat accepted, server is ${result.healthStatus}`);
+    } catch (error) {
+      console.error('❌ Heartbeat failed:', error.response?.data?.message || error.message);
+    }
+
+    setTimeout(beat, intervalSeconds * 1000);
+  };
+
+  startEchoResponder();
+  startHealthServer();
+
+  // The first sample only primes the CPU and transfer counters
+  sampleCpu();
+  await beat();
+};
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAgent().catch((error) => {
+    console.error('❌ Agent failed to start:', error.message);
+    process.exit(1);
+  });
+}
+
+export default runAgent;
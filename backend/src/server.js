@@ -8,9 +8,14 @@ import { connectDatabase } from './config/database.js';
 import { setupWebSocket } from './utils/websocket.js';
 import { errorHandler, notFound } from './middleware/errorHandler.js';
 import { generalLimiter } from './middleware/rateLimiter.js';
+import { httpMetrics } from './middleware/metrics.js';
+import { authenticateApiKey } from './middleware/auth.js';
+import { getPrometheusMetrics } from './controllers/metricsController.js';
 import apiRoutes from './routes/index.js';
 import { startMonitoringJobs } from './jobs/serverMonitoring.js';
 import { startCleanupJobs } from './jobs/cleanupJobs.js';
+import { startTransferCollector } from './jobs/transferCollector.js';
+import { startMetricsCollector } from './jobs/metricsCollector.js';
 
 // Validate environment variables
 validateEnvironment();
@@ -47,9 +52,21 @@ app.use(cors({
 
 // General middleware
 app.use(compression());
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept for routes that verify request signatures
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Prometheus scrapes, kept out of the rate limit and the request metrics
+app.get('/metrics', authenticateApiKey, getPrometheusMetrics);
+
+// Request metrics, ahead of rate limiting so rejected requests are counted too
+app.use(httpMetrics);
+
 // Rate limiting
 app.use(generalLimiter);
 
@@ -100,6 +117,8 @@ const initializeApp = async () => {
     // Start background jobs
     startMonitoringJobs();
     startCleanupJobs();
+    startTransferCollector();
+    startMetricsCollector();
     console.log('✅ Background jobs started');
     
     // Create required directories
@@ -0,0 +1,187 @@
+import jwt from 'jsonwebtoken';
+import { createHmac, timingSafeEqual } from 'crypto';
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import { MailService } from './mailService.js';
+import { SessionService } from './sessionService.js';
+import { LockoutService } from './lockoutService.js';
+import { createError } from '../middleware/errorHandler.js';
+import { config } from '../config/environment.js';
+
+// Token audiences, so one kind of token is never accepted as another
+const EMAIL_VERIFICATION = 'email-verification';
+const PASSWORD_RESET = 'password-reset';
+
+export class AccountService {
+  /**
+   * Tokens carry a fingerprint of the account state they were issued for.
+   * Verifying the email or replacing the password changes that state, so
+   * a token works once without being stored anywhere.
+   */
+  static fingerprint(value) {
+    return createHmac('sha256', config.jwt.secret).update(String(value)).digest('base64url');
+  }
+
+  static emailFingerprint(user) {
+    return this.fingerprint(`${user.email}:${user.emailVerified}`);
+  }
+
+  // Needs the user loaded with +password
+  static passwordFingerprint(user) {
+    return this.fingerprint(user.password);
+  }
+
+  static signToken(user, audience, fingerprint, expiresIn) {
+    return jwt.sign(
+      { fp: fingerprint },
+      config.jwt.secret,
+      {
+        expiresIn,
+        audience,
+        issuer: 'vpn-backend',
+        subject: user._id.toString()
+      }
+    );
+  }
+
+  /**
+   * Verify a token and load the user it was issued to
+   * @returns {Promise<Object|null>} { user, fingerprint }, or null if invalid
+   */
+  static async resolveToken(token, audience, select = '') {
+    try {
+      const decoded = jwt.verify(token, config.jwt.secret, { audience });
+      const user = await User.findById(decoded.sub).select(select);
+
+      return user ? { user, fingerprint: decoded.fp } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static matchesFingerprint(expected, actual) {
+    return typeof actual === 'string'
+      && expected.length === actual.length
+      && timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+  }
+
+  static async logEvent(userId, type, { ipAddress, userAgent } = {}, { status = 'success', details = {} } = {}) {
+    await AuditLog.log({
+      action: 'security_event',
+      userId,
+      resourceId: userId,
+      resourceType: 'user',
+      details: {
+        type,
+        ...details
+      },
+      ipAddress,
+      userAgent,
+      status
+    });
+  }
+
+  /**
+   * Email a verification link
+   */
+  static async sendVerificationEmail(user, clientInfo) {
+    if (user.emailVerified) {
+      throw createError('Email address is already verified', 400, 'EMAIL_ALREADY_VERIFIED');
+    }
+
+    const token = this.signToken(
+      user,
+      EMAIL_VERIFICATION,
+      this.emailFingerprint(user),
+      config.accountTokens.emailVerificationExpiresIn
+    );
+
+    await MailService.sendEmailVerification(user, token);
+    await this.logEvent(user._id, 'email_verification_sent', clientInfo);
+  }
+
+  /**
+   * Mark an email address as verified
+   */
+  static async verifyEmail(token, clientInfo) {
+    const resolved = await this.resolveToken(token, EMAIL_VERIFICATION);
+
+    if (!resolved || !this.matchesFingerprint(this.emailFingerprint(resolved.user), resolved.fingerprint)) {
+      throw createError('Verification link is invalid or has expired', 400, 'INVALID_TOKEN');
+    }
+
+    const { user } = resolved;
+
+    // Conditional, so only one of two concurrent requests succeeds
+    const result = await User.updateOne(
+      { _id: user._id, email: user.email, emailVerified: { $ne: true } },
+      { $set: { emailVerified: true } }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw createError('Verification link is invalid or has expired', 400, 'INVALID_TOKEN');
+    }
+
+    await this.logEvent(user._id, 'email_verified', clientInfo, { details: { email: user.email } });
+  }
+
+  /**
+   * Email a password reset link. Unknown addresses are only logged,
+   * callers must not reveal whether an account exists.
+   */
+  static async requestPasswordReset(email, clientInfo) {
+    const user = await User.findByEmail(email).select('+password');
+
+    if (!user || !user.isActive || user.isSsoAccount()) {
+      const reason = !user ? 'user_not_found' : (user.isActive ? 'sso_account' : 'account_inactive');
+
+      await this.logEvent(user?._id, 'password_reset_requested', clientInfo, {
+        status: 'failure',
+        details: { email, reason }
+      });
+      return;
+    }
+
+    const token = this.signToken(
+      user,
+      PASSWORD_RESET,
+      this.passwordFingerprint(user),
+      config.accountTokens.passwordResetExpiresIn
+    );
+
+    // Not awaited, how long the mail takes would tell whether the account exists
+    MailService.sendPasswordReset(user, token).catch((error) => {
+      console.warn(`Could not send password reset email to user ${user._id}:`, error.message);
+    });
+    await this.logEvent(user._id, 'password_reset_requested', clientInfo);
+  }
+
+  /**
+   * Set a new password from a reset link and sign out every session
+   */
+  static async resetPassword(token, newPassword, clientInfo) {
+    const resolved = await this.resolveToken(token, PASSWORD_RESET, '+password');
+
+    if (
+      !resolved
+      || !resolved.user.isActive
+      || resolved.user.isSsoAccount()
+      || !this.matchesFingerprint(this.passwordFingerprint(resolved.user), resolved.fingerprint)
+    ) {
+      throw createError('Reset link is invalid or has expired', 400, 'INVALID_TOKEN');
+    }
+
+    const { user } = resolved;
+
+    user.password = newPassword;
+    await user.save();
+
+    // Whoever knew the old password must not stay signed in
+    const revokedSessions = await SessionService.revokeAllUserSessions(user._id, 'password_reset');
+
+    // Proving control of the email address lifts a lockout
+    await LockoutService.clear(user._id);
+
+    await this.logEvent(user._id, 'password_reset', clientInfo, { details: { revokedSessions } });
+  }
+}
@@ -0,0 +1,331 @@
+import { createHash, randomBytes } from 'crypto';
+import ServerAgent from '../models/ServerAgent.js';
+import Server from '../models/Server.js';
+import AuditLog from '../models/AuditLog.js';
+import { ServerService } from './serverService.js';
+import { OpenVPNService } from './openvpnService.js';
+import { TransferStatsService } from './transferStatsService.js';
+import { EnvelopeEncryption } from '../utils/crypto.js';
+import { worstHealthStatus } from '../utils/health.js';
+import { AGENT_SECRET_PREFIX, verifyAgentSignature } from '../utils/agentProtocol.js';
+import { createError } from '../middleware/errorHandler.js';
+import { config } from '../config/environment.js';
+
+const ENROLLMENT_TOKEN_PREFIX = 'vpne_';
+// Load above which a node reports as degraded
+const DEGRADED_LOAD = 90;
+
+export class AgentService {
+  static hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+  }
+
+  static async logEvent(server, type, { ipAddress, userAgent } = {}, details = {}, status = 'success') {
+    await AuditLog.log({
+      action: 'security_event',
+      resourceId: server._id,
+      resourceType: 'server',
+      details: {
+        type,
+        server: server.name,
+        ...details
+      },
+      ipAddress,
+      userAgent,
+      status
+    });
+  }
+
+  /**
+   * Create a one-time enrollment token for a server's agent.
+   * Any credential the server's previous agent held stops working.
+   */
+  static async createEnrollment(serverId, adminId, clientInfo) {
+    const server = await ServerService.findServer(serverId);
+
+    if (server.lifecycle.state === 'retired') {
+      throw createError('Retired servers cannot enroll an agent', 409, 'SERVER_RETIRED');
+    }
+
+    const token = `${ENROLLMENT_TOKEN_PREFIX}${randomBytes(32).toString('base64url')}`;
+    const expiresAt = new Date(Date.now() + config.servers.agents.enrollmentTtlMinutes * 60 * 1000);
+
+    const agent = await ServerAgent.findOneAndUpdate(
+      { serverId: server._id },
+      {
+        $set: {
+          status: 'pending',
+          enrollmentTokenHash: this.hashToken(token),
+          enrollmentExpiresAt: expiresAt,
+          createdBy: adminId,
+          lastTimestamp: 0
+        },
+        $unset: {
+          secret: 1,
+          enrolledAt: 1,
+          hostname: 1,
+          version: 1,
+          lastHeartbeatAt: 1,
+          lastHeartbeatIp: 1,
+          lastReport: 1
+        }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    await ServerService.logAdminAction(adminId, 'agent_enrollment_created', server, clientInfo, {
+      expiresAt
+    });
+
+    return { agent, token, expiresAt };
+  }
+
+  static async getAgent(serverId) {
+    const server = await ServerService.findServer(serverId);
+    const agent = await ServerAgent.findOne({ serverId: server._id });
+
+    if (!agent) {
+      throw createError('This server has no agent', 404);
+    }
+
+    return agent;
+  }
+
+  static async revokeAgent(serverId, adminId, clientInfo) {
+    const server = await ServerService.findServer(serverId);
+    const agent = await ServerAgent.findOneAndDelete({ serverId: server._id });
+
+    if (!agent) {
+      throw createError('This server has no agent', 404);
+    }
+
+    await ServerService.logAdminAction(adminId, 'agent_revoked', server, clientInfo, {
+      agentId: agent._id,
+      status: agent.status
+    });
+  }
+
+  /**
+   * Exchange an enrollment token for the agent's credential.
+   * The secret is only ever returned here.
+   */
+  static async enroll(token, { hostname, version } = {}, clientInfo) {
+    const secret = `${AGENT_SECRET_PREFIX}${randomBytes(32).toString('base64url')}`;
+
+    // Claimed atomically so a token can only be used once
+    const agent = await ServerAgent.findOneAndUpdate(
+      {
+        enrollmentTokenHash: this.hashToken(token),
+        status: 'pending',
+        enrollmentExpiresAt: { $gt: new Date() }
+      },
+      {
+        $set: {
+          status: 'enrolled',
+          secret: EnvelopeEncryption.encrypt(secret),
+          enrolledAt: new Date(),
+          hostname,
+          version
+        },
+        $unset: { enrollmentTokenHash: 1, enrollmentExpiresAt: 1 }
+      },
+      { new: true }
+    );
+
+    if (!agent) {
+      throw createError('Enrollment token is invalid or has expired', 401, 'INVALID_ENROLLMENT_TOKEN');
+    }
+
+    const server = await Server.findById(agent.serverId);
+
+    if (server) {
+      await this.logEvent(server, 'agent_enrolled', clientInfo, {
+        agentId: agent._id,
+        hostname
+      });
+    }
+
+    return {
+      agentId: agent._id,
+      secret,
+      serverId: agent.serverId,
+      heartbeatIntervalSeconds: config.servers.agents.heartbeatIntervalSeconds
+    };
+  }
+
+  /**
+   * Check a signed agent request and claim its timestamp,
+   * so the same heartbeat cannot be replayed
+   */
+  static async authenticate({ agentId, timestamp, signature, method, path, body }) {
+    const sentAt = Number(timestamp);
+    const skewMs = config.servers.agents.clockSkewSeconds * 1000;
+
+    if (!agentId || !/^[a-f0-9]{24}$/.test(agentId) || !Number.isSafeInteger(sentAt) || !signature) {
+      throw createError('Agent authentication required', 401, 'AGENT_AUTH_REQUIRED');
+    }
+
+    if (Math.abs(Date.now() - sentAt) > skewMs) {
+      throw createError('Request timestamp is outside the allowed window', 401, 'STALE_AGENT_REQUEST');
+    }
+
+    const agent = await ServerAgent.findOne({ _id: agentId, status: 'enrolled' }).select('+secret');
+
+    if (!agent || !verifyAgentSignature(agent.getSecret(), { method, path, timestamp, body }, signature)) {
+      throw createError('Invalid agent signature', 401, 'INVALID_AGENT_SIGNATURE');
+    }
+
+    const claimed = await ServerAgent.findOneAndUpdate(
+      { _id: agent._id, status: 'enrolled', lastTimestamp: { $lt: sentAt } },
+      { $set: { lastTimestamp: sentAt } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw createError('Heartbeat has already been received', 401, 'REPLAYED_AGENT_REQUEST');
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Turn a heartbeat into server metrics. Load is the busiest of
+   * CPU, peer slots and, when the link speed is known, bandwidth.
+   */
+  static deriveMetrics(server, report) {
+    const currentUsers = report.peers.active ?? report.peers.total;
+    const utilization = [
+      report.cpu.usage,
+      (currentUsers / server.maxUsers) * 100
+    ];
+
+    if (server.metadata?.bandwidth) {
+      const mbps = ((report.bandwidth.rxBytesPerSec + report.bandwidth.txBytesPerSec) * 8) / 1e6;
+      utilization.push((mbps / server.metadata.bandwidth) * 100);
+    }
+
+    const load = Math.min(100, Math.max(...utilization));
+    // A node serving another key than the one clients are given cannot complete handshakes
+    const keyMismatch = report.interface.publicKey && report.interface.publicKey !== server.technical.publicKey;
+
+    let healthStatus = 'healthy';
+    if (!report.interface.up || keyMismatch) {
+      healthStatus = 'offline';
+    } else if (load > DEGRADED_LOAD) {
+      healthStatus = 'degraded';
+    }
+
+    return { load, currentUsers, healthStatus };
+  }
+
+  static async recordHeartbeat(agent, report, { ipAddress } = {}) {
+    const server = await ServerService.findServer(agent.serverId);
+    const metrics = this.deriveMetrics(server, report);
+    // Active probes can still see a node as worse than it sees itself
+    const healthStatus = worstHealthStatus(metrics.healthStatus, server.healthChecks?.status);
+
+    await ServerService.updateServerMetrics(server._id, { ...metrics, healthStatus });
+
+    if (report.openvpn?.clients?.length > 0) {
+      await OpenVPNService.confirmSessions(server, report.openvpn.clients.map(client => client.commonName));
+      await TransferStatsService.applyOpenVpnReadings(server, report.openvpn.clients);
+    }
+
+    await ServerAgent.updateOne(
+      { _id: agent._id },
+      {
+        $set: {
+          lastHeartbeatAt: new Date(),
+          lastHeartbeatIp: ipAddress,
+          ...(report.agentVersion && { version: report.agentVersion }),
+          lastReport: {
+            cpu: report.cpu.usage,
+            rxBytesPerSec: report.bandwidth.rxBytesPerSec,
+            txBytesPerSec: report.bandwidth.txBytesPerSec,
+            peers: report.peers.total,
+            activePeers: report.peers.active,
+            interfaceUp: report.interface.up,
+            listenPort: report.interface.listenPort,
+            healthStatus: metrics.healthStatus
+          }
+        }
+      }
+    );
+
+    return {
+      healthStatus,
+      heartbeatIntervalSeconds: config.servers.agents.heartbeatIntervalSeconds
+    };
+  }
+
+  static getHeartbeatCutoff() {
+    const { heartbeatIntervalSeconds, missedHeartbeats } = config.servers.agents;
+    return new Date(Date.now() - heartbeatIntervalSeconds * missedHeartbeats * 1000);
+  }
+
+  /**
+   * The health a server's agent last reported, offline once it went quiet.
+   * Null when the server has no enrolled agent.
+   */
+  static async getReportedStatus(serverId) {
+    const agent = await ServerAgent.findOne({ serverId, status: 'enrolled' }).lean();
+
+    if (!agent) {
+      return null;
+    }
+
+    const lastSeen = agent.lastHeartbeatAt || agent.enrolledAt;
+    if (!lastSeen || lastSeen < this.getHeartbeatCutoff()) {
+      return 'offline';
+    }
+
+    return agent.lastReport?.healthStatus || null;
+  }
+
+  /**
+   * Mark servers offline whose agent has missed too many heartbeats.
+   * Agents that never sent one count from their enrollment.
+   */
+  static async markMissedHeartbeats() {
+    const cutoff = this.getHeartbeatCutoff();
+
+    const agents = await ServerAgent.find({
+      status: 'enrolled',
+      $or: [
+        { lastHeartbeatAt: { $lt: cutoff } },
+        { lastHeartbeatAt: null, enrolledAt: { $lt: cutoff } }
+      ]
+    });
+
+    const servers = await Server.find({
+      _id: { $in: agents.map(agent => agent.serverId) },
+      'stats.healthStatus': { $ne: 'offline' }
+    });
+
+    for (const server of servers) {
+      await ServerService.updateServerMetrics(server._id, { healthStatus: 'offline' });
+    }
+
+    return servers.length;
+  }
+
+  /**
+   * IDs of servers that report through an agent
+   */
+  static async getReportingServerIds() {
+    const agents = await ServerAgent.find({ status: 'enrolled' }).select('serverId').lean();
+    return agents.map(agent => agent.serverId);
+  }
+
+  /**
+   * Latest report of every agent that is still sending heartbeats, by server ID
+   */
+  static async getFreshReports() {
+    const agents = await ServerAgent.find({
+      status: 'enrolled',
+      lastHeartbeatAt: { $gte: this.getHeartbeatCutoff() }
+    }).select('serverId lastReport').lean();
+
+    return new Map(agents.map(agent => [agent.serverId.toString(), agent.lastReport]));
+  }
+}
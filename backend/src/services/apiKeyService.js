@@ -0,0 +1,155 @@
+import { createHash, randomBytes } from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import { createError } from '../middleware/errorHandler.js';
+import { config } from '../config/environment.js';
+
+// Keys are recognisable at a glance and by secret scanners
+const KEY_PREFIX = 'vpn_';
+const DISPLAY_PREFIX_LENGTH = 12;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// lastUsedAt is only written this often, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+export class ApiKeyService {
+  static isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  static hashKey(key) {
+    return createHash('sha256').update(key).digest('hex');
+  }
+
+  static generateKey() {
+    return `${KEY_PREFIX}${randomBytes(32).toString('base64url')}`;
+  }
+
+  static async logEvent(userId, type, apiKey, { ipAddress, userAgent } = {}, details = {}) {
+    await AuditLog.log({
+      action: 'security_event',
+      userId,
+      resourceId: userId,
+      resourceType: 'user',
+      details: {
+        type,
+        apiKeyId: apiKey._id,
+        name: apiKey.name,
+        ...details
+      },
+      ipAddress,
+      userAgent
+    });
+  }
+
+  /**
+   * Create a key. The plain key is only ever returned here.
+   */
+  static async createKey(userId, { name, scopes, expiresInDays = config.apiKeys.defaultExpiryDays }, clientInfo) {
+    const count = await ApiKey.countDocuments({ userId });
+    if (count >= config.apiKeys.maxPerUser) {
+      throw createError(`A maximum of ${config.apiKeys.maxPerUser} API keys is allowed`, 409, 'API_KEY_LIMIT_REACHED');
+    }
+
+    const existing = await ApiKey.findOne({ userId, name });
+    if (existing) {
+      throw createError('An API key with this name already exists', 409, 'API_KEY_NAME_TAKEN');
+    }
+
+    const key = this.generateKey();
+    const apiKey = await ApiKey.create({
+      userId,
+      name,
+      prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      keyHash: this.hashKey(key),
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + expiresInDays * DAY_MS)
+    });
+
+    await this.logEvent(userId, 'api_key_created', apiKey, clientInfo, {
+      scopes: apiKey.scopes,
+      expiresAt: apiKey.expiresAt
+    });
+
+    return { apiKey, key };
+  }
+
+  static listKeys(userId) {
+    return ApiKey.findByUser(userId);
+  }
+
+  static async getKey(userId, keyId) {
+    const apiKey = await ApiKey.findOwned(keyId, userId);
+
+    if (!apiKey) {
+      throw createError('API key not found', 404);
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Rename a key or change its scopes. The expiry can't be extended,
+   * create a new key instead.
+   */
+  static async updateKey(userId, keyId, { name, scopes }, clientInfo) {
+    const apiKey = await this.getKey(userId, keyId);
+
+    if (name && name !== apiKey.name) {
+      const existing = await ApiKey.findOne({ userId, name });
+      if (existing) {
+        throw createError('An API key with this name already exists', 409, 'API_KEY_NAME_TAKEN');
+      }
+      apiKey.name = name;
+    }
+
+    if (scopes) {
+      apiKey.scopes = [...new Set(scopes)];
+    }
+
+    await apiKey.save();
+
+    await this.logEvent(userId, 'api_key_updated', apiKey, clientInfo, { scopes: apiKey.scopes });
+
+    return apiKey;
+  }
+
+  static async deleteKey(userId, keyId, clientInfo) {
+    const apiKey = await this.getKey(userId, keyId);
+
+    await apiKey.deleteOne();
+
+    await this.logEvent(userId, 'api_key_deleted', apiKey, clientInfo);
+  }
+
+  /**
+   * Resolve a presented key to its owner
+   * @returns {Promise<Object>} { apiKey, user }
+   */
+  static async authenticate(key, { ipAddress } = {}) {
+    const apiKey = await ApiKey.findOne({ keyHash: this.hashKey(key) });
+
+    if (!apiKey) {
+      throw createError('Invalid API key', 401, 'INVALID_API_KEY');
+    }
+
+    if (apiKey.isExpired()) {
+      throw createError('API key has expired', 401, 'API_KEY_EXPIRED');
+    }
+
+    const user = await User.findById(apiKey.userId);
+
+    if (!user) {
+      throw createError('Invalid API key', 401, 'INVALID_API_KEY');
+    }
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+      await ApiKey.updateOne(
+        { _id: apiKey._id },
+        { $set: { lastUsedAt: new Date(), lastUsedIp: ipAddress } }
+      );
+    }
+
+    return { apiKey, user };
+  }
+}
@@ -0,0 +1,17 @@
+import fs from 'fs/promises';
+import { parseWireGuardDump } from '../../utils/wireguardDump.js';
+
+/**
+ * Read-only peer statistics source backed by a saved
+ * `wg show <interface> dump` file (fixtures, exported snapshots)
+ */
+export class DumpFileStatsSource {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async getPeerStats() {
+    const output = await fs.readFile(this.filePath, 'utf8');
+    return parseWireGuardDump(output).peers;
+  }
+}
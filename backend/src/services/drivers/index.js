@@ -0,0 +1,53 @@
+import { config } from '../../config/environment.js';
+import { WireGuardCliDriver } from './wireguardCliDriver.js';
+import { MemoryWireGuardDriver } from './memoryDriver.js';
+import { DumpFileStatsSource } from './dumpFileSource.js';
+
+let driver = null;
+
+/**
+ * Create the driver named in configuration
+ */
+const createDriver = (name) => {
+  switch (name) {
+    case 'cli':
+      return new WireGuardCliDriver({
+        interfaceName: config.wireguard.interface,
+        localServerId: config.wireguard.localServerId
+      });
+    case 'memory':
+      return new MemoryWireGuardDriver();
+    default:
+      throw new Error(`Unknown WireGuard driver: ${name}`);
+  }
+};
+
+/**
+ * Get the active WireGuard driver
+ */
+export const getWireGuardDriver = () => {
+  if (!driver) {
+    driver = createDriver(config.wireguard.driver);
+  }
+  return driver;
+};
+
+/**
+ * Get the source peer counters are collected from.
+ * A configured dump file takes precedence over the live driver.
+ */
+export const getPeerStatsSource = () => {
+  if (config.wireguard.dumpFile) {
+    return new DumpFileStatsSource(config.wireguard.dumpFile);
+  }
+  return getWireGuardDriver();
+};
+
+/**
+ * Replace the active WireGuard driver (used by tests)
+ */
+export const setWireGuardDriver = (newDriver) => {
+  driver = newDriver;
+};
+
+export { WireGuardCliDriver, MemoryWireGuardDriver, DumpFileStatsSource };
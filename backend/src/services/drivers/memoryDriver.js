@@ -0,0 +1,59 @@
+/**
+ * In-memory WireGuard driver for development and tests.
+ * Keeps peers per server and lets callers drive their counters.
+ */
+export class MemoryWireGuardDriver {
+  constructor() {
+    this.peers = new Map();
+  }
+
+  key(server, publicKey) {
+    return `${server._id}:${publicKey}`;
+  }
+
+  async addPeer(server, { publicKey, allowedIPs, presharedKey }) {
+    const existing = this.peers.get(this.key(server, publicKey));
+
+    this.peers.set(this.key(server, publicKey), {
+      publicKey,
+      hasPresharedKey: Boolean(presharedKey),
+      endpoint: existing?.endpoint || null,
+      allowedIPs: [...allowedIPs],
+      latestHandshake: existing?.latestHandshake || null,
+      transferRx: existing?.transferRx || 0,
+      transferTx: existing?.transferTx || 0,
+      persistentKeepalive: 0
+    });
+  }
+
+  async removePeer(server, { publicKey }) {
+    this.peers.delete(this.key(server, publicKey));
+  }
+
+  async getPeerStats(server) {
+    const prefix = `${server._id}:`;
+
+    return [...this.peers.entries()]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([, peer]) => ({ ...peer }));
+  }
+
+  /**
+   * Simulate traffic and a handshake for a peer
+   */
+  recordTraffic(server, publicKey, { rx = 0, tx = 0, handshakeAt = new Date() } = {}) {
+    const peer = this.peers.get(this.key(server, publicKey));
+
+    if (!peer) {
+      throw new Error('Peer not found');
+    }
+
+    peer.transferRx += rx;
+    peer.transferTx += tx;
+    peer.latestHandshake = handshakeAt;
+  }
+
+  reset() {
+    this.peers.clear();
+  }
+}
@@ -0,0 +1,116 @@
+import { spawn } from 'child_process';
+import { parseWireGuardDump } from '../../utils/wireguardDump.js';
+
+const COMMAND_TIMEOUT = 10000;
+
+/**
+ * WireGuard driver that manages peers on a local interface
+ * through the `wg` and `ip` command line tools.
+ * It only reaches the interface of the host it runs on, so it serves
+ * the one server configured as local and refuses every other server.
+ */
+export class WireGuardCliDriver {
+  constructor({ interfaceName = 'wg0', localServerId, wgBinary = 'wg', ipBinary = 'ip' } = {}) {
+    this.interfaceName = interfaceName;
+    this.localServerId = localServerId;
+    this.wgBinary = wgBinary;
+    this.ipBinary = ipBinary;
+  }
+
+  /**
+   * Refuse a server whose interface is not on this host
+   */
+  assertLocal(server) {
+    if (!this.localServerId) {
+      throw new Error('The cli WireGuard driver needs WIREGUARD_LOCAL_SERVER_ID set to the server on this host');
+    }
+
+    if (server._id.toString() !== this.localServerId) {
+      throw new Error(`Server ${server.name || server._id} is not on this host, the cli WireGuard driver only manages ${this.interfaceName} here`);
+    }
+  }
+
+  /**
+   * Add or update a peer and route its tunnel addresses to the interface
+   */
+  async addPeer(server, { publicKey, allowedIPs, presharedKey }) {
+    this.assertLocal(server);
+
+    const args = ['set', this.interfaceName, 'peer', publicKey, 'allowed-ips', allowedIPs.join(',')];
+
+    // The key is passed over stdin so it never shows up in the process list
+    if (presharedKey) {
+      args.push('preshared-key', '/dev/stdin');
+    }
+
+    await this.run(this.wgBinary, args, presharedKey);
+
+    for (const range of allowedIPs) {
+      const family = range.includes(':') ? '-6' : '-4';
+      await this.run(this.ipBinary, [family, 'route', 'replace', range, 'dev', this.interfaceName]);
+    }
+  }
+
+  /**
+   * Remove a peer and its routes from the interface
+   */
+  async removePeer(server, { publicKey, allowedIPs = [] }) {
+    this.assertLocal(server);
+
+    await this.run(this.wgBinary, ['set', this.interfaceName, 'peer', publicKey, 'remove']);
+
+    for (const range of allowedIPs) {
+      const family = range.includes(':') ? '-6' : '-4';
+      try {
+        await this.run(this.ipBinary, [family, 'route', 'del', range, 'dev', this.interfaceName]);
+      } catch (error) {
+        // Route may already be gone together with the peer
+      }
+    }
+  }
+
+  /**
+   * Read transfer and handshake counters for every peer on the interface
+   */
+  async getPeerStats(server) {
+    this.assertLocal(server);
+
+    const output = await this.run(this.wgBinary, ['show', this.interfaceName, 'dump']);
+    return parseWireGuardDump(output).peers;
+  }
+
+  /**
+   * Run a command and resolve with its stdout
+   */
+  run(command, args, input) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+      let stdout = '';
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`${command} timed out`));
+      }, COMMAND_TIMEOUT);
+
+      child.stdout.on('data', (chunk) => { stdout += chunk; });
+      child.stderr.on('data', (chunk) => { stderr += chunk; });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`${command} failed to start: ${error.message}`));
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve(stdout);
+        } else {
+          reject(new Error(`${command} ${args[0]} exited with code ${code}: ${stderr.trim()}`));
+        }
+      });
+
+      child.stdin.end(input ? `${input}\n` : undefined);
+    });
+  }
+}
@@ -0,0 +1,206 @@
+import AddressLease from '../models/AddressLease.js';
+import Connection from '../models/Connection.js';
+import Server from '../models/Server.js';
+import AuditLog from '../models/AuditLog.js';
+import {
+  parseIPv4Cidr,
+  ipv4ToInt,
+  intToIpv4,
+  isIPv4InSubnet,
+  ipv6AtOffset
+} from '../utils/network.js';
+
+const MAX_LEASE_ATTEMPTS = 5;
+// A lease is written before its connection is saved, so young leases
+// belong to connects still in progress and are never reclaimed
+const LEASE_GRACE_MS = 5 * 60 * 1000;
+
+export class IpamService {
+  /**
+   * Lease the lowest free tunnel address in the server pool.
+   * When the server has an IPv6 prefix the lease also gets the
+   * address at the same host offset inside that prefix.
+   */
+  static async leaseAddress(server, { connectionId, userId }) {
+    const pool = parseIPv4Cidr(server.technical.addressPool.ipv4);
+    const ipv6Prefix = server.technical.addressPool.ipv6;
+
+    const leased = await AddressLease.find({ serverId: server._id }).select('ipv4').lean();
+    const taken = new Set(leased.map(lease => ipv4ToInt(lease.ipv4)));
+    let candidate = pool.firstHost;
+
+    for (let attempt = 0; attempt < MAX_LEASE_ATTEMPTS; attempt++) {
+      while (candidate <= pool.lastHost && taken.has(candidate)) {
+        candidate++;
+      }
+
+      if (candidate > pool.lastHost) {
+        throw new Error('Address pool exhausted');
+      }
+
+      try {
+        return await AddressLease.create({
+          serverId: server._id,
+          connectionId,
+          userId,
+          ipv4: intToIpv4(candidate),
+          ipv6: ipv6Prefix ? ipv6AtOffset(ipv6Prefix, candidate - pool.network) : undefined
+        });
+      } catch (error) {
+        // Another request took the same address first, move on to the next one
+        if (error.code !== 11000) {
+          throw error;
+        }
+        taken.add(candidate);
+      }
+    }
+
+    throw new Error('Could not lease an address, please retry');
+  }
+
+  /**
+   * Release the address held by a connection
+   */
+  static async releaseAddress(connectionId) {
+    const result = await AddressLease.deleteOne({ connectionId });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Release leases whose connection is no longer active
+   */
+  static async reclaimStaleLeases(now = new Date()) {
+    const leasedBefore = new Date(now.getTime() - LEASE_GRACE_MS);
+    const leases = await AddressLease.find({ leasedAt: { $lt: leasedBefore } }).select('connectionId').lean();
+    if (leases.length === 0) {
+      return 0;
+    }
+
+    const activeIds = await Connection.distinct('_id', {
+      _id: { $in: leases.map(lease => lease.connectionId) },
+      status: { $in: ['connected', 'connecting'] }
+    });
+    const active = new Set(activeIds.map(id => id.toString()));
+
+    const staleIds = leases
+      .filter(lease => !active.has(lease.connectionId.toString()))
+      .map(lease => lease.connectionId);
+
+    if (staleIds.length === 0) {
+      return 0;
+    }
+
+    const result = await AddressLease.deleteMany({ connectionId: { $in: staleIds }, leasedAt: { $lt: leasedBefore } });
+    return result.deletedCount;
+  }
+
+  /**
+   * Find addresses used by more than one active connection on a server
+   */
+  static async findConflicts(serverId) {
+    const server = await Server.findById(serverId);
+
+    if (!server) {
+      throw new Error('Server not found');
+    }
+
+    const duplicates = await Connection.aggregate([
+      {
+        $match: {
+          serverId: server._id,
+          status: { $in: ['connected', 'connecting'] },
+          'metadata.protocol': { $ne: 'openvpn' }
+        }
+      },
+      {
+        $group: {
+          _id: '$config.address',
+          connections: { $push: '$_id' },
+          count: { $sum: 1 }
+        }
+      },
+      { $match: { count: { $gt: 1 } } }
+    ]);
+
+    const leases = await AddressLease.find({ serverId: server._id }).select('ipv4 connectionId').lean();
+    const outOfPool = leases.filter(lease => !isIPv4InSubnet(lease.ipv4, server.technical.addressPool.ipv4));
+
+    const conflicts = [
+      ...duplicates.map(entry => ({
+        type: 'duplicate_address',
+        address: entry._id,
+        connections: entry.connections
+      })),
+      ...outOfPool.map(lease => ({
+        type: 'outside_pool',
+        address: lease.ipv4,
+        connections: [lease.connectionId]
+      }))
+    ];
+
+    return conflicts;
+  }
+
+  /**
+   * Record a security event for every server with address conflicts
+   */
+  static async reportConflicts() {
+    const servers = await Server.find({ 'lifecycle.state': { $ne: 'retired' } }).select('_id');
+    let reported = 0;
+
+    for (const server of servers) {
+      const conflicts = await this.findConflicts(server._id);
+
+      if (conflicts.length > 0) {
+        await AuditLog.log({
+          action: 'security_event',
+          resourceId: server._id,
+          resourceType: 'server',
+          details: {
+            type: 'address_conflict',
+            conflicts: conflicts.length
+          },
+          status: 'warning'
+        });
+        reported++;
+      }
+    }
+
+    return reported;
+  }
+
+  /**
+   * Get address pool utilisation for a server
+   */
+  static async getPoolUsage(serverId) {
+    const server = await Server.findById(serverId);
+
+    if (!server) {
+      throw new Error('Server not found');
+    }
+
+    const subnet = server.technical.addressPool.ipv4;
+    const ipv6Prefix = server.technical.addressPool.ipv6;
+    const pool = parseIPv4Cidr(subnet);
+    const capacity = pool.lastHost - pool.firstHost + 1;
+    const leased = await AddressLease.countByServer(server._id);
+    const conflicts = await this.findConflicts(server._id);
+
+    return {
+      serverId: server._id,
+      name: server.name,
+      subnet,
+      gateway: intToIpv4(pool.gateway),
+      ipv6: ipv6Prefix ? {
+        prefix: ipv6Prefix,
+        gateway: ipv6AtOffset(ipv6Prefix, 1)
+      } : null,
+      capacity,
+      leased,
+      available: Math.max(0, capacity - leased),
+      utilization: Math.round((leased / capacity) * 10000) / 100,
+      conflicts,
+      timestamp: new Date()
+    };
+  }
+}
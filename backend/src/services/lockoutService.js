@@ -0,0 +1,212 @@
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import { MailService } from './mailService.js';
+import { broadcastToUser } from '../utils/websocket.js';
+import { createError } from '../middleware/errorHandler.js';
+import { config } from '../config/environment.js';
+
+const MINUTE_MS = 60 * 1000;
+
+export class LockoutService {
+  /**
+   * Seconds to wait after the given number of consecutive failures
+   */
+  static getDelaySeconds(failedAttempts) {
+    const { baseDelaySeconds, maxDelaySeconds } = config.lockout;
+    return Math.min(baseDelaySeconds * 2 ** (failedAttempts - 1), maxDelaySeconds);
+  }
+
+  /**
+   * Whether the account may try to log in right now
+   * @returns {Object|null} null when allowed, otherwise { statusCode, code, message, retryAfter }
+   */
+  static getLockState(user, now = new Date()) {
+    const { lockedUntil, nextAttemptAt } = user.lockout;
+
+    if (lockedUntil && lockedUntil > now) {
+      return {
+        statusCode: 423,
+        code: 'ACCOUNT_LOCKED',
+        message: 'Account is temporarily locked after too many failed logins',
+        retryAfter: Math.ceil((lockedUntil - now) / 1000),
+        lockedUntil
+      };
+    }
+
+    if (nextAttemptAt && nextAttemptAt > now) {
+      return {
+        statusCode: 429,
+        code: 'LOGIN_THROTTLED',
+        message: 'Too many failed logins, please wait before trying again',
+        retryAfter: Math.ceil((nextAttemptAt - now) / 1000)
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Reject the attempt if the account is locked or still backing off
+   */
+  static assertCanAttempt(user) {
+    const lock = this.getLockState(user);
+
+    if (lock) {
+      const error = createError(lock.message, lock.statusCode, lock.code);
+      error.retryAfter = lock.retryAfter;
+      throw error;
+    }
+  }
+
+  /**
+   * Count a failed login and lock the account once the limit is reached
+   */
+  static async recordFailure(user, clientInfo = {}) {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - config.lockout.failureWindowMinutes * MINUTE_MS);
+
+    // One atomic update, so parallel guesses can't skip past the limit.
+    // A stale last failure starts the count again.
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      [{
+        $set: {
+          'lockout.failedAttempts': {
+            $cond: [
+              { $lt: ['$lockout.lastFailedAt', windowStart] },
+              1,
+              { $add: [{ $ifNull: ['$lockout.failedAttempts', 0] }, 1] }
+            ]
+          },
+          'lockout.lastFailedAt': now
+        }
+      }],
+      { new: true }
+    );
+
+    if (!updated) {
+      return null;
+    }
+
+    const { failedAttempts } = updated.lockout;
+
+    if (failedAttempts < config.lockout.maxAttempts) {
+      const nextAttemptAt = new Date(now.getTime() + this.getDelaySeconds(failedAttempts) * 1000);
+      await User.updateOne({ _id: user._id }, { $set: { 'lockout.nextAttemptAt': nextAttemptAt } });
+
+      return { locked: false, failedAttempts, nextAttemptAt };
+    }
+
+    const lockedUntil = new Date(now.getTime() + config.lockout.lockMinutes * MINUTE_MS);
+
+    // Only the request that reached the limit locks and notifies
+    const result = await User.updateOne(
+      { _id: user._id, 'lockout.failedAttempts': failedAttempts },
+      {
+        $set: { 'lockout.lockedUntil': lockedUntil, 'lockout.failedAttempts': 0 },
+        $unset: { 'lockout.nextAttemptAt': '' },
+        $inc: { 'lockout.lockCount': 1 }
+      }
+    );
+
+    if (result.modifiedCount === 1) {
+      await this.notifyLocked(updated, { failedAttempts, lockedUntil }, clientInfo);
+    }
+
+    return { locked: true, failedAttempts, lockedUntil };
+  }
+
+  /**
+   * Tell the owner their account was locked
+   */
+  static async notifyLocked(user, { failedAttempts, lockedUntil }, { ipAddress, userAgent } = {}) {
+    await AuditLog.log({
+      action: 'security_event',
+      userId: user._id,
+      resourceId: user._id,
+      resourceType: 'user',
+      details: {
+        type: 'account_locked',
+        failedAttempts,
+        lockedUntil
+      },
+      ipAddress,
+      userAgent,
+      status: 'warning'
+    });
+
+    broadcastToUser(user._id.toString(), {
+      type: 'account_locked',
+      data: {
+        lockedUntil,
+        failedAttempts
+      }
+    });
+
+    // Signed out users only learn about it by email
+    await MailService.sendAccountLocked(user, lockedUntil).catch(error => {
+      console.warn(`Could not send lockout email to user ${user._id}:`, error.message);
+    });
+  }
+
+  /**
+   * Forget every failure, e.g. after a successful login
+   */
+  static async clear(userId) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: { 'lockout.failedAttempts': 0 },
+        $unset: {
+          'lockout.lastFailedAt': '',
+          'lockout.nextAttemptAt': '',
+          'lockout.lockedUntil': ''
+        }
+      }
+    );
+  }
+
+  static async recordSuccess(user) {
+    const { failedAttempts, nextAttemptAt, lockedUntil } = user.lockout;
+
+    if (failedAttempts > 0 || nextAttemptAt || lockedUntil) {
+      await this.clear(user._id);
+    }
+  }
+
+  /**
+   * Lift a lock on behalf of an admin
+   */
+  static async unlock(userId, adminId, { ipAddress, userAgent } = {}) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw createError('User not found', 404);
+    }
+
+    const wasLocked = Boolean(this.getLockState(user));
+
+    await this.clear(user._id);
+
+    await AuditLog.log({
+      action: 'admin_action',
+      userId: adminId,
+      resourceId: user._id,
+      resourceType: 'user',
+      details: {
+        type: 'account_unlocked',
+        wasLocked
+      },
+      ipAddress,
+      userAgent,
+      status: 'success'
+    });
+
+    return {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      wasLocked
+    };
+  }
+}
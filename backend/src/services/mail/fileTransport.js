@@ -0,0 +1,29 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import nodemailer from 'nodemailer';
+
+/**
+ * Writes each message as an .eml file instead of sending it.
+ * Used in development and tests, any mail client can open the files.
+ */
+export class FileMailTransport {
+  constructor({ directory }) {
+    this.directory = directory;
+    this.composer = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+      newline: 'unix'
+    });
+  }
+
+  async send(message) {
+    const info = await this.composer.sendMail(message);
+    const fileName = `${Date.now()}-${randomBytes(4).toString('hex')}.eml`;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(path.join(this.directory, fileName), info.message);
+
+    return { messageId: info.messageId, file: fileName };
+  }
+}
@@ -0,0 +1,39 @@
+import path from 'path';
+import { config } from '../../config/environment.js';
+import { SmtpMailTransport } from './smtpTransport.js';
+import { FileMailTransport } from './fileTransport.js';
+
+let transport = null;
+
+/**
+ * Create the mail transport named in configuration
+ */
+const createTransport = (name) => {
+  switch (name) {
+    case 'smtp':
+      return new SmtpMailTransport(config.mail.smtp);
+    case 'file':
+      return new FileMailTransport({ directory: path.resolve(config.mail.dropDir) });
+    default:
+      throw new Error(`Unknown mail transport: ${name}`);
+  }
+};
+
+/**
+ * Get the active mail transport
+ */
+export const getMailTransport = () => {
+  if (!transport) {
+    transport = createTransport(config.mail.transport);
+  }
+  return transport;
+};
+
+/**
+ * Replace the active mail transport (used by tests)
+ */
+export const setMailTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+export { SmtpMailTransport, FileMailTransport };
@@ -0,0 +1,20 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * Delivers mail through an SMTP relay
+ */
+export class SmtpMailTransport {
+  constructor({ host, port, secure, user, pass }) {
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
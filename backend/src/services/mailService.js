@@ -0,0 +1,120 @@
+import { getMailTransport } from './mail/index.js';
+import { config } from '../config/environment.js';
+
+const buildLink = (pathname, token) => {
+  const url = new URL(pathname, config.appUrl);
+  url.searchParams.set('token', token);
+  return url.toString();
+};
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+/**
+ * Template tag for HTML bodies that escapes every interpolated value,
+ * names and other user input can't inject markup into a mail
+ */
+const safeHtml = (strings, ...values) => {
+  return strings.reduce((html, string, i) => html + escapeHtml(values[i - 1]) + string);
+};
+
+export class MailService {
+  /**
+   * Send a message through the configured transport
+   */
+  static send({ to, subject, text, html }) {
+    return getMailTransport().send({
+      from: config.mail.from,
+      to,
+      subject,
+      text,
+      html
+    });
+  }
+
+  static sendEmailVerification(user, token) {
+    const link = buildLink('/verify-email', token);
+
+    return this.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'Confirm your email address to unlock every server:',
+        link,
+        '',
+        `The link expires in ${config.accountTokens.emailVerificationExpiresIn}.`
+      ].join('\n'),
+      html: safeHtml`<p>Hi ${user.username},</p>
+<p>Confirm your email address to unlock every server:</p>
+<p><a href="${link}">Verify email address</a></p>
+<p>The link expires in ${config.accountTokens.emailVerificationExpiresIn}.</p>`
+    });
+  }
+
+  static sendOrganizationInvitation(email, organization, inviter, token) {
+    const link = buildLink('/invitations/accept', token);
+
+    return this.send({
+      to: email,
+      subject: `You've been invited to join ${organization.name}`,
+      text: [
+        'Hi,',
+        '',
+        `${inviter.username} invited you to join ${organization.name} and share its VPN plan.`,
+        'Sign in or create an account with this email address, then accept the invitation:',
+        link,
+        '',
+        `The invitation expires in ${config.organizations.invitationExpiryDays} days.`
+      ].join('\n'),
+      html: safeHtml`<p>Hi,</p>
+<p>${inviter.username} invited you to join ${organization.name} and share its VPN plan.</p>
+<p>Sign in or create an account with this email address, then <a href="${link}">accept the invitation</a>.</p>
+<p>The invitation expires in ${config.organizations.invitationExpiryDays} days.</p>`
+    });
+  }
+
+  static sendAccountLocked(user, lockedUntil) {
+    const resetLink = new URL('/forgot-password', config.appUrl).toString();
+
+    return this.send({
+      to: user.email,
+      subject: 'Your account has been locked',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        `After several failed login attempts your account is locked until ${lockedUntil.toUTCString()}.`,
+        'If this was not you, reset your password to unlock it right away:',
+        resetLink
+      ].join('\n'),
+      html: safeHtml`<p>Hi ${user.username},</p>
+<p>After several failed login attempts your account is locked until ${lockedUntil.toUTCString()}.</p>
+<p>If this was not you, <a href="${resetLink}">reset your password</a> to unlock it right away.</p>`
+    });
+  }
+
+  static sendPasswordReset(user, token) {
+    const link = buildLink('/reset-password', token);
+
+    return this.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'Someone asked to reset the password of your account. If it was you, choose a new one here:',
+        link,
+        '',
+        `The link expires in ${config.accountTokens.passwordResetExpiresIn} and works once.`,
+        'If you did not ask for this, you can ignore this email.'
+      ].join('\n'),
+      html: safeHtml`<p>Hi ${user.username},</p>
+<p>Someone asked to reset the password of your account. If it was you, choose a new one here:</p>
+<p><a href="${link}">Reset password</a></p>
+<p>The link expires in ${config.accountTokens.passwordResetExpiresIn} and works once.
+If you did not ask for this, you can ignore this email.</p>`
+    });
+  }
+}
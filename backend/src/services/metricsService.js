@@ -0,0 +1,230 @@
+import Server from '../models/Server.js';
+import { getMetricModel, METRIC_RESOLUTIONS } from '../models/ServerMetric.js';
+import { ServerService } from './serverService.js';
+import { AgentService } from './agentService.js';
+import { createError } from '../middleware/errorHandler.js';
+import { config } from '../config/environment.js';
+
+// Each rollup and the resolution it is built from
+const ROLLUP_SOURCES = { '5m': '1m', '1h': '5m' };
+// Complete buckets revisited on every rollup run, so a missed run is caught up
+const ROLLUP_LOOKBACK = 3;
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse durations like 5m, 24h or 7d into milliseconds
+ */
+const parseDuration = (value) => {
+  const match = /^(\d+)([mhd])$/.exec(value || '');
+  return match ? parseInt(match[1], 10) * DURATION_UNITS[match[2]] : null;
+};
+
+const round = (value) => (typeof value === 'number' ? Math.round(value * 100) / 100 : null);
+
+export class MetricsService {
+  /**
+   * Take the per-minute sample of every server still in the fleet.
+   * Throughput comes from the agent when it reports, otherwise from
+   * the growth of the server's transfer counters since the last sample.
+   */
+  static async recordSamples(now = new Date()) {
+    const Raw = getMetricModel('1m');
+    const timestamp = new Date(Math.floor(now.getTime() / METRIC_RESOLUTIONS['1m']) * METRIC_RESOLUTIONS['1m']);
+
+    const sampled = await Raw.distinct('meta.serverId', { timestamp });
+    const servers = await Server.find({
+      _id: { $nin: sampled },
+      'lifecycle.state': { $ne: 'retired' }
+    }).select('load ping currentUsers stats.totalDataTransferred').lean();
+
+    if (servers.length === 0) {
+      return 0;
+    }
+
+    const reports = await AgentService.getFreshReports();
+    const previous = await Raw.aggregate([
+      {
+        $match: {
+          'meta.serverId': { $in: servers.map(server => server._id) },
+          timestamp: { $gte: new Date(timestamp.getTime() - 10 * METRIC_RESOLUTIONS['1m']), $lt: timestamp }
+        }
+      },
+      { $sort: { timestamp: -1 } },
+      { $group: { _id: '$meta.serverId', timestamp: { $first: '$timestamp' }, totals: { $first: '$totals' } } }
+    ]);
+    const previousByServer = new Map(previous.map(sample => [sample._id.toString(), sample]));
+
+    const samples = servers.map((server) => {
+      const totals = {
+        upload: server.stats?.totalDataTransferred?.upload || 0,
+        download: server.stats?.totalDataTransferred?.download || 0
+      };
+      const report = reports.get(server._id.toString());
+      const last = previousByServer.get(server._id.toString());
+
+      let throughput;
+      if (report) {
+        // The node receives what clients upload
+        throughput = { upload: report.rxBytesPerSec, download: report.txBytesPerSec };
+      } else if (last?.totals) {
+        const seconds = (timestamp - last.timestamp) / 1000;
+        throughput = {
+          upload: Math.max(0, (totals.upload - last.totals.upload) / seconds),
+          download: Math.max(0, (totals.download - last.totals.download) / seconds)
+        };
+      }
+
+      return {
+        timestamp,
+        meta: { serverId: server._id },
+        load: server.load,
+        loadMax: server.load,
+        users: server.currentUsers,
+        usersMax: server.currentUsers,
+        ping: server.ping,
+        throughput,
+        totals,
+        samples: 1
+      };
+    });
+
+    await Raw.insertMany(samples);
+    return samples.length;
+  }
+
+  /**
+   * Downsample the finer resolution into complete buckets of this one.
+   * Buckets already written are left alone.
+   */
+  static async rollup(resolution, now = new Date()) {
+    const source = getMetricModel(ROLLUP_SOURCES[resolution]);
+    const target = getMetricModel(resolution);
+    const size = METRIC_RESOLUTIONS[resolution];
+    const currentBucket = Math.floor(now.getTime() / size) * size;
+    let written = 0;
+
+    for (let i = ROLLUP_LOOKBACK; i >= 1; i--) {
+      const start = new Date(currentBucket - i * size);
+      const end = new Date(start.getTime() + size);
+      const done = await target.distinct('meta.serverId', { timestamp: start });
+
+      const buckets = await source.aggregate([
+        { $match: { timestamp: { $gte: start, $lt: end }, 'meta.serverId': { $nin: done } } },
+        {
+          $group: {
+            _id: '$meta.serverId',
+            load: { $avg: '$load' },
+            loadMax: { $max: '$loadMax' },
+            users: { $avg: '$users' },
+            usersMax: { $max: '$usersMax' },
+            ping: { $avg: '$ping' },
+            upload: { $avg: '$throughput.upload' },
+            download: { $avg: '$throughput.download' },
+            samples: { $sum: '$samples' }
+          }
+        }
+      ]);
+
+      if (buckets.length > 0) {
+        await target.insertMany(buckets.map(bucket => ({
+          timestamp: start,
+          meta: { serverId: bucket._id },
+          load: bucket.load,
+          loadMax: bucket.loadMax,
+          users: bucket.users,
+          usersMax: bucket.usersMax,
+          ping: bucket.ping,
+          throughput: bucket.upload === null && bucket.download === null
+            ? undefined
+            : { upload: bucket.upload, download: bucket.download },
+          samples: bucket.samples
+        })));
+        written += buckets.length;
+      }
+    }
+
+    return written;
+  }
+
+  /**
+   * Pick the coarsest stored resolution that fits the step evenly
+   * and is still kept for the whole range
+   */
+  static chooseResolution(rangeMs, stepMs) {
+    return ['1h', '5m', '1m'].find(resolution => {
+      const size = METRIC_RESOLUTIONS[resolution];
+      return stepMs >= size &&
+        stepMs % size === 0 &&
+        config.servers.metrics.retentionDays[resolution] * DAY_MS >= rangeMs;
+    });
+  }
+
+  /**
+   * Metric points of a server for charts, one per step
+   */
+  static async getMetrics(serverId, { range = '24h', step = '5m' } = {}) {
+    const rangeMs = parseDuration(range);
+    const stepMs = parseDuration(step);
+
+    if (!rangeMs || !stepMs) {
+      throw createError('Range and step must look like 30m, 24h or 7d', 400, 'INVALID_METRICS_QUERY');
+    }
+
+    if (rangeMs / stepMs > config.servers.metrics.maxPoints) {
+      throw createError(`A query may return at most ${config.servers.metrics.maxPoints} points, use a larger step`, 400, 'TOO_MANY_POINTS');
+    }
+
+    const resolution = this.chooseResolution(rangeMs, stepMs);
+
+    if (!resolution) {
+      throw createError(`Metrics at a ${step} step are not kept for ${range}, use a larger step or a shorter range`, 400, 'METRICS_RANGE_UNAVAILABLE');
+    }
+
+    const server = await ServerService.findServer(serverId);
+    const to = new Date();
+    const from = new Date(to.getTime() - rangeMs);
+
+    const points = await getMetricModel(resolution).aggregate([
+      { $match: { 'meta.serverId': server._id, timestamp: { $gte: from, $lte: to } } },
+      {
+        $group: {
+          _id: {
+            $toDate: {
+              $subtract: [{ $toLong: '$timestamp' }, { $mod: [{ $toLong: '$timestamp' }, stepMs] }]
+            }
+          },
+          load: { $avg: '$load' },
+          loadMax: { $max: '$loadMax' },
+          users: { $avg: '$users' },
+          usersMax: { $max: '$usersMax' },
+          ping: { $avg: '$ping' },
+          upload: { $avg: '$throughput.upload' },
+          download: { $avg: '$throughput.download' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return {
+      serverId: server._id,
+      range,
+      step,
+      resolution,
+      from,
+      to,
+      points: points.map(point => ({
+        timestamp: point._id,
+        load: round(point.load),
+        loadMax: round(point.loadMax),
+        users: round(point.users),
+        usersMax: point.usersMax,
+        ping: round(point.ping),
+        throughput: {
+          upload: round(point.upload),
+          download: round(point.download)
+        }
+      }))
+    };
+  }
+}
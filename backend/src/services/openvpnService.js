@@ -0,0 +1,329 @@
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import Connection from '../models/Connection.js';
+import Server from '../models/Server.js';
+import Device from '../models/Device.js';
+import AuditLog from '../models/AuditLog.js';
+import { createError } from '../middleware/errorHandler.js';
+import { EnvelopeEncryption, formatEndpoint } from '../utils/crypto.js';
+import { connectionIdFromCommonName, formatOpenVPNProfile, generateTlsCryptKey } from '../utils/openvpn.js';
+import { PkiService } from './pkiService.js';
+import { QuotaService } from './quotaService.js';
+import { WireGuardService } from './wireguardService.js';
+
+export class OpenVPNService {
+  /**
+   * Start a new OpenVPN session and build its .ovpn profile.
+   * Every session gets its own client certificate from the local PKI.
+   * The session stays connecting until the node reports the client.
+   */
+  static async connect(userId, serverId, clientInfo = {}, { deviceId, transport = 'udp' } = {}) {
+    let connection;
+    const connectionId = new mongoose.Types.ObjectId();
+
+    try {
+      if (!userId || !serverId) {
+        throw new Error('User ID and Server ID are required');
+      }
+
+      const server = await Server.findById(serverId).select('+technical.openvpn.tlsCryptKey');
+      if (!server) {
+        throw new Error('Server not found');
+      }
+
+      if (!server.active) {
+        throw new Error('Server is not active');
+      }
+
+      if (!server.isAvailable()) {
+        throw new Error('Server is not available for new connections');
+      }
+
+      if (!server.flags.supportsOpenVPN) {
+        throw createError('Server does not support OpenVPN', 400, 'PROTOCOL_NOT_SUPPORTED');
+      }
+
+      let device = null;
+      if (deviceId) {
+        device = await Device.findOwned(deviceId, userId);
+        if (!device) {
+          throw new Error('Device not found');
+        }
+      }
+
+      await QuotaService.assertCanConnect(userId, { deviceId: device?._id, server });
+
+      // Each device holds one session, reconnecting replaces it
+      if (device) {
+        const deviceSession = await Connection.findActiveByDevice(device._id);
+        if (deviceSession) {
+          await WireGuardService.disconnect(deviceSession._id);
+        }
+      }
+
+      const currentConnections = await Connection.getServerConnectionsCount(serverId);
+      if (currentConnections >= server.maxUsers * 0.95) {
+        throw new Error('Server is at capacity');
+      }
+
+      const port = transport === 'tcp' ? server.technical.openvpn.tcpPort : server.technical.openvpn.udpPort;
+      const tlsCryptKey = await this.getTlsCryptKey(server);
+      const credentials = await PkiService.issueClientCertificate({ connectionId, userId, server });
+
+      connection = new Connection({
+        _id: connectionId,
+        userId,
+        serverId: server._id,
+        deviceId: device?._id,
+        config: {
+          endpoint: formatEndpoint(server.technical.endpoint, port),
+          dns: server.technical.dns,
+          transport,
+          certificateSerial: credentials.serialNumber
+        },
+        status: 'connecting',
+        startTime: new Date(),
+        clientInfo: {
+          ip: clientInfo.ip,
+          userAgent: clientInfo.userAgent,
+          platform: clientInfo.platform,
+          country: clientInfo.country,
+          city: clientInfo.city
+        },
+        metadata: {
+          killSwitchEnabled: clientInfo.killSwitch !== false,
+          protocol: 'openvpn'
+        }
+      });
+
+      await connection.save();
+
+      // The profile holds the client private key, so it only exists encrypted on disk
+      const profile = formatOpenVPNProfile({
+        host: server.technical.endpoint,
+        port,
+        transport,
+        caCertificate: credentials.caCertificate,
+        certificate: credentials.certificate,
+        privateKey: credentials.privateKey,
+        tlsCryptKey
+      });
+      const configFileName = `ovpn-${connection._id}.ovpn`;
+      const configFilePath = path.join(process.cwd(), 'wireguard-configs', configFileName);
+
+      await fs.mkdir(path.dirname(configFilePath), { recursive: true });
+      await fs.writeFile(configFilePath, EnvelopeEncryption.encrypt(profile), 'utf8');
+
+      connection.config.configFile = configFileName;
+      await connection.save();
+
+      if (device) {
+        device.lastSeen = new Date();
+        await device.save();
+      }
+
+      await AuditLog.log({
+        action: 'connection_start',
+        userId,
+        resourceId: connection._id,
+        resourceType: 'connection',
+        details: {
+          server: server.name,
+          protocol: 'openvpn',
+          transport,
+          certificateSerial: credentials.serialNumber,
+          status: 'connecting'
+        },
+        ipAddress: clientInfo.ip,
+        userAgent: clientInfo.userAgent,
+        status: 'success'
+      });
+
+      return {
+        success: true,
+        connectionId: connection._id,
+        protocol: 'openvpn',
+        transport,
+        endpoint: connection.config.endpoint,
+        certificate: {
+          serialNumber: credentials.serialNumber,
+          expiresAt: credentials.notAfter
+        },
+        server: {
+          id: server._id,
+          name: server.name,
+          country: server.country,
+          countryCode: server.countryCode,
+          hostname: server.hostname,
+          load: server.load,
+          ping: server.ping
+        },
+        device: device ? {
+          id: device._id,
+          name: device.name,
+          platform: device.platform
+        } : null,
+        status: connection.status
+      };
+
+    } catch (error) {
+      if (connection) {
+        await connection.markError('CONNECTION_FAILED', error.message);
+      }
+
+      // A certificate may have been issued before the failure
+      await PkiService.revokeConnectionCertificates(connectionId).catch(err => {
+        console.warn('Could not revoke certificate after failed connection:', err.message);
+      });
+
+      await AuditLog.log({
+        action: 'connection_start',
+        userId,
+        resourceId: serverId,
+        resourceType: 'connection',
+        details: {
+          error: error.message,
+          protocol: 'openvpn',
+          serverId
+        },
+        ipAddress: clientInfo.ip,
+        status: 'failure'
+      });
+
+      const connectError = new Error(`Connection failed: ${error.message}`);
+      if (error.statusCode) {
+        connectError.statusCode = error.statusCode;
+        connectError.code = error.code;
+      }
+      throw connectError;
+    }
+  }
+
+  /**
+   * End an OpenVPN session. There is no peer to remove, the shared teardown
+   * revokes the session's client certificate so the node refuses it.
+   */
+  static disconnect(connectionId, userId = null) {
+    return WireGuardService.disconnect(connectionId, userId);
+  }
+
+  /**
+   * Mark sessions connected once their node reports the client,
+   * which is only when the node has accepted its certificate
+   * @param {Object} server - Server the node serves
+   * @param {Array<string>} commonNames - Certificate names of the connected clients
+   * @returns {Promise<number>} Sessions confirmed
+   */
+  static async confirmSessions(server, commonNames) {
+    const connectionIds = commonNames
+      .map(connectionIdFromCommonName)
+      .filter(Boolean);
+
+    if (connectionIds.length === 0) {
+      return 0;
+    }
+
+    const pending = await Connection.find({
+      _id: { $in: connectionIds },
+      serverId: server._id,
+      status: 'connecting',
+      'metadata.protocol': 'openvpn'
+    }).select('_id userId');
+
+    let confirmed = 0;
+
+    for (const connection of pending) {
+      // Claimed one by one so two heartbeats cannot count the same session
+      const result = await Connection.updateOne(
+        { _id: connection._id, status: 'connecting' },
+        { $set: { status: 'connected', startTime: new Date() } }
+      );
+
+      if (result.modifiedCount === 0) {
+        continue;
+      }
+
+      await Server.findByIdAndUpdate(server._id, {
+        $inc: { currentUsers: 1 },
+        $set: { 'stats.lastHealthCheck': new Date() }
+      });
+
+      await AuditLog.log({
+        action: 'connection_start',
+        userId: connection.userId,
+        resourceId: connection._id,
+        resourceType: 'connection',
+        details: {
+          server: server.name,
+          protocol: 'openvpn',
+          status: 'connected'
+        },
+        status: 'success'
+      });
+
+      confirmed++;
+    }
+
+    return confirmed;
+  }
+
+  /**
+   * Everything a node needs to serve OpenVPN: a fresh node certificate,
+   * the CA chain that signs client certificates and the tls-crypt key.
+   * Only ever sent to the server's own authenticated agent.
+   */
+  static async issueNodeCredentials(serverId) {
+    const server = await Server.findById(serverId).select('+technical.openvpn.tlsCryptKey');
+
+    if (!server) {
+      throw createError('Server not found', 404);
+    }
+
+    if (!server.flags.supportsOpenVPN) {
+      throw createError('Server does not support OpenVPN', 409, 'PROTOCOL_NOT_SUPPORTED');
+    }
+
+    const tlsCryptKey = await this.getTlsCryptKey(server);
+    const issued = await PkiService.issueServerCertificate(server);
+
+    return {
+      caCertificate: issued.caCertificate,
+      certificate: issued.certificate,
+      privateKey: issued.privateKey,
+      serialNumber: issued.serialNumber,
+      notBefore: issued.notBefore,
+      notAfter: issued.notAfter,
+      tlsCryptKey,
+      ports: {
+        udp: server.technical.openvpn.udpPort,
+        tcp: server.technical.openvpn.tcpPort
+      }
+    };
+  }
+
+  /**
+   * Get the server's tls-crypt key, generating it on first use
+   */
+  static async getTlsCryptKey(server) {
+    const stored = server.technical.openvpn?.tlsCryptKey;
+    if (stored) {
+      return EnvelopeEncryption.decrypt(stored);
+    }
+
+    const tlsCryptKey = generateTlsCryptKey();
+
+    // Only set it if no other request got there first
+    const result = await Server.updateOne(
+      { _id: server._id, 'technical.openvpn.tlsCryptKey': { $exists: false } },
+      { $set: { 'technical.openvpn.tlsCryptKey': EnvelopeEncryption.encrypt(tlsCryptKey) } }
+    );
+
+    if (result.modifiedCount === 0) {
+      const current = await Server.findById(server._id).select('+technical.openvpn.tlsCryptKey');
+      return EnvelopeEncryption.decrypt(current.technical.openvpn.tlsCryptKey);
+    }
+
+    return tlsCryptKey;
+  }
+}
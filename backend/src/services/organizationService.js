@@ -0,0 +1,445 @@
+import { createHash, randomBytes } from 'crypto';
+import Organization from '../models/Organization.js';
+import OrganizationInvitation from '../models/OrganizationInvitation.js';
+import User from '../models/User.js';
+import Connection from '../models/Connection.js';
+import AuditLog from '../models/AuditLog.js';
+import { MailService } from './mailService.js';
+import { WireGuardService } from './wireguardService.js';
+import { discover } from '../utils/oidc.js';
+import { broadcastToUser } from '../utils/websocket.js';
+import { createError } from '../middleware/errorHandler.js';
+import { config } from '../config/environment.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class OrganizationService {
+  static hashInvitationToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+  }
+
+  static async logAdminAction(adminId, type, organization, { ipAddress, userAgent } = {}, details = {}) {
+    await AuditLog.log({
+      action: 'admin_action',
+      userId: adminId,
+      resourceId: organization._id,
+      resourceType: 'organization',
+      details: {
+        type,
+        organization: organization.slug,
+        ...details
+      },
+      ipAddress,
+      userAgent
+    });
+  }
+
+  static listOrganizations() {
+    return Organization.find().sort({ name: 1 });
+  }
+
+  static async getOrganization(organizationId) {
+    const organization = await Organization.findById(organizationId);
+
+    if (!organization) {
+      throw createError('Organization not found', 404);
+    }
+
+    return organization;
+  }
+
+  static async createOrganization({ name, slug, domains = [] }, adminId, clientInfo) {
+    const existing = await Organization.findBySlug(slug);
+    if (existing) {
+      throw createError('An organization with this slug already exists', 409, 'ORGANIZATION_SLUG_TAKEN');
+    }
+
+    const organization = await Organization.create({ name, slug, domains });
+
+    await this.logAdminAction(adminId, 'organization_created', organization, clientInfo, { name, domains });
+
+    return organization;
+  }
+
+  /**
+   * Update an organization's IdP configuration. Omitted settings are kept,
+   * an empty client secret removes the stored one.
+   */
+  static async updateSso(organizationId, settings, adminId, clientInfo) {
+    const organization = await Organization.findById(organizationId).select('+sso.clientSecret');
+
+    if (!organization) {
+      throw createError('Organization not found', 404);
+    }
+
+    const { clientSecret, domains, ...sso } = settings;
+
+    for (const [key, value] of Object.entries(sso)) {
+      if (value !== undefined) {
+        organization.sso[key] = value;
+      }
+    }
+
+    if (clientSecret !== undefined) {
+      organization.sso.clientSecret = clientSecret || undefined;
+    }
+
+    if (organization.sso.enabled) {
+      if (!organization.sso.issuer || !organization.sso.clientId) {
+        throw createError('An issuer and client ID are required to enable single sign-on', 400, 'INVALID_IDP_CONFIG');
+      }
+
+      // Refuse an IdP we can't reach, rather than failing every login later
+      try {
+        await discover(organization.sso.issuer);
+      } catch (error) {
+        throw createError(`Could not load the identity provider's configuration: ${error.message}`, 400, 'INVALID_IDP_CONFIG');
+      }
+    }
+
+    if (domains) {
+      organization.domains = domains;
+    }
+
+    await organization.save();
+
+    await this.logAdminAction(adminId, 'organization_sso_updated', organization, clientInfo, {
+      enabled: organization.sso.enabled,
+      issuer: organization.sso.issuer,
+      clientSecretChanged: clientSecret !== undefined
+    });
+
+    return organization;
+  }
+
+  /**
+   * Change the size of an organization's shared pool
+   */
+  static async updatePool(organizationId, { maxDevices, dataLimit }, adminId, clientInfo) {
+    const organization = await this.getOrganization(organizationId);
+    const previous = { maxDevices: organization.pool.maxDevices, dataLimit: organization.pool.dataLimit };
+
+    if (maxDevices !== undefined) organization.pool.maxDevices = maxDevices;
+    if (dataLimit !== undefined) organization.pool.dataLimit = dataLimit;
+
+    await organization.save();
+
+    await this.logAdminAction(adminId, 'organization_pool_updated', organization, clientInfo, {
+      previous,
+      pool: organization.pool
+    });
+
+    return organization;
+  }
+
+  /**
+   * The organization a user belongs to, with their role in it
+   * @returns {Promise<Object|null>} { organization, role }
+   */
+  static async getUserOrganization(userId) {
+    const organization = await Organization.findByMember(userId);
+
+    return organization ? { organization, role: organization.getMember(userId).role } : null;
+  }
+
+  /**
+   * Enterprise customers set up their own organization and own it.
+   * Its email domains are left to platform admins.
+   */
+  static async createOwnedOrganization(user, { name, slug }, clientInfo) {
+    if (user.subscription !== 'enterprise') {
+      throw createError('Organizations are part of the enterprise plan', 403, 'ENTERPRISE_REQUIRED');
+    }
+
+    if (await Organization.findByMember(user._id)) {
+      throw createError('You already belong to an organization', 409, 'ALREADY_IN_ORGANIZATION');
+    }
+
+    if (await Organization.findBySlug(slug)) {
+      throw createError('An organization with this slug already exists', 409, 'ORGANIZATION_SLUG_TAKEN');
+    }
+
+    let organization;
+    try {
+      organization = await Organization.create({
+        name,
+        slug,
+        members: [{ userId: user._id, role: 'owner' }]
+      });
+    } catch (error) {
+      // Lost a race with another join or a slug claim
+      if (error.code === 11000 && error.keyPattern?.slug) {
+        throw createError('An organization with this slug already exists', 409, 'ORGANIZATION_SLUG_TAKEN');
+      }
+      if (error.code === 11000) {
+        throw createError('You already belong to an organization', 409, 'ALREADY_IN_ORGANIZATION');
+      }
+      throw error;
+    }
+
+    await this.logAdminAction(user._id, 'organization_created', organization, clientInfo, { name });
+
+    return organization;
+  }
+
+  /**
+   * Add a user to an organization, unless they already belong to one.
+   * The unique index on members.userId settles concurrent joins.
+   * @returns {Promise<boolean>} Whether the user was added
+   */
+  static async addMember(organizationId, userId, role = 'member') {
+    try {
+      const result = await Organization.updateOne(
+        { _id: organizationId, 'members.userId': { $ne: userId } },
+        { $push: { members: { userId, role, joinedAt: new Date() } } }
+      );
+
+      return result.modifiedCount > 0;
+    } catch (error) {
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  static async listMembers(organization) {
+    const users = await User.find({ _id: { $in: organization.getMemberIds() } })
+      .select('username email isActive lastLogin');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const activeCounts = await Connection.aggregate([
+      { $match: { userId: { $in: organization.getMemberIds() }, status: { $in: ['connected', 'connecting'] } } },
+      { $group: { _id: '$userId', count: { $sum: 1 } } }
+    ]);
+    const activeByUser = new Map(activeCounts.map(entry => [entry._id.toString(), entry.count]));
+
+    return organization.members.map(member => {
+      const user = usersById.get(member.userId.toString());
+
+      return {
+        userId: member.userId,
+        role: member.role,
+        joinedAt: member.joinedAt,
+        username: user?.username,
+        email: user?.email,
+        isActive: user?.isActive,
+        lastLogin: user?.lastLogin,
+        activeConnections: activeByUser.get(member.userId.toString()) || 0
+      };
+    });
+  }
+
+  /**
+   * Invite someone by email. Inviting the same address again replaces
+   * the earlier invitation. Only the owner can invite admins.
+   */
+  static async inviteMember(organization, inviter, inviterRole, { email, role = 'member' }, clientInfo) {
+    if (role === 'admin' && inviterRole !== 'owner') {
+      throw createError('Only the owner can invite admins', 403, 'OWNER_REQUIRED');
+    }
+
+    const existingUser = await User.findByEmail(email);
+    if (existingUser && organization.getMember(existingUser._id)) {
+      throw createError('This user is already a member', 409, 'ALREADY_A_MEMBER');
+    }
+
+    const token = randomBytes(32).toString('base64url');
+
+    const invitation = await OrganizationInvitation.findOneAndUpdate(
+      { organizationId: organization._id, email: email.toLowerCase() },
+      {
+        $set: {
+          role,
+          tokenHash: this.hashInvitationToken(token),
+          invitedBy: inviter._id,
+          expiresAt: new Date(Date.now() + config.organizations.invitationExpiryDays * DAY_MS)
+        }
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    await MailService.sendOrganizationInvitation(invitation.email, organization, inviter, token);
+
+    await this.logAdminAction(inviter._id, 'organization_member_invited', organization, clientInfo, {
+      email: invitation.email,
+      role
+    });
+
+    return invitation;
+  }
+
+  static listInvitations(organization) {
+    return OrganizationInvitation.find({ organizationId: organization._id, expiresAt: { $gt: new Date() } })
+      .sort({ createdAt: -1 });
+  }
+
+  static async revokeInvitation(organization, invitationId, actorId, clientInfo) {
+    const invitation = await OrganizationInvitation.findOneAndDelete({
+      _id: invitationId,
+      organizationId: organization._id
+    });
+
+    if (!invitation) {
+      throw createError('Invitation not found', 404);
+    }
+
+    await this.logAdminAction(actorId, 'organization_invitation_revoked', organization, clientInfo, {
+      email: invitation.email
+    });
+  }
+
+  /**
+   * Join an organization with an emailed invitation. It is only valid
+   * for the account with the address it was sent to.
+   */
+  static async acceptInvitation(user, token, clientInfo) {
+    const invitation = await OrganizationInvitation.findOne({
+      tokenHash: this.hashInvitationToken(token),
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!invitation) {
+      throw createError('Invitation is invalid or has expired', 400, 'INVALID_INVITATION');
+    }
+
+    if (invitation.email !== user.email) {
+      throw createError('This invitation was sent to a different email address', 403, 'INVITATION_EMAIL_MISMATCH');
+    }
+
+    const added = await this.addMember(invitation.organizationId, user._id, invitation.role);
+    if (!added) {
+      throw createError('You already belong to an organization', 409, 'ALREADY_IN_ORGANIZATION');
+    }
+
+    await invitation.deleteOne();
+
+    const organization = await this.getOrganization(invitation.organizationId);
+
+    await this.logAdminAction(user._id, 'organization_member_joined', organization, clientInfo, {
+      role: invitation.role,
+      invitedBy: invitation.invitedBy
+    });
+
+    return organization;
+  }
+
+  static getMembership(organization, userId) {
+    const member = organization.getMember(userId);
+
+    if (!member) {
+      throw createError('Member not found', 404);
+    }
+
+    return member;
+  }
+
+  /**
+   * Change a member's role. Making someone owner hands ownership over,
+   * the previous owner stays on as an admin.
+   */
+  static async updateMemberRole(organization, ownerId, userId, role, clientInfo) {
+    const member = this.getMembership(organization, userId);
+
+    if (member.userId.equals(ownerId)) {
+      throw createError('You cannot change your own role', 400, 'CANNOT_CHANGE_OWN_ROLE');
+    }
+
+    const previousRole = member.role;
+    member.role = role;
+
+    if (role === 'owner') {
+      this.getMembership(organization, ownerId).role = 'admin';
+    }
+
+    await organization.save();
+
+    await this.logAdminAction(ownerId, 'organization_member_role_changed', organization, clientInfo, {
+      memberId: member.userId,
+      previousRole,
+      role
+    });
+
+    return member;
+  }
+
+  /**
+   * Remove a member, who falls back to their own limits. Admins can
+   * only remove regular members, nobody can remove the owner.
+   */
+  static async removeMember(organization, actor, userId, clientInfo) {
+    const member = this.getMembership(organization, userId);
+
+    if (member.role === 'owner') {
+      throw createError('The owner cannot be removed', 400, 'CANNOT_REMOVE_OWNER');
+    }
+
+    if (member.role === 'admin' && actor.role !== 'owner') {
+      throw createError('Only the owner can remove admins', 403, 'OWNER_REQUIRED');
+    }
+
+    await Organization.updateOne(
+      { _id: organization._id },
+      { $pull: { members: { userId: member.userId } } }
+    );
+
+    await this.logAdminAction(actor.userId, 'organization_member_removed', organization, clientInfo, {
+      memberId: member.userId,
+      role: member.role
+    });
+  }
+
+  static async leaveOrganization(userId, clientInfo) {
+    const organization = await Organization.findByMember(userId);
+
+    if (!organization) {
+      throw createError('You do not belong to an organization', 404, 'NOT_IN_ORGANIZATION');
+    }
+
+    if (organization.getMember(userId).role === 'owner') {
+      throw createError('Hand ownership to another member before leaving', 409, 'OWNER_CANNOT_LEAVE');
+    }
+
+    await Organization.updateOne(
+      { _id: organization._id },
+      { $pull: { members: { userId } } }
+    );
+
+    await this.logAdminAction(userId, 'organization_member_left', organization, clientInfo);
+  }
+
+  static getMemberConnections(organization, userId, limit) {
+    this.getMembership(organization, userId);
+    return Connection.getUserConnectionHistory(userId, limit);
+  }
+
+  /**
+   * End every VPN session of a member. Admins can only disconnect
+   * regular members, the owner's sessions are only ended by the owner.
+   */
+  static async disconnectMember(organization, actor, userId, clientInfo) {
+    const member = this.getMembership(organization, userId);
+
+    if (member.role !== 'member' && actor.role !== 'owner') {
+      throw createError('Only the owner can disconnect admins and the owner', 403, 'OWNER_REQUIRED');
+    }
+    const result = await WireGuardService.disconnectAllUserConnections(member.userId.toString());
+
+    if (result.total > 0) {
+      broadcastToUser(member.userId.toString(), {
+        type: 'force_disconnected',
+        data: {
+          organization: organization.name,
+          disconnected: result.successful
+        }
+      });
+    }
+
+    await this.logAdminAction(actor.userId, 'organization_member_disconnected', organization, clientInfo, {
+      memberId: member.userId,
+      ...result
+    });
+
+    return result;
+  }
+}
@@ -0,0 +1,302 @@
+import Certificate from '../models/Certificate.js';
+import Server from '../models/Server.js';
+import AuditLog from '../models/AuditLog.js';
+import { CertificateAuthority } from '../utils/certificateAuthority.js';
+import { EnvelopeEncryption } from '../utils/crypto.js';
+import { config } from '../config/environment.js';
+import { createError } from '../middleware/errorHandler.js';
+
+export class PkiService {
+  /**
+   * Unwrap a stored authority into the PEM pair the CA helpers sign with
+   */
+  static toIssuer(authority) {
+    return {
+      certificate: authority.certificate,
+      privateKey: EnvelopeEncryption.decrypt(authority.privateKey)
+    };
+  }
+
+  /**
+   * Store a newly created authority, or return the one another
+   * instance stored first
+   */
+  static async storeAuthority(fields, findExisting) {
+    try {
+      const created = await Certificate.create(fields);
+
+      await AuditLog.log({
+        action: 'security_event',
+        resourceId: fields.serverId || created._id,
+        resourceType: fields.serverId ? 'server' : 'system',
+        details: {
+          type: 'ca_created',
+          certificateType: created.type,
+          commonName: created.commonName,
+          serialNumber: created.serialNumber,
+          notAfter: created.notAfter
+        }
+      });
+
+      return Certificate.findById(created._id).select('+privateKey');
+    } catch (error) {
+      if (error.code === 11000) {
+        return findExisting().select('+privateKey');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the root authority, creating it on first use
+   */
+  static async getRootAuthority() {
+    const existing = await Certificate.findRoot().select('+privateKey');
+    if (existing) {
+      return existing;
+    }
+
+    const root = await CertificateAuthority.createRoot({
+      commonName: config.pki.rootCommonName,
+      validityDays: config.pki.rootValidityDays
+    });
+
+    return this.storeAuthority({
+      type: 'root',
+      commonName: config.pki.rootCommonName,
+      serialNumber: root.serialNumber,
+      certificate: root.certificate,
+      privateKey: root.privateKey,
+      notBefore: root.notBefore,
+      notAfter: root.notAfter
+    }, () => Certificate.findRoot());
+  }
+
+  /**
+   * Get the intermediate authority of a server, creating it on first use.
+   * Keeping one issuer per server means a compromised server only
+   * takes its own intermediate down with it.
+   */
+  static async getServerAuthority(server) {
+    const existing = await Certificate.findServerAuthority(server._id).select('+privateKey');
+    if (existing && existing.notAfter > new Date()) {
+      return existing;
+    }
+
+    // An expired intermediate is retired before a new one is issued
+    if (existing) {
+      await this.revokeCertificate(existing, 'superseded');
+    }
+
+    const root = await this.getRootAuthority();
+    const commonName = `${server.name} Issuing CA`;
+    const intermediate = await CertificateAuthority.createIntermediate(this.toIssuer(root), {
+      commonName,
+      validityDays: config.pki.intermediateValidityDays
+    });
+
+    return this.storeAuthority({
+      type: 'intermediate',
+      commonName,
+      serialNumber: intermediate.serialNumber,
+      certificate: intermediate.certificate,
+      privateKey: intermediate.privateKey,
+      issuerSerial: root.serialNumber,
+      serverId: server._id,
+      notBefore: intermediate.notBefore,
+      notAfter: intermediate.notAfter
+    }, () => Certificate.findServerAuthority(server._id));
+  }
+
+  /**
+   * Issue a short-lived client certificate for a connection.
+   * The private key is returned once and never stored.
+   */
+  static async issueClientCertificate({ connectionId, userId, server }) {
+    const root = await this.getRootAuthority();
+    const authority = await this.getServerAuthority(server);
+
+    const commonName = `connection-${connectionId}`;
+    const issued = await CertificateAuthority.issueCertificate(this.toIssuer(authority), {
+      commonName,
+      type: 'client',
+      validityHours: config.pki.clientValidityHours
+    });
+
+    await Certificate.create({
+      type: 'client',
+      commonName,
+      serialNumber: issued.serialNumber,
+      certificate: issued.certificate,
+      issuerSerial: authority.serialNumber,
+      serverId: server._id,
+      userId,
+      connectionId,
+      notBefore: issued.notBefore,
+      notAfter: issued.notAfter
+    });
+
+    return {
+      ...issued,
+      // Clients need the whole chain to verify the server certificate
+      caCertificate: `${authority.certificate.trim()}\n${root.certificate.trim()}`
+    };
+  }
+
+  /**
+   * Issue the certificate an OpenVPN node presents to clients.
+   * Like client keys, the private key is returned once and never stored.
+   * Earlier node certificates of the server are superseded.
+   */
+  static async issueServerCertificate(server) {
+    const root = await this.getRootAuthority();
+    const authority = await this.getServerAuthority(server);
+
+    const issued = await CertificateAuthority.issueCertificate(this.toIssuer(authority), {
+      commonName: server.hostname,
+      type: 'server',
+      validityDays: config.pki.serverValidityDays
+    });
+
+    await Certificate.create({
+      type: 'server',
+      commonName: server.hostname,
+      serialNumber: issued.serialNumber,
+      certificate: issued.certificate,
+      issuerSerial: authority.serialNumber,
+      serverId: server._id,
+      notBefore: issued.notBefore,
+      notAfter: issued.notAfter
+    });
+
+    await this.revokeMatching({
+      serverId: server._id,
+      type: 'server',
+      serialNumber: { $ne: issued.serialNumber }
+    }, 'superseded');
+
+    await AuditLog.log({
+      action: 'security_event',
+      resourceId: server._id,
+      resourceType: 'server',
+      details: {
+        type: 'server_certificate_issued',
+        commonName: server.hostname,
+        serialNumber: issued.serialNumber,
+        notAfter: issued.notAfter
+      }
+    });
+
+    return {
+      ...issued,
+      // The node verifies client certificates against the same chain
+      caCertificate: `${authority.certificate.trim()}\n${root.certificate.trim()}`
+    };
+  }
+
+  /**
+   * Revoke a single certificate
+   */
+  static async revokeCertificate(certificate, reason = 'unspecified') {
+    const result = await Certificate.updateOne(
+      { _id: certificate._id, status: 'active' },
+      { $set: { status: 'revoked', revokedAt: new Date(), revocationReason: reason } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+
+    await AuditLog.log({
+      action: 'security_event',
+      userId: certificate.userId,
+      resourceId: certificate.connectionId || certificate.serverId || certificate._id,
+      resourceType: certificate.connectionId ? 'connection' : 'server',
+      details: {
+        type: 'certificate_revoked',
+        certificateType: certificate.type,
+        serialNumber: certificate.serialNumber,
+        reason
+      }
+    });
+
+    return true;
+  }
+
+  /**
+   * Revoke every active certificate matching a query
+   */
+  static async revokeMatching(query, reason) {
+    const certificates = await Certificate.find({ ...query, status: 'active' });
+    let revoked = 0;
+
+    for (const certificate of certificates) {
+      if (await this.revokeCertificate(certificate, reason)) {
+        revoked++;
+      }
+    }
+
+    return revoked;
+  }
+
+  /**
+   * Revoke the certificates issued for a connection once it ends
+   */
+  static revokeConnectionCertificates(connectionId, reason = 'cessationOfOperation') {
+    return this.revokeMatching({ connectionId, type: 'client' }, reason);
+  }
+
+  /**
+   * Revoke every client certificate of a user, e.g. on deactivation
+   */
+  static revokeUserCertificates(userId, reason = 'affiliationChanged') {
+    return this.revokeMatching({ userId, type: 'client' }, reason);
+  }
+
+  /**
+   * Build the CRL of an authority from its revoked, unexpired certificates
+   */
+  static async buildCrl(authority) {
+    const revoked = await Certificate.findRevokedByIssuer(authority.serialNumber);
+
+    return CertificateAuthority.createCrl(this.toIssuer(authority), revoked, {
+      validityHours: config.pki.crlValidityHours
+    });
+  }
+
+  /**
+   * CRL of the root, listing revoked intermediates
+   */
+  static async getRootCrl() {
+    const root = await this.getRootAuthority();
+    return this.buildCrl(root);
+  }
+
+  /**
+   * CRL of a server's intermediate, listing revoked client certificates.
+   * Servers that never issued a certificate have no intermediate and no CRL.
+   */
+  static async getServerCrl(serverId) {
+    const server = await Server.findById(serverId);
+
+    if (!server) {
+      throw createError('Server not found', 404);
+    }
+
+    const authority = await Certificate.findServerAuthority(server._id).select('+privateKey');
+
+    if (!authority) {
+      throw createError('This server has no certificate authority', 404, 'NO_CERTIFICATE_AUTHORITY');
+    }
+
+    return this.buildCrl(authority);
+  }
+
+  /**
+   * Root certificate as PEM, safe to publish
+   */
+  static async getRootCertificate() {
+    const root = await this.getRootAuthority();
+    return root.certificate;
+  }
+}
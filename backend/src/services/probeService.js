@@ -0,0 +1,148 @@
+import Server from '../models/Server.js';
+import ProbeResult from '../models/ProbeResult.js';
+import { ServerService } from './serverService.js';
+import { AgentService } from './agentService.js';
+import { getProbe } from './probes/index.js';
+import { getRoundOutcome, updateStreaks, nextHealthStatus, worstHealthStatus } from '../utils/health.js';
+import { createError } from '../middleware/errorHandler.js';
+import { config } from '../config/environment.js';
+
+export class ProbeService {
+  /**
+   * Where and how long a probe runs against a server
+   */
+  static resolveTarget(server, probe) {
+    const defaultPorts = {
+      tcp: server.technical.openvpn?.tcpPort,
+      udp: config.servers.probes.udpEchoPort,
+      http: config.servers.probes.httpPort
+    };
+
+    return {
+      host: server.ip,
+      port: probe.port || defaultPorts[probe.type],
+      path: probe.path,
+      timeoutMs: probe.timeoutMs || config.servers.probes.timeoutMs
+    };
+  }
+
+  /**
+   * Run every probe configured for a server at once
+   * @returns {Promise<Array>} [{ type, port, ok, latencyMs, error }]
+   */
+  static async runProbes(server) {
+    return Promise.all(server.healthChecks.probes.map(async (probe) => {
+      const target = this.resolveTarget(server, probe);
+
+      try {
+        const result = await getProbe(probe.type).run(target);
+        return { type: probe.type, port: target.port, ...result };
+      } catch (error) {
+        return { type: probe.type, port: target.port, ok: false, error: error.message };
+      }
+    }));
+  }
+
+  /**
+   * Probe a server, move its health along and record the results.
+   * The server ends up with the worse of the probe and agent verdicts.
+   */
+  static async probeServer(server) {
+    const results = await this.runProbes(server);
+    const outcome = getRoundOutcome(results);
+    const streaks = updateStreaks(server.healthChecks.streaks, outcome);
+    const probeStatus = nextHealthStatus(server.healthChecks.status || 'healthy', streaks, config.servers.probes);
+    const healthStatus = worstHealthStatus(probeStatus, await AgentService.getReportedStatus(server._id));
+    const now = new Date();
+
+    await Server.updateOne(
+      { _id: server._id },
+      {
+        $set: {
+          'healthChecks.status': probeStatus,
+          'healthChecks.streaks': streaks,
+          'healthChecks.lastProbeAt': now
+        }
+      }
+    );
+
+    const latencies = results.filter(result => result.ok && result.latencyMs !== undefined).map(result => result.latencyMs);
+
+    await ServerService.updateServerMetrics(server._id, {
+      healthStatus,
+      ...(latencies.length > 0 && { ping: Math.min(...latencies) })
+    });
+
+    await ProbeResult.insertMany(results.map(result => ({
+      timestamp: now,
+      meta: {
+        serverId: server._id,
+        type: result.type,
+        port: result.port
+      },
+      ok: result.ok,
+      latencyMs: result.latencyMs,
+      error: result.error,
+      status: healthStatus
+    })));
+
+    return { outcome, probeStatus, healthStatus, results };
+  }
+
+  /**
+   * Probe every server that has probes configured
+   */
+  static async probeAll() {
+    const servers = await Server.find({
+      'healthChecks.probes.0': { $exists: true },
+      'lifecycle.state': { $ne: 'retired' }
+    });
+
+    return Promise.allSettled(servers.map(server => this.probeServer(server)));
+  }
+
+  /**
+   * Replace a server's probes. Removing them all stops probing
+   * and leaves its health to the agent.
+   */
+  static async updateProbes(serverId, probes, adminId, clientInfo) {
+    const server = await ServerService.findServer(serverId);
+    const previous = server.toObject().healthChecks?.probes || [];
+
+    server.healthChecks.probes = probes;
+    server.healthChecks.streaks = { healthy: 0, reachable: 0, failing: 0, down: 0 };
+    server.healthChecks.status = undefined;
+    await server.save();
+
+    await ServerService.logAdminAction(adminId, 'server_probes_updated', server, clientInfo, {
+      from: previous,
+      to: probes
+    });
+
+    return server;
+  }
+
+  static async runNow(serverId) {
+    const server = await ServerService.findServer(serverId);
+
+    if (server.healthChecks.probes.length === 0) {
+      throw createError('This server has no probes configured', 409, 'NO_PROBES');
+    }
+
+    return this.probeServer(server);
+  }
+
+  static async getProbeStatus(serverId, { since, limit } = {}) {
+    const server = await ServerService.findServer(serverId);
+    const { probes, status, streaks, lastProbeAt } = server.toObject().healthChecks || {};
+
+    return {
+      probes: probes || [],
+      status: status || null,
+      healthStatus: server.stats.healthStatus,
+      streaks,
+      lastProbeAt,
+      history: await ProbeResult.getHistory(server._id, { since, limit })
+    };
+  }
+}
@@ -0,0 +1,28 @@
+import axios from 'axios';
+import net from 'net';
+
+/**
+ * Probe that requests a health URL on the node and succeeds on a 2xx answer
+ */
+export class HttpProbe {
+  async run({ host, port, path = '/health', timeoutMs }) {
+    const start = Date.now();
+    const address = net.isIPv6(host) ? `[${host}]` : host;
+
+    try {
+      const response = await axios.get(`http://${address}:${port}${path}`, {
+        timeout: timeoutMs,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+
+      if (response.status < 200 || response.status >= 300) {
+        return { ok: false, latencyMs: Date.now() - start, error: `Health URL answered ${response.status}` };
+      }
+
+      return { ok: true, latencyMs: Date.now() - start };
+    } catch (error) {
+      return { ok: false, error: error.code === 'ECONNABORTED' ? `Request timed out after ${timeoutMs}ms` : error.message };
+    }
+  }
+}
@@ -0,0 +1,31 @@
+import { TcpProbe } from './tcpProbe.js';
+import { UdpProbe } from './udpProbe.js';
+import { HttpProbe } from './httpProbe.js';
+
+const probes = {
+  tcp: new TcpProbe(),
+  udp: new UdpProbe(),
+  http: new HttpProbe()
+};
+
+/**
+ * Get the probe implementation for a type
+ */
+export const getProbe = (type) => {
+  const probe = probes[type];
+
+  if (!probe) {
+    throw new Error(`Unknown probe type: ${type}`);
+  }
+
+  return probe;
+};
+
+/**
+ * Replace the probe for a type (used by tests)
+ */
+export const setProbe = (type, probe) => {
+  probes[type] = probe;
+};
+
+export { TcpProbe, UdpProbe, HttpProbe };
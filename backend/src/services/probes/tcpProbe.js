@@ -0,0 +1,22 @@
+import net from 'net';
+
+/**
+ * Probe that succeeds when a TCP connection can be opened
+ */
+export class TcpProbe {
+  run({ host, port, timeoutMs }) {
+    return new Promise((resolve) => {
+      const start = Date.now();
+      const socket = net.connect({ host, port });
+
+      const finish = (result) => {
+        socket.destroy();
+        resolve(result);
+      };
+
+      socket.setTimeout(timeoutMs, () => finish({ ok: false, error: `Connection timed out after ${timeoutMs}ms` }));
+      socket.once('connect', () => finish({ ok: true, latencyMs: Date.now() - start }));
+      socket.once('error', (error) => finish({ ok: false, error: error.message }));
+    });
+  }
+}
@@ -0,0 +1,57 @@
+import dgram from 'dgram';
+import net from 'net';
+import { randomBytes } from 'crypto';
+
+// Size and type of a WireGuard handshake initiation message
+const INITIATION_SIZE = 148;
+const INITIATION_TYPE = 1;
+
+/**
+ * Build a packet framed like a WireGuard handshake initiation.
+ * The key material is random, so only an echo responder answers it.
+ */
+export const buildInitiationPacket = () => {
+  const packet = randomBytes(INITIATION_SIZE);
+  packet.writeUInt32LE(INITIATION_TYPE, 0);
+  return packet;
+};
+
+export const isInitiationPacket = (packet) => {
+  return packet.length === INITIATION_SIZE && packet.readUInt32LE(0) === INITIATION_TYPE;
+};
+
+/**
+ * Probe that sends a handshake initiation to the node's echo responder
+ * and succeeds when the same packet comes back. This exercises the
+ * UDP path clients use without needing a peer on the interface.
+ */
+export class UdpProbe {
+  run({ host, port, timeoutMs }) {
+    return new Promise((resolve) => {
+      const start = Date.now();
+      const packet = buildInitiationPacket();
+      const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+
+      let done = false;
+
+      const finish = (result) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        socket.close();
+        resolve(result);
+      };
+
+      const timer = setTimeout(() => finish({ ok: false, error: `No echo within ${timeoutMs}ms` }), timeoutMs);
+
+      socket.on('message', (reply) => {
+        if (reply.equals(packet)) {
+          finish({ ok: true, latencyMs: Date.now() - start });
+        }
+      });
+      socket.once('error', (error) => finish({ ok: false, error: error.message }));
+
+      socket.send(packet, port, host);
+    });
+  }
+}
@@ -0,0 +1,273 @@
+import User from '../models/User.js';
+import Connection from '../models/Connection.js';
+import Organization from '../models/Organization.js';
+import AuditLog from '../models/AuditLog.js';
+import { WireGuardService } from './wireguardService.js';
+import { broadcastToUser } from '../utils/websocket.js';
+import { createError } from '../middleware/errorHandler.js';
+
+// Usage percentages at which the user is warned, in ascending order
+const WARNING_THRESHOLDS = [80, 95];
+
+export class QuotaService {
+  /**
+   * Get current quota usage for a user. Members of an organization
+   * see the organization's shared pool instead of their own limits.
+   */
+  static async getQuota(user) {
+    const organization = await Organization.findByMember(user._id);
+
+    if (organization) {
+      return this.getPoolQuota(organization);
+    }
+
+    const activeConnections = await Connection.countActiveByUser(user._id);
+    const used = user.dataUsage.upload + user.dataUsage.download;
+
+    return {
+      scope: 'user',
+      data: {
+        limit: user.limits.dataLimit,
+        used,
+        upload: user.dataUsage.upload,
+        download: user.dataUsage.download,
+        remaining: user.getRemainingData(),
+        percentUsed: user.getDataUsagePercent(),
+        resetDate: user.dataUsage.resetDate
+      },
+      connections: {
+        limit: user.limits.maxConnections,
+        active: activeConnections,
+        remaining: Math.max(0, user.limits.maxConnections - activeConnections)
+      },
+      warningThresholds: WARNING_THRESHOLDS
+    };
+  }
+
+  static async getPoolQuota(organization) {
+    const activeConnections = await Connection.countActiveByUsers(organization.getMemberIds());
+    const { dataUsage, pool } = organization;
+
+    return {
+      scope: 'organization',
+      organization: {
+        id: organization._id,
+        name: organization.name
+      },
+      data: {
+        limit: pool.dataLimit,
+        used: dataUsage.upload + dataUsage.download,
+        upload: dataUsage.upload,
+        download: dataUsage.download,
+        remaining: organization.getRemainingData(),
+        percentUsed: organization.getDataUsagePercent(),
+        resetDate: dataUsage.resetDate
+      },
+      connections: {
+        limit: pool.maxDevices,
+        active: activeConnections,
+        remaining: Math.max(0, pool.maxDevices - activeConnections)
+      },
+      warningThresholds: WARNING_THRESHOLDS
+    };
+  }
+
+  /**
+   * Reject a new connection when the user is out of data or device slots,
+   * or the server is premium and the email address is unverified.
+   * Members of an organization draw on its shared pool instead.
+   * A device that is reconnecting does not count against its own slot.
+   */
+  static async assertCanConnect(userId, { deviceId, server } = {}) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw createError('User not found', 404);
+    }
+
+    if (server?.flags.isPremium && user.getServerTier() === 'free') {
+      throw createError('Verify your email address to use premium servers', 403, 'EMAIL_NOT_VERIFIED');
+    }
+
+    const organization = await Organization.findByMember(user._id);
+
+    if (organization) {
+      if (organization.hasReachedDataLimit()) {
+        throw createError(`${organization.name} has used its monthly data allowance`, 403, 'DATA_LIMIT_REACHED');
+      }
+
+      const activeConnections = await Connection.countActiveByUsers(organization.getMemberIds(), { excludeDeviceId: deviceId });
+      if (activeConnections >= organization.pool.maxDevices) {
+        throw createError(
+          `All ${organization.pool.maxDevices} device seats of ${organization.name} are in use`,
+          403,
+          'MAX_CONNECTIONS_REACHED'
+        );
+      }
+
+      return user;
+    }
+
+    if (user.hasReachedDataLimit()) {
+      throw createError('Monthly data limit reached', 403, 'DATA_LIMIT_REACHED');
+    }
+
+    const activeConnections = await Connection.countActiveByUser(user._id, { excludeDeviceId: deviceId });
+    if (activeConnections >= user.limits.maxConnections) {
+      throw createError(
+        `Maximum of ${user.limits.maxConnections} simultaneously connected devices reached`,
+        403,
+        'MAX_CONNECTIONS_REACHED'
+      );
+    }
+
+    return user;
+  }
+
+  /**
+   * Check a user's usage after new traffic was recorded.
+   * Sends threshold warnings once per period and ends every
+   * session once the data limit is reached.
+   */
+  static async enforce(userId) {
+    const organization = await Organization.findByMember(userId);
+
+    if (organization) {
+      return this.enforcePool(organization);
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return null;
+    }
+
+    const percentUsed = user.getDataUsagePercent();
+
+    if (user.hasReachedDataLimit()) {
+      const result = await WireGuardService.disconnectAllUserConnections(user._id.toString());
+
+      if (result.total > 0) {
+        broadcastToUser(user._id.toString(), {
+          type: 'quota_exceeded',
+          data: {
+            code: 'DATA_LIMIT_REACHED',
+            percentUsed,
+            limit: user.limits.dataLimit,
+            resetDate: user.dataUsage.resetDate,
+            disconnected: result.successful
+          }
+        });
+
+        await AuditLog.log({
+          action: 'security_event',
+          userId: user._id,
+          resourceType: 'user',
+          details: {
+            type: 'quota_exceeded',
+            percentUsed,
+            disconnected: result.successful
+          },
+          status: 'warning'
+        });
+      }
+
+      return { exceeded: true, percentUsed };
+    }
+
+    const level = WARNING_THRESHOLDS.filter(threshold => percentUsed >= threshold).pop() || 0;
+
+    if (level > (user.dataUsage.warningLevel || 0)) {
+      await User.updateOne({ _id: user._id }, { $set: { 'dataUsage.warningLevel': level } });
+
+      broadcastToUser(user._id.toString(), {
+        type: 'quota_warning',
+        data: {
+          threshold: level,
+          percentUsed,
+          remaining: user.getRemainingData(),
+          resetDate: user.dataUsage.resetDate
+        }
+      });
+    }
+
+    return { exceeded: false, percentUsed };
+  }
+
+  /**
+   * The pool counterpart of enforce: warnings go to every member and
+   * running out of data ends every member's sessions
+   */
+  static async enforcePool(organization) {
+    const percentUsed = organization.getDataUsagePercent();
+    const memberIds = organization.getMemberIds().map(id => id.toString());
+
+    if (organization.hasReachedDataLimit()) {
+      let disconnected = 0;
+
+      for (const memberId of memberIds) {
+        const result = await WireGuardService.disconnectAllUserConnections(memberId);
+
+        if (result.total > 0) {
+          disconnected += result.successful;
+
+          broadcastToUser(memberId, {
+            type: 'quota_exceeded',
+            data: {
+              code: 'DATA_LIMIT_REACHED',
+              scope: 'organization',
+              percentUsed,
+              limit: organization.pool.dataLimit,
+              resetDate: organization.dataUsage.resetDate,
+              disconnected: result.successful
+            }
+          });
+        }
+      }
+
+      if (disconnected > 0) {
+        await AuditLog.log({
+          action: 'security_event',
+          resourceId: organization._id,
+          resourceType: 'organization',
+          details: {
+            type: 'quota_exceeded',
+            scope: 'organization',
+            percentUsed,
+            disconnected
+          },
+          status: 'warning'
+        });
+      }
+
+      return { exceeded: true, percentUsed };
+    }
+
+    const level = WARNING_THRESHOLDS.filter(threshold => percentUsed >= threshold).pop() || 0;
+
+    if (level > (organization.dataUsage.warningLevel || 0)) {
+      // Conditional, so members with traffic in the same run warn only once
+      const result = await Organization.updateOne(
+        { _id: organization._id, 'dataUsage.warningLevel': { $lt: level } },
+        { $set: { 'dataUsage.warningLevel': level } }
+      );
+
+      if (result.modifiedCount > 0) {
+        for (const memberId of memberIds) {
+          broadcastToUser(memberId, {
+            type: 'quota_warning',
+            data: {
+              scope: 'organization',
+              threshold: level,
+              percentUsed,
+              remaining: organization.getRemainingData(),
+              resetDate: organization.dataUsage.resetDate
+            }
+          });
+        }
+      }
+    }
+
+    return { exceeded: false, percentUsed };
+  }
+}
@@ -1,6 +1,32 @@
 import Server from '../models/Server.js';
 import Connection from '../models/Connection.js';
+import User from '../models/User.js';
+import ServerStatsArchive from '../models/ServerStatsArchive.js';
 import AuditLog from '../models/AuditLog.js';
+import { WireGuardService } from './wireguardService.js';
+import { OpenVPNService } from './openvpnService.js';
+import { broadcastToUser } from '../utils/websocket.js';
+import { createError } from '../middleware/errorHandler.js';
+import { config } from '../config/environment.js';
+
+const ACTIVE_STATUSES = ['connected', 'connecting'];
+
+// Settings an administrator can change after creation. The address pool is
+// fixed once leases exist, preshared keys have their own route.
+const EDITABLE_FIELDS = ['name', 'country', 'countryCode', 'hostname', 'ip', 'port', 'coordinates', 'maxUsers', 'flags', 'metadata'];
+const EDITABLE_TECHNICAL_FIELDS = ['publicKey', 'endpoint', 'allowedIPs', 'dns', 'persistentKeepalive', 'openvpn.udpPort', 'openvpn.tcpPort'];
+
+/**
+ * Flatten nested settings into dotted paths, arrays are set whole
+ */
+const toPaths = (values, prefix = '') => {
+  return Object.entries(values).flatMap(([key, value]) => {
+    const path = `${prefix}${key}`;
+    return value && typeof value === 'object' && !Array.isArray(value)
+      ? toPaths(value, `${path}.`)
+      : [[path, value]];
+  });
+};
 
 export class ServerService {
   /**
@@ -67,6 +93,52 @@ export class ServerService {
     };
   }
 
+  /**
+   * Get a server with its technical configuration for administrators
+   */
+  static async getServerAdminView(serverId) {
+    const server = await Server.findById(serverId);
+
+    if (!server) {
+      throw new Error('Server not found');
+    }
+
+    const activeQuery = { serverId: server._id, status: { $in: ['connected', 'connecting'] } };
+    const [connectionsCount, presharedKeyConnections] = await Promise.all([
+      Connection.countDocuments(activeQuery),
+      Connection.countDocuments({ ...activeQuery, 'config.presharedKey': { $exists: true } })
+    ]);
+
+    return {
+      ...server.toObject(),
+      currentConnections: connectionsCount,
+      presharedKeys: {
+        policy: server.technical.presharedKeyPolicy,
+        activeConnections: presharedKeyConnections
+      },
+      status: server.isAvailable() ? 'online' : 'offline'
+    };
+  }
+
+  /**
+   * Change the preshared key policy of a server.
+   * Only new connections are affected, existing peers keep their keys.
+   */
+  static async updatePresharedKeyPolicy(serverId, policy, adminId, clientInfo) {
+    const server = await this.findServer(serverId);
+
+    const previousPolicy = server.technical.presharedKeyPolicy;
+    server.technical.presharedKeyPolicy = policy;
+    await server.save();
+
+    await this.logAdminAction(adminId, 'server_psk_policy_updated', server, clientInfo, {
+      from: previousPolicy,
+      to: policy
+    });
+
+    return server;
+  }
+
   /**
    * Get servers by country code
    */
@@ -273,4 +345,309 @@ export class ServerService {
     .select('name country hostname load currentUsers maxUsers stats.healthStatus stats.lastHealthCheck')
     .sort({ load: -1 });
   }
-}
\ No newline at end of file
+
+  static async logAdminAction(adminId, type, server, { ipAddress, userAgent } = {}, details = {}) {
+    await AuditLog.log({
+      action: 'admin_action',
+      userId: adminId,
+      resourceId: server._id,
+      resourceType: 'server',
+      details: {
+        type,
+        server: server.name,
+        ...details
+      },
+      ipAddress,
+      userAgent
+    });
+  }
+
+  static async findServer(serverId) {
+    const server = await Server.findById(serverId);
+
+    if (!server) {
+      throw createError('Server not found', 404);
+    }
+
+    return server;
+  }
+
+  /**
+   * Add a server to the fleet. New servers start in service.
+   */
+  static async createServer(data, adminId, clientInfo) {
+    const server = await Server.create(data);
+
+    await this.logAdminAction(adminId, 'server_created', server, clientInfo, {
+      hostname: server.hostname,
+      country: server.countryCode
+    });
+
+    return server;
+  }
+
+  /**
+   * Change a server's settings. Only the listed fields can be changed,
+   * anything else in the input is ignored.
+   */
+  static async updateServer(serverId, data, adminId, clientInfo) {
+    const server = await this.findServer(serverId);
+
+    if (server.lifecycle.state === 'retired') {
+      throw createError('Retired servers cannot be changed', 409, 'SERVER_RETIRED');
+    }
+
+    const changes = {};
+    const paths = [
+      ...toPaths(Object.fromEntries(EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]))),
+      ...toPaths(data.technical || {}, 'technical.').filter(([path]) => EDITABLE_TECHNICAL_FIELDS.includes(path.slice('technical.'.length)))
+    ];
+
+    for (const [path, value] of paths) {
+      if (value === undefined) continue;
+
+      const previous = server.get(path);
+      if (JSON.stringify(previous) === JSON.stringify(value)) continue;
+
+      server.set(path, value);
+      changes[path] = { from: previous, to: value };
+    }
+
+    if (Object.keys(changes).length > 0) {
+      await server.save();
+      await this.logAdminAction(adminId, 'server_updated', server, clientInfo, { changes });
+    }
+
+    return server;
+  }
+
+  /**
+   * Delete a server that never carried a session. Anything with history
+   * must be retired instead, so its connection records stay meaningful.
+   */
+  static async deleteServer(serverId, adminId, clientInfo) {
+    const server = await this.findServer(serverId);
+
+    if (await Connection.exists({ serverId: server._id })) {
+      throw createError('Server has connection history, retire it instead', 409, 'SERVER_HAS_HISTORY');
+    }
+
+    await server.deleteOne();
+
+    await this.logAdminAction(adminId, 'server_deleted', server, clientInfo, { hostname: server.hostname });
+  }
+
+  /**
+   * Stop accepting connections and start moving sessions to other servers
+   */
+  static async drainServer(serverId, adminId, clientInfo) {
+    const server = await this.findServer(serverId);
+
+    if (server.lifecycle.state !== 'active') {
+      throw createError(`Server is already ${server.lifecycle.state}`, 409, 'INVALID_SERVER_STATE');
+    }
+
+    server.active = false;
+    server.lifecycle.state = 'draining';
+    server.lifecycle.drainStartedAt = new Date();
+    server.lifecycle.drainCompletedAt = undefined;
+    await server.save();
+
+    const sessions = await Connection.countDocuments({ serverId: server._id, status: { $in: ACTIVE_STATUSES } });
+
+    await this.logAdminAction(adminId, 'server_drain_started', server, clientInfo, { sessions });
+
+    return { server, sessions };
+  }
+
+  /**
+   * Put a draining server back in service. Sessions already asked to
+   * move are left alone.
+   */
+  static async undrainServer(serverId, adminId, clientInfo) {
+    const server = await this.findServer(serverId);
+
+    if (server.lifecycle.state !== 'draining') {
+      throw createError('Server is not draining', 409, 'INVALID_SERVER_STATE');
+    }
+
+    server.active = true;
+    server.lifecycle.state = 'active';
+    server.lifecycle.drainStartedAt = undefined;
+    server.lifecycle.drainCompletedAt = undefined;
+    await server.save();
+
+    await Connection.updateMany(
+      { serverId: server._id, status: { $in: ACTIVE_STATUSES } },
+      { $unset: { migration: 1 } }
+    );
+
+    await this.logAdminAction(adminId, 'server_drain_cancelled', server, clientInfo);
+
+    return server;
+  }
+
+  /**
+   * Pick where a session from a draining server should go
+   */
+  static async findMigrationTarget(connection, server) {
+    const user = await User.findById(connection.userId).select('subscription emailVerified emailVerificationRequired');
+
+    try {
+      const target = await this.getOptimalServer(user?.getServerTier() || 'free', server.countryCode);
+      return target._id.equals(server._id) ? null : target;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * One step of draining a server: end the sessions whose grace period is
+   * over, then ask the next batch of clients to reconnect elsewhere.
+   */
+  static async processDrain(server) {
+    const { batchSize, graceSeconds } = config.servers.drain;
+    const activeQuery = { serverId: server._id, status: { $in: ACTIVE_STATUSES } };
+    const result = { requested: 0, disconnected: 0, remaining: 0 };
+
+    const expired = await Connection.find({
+      ...activeQuery,
+      'migration.requestedAt': { $lte: new Date(Date.now() - graceSeconds * 1000) }
+    });
+
+    for (const connection of expired) {
+      const service = connection.metadata?.protocol === 'openvpn' ? OpenVPNService : WireGuardService;
+
+      try {
+        await service.disconnect(connection._id);
+        result.disconnected++;
+      } catch (error) {
+        console.error(`Failed to end session ${connection._id} on draining server ${server.name}:`, error.message);
+      }
+    }
+
+    const batch = await Connection.find({ ...activeQuery, 'migration.requestedAt': { $exists: false } })
+      .sort({ startTime: 1 })
+      .limit(batchSize);
+
+    for (const connection of batch) {
+      const target = await this.findMigrationTarget(connection, server);
+
+      await Connection.updateOne(
+        { _id: connection._id },
+        { $set: { 'migration.requestedAt': new Date(), 'migration.targetServerId': target?._id } }
+      );
+
+      broadcastToUser(connection.userId.toString(), {
+        type: 'server_migration',
+        data: {
+          connectionId: connection._id,
+          server: { id: server._id, name: server.name },
+          target: target ? {
+            id: target._id,
+            name: target.name,
+            country: target.country,
+            countryCode: target.countryCode
+          } : null,
+          disconnectAt: new Date(Date.now() + graceSeconds * 1000)
+        }
+      });
+
+      result.requested++;
+    }
+
+    result.remaining = await Connection.countDocuments(activeQuery);
+
+    if (result.remaining === 0 && !server.lifecycle.drainCompletedAt) {
+      await Server.updateOne({ _id: server._id }, { $set: { 'lifecycle.drainCompletedAt': new Date() } });
+
+      await AuditLog.log({
+        action: 'server_status_change',
+        resourceId: server._id,
+        resourceType: 'server',
+        details: {
+          type: 'server_drained',
+          server: server.name
+        }
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Take a drained server out of the fleet for good. Its lifetime
+   * statistics are archived, nothing is deleted.
+   */
+  static async retireServer(serverId, { reason } = {}, adminId, clientInfo) {
+    const server = await this.findServer(serverId);
+
+    if (server.lifecycle.state === 'retired') {
+      throw createError('Server is already retired', 409, 'INVALID_SERVER_STATE');
+    }
+
+    const activeSessions = await Connection.countDocuments({ serverId: server._id, status: { $in: ACTIVE_STATUSES } });
+    if (activeSessions > 0) {
+      throw createError(`Server still has ${activeSessions} active sessions, drain it first`, 409, 'SERVER_HAS_SESSIONS');
+    }
+
+    const [connections] = await Connection.aggregate([
+      { $match: { serverId: server._id } },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          users: { $addToSet: '$userId' },
+          totalDuration: { $sum: { $ifNull: ['$duration', 0] } },
+          upload: { $sum: '$dataTransferred.upload' },
+          download: { $sum: '$dataTransferred.download' },
+          firstConnectionAt: { $min: '$startTime' },
+          lastConnectionAt: { $max: '$startTime' }
+        }
+      }
+    ]);
+
+    const archive = await ServerStatsArchive.create({
+      serverId: server._id,
+      name: server.name,
+      hostname: server.hostname,
+      country: server.country,
+      countryCode: server.countryCode,
+      stats: server.toObject().stats,
+      connections: connections ? {
+        count: connections.count,
+        uniqueUsers: connections.users.length,
+        totalDuration: connections.totalDuration,
+        upload: connections.upload,
+        download: connections.download,
+        firstConnectionAt: connections.firstConnectionAt,
+        lastConnectionAt: connections.lastConnectionAt
+      } : undefined,
+      serviceStartedAt: server.createdAt,
+      retiredBy: adminId,
+      reason
+    });
+
+    server.active = false;
+    server.lifecycle.state = 'retired';
+    server.lifecycle.retiredAt = archive.retiredAt;
+    await server.save();
+
+    await this.logAdminAction(adminId, 'server_retired', server, clientInfo, {
+      reason,
+      archiveId: archive._id
+    });
+
+    return { server, archive };
+  }
+
+  static async getStatsArchive(serverId) {
+    const archive = await ServerStatsArchive.findOne({ serverId });
+
+    if (!archive) {
+      throw createError('No archived statistics for this server', 404);
+    }
+
+    return archive;
+  }
+}
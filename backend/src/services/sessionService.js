@@ -0,0 +1,204 @@
+import { createHash, randomBytes } from 'crypto';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import AuditLog from '../models/AuditLog.js';
+import { generateToken } from '../middleware/auth.js';
+import { createError } from '../middleware/errorHandler.js';
+import { config } from '../config/environment.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class SessionService {
+  /**
+   * Hash a refresh token for storage and lookup
+   */
+  static hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Refresh tokens are "<sessionId>.<secret>", so a token that was already
+   * rotated still identifies the session it was stolen from
+   */
+  static generateRefreshToken(sessionId) {
+    return `${sessionId}.${randomBytes(32).toString('base64url')}`;
+  }
+
+  static parseRefreshToken(refreshToken) {
+    const [sessionId, secret] = String(refreshToken).split('.');
+
+    if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      throw createError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+    }
+
+    return sessionId;
+  }
+
+  /**
+   * Build the token pair returned to the client
+   */
+  static toTokenResponse(session, refreshToken) {
+    return {
+      token: generateToken(session.userId, session._id),
+      refreshToken,
+      expiresIn: config.jwt.expiresIn,
+      session: {
+        id: session._id,
+        expiresAt: session.expiresAt
+      }
+    };
+  }
+
+  /**
+   * Open a new session, e.g. on login or registration
+   */
+  static async createSession(userId, { ipAddress, userAgent, device } = {}) {
+    const sessionId = new mongoose.Types.ObjectId();
+    const refreshToken = this.generateRefreshToken(sessionId);
+
+    const session = await Session.create({
+      _id: sessionId,
+      userId,
+      refreshTokenHash: this.hashToken(refreshToken),
+      device,
+      ipAddress,
+      userAgent,
+      expiresAt: new Date(Date.now() + config.jwt.refreshTokenDays * DAY_MS)
+    });
+
+    return this.toTokenResponse(session, refreshToken);
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair.
+   * Every refresh token is single use; presenting one that was already
+   * rotated means it leaked, so the whole session is revoked.
+   */
+  static async refresh(refreshToken, { ipAddress, userAgent } = {}) {
+    const sessionId = this.parseRefreshToken(refreshToken);
+    const nextRefreshToken = this.generateRefreshToken(sessionId);
+
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: sessionId,
+        refreshTokenHash: this.hashToken(refreshToken),
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      {
+        $set: {
+          refreshTokenHash: this.hashToken(nextRefreshToken),
+          lastUsedAt: new Date(),
+          ipAddress,
+          userAgent
+        },
+        $inc: { rotations: 1 }
+      },
+      { new: true }
+    );
+
+    if (session) {
+      return this.toTokenResponse(session, nextRefreshToken);
+    }
+
+    const existing = await Session.findById(sessionId);
+
+    if (existing?.isActive) {
+      await this.revokeSession(existing, 'refresh_token_reuse', { ipAddress, userAgent });
+    }
+
+    throw createError('Refresh token has expired or been revoked', 401, 'INVALID_REFRESH_TOKEN');
+  }
+
+  /**
+   * List a user's active sessions, flagging the one making the request
+   */
+  static async listSessions(userId, currentSessionId) {
+    const sessions = await Session.findActiveByUser(userId);
+
+    return sessions.map(session => ({
+      id: session._id,
+      device: session.device,
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.equals(currentSessionId)
+    }));
+  }
+
+  /**
+   * Revoke a single session
+   */
+  static async revokeSession(session, reason, { ipAddress, userAgent } = {}) {
+    const result = await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+
+    await AuditLog.log({
+      action: 'security_event',
+      userId: session.userId,
+      resourceId: session._id,
+      resourceType: 'user',
+      details: {
+        type: reason === 'refresh_token_reuse' ? 'refresh_token_reuse' : 'session_revoked',
+        reason
+      },
+      ipAddress,
+      userAgent,
+      status: reason === 'refresh_token_reuse' ? 'warning' : 'success'
+    });
+
+    return true;
+  }
+
+  /**
+   * Revoke one of a user's sessions by ID
+   */
+  static async revokeUserSession(userId, sessionId, reason = 'revoked_by_user') {
+    const session = await Session.findActive(sessionId, userId);
+
+    if (!session) {
+      throw createError('Session not found', 404);
+    }
+
+    await this.revokeSession(session, reason);
+    return session;
+  }
+
+  /**
+   * Revoke every session of a user, optionally keeping the current one
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  static async revokeAllUserSessions(userId, reason, { exceptSessionId } = {}) {
+    const query = { userId, revokedAt: null };
+    if (exceptSessionId) {
+      query._id = { $ne: exceptSessionId };
+    }
+
+    const result = await Session.updateMany(query, {
+      $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+
+    if (result.modifiedCount > 0) {
+      await AuditLog.log({
+        action: 'security_event',
+        userId,
+        resourceType: 'user',
+        details: {
+          type: 'sessions_revoked',
+          reason,
+          count: result.modifiedCount
+        }
+      });
+    }
+
+    return result.modifiedCount;
+  }
+}
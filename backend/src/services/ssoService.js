@@ -0,0 +1,342 @@
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import User from '../models/User.js';
+import Organization from '../models/Organization.js';
+import SsoRequest from '../models/SsoRequest.js';
+import AuditLog from '../models/AuditLog.js';
+import { OrganizationService } from './organizationService.js';
+import { EnvelopeEncryption } from '../utils/crypto.js';
+import {
+  buildAuthorizationUrl,
+  createCodeChallenge,
+  discover,
+  exchangeCode,
+  generateCodeVerifier,
+  generateRandomToken,
+  verifyIdToken
+} from '../utils/oidc.js';
+import { createError } from '../middleware/errorHandler.js';
+import { config } from '../config/environment.js';
+
+const MINUTE_MS = 60 * 1000;
+const SUBSCRIPTION_RANK = ['free', 'premium', 'enterprise'];
+
+export class SsoService {
+  static hashLoginCode(code) {
+    return createHash('sha256').update(code).digest('hex');
+  }
+
+  static async logEvent(userId, type, organization, { ipAddress, userAgent } = {}, { status = 'success', details = {} } = {}) {
+    await AuditLog.log({
+      action: 'security_event',
+      userId,
+      resourceId: userId,
+      resourceType: 'user',
+      details: {
+        type,
+        organizationId: organization._id,
+        organization: organization.slug,
+        ...details
+      },
+      ipAddress,
+      userAgent,
+      status
+    });
+  }
+
+  /**
+   * Build the redirect back to the app, carrying either a login code or an error
+   */
+  static buildAppRedirect(request, params) {
+    const url = new URL(request.redirectUri);
+
+    for (const [key, value] of Object.entries(params)) {
+      url.searchParams.set(key, value);
+    }
+    if (request.appState) {
+      url.searchParams.set('state', request.appState);
+    }
+
+    return url.toString();
+  }
+
+  static async getMetadata(issuer) {
+    try {
+      return await discover(issuer);
+    } catch (error) {
+      throw createError(`Identity provider is unavailable: ${error.message}`, 502, 'IDP_UNAVAILABLE');
+    }
+  }
+
+  /**
+   * Start a login with an organization's IdP
+   * @param {string} slug - Organization slug
+   * @param {Object} options - { redirectUri, codeChallenge, state } from the app
+   * @returns {Promise<string>} IdP authorization URL to send the browser to
+   */
+  static async startLogin(slug, { redirectUri, codeChallenge, state }) {
+    const organization = await Organization.findBySlug(slug);
+
+    if (!organization || !organization.sso.enabled) {
+      throw createError('Single sign-on is not configured for this organization', 404, 'SSO_NOT_CONFIGURED');
+    }
+
+    // Login codes are only ever delivered to known app URIs
+    if (!config.sso.allowedRedirectUris.includes(redirectUri)) {
+      throw createError('Redirect URI is not allowed', 400, 'INVALID_REDIRECT_URI');
+    }
+
+    const metadata = await this.getMetadata(organization.sso.issuer);
+
+    const request = await SsoRequest.create({
+      organizationId: organization._id,
+      state: generateRandomToken(),
+      nonce: generateRandomToken(),
+      codeVerifier: generateCodeVerifier(),
+      redirectUri,
+      appCodeChallenge: codeChallenge,
+      appState: state,
+      expiresAt: new Date(Date.now() + config.sso.requestTtlMinutes * MINUTE_MS)
+    });
+
+    return buildAuthorizationUrl(metadata, {
+      clientId: organization.sso.clientId,
+      redirectUri: config.sso.callbackUrl,
+      scopes: organization.sso.scopes,
+      state: request.state,
+      nonce: request.nonce,
+      codeChallenge: createCodeChallenge(request.codeVerifier)
+    });
+  }
+
+  /**
+   * Handle the IdP's redirect: exchange the code, provision the user and
+   * hand the app a one-time login code.
+   * @returns {Promise<string>} URL to redirect the browser to
+   */
+  static async handleCallback({ state, code, error, errorDescription }, clientInfo) {
+    // Claim the request, so a replayed callback finds nothing
+    const request = await SsoRequest.findOneAndUpdate(
+      { state, status: 'pending', expiresAt: { $gt: new Date() } },
+      { $set: { status: 'callback' } },
+      { new: true }
+    ).select('+codeVerifier');
+
+    if (!request) {
+      throw createError('Login request is invalid or has expired', 400, 'INVALID_SSO_STATE');
+    }
+
+    const organization = await Organization.findById(request.organizationId).select('+sso.clientSecret');
+
+    try {
+      if (error) {
+        throw createError(errorDescription || error, 401, 'IDP_ERROR');
+      }
+
+      if (!organization || !organization.sso.enabled) {
+        throw createError('Single sign-on is not configured for this organization', 404, 'SSO_NOT_CONFIGURED');
+      }
+
+      const metadata = await this.getMetadata(organization.sso.issuer);
+
+      let claims;
+      try {
+        const tokens = await exchangeCode(metadata, {
+          clientId: organization.sso.clientId,
+          clientSecret: organization.sso.clientSecret && EnvelopeEncryption.decrypt(organization.sso.clientSecret),
+          redirectUri: config.sso.callbackUrl,
+          code,
+          codeVerifier: request.codeVerifier
+        });
+
+        claims = await verifyIdToken(metadata, tokens.id_token, {
+          clientId: organization.sso.clientId,
+          nonce: request.nonce
+        });
+      } catch (exchangeError) {
+        throw createError(`Identity provider login failed: ${exchangeError.message}`, 401, 'IDP_ERROR');
+      }
+
+      const user = await this.provisionUser(organization, claims, clientInfo);
+
+      const loginCode = randomBytes(32).toString('base64url');
+      await SsoRequest.updateOne(
+        { _id: request._id },
+        { $set: { status: 'authenticated', userId: user._id, loginCodeHash: this.hashLoginCode(loginCode) } }
+      );
+
+      return this.buildAppRedirect(request, { code: loginCode });
+    } catch (callbackError) {
+      await SsoRequest.deleteOne({ _id: request._id });
+
+      // Our own errors carry a string code and are shown to the user,
+      // anything else stays generic
+      const operational = typeof callbackError.code === 'string';
+      const reason = operational ? callbackError.code.toLowerCase() : 'server_error';
+
+      if (organization) {
+        await this.logEvent(undefined, 'sso_login_failed', organization, clientInfo, {
+          status: 'failure',
+          details: { reason, message: callbackError.message }
+        });
+      }
+
+      return this.buildAppRedirect(request, {
+        error: reason,
+        error_description: operational ? callbackError.message : 'Single sign-on failed'
+      });
+    }
+  }
+
+  /**
+   * Redeem a login code from the app. The app proves it started the login
+   * by presenting the PKCE verifier matching the challenge it sent then.
+   * @returns {Promise<Object>} The user to open a session for
+   */
+  static async exchangeLoginCode({ code, codeVerifier }) {
+    const request = await SsoRequest.findOneAndDelete({
+      loginCodeHash: this.hashLoginCode(code),
+      status: 'authenticated',
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!request) {
+      throw createError('Login code is invalid or has expired', 400, 'INVALID_LOGIN_CODE');
+    }
+
+    const expected = Buffer.from(request.appCodeChallenge);
+    const actual = Buffer.from(createCodeChallenge(codeVerifier));
+
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+      throw createError('Login code is invalid or has expired', 400, 'INVALID_LOGIN_CODE');
+    }
+
+    const user = await User.findById(request.userId);
+
+    if (!user || !user.isActive) {
+      throw createError('Account is deactivated. Please contact support.', 403, 'ACCOUNT_DEACTIVATED');
+    }
+
+    return { user, organizationId: request.organizationId };
+  }
+
+  /**
+   * Resolve the subscription and roles granted by the user's IdP groups.
+   * The best matching subscription wins, roles are combined.
+   */
+  static resolveGroupMapping(organization, groups) {
+    const matched = organization.sso.groupMappings.filter(mapping => groups.includes(mapping.group));
+
+    const subscription = matched
+      .map(mapping => mapping.subscription)
+      .filter(Boolean)
+      .reduce(
+        (best, tier) => (SUBSCRIPTION_RANK.indexOf(tier) > SUBSCRIPTION_RANK.indexOf(best) ? tier : best),
+        null
+      ) || organization.sso.defaultSubscription;
+
+    const roles = [...new Set(['user', ...matched.flatMap(mapping => mapping.roles)])];
+
+    return { subscription, roles };
+  }
+
+  static getGroups(organization, claims) {
+    const value = claims[organization.sso.groupsClaim];
+
+    if (Array.isArray(value)) return value.map(String);
+    if (typeof value === 'string') return [value];
+    return [];
+  }
+
+  /**
+   * Derive a free username from the IdP's preferred username or the email
+   */
+  static async generateUsername(claims) {
+    const source = claims.preferred_username || claims.email.split('@')[0];
+    let base = source.replace(/[^a-zA-Z0-9_]/g, '_').slice(0, 24);
+
+    if (base.length < 3) {
+      base = `${base}user`;
+    }
+
+    let username = base;
+    while (await User.exists({ username })) {
+      username = `${base}_${randomBytes(2).toString('hex')}`;
+    }
+
+    return username;
+  }
+
+  /**
+   * Find, link or create the local account for an IdP identity and
+   * apply the organization's group mapping to it
+   */
+  static async provisionUser(organization, claims, clientInfo) {
+    if (!claims.sub) {
+      throw createError('ID token has no subject', 401, 'IDP_ERROR');
+    }
+
+    const { subscription, roles } = this.resolveGroupMapping(organization, this.getGroups(organization, claims));
+    const emailVerified = claims.email_verified === true;
+
+    let user = await User.findOne({ 'sso.organizationId': organization._id, 'sso.subject': claims.sub });
+
+    if (!user) {
+      if (!claims.email) {
+        throw createError('Identity provider did not share an email address', 400, 'SSO_EMAIL_REQUIRED');
+      }
+
+      const existing = await User.findByEmail(claims.email);
+
+      if (existing) {
+        // Only take over an account whose address the organization controls
+        if (existing.isSsoAccount() || !emailVerified || !organization.ownsEmail(claims.email)) {
+          throw createError('An account with this email already exists', 409, 'SSO_ACCOUNT_CONFLICT');
+        }
+
+        existing.sso = { organizationId: organization._id, subject: claims.sub };
+        user = existing;
+
+        await this.logEvent(user._id, 'sso_account_linked', organization, clientInfo);
+      } else {
+        if (!organization.sso.jitProvisioning) {
+          throw createError('No account exists for this user', 403, 'SSO_USER_NOT_PROVISIONED');
+        }
+
+        user = new User({
+          username: await this.generateUsername(claims),
+          email: claims.email,
+          // Never used, SSO accounts can't log in with a password
+          password: randomBytes(32).toString('base64url'),
+          emailVerified,
+          emailVerificationRequired: true,
+          roles,
+          sso: { organizationId: organization._id, subject: claims.sub }
+        });
+
+        await user.save();
+
+        await this.logEvent(user._id, 'sso_user_provisioned', organization, clientInfo, {
+          details: { username: user.username, email: user.email }
+        });
+      }
+    }
+
+    if (!user.isActive) {
+      throw createError('Account is deactivated. Please contact support.', 403, 'ACCOUNT_DEACTIVATED');
+    }
+
+    // The IdP's groups set the plan on every login, roles only seed a new
+    // account so that ones granted here afterwards are kept
+    user.subscription = subscription;
+    if (emailVerified) {
+      user.emailVerified = true;
+    }
+
+    await user.save();
+
+    // Accounts from the IdP draw on the organization's pool
+    await OrganizationService.addMember(organization._id, user._id);
+
+    return user;
+  }
+}
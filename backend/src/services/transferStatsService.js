@@ -0,0 +1,196 @@
+import Connection from '../models/Connection.js';
+import Server from '../models/Server.js';
+import User from '../models/User.js';
+import Organization from '../models/Organization.js';
+import { getPeerStatsSource } from './drivers/index.js';
+import { QuotaService } from './quotaService.js';
+import { connectionIdFromCommonName } from '../utils/openvpn.js';
+
+export class TransferStatsService {
+  /**
+   * Compute the byte delta between two readings of a peer counter.
+   * A counter lower than the previous reading means the peer was
+   * re-added and started again from zero.
+   */
+  static counterDelta(current, previous) {
+    if (current >= previous) {
+      return current - previous;
+    }
+    return current;
+  }
+
+  /**
+   * Convert a byte delta over an interval to Mbps
+   */
+  static toMbps(bytes, seconds) {
+    if (seconds <= 0) return 0;
+    return Math.round(((bytes * 8) / 1e6 / seconds) * 100) / 100;
+  }
+
+  /**
+   * Apply one peer reading to its connection, user and server
+   */
+  static async applyPeerReading(connection, peer, sampledAt = new Date()) {
+    const previous = connection.peerCounters || {};
+
+    // Server receives what the client uploads and transmits what it downloads
+    const upload = this.counterDelta(peer.transferRx, previous.rx || 0);
+    const download = this.counterDelta(peer.transferTx, previous.tx || 0);
+
+    const since = previous.sampledAt || connection.startTime;
+    const seconds = (sampledAt - since) / 1000;
+
+    await Connection.updateOne(
+      { _id: connection._id },
+      {
+        $inc: {
+          'dataTransferred.upload': upload,
+          'dataTransferred.download': download,
+          'dataTransferred.total': upload + download
+        },
+        $set: {
+          'speed.upload': this.toMbps(upload, seconds),
+          'speed.download': this.toMbps(download, seconds),
+          'speed.lastUpdate': sampledAt,
+          'peerCounters.rx': peer.transferRx,
+          'peerCounters.tx': peer.transferTx,
+          ...(peer.latestHandshake && { 'peerCounters.latestHandshake': peer.latestHandshake }),
+          'peerCounters.sampledAt': sampledAt
+        }
+      }
+    );
+
+    if (upload + download > 0) {
+      await User.updateOne(
+        { _id: connection.userId },
+        { $inc: { 'dataUsage.upload': upload, 'dataUsage.download': download } }
+      );
+
+      // Also counts against the shared pool if the user belongs to an organization
+      await Organization.updateOne(
+        { 'members.userId': connection.userId },
+        { $inc: { 'dataUsage.upload': upload, 'dataUsage.download': download } }
+      );
+
+      await Server.updateOne(
+        { _id: connection.serverId },
+        {
+          $inc: {
+            'stats.totalDataTransferred.upload': upload,
+            'stats.totalDataTransferred.download': download
+          }
+        }
+      );
+    }
+
+    return { upload, download };
+  }
+
+  /**
+   * Collect peer counters for every server with connected sessions
+   */
+  static async collect() {
+    const source = getPeerStatsSource();
+    // OpenVPN sessions are not WireGuard peers, their counters come with the agent heartbeat
+    const activeQuery = { status: 'connected', 'metadata.protocol': { $ne: 'openvpn' } };
+    const serverIds = await Connection.distinct('serverId', activeQuery);
+    const servers = await Server.find({ _id: { $in: serverIds } });
+
+    const totals = { servers: 0, peers: 0, upload: 0, download: 0, missing: 0 };
+    const usersWithTraffic = new Set();
+
+    for (const server of servers) {
+      try {
+        const connections = await Connection.find({ ...activeQuery, serverId: server._id });
+        const peers = await source.getPeerStats(server);
+        const peersByKey = new Map(peers.map(peer => [peer.publicKey, peer]));
+        const sampledAt = new Date();
+
+        for (const connection of connections) {
+          const peer = peersByKey.get(connection.config.publicKey);
+
+          if (!peer) {
+            totals.missing++;
+            continue;
+          }
+
+          const { upload, download } = await this.applyPeerReading(connection, peer, sampledAt);
+          if (upload + download > 0) {
+            usersWithTraffic.add(connection.userId.toString());
+          }
+          totals.peers++;
+          totals.upload += upload;
+          totals.download += download;
+        }
+
+        totals.servers++;
+      } catch (error) {
+        console.error(`Transfer collection failed for server ${server.name}:`, error.message);
+      }
+    }
+
+    await this.enforceQuotas(usersWithTraffic);
+
+    return totals;
+  }
+
+  /**
+   * Apply the byte counters a node's agent read from the OpenVPN status file
+   * @param {Object} server - Server the node serves
+   * @param {Array} clients - [{ commonName, bytesReceived, bytesSent }]
+   * @returns {Promise<Object>} Sessions counted and bytes added
+   */
+  static async applyOpenVpnReadings(server, clients, sampledAt = new Date()) {
+    const readings = new Map(clients
+      .filter(client => client.bytesReceived !== undefined && client.bytesSent !== undefined)
+      .map(client => [connectionIdFromCommonName(client.commonName), client])
+      .filter(([connectionId]) => connectionId));
+
+    const totals = { sessions: 0, upload: 0, download: 0 };
+    if (readings.size === 0) {
+      return totals;
+    }
+
+    const connections = await Connection.find({
+      _id: { $in: [...readings.keys()] },
+      serverId: server._id,
+      status: 'connected',
+      'metadata.protocol': 'openvpn'
+    });
+    const usersWithTraffic = new Set();
+
+    for (const connection of connections) {
+      const client = readings.get(connection._id.toString());
+
+      // The node receives what the client uploads, like a WireGuard peer
+      const { upload, download } = await this.applyPeerReading(connection, {
+        transferRx: client.bytesReceived,
+        transferTx: client.bytesSent
+      }, sampledAt);
+
+      if (upload + download > 0) {
+        usersWithTraffic.add(connection.userId.toString());
+      }
+      totals.sessions++;
+      totals.upload += upload;
+      totals.download += download;
+    }
+
+    await this.enforceQuotas(usersWithTraffic);
+
+    return totals;
+  }
+
+  /**
+   * Apply quota warnings and cut-offs for everyone whose usage grew
+   */
+  static async enforceQuotas(userIds) {
+    for (const userId of userIds) {
+      try {
+        await QuotaService.enforce(userId);
+      } catch (error) {
+        console.error(`Quota enforcement failed for user ${userId}:`, error.message);
+      }
+    }
+  }
+}
@@ -0,0 +1,335 @@
+import jwt from 'jsonwebtoken';
+import { createHash, randomBytes } from 'crypto';
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import { LockoutService } from './lockoutService.js';
+import { createError } from '../middleware/errorHandler.js';
+import { EnvelopeEncryption } from '../utils/crypto.js';
+import { buildOtpauthUri, generateTotpSecret, verifyTotp } from '../utils/totp.js';
+import { config } from '../config/environment.js';
+
+// Audience of challenge tokens, so they are never mistaken for access tokens
+const CHALLENGE_AUDIENCE = 'two-factor-challenge';
+
+export class TwoFactorService {
+  /**
+   * Recovery codes have 40 random bits each, so a plain hash is enough
+   */
+  static hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+    return createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Generate a fresh set of recovery codes like "3f9a1-c07be"
+   */
+  static generateRecoveryCodes() {
+    return Array.from({ length: config.twoFactor.recoveryCodeCount }, () => {
+      const code = randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  static toStoredRecoveryCodes(codes) {
+    return codes.map(code => ({ codeHash: this.hashRecoveryCode(code) }));
+  }
+
+  static async logEvent(userId, type, { ipAddress, userAgent } = {}, { status = 'success', details = {} } = {}) {
+    await AuditLog.log({
+      action: 'security_event',
+      userId,
+      resourceId: userId,
+      resourceType: 'user',
+      details: {
+        type,
+        ...details
+      },
+      ipAddress,
+      userAgent,
+      status
+    });
+  }
+
+  /**
+   * Current 2FA state of a user
+   */
+  static async getStatus(userId) {
+    const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+
+    if (!user) {
+      throw createError('User not found', 404);
+    }
+
+    return {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: user.twoFactor.enabled
+        ? user.twoFactor.recoveryCodes.filter(code => !code.usedAt).length
+        : 0
+    };
+  }
+
+  /**
+   * Start enrolment with a new secret. 2FA stays off until a code
+   * from the authenticator app has been verified.
+   */
+  static async beginSetup(userId, clientInfo) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw createError('User not found', 404);
+    }
+
+    if (user.twoFactor.enabled) {
+      throw createError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    const secret = generateTotpSecret();
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.pendingSecret': EnvelopeEncryption.encrypt(secret) } }
+    );
+
+    await this.logEvent(user._id, 'two_factor_setup_started', clientInfo);
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: config.twoFactor.issuer
+      })
+    };
+  }
+
+  /**
+   * Finish enrolment. The recovery codes are only ever returned here.
+   */
+  static async confirmSetup(userId, code, clientInfo) {
+    const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+
+    if (!user) {
+      throw createError('User not found', 404);
+    }
+
+    if (user.twoFactor.enabled) {
+      throw createError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      throw createError('Two-factor setup has not been started', 400, 'TWO_FACTOR_SETUP_REQUIRED');
+    }
+
+    const step = verifyTotp(EnvelopeEncryption.decrypt(user.twoFactor.pendingSecret), code);
+
+    if (step === null) {
+      await this.logEvent(user._id, 'two_factor_setup_failed', clientInfo, { status: 'failure' });
+      throw createError('Invalid verification code', 400, 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.enabled': { $ne: true } },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.enabledAt': new Date(),
+          'twoFactor.secret': user.twoFactor.pendingSecret,
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.recoveryCodes': this.toStoredRecoveryCodes(recoveryCodes)
+        },
+        $unset: { 'twoFactor.pendingSecret': '' }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw createError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    await this.logEvent(user._id, 'two_factor_enabled', clientInfo);
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Check a TOTP code or recovery code and consume it
+   * @returns {Promise<string|null>} 'totp', 'recovery_code' or null
+   */
+  static async verifyCode(userId, { code, recoveryCode }, clientInfo) {
+    const user = await User.findById(userId).select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!user?.twoFactor.enabled) {
+      return null;
+    }
+
+    if (code) {
+      const step = verifyTotp(EnvelopeEncryption.decrypt(user.twoFactor.secret), code, {
+        afterStep: user.twoFactor.lastUsedStep ?? -1
+      });
+
+      // Claiming the step atomically stops two requests using the same code
+      if (step !== null) {
+        const result = await User.updateOne(
+          { _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+          { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+
+        if (result.modifiedCount === 1) {
+          return 'totp';
+        }
+      }
+    }
+
+    if (recoveryCode) {
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          'twoFactor.recoveryCodes': {
+            $elemMatch: { codeHash: this.hashRecoveryCode(recoveryCode), usedAt: null }
+          }
+        },
+        { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+      );
+
+      if (result.modifiedCount === 1) {
+        const { recoveryCodesRemaining } = await this.getStatus(user._id);
+        await this.logEvent(user._id, 'recovery_code_used', clientInfo, {
+          details: { recoveryCodesRemaining }
+        });
+        return 'recovery_code';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Like verifyCode, but failures are logged and rejected
+   */
+  static async assertCode(userId, credentials, clientInfo) {
+    const method = await this.verifyCode(userId, credentials, clientInfo);
+
+    if (!method) {
+      await this.logEvent(userId, 'two_factor_failed', clientInfo, { status: 'failure' });
+      throw createError('Invalid two-factor code', 401, 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    return method;
+  }
+
+  /**
+   * Sensitive changes need the password again, not just a valid session
+   */
+  static async assertPassword(userId, password, clientInfo) {
+    const user = await User.findById(userId).select('+password');
+
+    if (!user || !await user.comparePassword(password)) {
+      await this.logEvent(userId, 'reauthentication_failed', clientInfo, { status: 'failure' });
+      throw createError('Password is incorrect', 400, 'INVALID_PASSWORD');
+    }
+
+    return user;
+  }
+
+  /**
+   * Issue the token that proves the password step of a login succeeded
+   */
+  static createChallenge(userId) {
+    return jwt.sign(
+      { userId },
+      config.jwt.secret,
+      {
+        expiresIn: config.twoFactor.challengeExpiresIn,
+        audience: CHALLENGE_AUDIENCE,
+        issuer: 'vpn-backend',
+        subject: userId.toString()
+      }
+    );
+  }
+
+  static verifyChallenge(challengeToken) {
+    try {
+      return jwt.verify(challengeToken, config.jwt.secret, { audience: CHALLENGE_AUDIENCE }).userId;
+    } catch (error) {
+      throw createError('Login challenge is invalid or has expired', 401, 'INVALID_CHALLENGE');
+    }
+  }
+
+  /**
+   * Second login step: exchange a challenge token and a code for the user
+   */
+  static async completeChallenge(challengeToken, credentials, clientInfo) {
+    const userId = this.verifyChallenge(challengeToken);
+    const user = await User.findById(userId);
+
+    if (!user || !user.isActive) {
+      throw createError('Login challenge is invalid or has expired', 401, 'INVALID_CHALLENGE');
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    LockoutService.assertCanAttempt(user);
+
+    try {
+      const method = await this.assertCode(user._id, credentials, clientInfo);
+      return { user, method };
+    } catch (error) {
+      await LockoutService.recordFailure(user, clientInfo);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn 2FA off. Requires the password and a current code.
+   */
+  static async disable(userId, { password, code, recoveryCode }, clientInfo) {
+    const user = await this.assertPassword(userId, password, clientInfo);
+
+    if (!user.twoFactor.enabled) {
+      throw createError('Two-factor authentication is not enabled', 400, 'TWO_FACTOR_NOT_ENABLED');
+    }
+
+    const method = await this.assertCode(user._id, { code, recoveryCode }, clientInfo);
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.enabledAt': '',
+          'twoFactor.secret': '',
+          'twoFactor.pendingSecret': '',
+          'twoFactor.lastUsedStep': '',
+          'twoFactor.recoveryCodes': ''
+        }
+      }
+    );
+
+    await this.logEvent(user._id, 'two_factor_disabled', clientInfo, { details: { method } });
+  }
+
+  /**
+   * Replace all recovery codes. Requires the password and an authenticator code.
+   */
+  static async regenerateRecoveryCodes(userId, { password, code }, clientInfo) {
+    const user = await this.assertPassword(userId, password, clientInfo);
+
+    if (!user.twoFactor.enabled) {
+      throw createError('Two-factor authentication is not enabled', 400, 'TWO_FACTOR_NOT_ENABLED');
+    }
+
+    await this.assertCode(user._id, { code }, clientInfo);
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.recoveryCodes': this.toStoredRecoveryCodes(recoveryCodes) } }
+    );
+
+    await this.logEvent(user._id, 'recovery_codes_regenerated', clientInfo);
+
+    return { recoveryCodes };
+  }
+}
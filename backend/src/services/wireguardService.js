@@ -1,19 +1,38 @@
 import fs from 'fs/promises';
 import path from 'path';
+import mongoose from 'mongoose';
 import { fileURLToPath } from 'url';
 import Connection from '../models/Connection.js';
 import Server from '../models/Server.js';
 import AuditLog from '../models/AuditLog.js';
-import { generateWireGuardConfig, formatWireGuardConfig, CryptoUtils } from '../utils/crypto.js';
+import Device from '../models/Device.js';
+import User from '../models/User.js';
+import { createError } from '../middleware/errorHandler.js';
+import {
+  generateWireGuardConfig,
+  formatWireGuardConfig,
+  CryptoUtils,
+  EnvelopeEncryption,
+  PRIVATE_KEY_PLACEHOLDER
+} from '../utils/crypto.js';
+import { IpamService } from './ipamService.js';
+import { getWireGuardDriver } from './drivers/index.js';
+import { QuotaService } from './quotaService.js';
+import { renderQrCode } from '../utils/qrCode.js';
+import { PkiService } from './pkiService.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 export class WireGuardService {
   /**
-   * Establish a new VPN connection
+   * Establish a new VPN connection for one of the user's devices.
+   * Without a device ID the user's default device is used.
    */
-  static async connect(userId, serverId, clientInfo = {}) {
+  static async connect(userId, serverId, clientInfo = {}, { deviceId, clientPublicKey, usePresharedKey } = {}) {
     let connection;
+    let lease;
+    let peerInstalled = false;
+    const connectionId = new mongoose.Types.ObjectId();
     
     try {
       // Validate inputs
@@ -35,10 +54,19 @@ export class WireGuardService {
         throw new Error('Server is not available for new connections');
       }
 
-      // Check if user already has active connection
-      const activeConnection = await Connection.findActiveByUser(userId);
-      if (activeConnection) {
-        await this.disconnect(activeConnection._id);
+      if (!server.flags.supportsWireGuard) {
+        throw createError('Server does not support WireGuard', 400, 'PROTOCOL_NOT_SUPPORTED');
+      }
+
+      const device = await this.resolveDevice(userId, deviceId, clientPublicKey);
+
+      // Enforce data and simultaneous device limits
+      await QuotaService.assertCanConnect(userId, { deviceId: device._id, server });
+
+      // Each device holds one session, reconnecting replaces it
+      const deviceSession = await Connection.findActiveByDevice(device._id);
+      if (deviceSession) {
+        await this.disconnect(deviceSession._id);
       }
 
       // Check server capacity
@@ -47,13 +75,26 @@ export class WireGuardService {
         throw new Error('Server is at capacity');
       }
 
-      // Generate WireGuard configuration
-      const config = await generateWireGuardConfig(server, { _id: userId });
+      // Lease a tunnel address from the server pool
+      lease = await IpamService.leaseAddress(server, { connectionId, userId });
+
+      // Generate WireGuard configuration with the device's persistent public key
+      const config = await generateWireGuardConfig(server, { _id: userId }, lease, {
+        publicKey: device.publicKey
+      }, { usePresharedKey });
+
+      // Server-held keys stay wrapped, they are only decrypted on config download
+      if (device.keySource === 'server') {
+        config.privateKey = device.privateKey;
+        config.keySource = 'server';
+      }
 
       // Create connection record
       connection = new Connection({
+        _id: connectionId,
         userId,
         serverId: server._id,
+        deviceId: device._id,
         config,
         status: 'connecting',
         startTime: new Date(),
@@ -72,14 +113,14 @@ export class WireGuardService {
 
       await connection.save();
 
-      // Generate config file
-      const configContent = formatWireGuardConfig(config);
+      // Generate config file with a key placeholder, encrypted on disk
+      const configContent = formatWireGuardConfig({ ...config, privateKey: undefined });
       const configFileName = `wg-${connection._id}.conf`;
       const configFilePath = path.join(process.cwd(), 'wireguard-configs', configFileName);
 
       // Ensure directory exists
       await fs.mkdir(path.dirname(configFilePath), { recursive: true });
-      await fs.writeFile(configFilePath, configContent, 'utf8');
+      await fs.writeFile(configFilePath, EnvelopeEncryption.encrypt(configContent), 'utf8');
 
       // Update connection with config file path
       connection.config.configFile = configFileName;
@@ -101,36 +142,34 @@ export class WireGuardService {
         status: 'success'
       });
 
-      // Simulate connection process (in real implementation, this would interface with WireGuard)
-      setTimeout(async () => {
-        try {
-          connection.status = 'connected';
-          await connection.save();
-
-          // Update server user count
-          await Server.findByIdAndUpdate(serverId, {
-            $inc: { currentUsers: 1 },
-            $set: { 'stats.lastHealthCheck': new Date() }
-          });
-
-          // Log successful connection
-          await AuditLog.log({
-            action: 'connection_start',
-            userId,
-            resourceId: connection._id,
-            resourceType: 'connection',
-            details: {
-              server: server.name,
-              status: 'connected',
-              duration: connection.currentDuration
-            },
-            status: 'success'
-          });
+      // Install the peer and wait for the interface to confirm it
+      peerInstalled = true;
+      await this.installPeer(server, connection.config);
 
-        } catch (error) {
-          console.error('Error updating connection status:', error);
-        }
-      }, 2000);
+      connection.status = 'connected';
+      await connection.save();
+
+      device.lastSeen = new Date();
+      await device.save();
+
+      // Update server user count
+      await Server.findByIdAndUpdate(serverId, {
+        $inc: { currentUsers: 1 },
+        $set: { 'stats.lastHealthCheck': new Date() }
+      });
+
+      // Log successful connection
+      await AuditLog.log({
+        action: 'connection_start',
+        userId,
+        resourceId: connection._id,
+        resourceType: 'connection',
+        details: {
+          server: server.name,
+          status: 'connected'
+        },
+        status: 'success'
+      });
 
       return {
         success: true,
@@ -145,7 +184,17 @@ export class WireGuardService {
           load: server.load,
           ping: server.ping
         },
-        estimatedWait: 2 // seconds
+        device: {
+          id: device._id,
+          name: device.name,
+          platform: device.platform
+        },
+        keySource: config.keySource,
+        presharedKey: Boolean(config.presharedKey),
+        // Template carries a placeholder instead of a private key, safe to return inline
+        // unless it holds a preshared key, which is only handed out on download
+        configTemplate: config.keySource === 'client' && !config.presharedKey ? configContent : undefined,
+        status: connection.status
       };
 
     } catch (error) {
@@ -154,6 +203,16 @@ export class WireGuardService {
         await connection.markError('CONNECTION_FAILED', error.message);
       }
 
+      if (peerInstalled) {
+        await this.uninstallPeer(serverId, connection.config).catch(err => {
+          console.warn('Could not remove peer after failed connection:', err.message);
+        });
+      }
+
+      if (lease) {
+        await IpamService.releaseAddress(connectionId);
+      }
+
       await AuditLog.log({
         action: 'connection_start',
         userId,
@@ -167,7 +226,12 @@ export class WireGuardService {
         status: 'failure'
       });
 
-      throw new Error(`Connection failed: ${error.message}`);
+      const connectError = new Error(`Connection failed: ${error.message}`);
+      if (error.statusCode) {
+        connectError.statusCode = error.statusCode;
+        connectError.code = error.code;
+      }
+      throw connectError;
     }
   }
 
@@ -176,6 +240,7 @@ export class WireGuardService {
    */
   static async disconnect(connectionId, userId = null) {
     let connection;
+    let wasConnected = false;
     
     try {
       // Find the connection
@@ -189,6 +254,13 @@ export class WireGuardService {
         throw new Error('Access denied');
       }
 
+      wasConnected = connection.status === 'connected';
+
+      // Remove the peer before marking the session as ended
+      connection.status = 'disconnecting';
+      await connection.save();
+      await this.uninstallPeer(connection.serverId, connection.config);
+
       // Calculate duration
       const endTime = new Date();
       const duration = Math.floor((endTime - connection.startTime) / 1000);
@@ -199,10 +271,13 @@ export class WireGuardService {
       connection.duration = duration;
       await connection.save();
 
-      // Update server user count
-      await Server.findByIdAndUpdate(connection.serverId, {
-        $inc: { currentUsers: -1 }
-      });
+      // Return the tunnel address to the pool
+      await IpamService.releaseAddress(connection._id);
+
+      // A client certificate must not outlive its session
+      if (connection.config.certificateSerial) {
+        await PkiService.revokeConnectionCertificates(connection._id);
+      }
 
       // Clean up config file
       if (connection.config.configFile) {
@@ -250,6 +325,119 @@ export class WireGuardService {
       });
 
       throw new Error(`Disconnection failed: ${error.message}`);
+    } finally {
+      // The session stops counting against the server whether or not it ended cleanly
+      if (wasConnected) {
+        await Server.findByIdAndUpdate(connection.serverId, {
+          $inc: { currentUsers: -1 }
+        });
+      }
+    }
+  }
+
+  /**
+   * Load the device a connection is made from.
+   * A client public key is adopted by the device, dropping any server key.
+   * Server-generated keys are only used for users who opted in to them.
+   */
+  static async resolveDevice(userId, deviceId, clientPublicKey) {
+    if (clientPublicKey && !CryptoUtils.validateKey(clientPublicKey, 'public')) {
+      throw createError('Invalid client public key', 400, 'INVALID_PUBLIC_KEY');
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const allowServerKeys = user.preferences.serverKeyGeneration === true;
+    let device;
+
+    if (deviceId) {
+      device = await Device.findOwned(deviceId, userId).select('+privateKey');
+      if (!device) {
+        throw new Error('Device not found');
+      }
+    } else {
+      device = await Device.findDefault(userId).select('+privateKey');
+    }
+
+    const adoptsKey = clientPublicKey && device?.publicKey !== clientPublicKey;
+    if (adoptsKey && await Device.isKeyRegistered(clientPublicKey, device?._id)) {
+      throw createError('This public key is already registered to a device', 409, 'PUBLIC_KEY_IN_USE');
+    }
+
+    if (!device) {
+      if (!clientPublicKey && !allowServerKeys) {
+        throw createError('A client public key is required', 400, 'CLIENT_PUBLIC_KEY_REQUIRED');
+      }
+      return Device.createForUser(userId, { name: 'Default', publicKey: clientPublicKey });
+    }
+
+    if (clientPublicKey && (device.keySource !== 'client' || device.publicKey !== clientPublicKey)) {
+      await device.adoptClientKey(clientPublicKey);
+    }
+
+    if (device.keySource === 'server' && !allowServerKeys) {
+      throw createError('A client public key is required', 400, 'CLIENT_PUBLIC_KEY_REQUIRED');
+    }
+
+    return device;
+  }
+
+  /**
+   * Add a peer through the driver and confirm it is present on the interface
+   */
+  static async installPeer(server, config) {
+    const driver = getWireGuardDriver();
+    const allowedIPs = [config.address, config.addressV6].filter(Boolean);
+
+    // The interface needs the preshared key itself, unwrap it just for the driver call
+    const presharedKey = config.presharedKey && EnvelopeEncryption.isEncrypted(config.presharedKey)
+      ? EnvelopeEncryption.decrypt(config.presharedKey)
+      : config.presharedKey;
+
+    await driver.addPeer(server, {
+      publicKey: config.publicKey,
+      allowedIPs,
+      presharedKey
+    });
+
+    const peers = await driver.getPeerStats(server);
+    const peer = peers.find(entry => entry.publicKey === config.publicKey);
+    if (!peer) {
+      throw new Error('Peer was not confirmed by the WireGuard interface');
+    }
+
+    if (presharedKey && peer.hasPresharedKey === false) {
+      throw new Error('Preshared key was not applied by the WireGuard interface');
+    }
+  }
+
+  /**
+   * Remove a peer through the driver and confirm it is gone
+   */
+  static async uninstallPeer(serverId, config) {
+    // OpenVPN sessions have no WireGuard peer
+    if (!config.publicKey) {
+      return;
+    }
+
+    const server = await Server.findById(serverId);
+    if (!server) {
+      return;
+    }
+
+    const driver = getWireGuardDriver();
+
+    await driver.removePeer(server, {
+      publicKey: config.publicKey,
+      allowedIPs: [config.address, config.addressV6].filter(Boolean)
+    });
+
+    const peers = await driver.getPeerStats(server);
+    if (peers.some(peer => peer.publicKey === config.publicKey)) {
+      throw new Error('Peer is still present on the WireGuard interface');
     }
   }
 
@@ -259,7 +447,8 @@ export class WireGuardService {
   static async getConnectionStatus(connectionId, userId) {
     try {
       const connection = await Connection.findById(connectionId)
-        .populate('serverId', 'name country hostname load ping');
+        .populate('serverId', 'name country hostname load ping')
+        .populate('deviceId', 'name platform lastSeen');
       
       if (!connection) {
         throw new Error('Connection not found');
@@ -273,6 +462,7 @@ export class WireGuardService {
         connectionId: connection._id,
         status: connection.status,
         server: connection.serverId,
+        device: connection.deviceId,
         duration: connection.currentDuration,
         dataTransferred: connection.dataTransferred,
         speed: connection.speed,
@@ -286,9 +476,10 @@ export class WireGuardService {
   }
 
   /**
-   * Update connection statistics
+   * Update client-reported latency.
+   * Transfer and speed are collected from the WireGuard interface.
    */
-  static async updateStats(connectionId, stats, userId) {
+  static async updateLatency(connectionId, ping, userId) {
     try {
       const connection = await Connection.findById(connectionId);
       
@@ -304,27 +495,13 @@ export class WireGuardService {
         throw new Error('Connection is not active');
       }
 
-      // Update speed metrics
-      if (stats.uploadSpeed !== undefined || stats.downloadSpeed !== undefined || stats.ping !== undefined) {
-        await connection.updateSpeed(
-          stats.uploadSpeed || connection.speed.upload,
-          stats.downloadSpeed || connection.speed.download,
-          stats.ping || connection.speed.ping
-        );
-      }
-
-      // Update data transfer
-      if (stats.upload !== undefined || stats.download !== undefined) {
-        await connection.addDataTransfer(
-          stats.upload || 0,
-          stats.download || 0
-        );
-      }
+      connection.speed.ping = ping;
+      await connection.save();
 
-      return await Connection.findById(connectionId);
+      return connection;
 
     } catch (error) {
-      throw new Error(`Failed to update stats: ${error.message}`);
+      throw new Error(`Failed to update latency: ${error.message}`);
     }
   }
 
@@ -361,7 +538,9 @@ export class WireGuardService {
    */
   static async getConfigFile(connectionId, userId) {
     try {
-      const connection = await Connection.findById(connectionId);
+      const connection = await Connection.findById(connectionId)
+        .select('+config.privateKey')
+        .populate('serverId', 'name');
       
       if (!connection) {
         throw new Error('Connection not found');
@@ -376,17 +555,65 @@ export class WireGuardService {
       }
 
       const configFilePath = path.join(process.cwd(), 'wireguard-configs', connection.config.configFile);
-      const configContent = await fs.readFile(configFilePath, 'utf8');
+      const storedContent = await fs.readFile(configFilePath, 'utf8');
+
+      // Config files are only ever decrypted for the owner's download
+      let configContent = EnvelopeEncryption.isEncrypted(storedContent)
+        ? EnvelopeEncryption.decrypt(storedContent)
+        : storedContent;
+
+      if (connection.config.keySource === 'server' && connection.config.privateKey) {
+        const privateKey = EnvelopeEncryption.isEncrypted(connection.config.privateKey)
+          ? EnvelopeEncryption.decrypt(connection.config.privateKey)
+          : connection.config.privateKey;
+        configContent = configContent.replace(PRIVATE_KEY_PLACEHOLDER, privateKey);
+      }
+
+      const protocol = connection.metadata.protocol;
+      const extension = protocol === 'openvpn' ? 'ovpn' : 'conf';
 
       return {
-        filename: `vpn-${connection.serverId.name.toLowerCase()}.conf`,
+        filename: `vpn-${connection.serverId.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.${extension}`,
         content: configContent,
         connectionId: connection._id,
-        server: connection.serverId.name
+        server: connection.serverId.name,
+        protocol,
+        keySource: connection.config.keySource
       };
 
     } catch (error) {
       throw new Error(`Failed to get config file: ${error.message}`);
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * Get the configuration file encoded as a QR code for mobile import.
+   * A config with a client-held key cannot be imported by scanning,
+   * since the phone would still need the private key typed in.
+   */
+  static async getConfigQrCode(connectionId, userId, type = 'png') {
+    const configFile = await this.getConfigFile(connectionId, userId);
+
+    // Inline certificates make OpenVPN profiles too large for a QR code
+    if (configFile.protocol === 'openvpn') {
+      throw createError('QR export is only available for WireGuard configs', 409, 'QR_NOT_SUPPORTED');
+    }
+
+    if (configFile.content.includes(PRIVATE_KEY_PLACEHOLDER)) {
+      throw createError(
+        'QR export needs a server-generated key, import the config file on this device instead',
+        409,
+        'PRIVATE_KEY_NOT_AVAILABLE'
+      );
+    }
+
+    const image = await renderQrCode(configFile.content, type);
+
+    return {
+      ...image,
+      filename: configFile.filename.replace(/\.conf$/, `.${type}`),
+      connectionId: configFile.connectionId,
+      server: configFile.server
+    };
+  }
+}
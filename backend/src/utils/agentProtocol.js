@@ -0,0 +1,46 @@
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+
+/**
+ * Server agent protocol
+ *
+ * 1. An admin creates a one-time enrollment token for a server.
+ * 2. The agent on that node calls POST /api/agents/enroll with the token
+ *    and receives an agent ID and a secret. The token cannot be used again.
+ * 3. Every heartbeat is sent to POST /api/agents/heartbeat with the headers
+ *      X-Agent-Id         the agent ID
+ *      X-Agent-Timestamp  milliseconds since the epoch, strictly increasing
+ *      X-Agent-Signature  hex HMAC-SHA256 of the signing string, keyed with the secret
+ *    The signing string joins method, path, timestamp and the SHA-256 of
+ *    the raw body with newlines.
+ * 4. Nodes serving OpenVPN fetch their certificate and tls-crypt key from
+ *    POST /api/agents/openvpn/credentials, signed the same way, and list
+ *    the certificate names of connected clients in their heartbeats.
+ */
+export const AGENT_HEADERS = {
+  id: 'X-Agent-Id',
+  timestamp: 'X-Agent-Timestamp',
+  signature: 'X-Agent-Signature'
+};
+
+export const AGENT_SECRET_PREFIX = 'vpna_';
+
+export const buildSigningString = ({ method, path, timestamp, body }) => {
+  const bodyHash = createHash('sha256').update(body || '').digest('hex');
+  return [method.toUpperCase(), path, timestamp, bodyHash].join('\n');
+};
+
+/**
+ * @param {string} secret - Agent secret
+ * @param {Object} request - { method, path, timestamp, body }
+ * @returns {string} Hex signature
+ */
+export const signAgentRequest = (secret, request) => {
+  return createHmac('sha256', secret).update(buildSigningString(request)).digest('hex');
+};
+
+export const verifyAgentSignature = (secret, request, signature) => {
+  const expected = Buffer.from(signAgentRequest(secret, request), 'hex');
+  const actual = Buffer.from(typeof signature === 'string' ? signature : '', 'hex');
+
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+};
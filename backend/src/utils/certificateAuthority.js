@@ -0,0 +1,259 @@
+import * as x509 from '@peculiar/x509';
+import { webcrypto, randomBytes } from 'crypto';
+
+x509.cryptoProvider.set(webcrypto);
+
+// ECDSA P-256 is supported by OpenVPN 2.4+ and every IKEv2 client we target
+const SIGNING_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' };
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Allow for clients whose clocks run slightly behind
+const BACKDATE_MS = 5 * 60 * 1000;
+
+/**
+ * X.509 helpers for the built-in certificate authority.
+ * Keys and certificates are passed around as PEM strings.
+ */
+export class CertificateAuthority {
+  /**
+   * Generate a new signing key pair
+   * @returns {Promise<CryptoKeyPair>}
+   */
+  static generateKeys() {
+    return webcrypto.subtle.generateKey(SIGNING_ALGORITHM, true, ['sign', 'verify']);
+  }
+
+  /**
+   * Export a private key as PKCS#8 PEM
+   * @param {CryptoKey} privateKey
+   * @returns {Promise<string>}
+   */
+  static async exportPrivateKey(privateKey) {
+    const der = await webcrypto.subtle.exportKey('pkcs8', privateKey);
+    return x509.PemConverter.encode(der, 'PRIVATE KEY');
+  }
+
+  /**
+   * Import a PKCS#8 PEM private key for signing
+   * @param {string} pem
+   * @returns {Promise<CryptoKey>}
+   */
+  static importPrivateKey(pem) {
+    const [der] = x509.PemConverter.decode(pem);
+    return webcrypto.subtle.importKey('pkcs8', der, SIGNING_ALGORITHM, false, ['sign']);
+  }
+
+  /**
+   * Random positive serial number as hex
+   * @returns {string}
+   */
+  static generateSerialNumber() {
+    const serial = randomBytes(16);
+    serial[0] &= 0x7f; // Keep the serial positive
+    return serial.toString('hex');
+  }
+
+  /**
+   * Parse a PEM certificate
+   * @param {string} pem
+   * @returns {x509.X509Certificate}
+   */
+  static parseCertificate(pem) {
+    return new x509.X509Certificate(pem);
+  }
+
+  static validityWindow({ validityDays = 0, validityHours = 0 }) {
+    const notBefore = new Date(Date.now() - BACKDATE_MS);
+    const notAfter = new Date(Date.now() + validityDays * DAY_MS + validityHours * HOUR_MS);
+    return { notBefore, notAfter };
+  }
+
+  /**
+   * Load an issuing CA from PEM
+   * @param {Object} issuer - { certificate, privateKey } as PEM
+   */
+  static async loadIssuer(issuer) {
+    return {
+      certificate: this.parseCertificate(issuer.certificate),
+      signingKey: await this.importPrivateKey(issuer.privateKey)
+    };
+  }
+
+  /**
+   * Clamp a validity window to the issuer's own
+   */
+  static clampToIssuer({ notBefore, notAfter }, issuerCertificate) {
+    return {
+      notBefore: notBefore < issuerCertificate.notBefore ? issuerCertificate.notBefore : notBefore,
+      notAfter: notAfter > issuerCertificate.notAfter ? issuerCertificate.notAfter : notAfter
+    };
+  }
+
+  /**
+   * Create a self-signed root certificate
+   * @param {Object} options
+   * @param {string} options.commonName - Subject common name
+   * @param {number} options.validityDays - Lifetime in days
+   * @returns {Promise<Object>} { certificate, privateKey, serialNumber, notBefore, notAfter }
+   */
+  static async createRoot({ commonName, validityDays }) {
+    const keys = await this.generateKeys();
+    const serialNumber = this.generateSerialNumber();
+    const { notBefore, notAfter } = this.validityWindow({ validityDays });
+
+    const certificate = await x509.X509CertificateGenerator.createSelfSigned({
+      serialNumber,
+      name: `CN=${commonName}`,
+      notBefore,
+      notAfter,
+      keys,
+      signingAlgorithm: SIGNING_ALGORITHM,
+      extensions: [
+        new x509.BasicConstraintsExtension(true, undefined, true),
+        new x509.KeyUsagesExtension(x509.KeyUsageFlags.keyCertSign | x509.KeyUsageFlags.cRLSign, true),
+        await x509.SubjectKeyIdentifierExtension.create(keys.publicKey)
+      ]
+    });
+
+    return {
+      certificate: certificate.toString('pem'),
+      privateKey: await this.exportPrivateKey(keys.privateKey),
+      serialNumber,
+      notBefore,
+      notAfter
+    };
+  }
+
+  /**
+   * Create an intermediate CA signed by the root.
+   * Path length 0, so it can only issue end-entity certificates.
+   * @param {Object} issuer - Root { certificate, privateKey } as PEM
+   * @param {Object} options
+   * @param {string} options.commonName - Subject common name
+   * @param {number} options.validityDays - Lifetime in days
+   * @returns {Promise<Object>} { certificate, privateKey, serialNumber, notBefore, notAfter }
+   */
+  static async createIntermediate(issuer, { commonName, validityDays }) {
+    const { certificate: issuerCertificate, signingKey } = await this.loadIssuer(issuer);
+    const keys = await this.generateKeys();
+    const serialNumber = this.generateSerialNumber();
+    const { notBefore, notAfter } = this.clampToIssuer(this.validityWindow({ validityDays }), issuerCertificate);
+
+    const certificate = await x509.X509CertificateGenerator.create({
+      serialNumber,
+      subject: `CN=${commonName}`,
+      issuer: issuerCertificate.subject,
+      notBefore,
+      notAfter,
+      publicKey: keys.publicKey,
+      signingKey,
+      signingAlgorithm: SIGNING_ALGORITHM,
+      extensions: [
+        new x509.BasicConstraintsExtension(true, 0, true),
+        new x509.KeyUsagesExtension(x509.KeyUsageFlags.keyCertSign | x509.KeyUsageFlags.cRLSign, true),
+        await x509.SubjectKeyIdentifierExtension.create(keys.publicKey),
+        await x509.AuthorityKeyIdentifierExtension.create(issuerCertificate)
+      ]
+    });
+
+    return {
+      certificate: certificate.toString('pem'),
+      privateKey: await this.exportPrivateKey(keys.privateKey),
+      serialNumber,
+      notBefore: certificate.notBefore,
+      notAfter: certificate.notAfter
+    };
+  }
+
+  /**
+   * Issue an end-entity certificate signed by an issuing CA
+   * @param {Object} issuer - { certificate, privateKey } as PEM
+   * @param {Object} options
+   * @param {string} options.commonName - Subject common name
+   * @param {string} options.type - 'client' or 'server'
+   * @param {number} options.validityDays - Lifetime in days
+   * @param {number} options.validityHours - Lifetime in hours, added to the days
+   * @returns {Promise<Object>} { certificate, privateKey, serialNumber, notBefore, notAfter }
+   */
+  static async issueCertificate(issuer, { commonName, type = 'client', validityDays, validityHours }) {
+    const { certificate: issuerCertificate, signingKey } = await this.loadIssuer(issuer);
+    const keys = await this.generateKeys();
+    const serialNumber = this.generateSerialNumber();
+    // Never outlive the issuer
+    const { notBefore, notAfter } = this.clampToIssuer(
+      this.validityWindow({ validityDays, validityHours }),
+      issuerCertificate
+    );
+
+    const extendedUsage = type === 'server'
+      ? x509.ExtendedKeyUsage.serverAuth
+      : x509.ExtendedKeyUsage.clientAuth;
+
+    const certificate = await x509.X509CertificateGenerator.create({
+      serialNumber,
+      subject: `CN=${commonName}`,
+      issuer: issuerCertificate.subject,
+      notBefore,
+      notAfter,
+      publicKey: keys.publicKey,
+      signingKey,
+      signingAlgorithm: SIGNING_ALGORITHM,
+      extensions: [
+        new x509.BasicConstraintsExtension(false, undefined, true),
+        new x509.KeyUsagesExtension(x509.KeyUsageFlags.digitalSignature | x509.KeyUsageFlags.keyAgreement, true),
+        new x509.ExtendedKeyUsageExtension([extendedUsage]),
+        await x509.SubjectKeyIdentifierExtension.create(keys.publicKey),
+        await x509.AuthorityKeyIdentifierExtension.create(issuerCertificate)
+      ]
+    });
+
+    return {
+      certificate: certificate.toString('pem'),
+      privateKey: await this.exportPrivateKey(keys.privateKey),
+      serialNumber,
+      notBefore: certificate.notBefore,
+      notAfter: certificate.notAfter
+    };
+  }
+
+  /**
+   * Create a certificate revocation list signed by an issuing CA
+   * @param {Object} issuer - { certificate, privateKey } as PEM
+   * @param {Array} entries - [{ serialNumber, revokedAt, reason }]
+   * @param {Object} options
+   * @param {number} options.validityHours - Hours until the next update
+   * @returns {Promise<x509.X509Crl>}
+   */
+  static async createCrl(issuer, entries, { validityHours }) {
+    const { certificate: issuerCertificate, signingKey } = await this.loadIssuer(issuer);
+    const thisUpdate = new Date();
+
+    return x509.X509CrlGenerator.create({
+      issuer: issuerCertificate.subject,
+      thisUpdate,
+      nextUpdate: new Date(thisUpdate.getTime() + validityHours * HOUR_MS),
+      entries: entries.map(entry => ({
+        serialNumber: entry.serialNumber,
+        revocationDate: entry.revokedAt,
+        reason: x509.X509CrlReason[entry.reason] ?? x509.X509CrlReason.unspecified
+      })),
+      signingKey,
+      signingAlgorithm: SIGNING_ALGORITHM,
+      extensions: [
+        await x509.AuthorityKeyIdentifierExtension.create(issuerCertificate)
+      ]
+    });
+  }
+
+  /**
+   * Encode a CRL as PEM. OpenSSL, and so OpenVPN's crl-verify,
+   * only reads the X509 CRL label.
+   * @param {x509.X509Crl} crl
+   * @returns {string} PEM text
+   */
+  static crlToPem(crl) {
+    return x509.PemConverter.encode(crl.rawData, 'X509 CRL');
+  }
+}
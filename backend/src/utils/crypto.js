@@ -1,5 +1,7 @@
 import nacl from 'tweetnacl';
 import util from 'tweetnacl-util';
+import { randomBytes, createCipheriv, createDecipheriv } from 'crypto';
+import { config as appConfig } from '../config/environment.js';
 
 export class CryptoUtils {
   /**
@@ -37,7 +39,7 @@ export class CryptoUtils {
   /**
    * Validate a WireGuard key
    * @param {string} keyBase64 - Key in base64 format
-   * @param {string} type - 'public' or 'private'
+   * @param {string} type - 'public', 'private' or 'preshared'
    * @returns {boolean}
    */
   static validateKey(keyBase64, type = 'public') {
@@ -55,7 +57,7 @@ export class CryptoUtils {
       
       if (type === 'public') {
         return keyBytes.length === 32;
-      } else if (type === 'private') {
+      } else if (type === 'private' || type === 'preshared') {
         return keyBytes.length === 32;
       }
 
@@ -65,17 +67,6 @@ export class CryptoUtils {
     }
   }
 
-  /**
-   * Generate a unique client IP address
-   * @param {number} subnet - Subnet identifier
-   * @returns {string} IP address in CIDR notation
-   */
-  static generateClientIP(subnet = 8) {
-    const octet3 = Math.floor(Math.random() * 254) + 1;
-    const octet4 = Math.floor(Math.random() * 254) + 1;
-    return `10.${subnet}.${octet3}.${octet4}/32`;
-  }
-
   /**
    * Generate pre-shared key (optional for enhanced security)
    * @returns {string} Pre-shared key in base64
@@ -96,31 +87,206 @@ export class CryptoUtils {
   }
 }
 
+const ENVELOPE_PREFIX = 'env:v1';
+
+/**
+ * Envelope encryption for secrets at rest.
+ *
+ * Each value is encrypted with its own random data key (AES-256-GCM) and the
+ * data key is wrapped with a key-encryption key from config.security. The key
+ * ID is stored in the envelope, so rotating only re-wraps the data key.
+ *
+ * Format: env:v1:<keyId>:<wrappedKey>:<keyIv>:<keyTag>:<dataIv>:<dataTag>:<ciphertext>
+ */
+export class EnvelopeEncryption {
+  /**
+   * Get a key-encryption key by ID
+   * @param {string} keyId - Key ID, defaults to the current key
+   * @returns {Object} { keyId, key }
+   */
+  static getKeyEncryptionKey(keyId = appConfig.security.encryption.currentKeyId) {
+    const key = appConfig.security.encryption.keys[keyId];
+
+    if (!key) {
+      throw new Error(`Unknown data encryption key: ${keyId}`);
+    }
+
+    return { keyId, key: Buffer.from(key, 'base64') };
+  }
+
+  static seal(key, plaintext) {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return { iv, tag: cipher.getAuthTag(), ciphertext };
+  }
+
+  static open(key, { iv, tag, ciphertext }) {
+    const decipher = createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  }
+
+  /**
+   * Check whether a value is an envelope
+   * @param {string} value
+   * @returns {boolean}
+   */
+  static isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${ENVELOPE_PREFIX}:`);
+  }
+
+  /**
+   * Parse an envelope into its parts
+   */
+  static parse(envelope) {
+    const parts = envelope.split(':');
+
+    if (parts.length !== 9 || `${parts[0]}:${parts[1]}` !== ENVELOPE_PREFIX) {
+      throw new Error('Malformed encrypted value');
+    }
+
+    const [, , keyId, ...encoded] = parts;
+    const [wrappedKey, keyIv, keyTag, dataIv, dataTag, ciphertext] = encoded.map(part => Buffer.from(part, 'base64'));
+
+    return {
+      keyId,
+      wrapped: { iv: keyIv, tag: keyTag, ciphertext: wrappedKey },
+      data: { iv: dataIv, tag: dataTag, ciphertext }
+    };
+  }
+
+  static format(keyId, wrapped, data) {
+    return [
+      ENVELOPE_PREFIX,
+      keyId,
+      ...[wrapped.ciphertext, wrapped.iv, wrapped.tag, data.iv, data.tag, data.ciphertext].map(part => part.toString('base64'))
+    ].join(':');
+  }
+
+  /**
+   * Encrypt a string with the current key-encryption key
+   * @param {string} plaintext
+   * @returns {string} Envelope
+   */
+  static encrypt(plaintext) {
+    const { keyId, key } = this.getKeyEncryptionKey();
+    const dataKey = randomBytes(32);
+
+    const data = this.seal(dataKey, Buffer.from(plaintext, 'utf8'));
+    const wrapped = this.seal(key, dataKey);
+
+    return this.format(keyId, wrapped, data);
+  }
+
+  /**
+   * Decrypt an envelope with whichever key wrapped it
+   * @param {string} envelope
+   * @returns {string} Plaintext
+   */
+  static decrypt(envelope) {
+    const { keyId, wrapped, data } = this.parse(envelope);
+    const { key } = this.getKeyEncryptionKey(keyId);
+
+    const dataKey = this.open(key, wrapped);
+    return this.open(dataKey, data).toString('utf8');
+  }
+
+  /**
+   * Re-wrap the data key of an envelope with the current key.
+   * The encrypted data itself is left untouched.
+   * @param {string} envelope
+   * @returns {string} Envelope wrapped with the current key
+   */
+  static rewrap(envelope) {
+    const { keyId, wrapped, data } = this.parse(envelope);
+    const current = this.getKeyEncryptionKey();
+
+    if (keyId === current.keyId) {
+      return envelope;
+    }
+
+    const dataKey = this.open(this.getKeyEncryptionKey(keyId).key, wrapped);
+    return this.format(current.keyId, this.seal(current.key, dataKey), data);
+  }
+
+  /**
+   * Key ID an envelope is wrapped with
+   * @param {string} envelope
+   * @returns {string}
+   */
+  static getKeyId(envelope) {
+    return this.parse(envelope).keyId;
+  }
+}
+
+/**
+ * Stands in for the private key in configs for client-generated keys
+ */
+export const PRIVATE_KEY_PLACEHOLDER = '<YOUR_PRIVATE_KEY>';
+
+/**
+ * Format host and port as a VPN endpoint, bracketing IPv6 literals
+ * @param {string} host - Hostname or IP address
+ * @param {number} port - Port
+ * @returns {string} Endpoint in host:port form
+ */
+export const formatEndpoint = (host, port) => {
+  return host.includes(':') ? `[${host}]:${port}` : `${host}:${port}`;
+};
+
+/**
+ * Decide whether a connection gets a preshared key under the server policy
+ * @param {Object} server - Server object with technical details
+ * @param {boolean} requested - Whether the client asked for a preshared key
+ * @returns {boolean}
+ */
+export const usesPresharedKey = (server, requested = false) => {
+  const policy = server.technical.presharedKeyPolicy || 'off';
+  return policy === 'required' || (policy === 'per-connection' && requested === true);
+};
+
 /**
  * Generate complete WireGuard configuration
  * @param {Object} server - Server object with technical details
  * @param {Object} user - User object
+ * @param {Object} lease - Address lease from the server pool
+ * @param {Object} keys - Client key pair, generated when not provided.
+ *   When only a public key is given the private key stays on the client.
+ * @param {Object} options - Connection options
+ * @param {boolean} options.usePresharedKey - Client opted in to a preshared key
  * @returns {Object} Complete WireGuard configuration
  */
-export const generateWireGuardConfig = async (server, user) => {
+export const generateWireGuardConfig = async (server, user, lease, keys = CryptoUtils.generateKeyPair(), options = {}) => {
   try {
-    // Generate client keys
-    const keys = CryptoUtils.generateKeyPair();
+    if (!lease?.ipv4) {
+      throw new Error('Address lease is required');
+    }
     
-    // Generate client IP
-    const clientIP = CryptoUtils.generateClientIP();
+    // Client IP comes from the server address pool
+    const clientIP = `${lease.ipv4}/32`;
+    const clientIPv6 = lease.ipv6 ? `${lease.ipv6}/128` : undefined;
+
+    // Always route IPv6 through the tunnel so it cannot leak around it,
+    // even when the server has no IPv6 pool and the traffic is dropped
+    const allowedIPs = [...(server.technical.allowedIPs || ['0.0.0.0/0'])];
+    if (!allowedIPs.some(range => range.includes(':'))) {
+      allowedIPs.push('::/0');
+    }
     
     // Create configuration object
     const config = {
       publicKey: keys.publicKey,
       privateKey: keys.privateKey,
+      keySource: keys.privateKey ? 'server' : 'client',
       address: clientIP,
+      addressV6: clientIPv6,
       dns: server.technical.dns || ['1.1.1.1', '8.8.8.8'],
-      endpoint: `${server.technical.endpoint}:${server.port}`,
-      allowedIPs: server.technical.allowedIPs || ['0.0.0.0/0', '::/0'],
+      endpoint: formatEndpoint(server.technical.endpoint, server.port),
+      allowedIPs,
       persistentKeepalive: server.technical.persistentKeepalive || 25,
       serverPublicKey: server.technical.publicKey,
-      preSharedKey: server.technical.presharedKey ? CryptoUtils.generatePresharedKey() : undefined
+      presharedKey: usesPresharedKey(server, options.usePresharedKey) ? CryptoUtils.generatePresharedKey() : undefined
     };
 
     // Validate all cryptographic elements
@@ -128,10 +294,14 @@ export const generateWireGuardConfig = async (server, user) => {
       throw new Error('Generated public key is invalid');
     }
     
-    if (!CryptoUtils.validateKey(config.privateKey, 'private')) {
+    if (config.privateKey && !CryptoUtils.validateKey(config.privateKey, 'private')) {
       throw new Error('Generated private key is invalid');
     }
 
+    if (config.presharedKey && !CryptoUtils.validateKey(config.presharedKey, 'preshared')) {
+      throw new Error('Generated preshared key is invalid');
+    }
+
     if (!CryptoUtils.validateKey(server.technical.publicKey, 'public')) {
       throw new Error('Server public key is invalid');
     }
@@ -148,22 +318,27 @@ export const generateWireGuardConfig = async (server, user) => {
  * @returns {string} WireGuard config file content
  */
 export const formatWireGuardConfig = (config) => {
+  const addresses = [config.address, config.addressV6].filter(Boolean);
+
   const lines = [
     '[Interface]',
-    `PrivateKey = ${config.privateKey}`,
-    `Address = ${config.address}`,
+    `PrivateKey = ${config.privateKey || PRIVATE_KEY_PLACEHOLDER}`,
+    `Address = ${addresses.join(', ')}`,
     `DNS = ${config.dns.join(', ')}`,
     '',
     '[Peer]',
-    `PublicKey = ${config.serverPublicKey}`,
-    `Endpoint = ${config.endpoint}`,
-    `AllowedIPs = ${config.allowedIPs.join(', ')}`,
-    `PersistentKeepalive = ${config.persistentKeepalive}`
+    `PublicKey = ${config.serverPublicKey}`
   ];
 
-  if (config.preSharedKey) {
-    lines.push(`PresharedKey = ${config.preSharedKey}`);
+  if (config.presharedKey) {
+    lines.push(`PresharedKey = ${config.presharedKey}`);
   }
 
+  lines.push(
+    `Endpoint = ${config.endpoint}`,
+    `AllowedIPs = ${config.allowedIPs.join(', ')}`,
+    `PersistentKeepalive = ${config.persistentKeepalive}`
+  );
+
   return lines.join('\n');
 };
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * Server health states, from best to worst
+ */
+export const HEALTH_STATUSES = ['healthy', 'degraded', 'offline'];
+
+/**
+ * Pick the worst of several health states, ignoring missing ones
+ * @returns {string}
+ */
+export const worstHealthStatus = (...statuses) => {
+  return statuses
+    .filter(status => HEALTH_STATUSES.includes(status))
+    .reduce((worst, status) => (
+      HEALTH_STATUSES.indexOf(status) > HEALTH_STATUSES.indexOf(worst) ? status : worst
+    ), 'healthy');
+};
+
+/**
+ * Summarise one round of probe results
+ * @returns {string} 'up' when all passed, 'down' when none did, otherwise 'partial'
+ */
+export const getRoundOutcome = (results) => {
+  const passed = results.filter(result => result.ok).length;
+
+  if (passed === results.length) return 'up';
+  if (passed === 0) return 'down';
+  return 'partial';
+};
+
+/**
+ * Count consecutive rounds by outcome
+ *   healthy   - every probe passed
+ *   reachable - at least one probe passed
+ *   failing   - at least one probe failed
+ *   down      - every probe failed
+ */
+export const updateStreaks = (streaks = {}, outcome) => {
+  const increment = (name, condition) => (condition ? (streaks[name] || 0) + 1 : 0);
+
+  return {
+    healthy: increment('healthy', outcome === 'up'),
+    reachable: increment('reachable', outcome !== 'down'),
+    failing: increment('failing', outcome !== 'up'),
+    down: increment('down', outcome === 'down')
+  };
+};
+
+/**
+ * Move between health states only once a result has held for several
+ * rounds in a row, so a node on the edge does not flap
+ * @param {string} current - Current status
+ * @param {Object} streaks - From updateStreaks
+ * @param {Object} thresholds - { degradeAfter, offlineAfter, recoverAfter }
+ * @returns {string} Next status
+ */
+export const nextHealthStatus = (current, streaks, { degradeAfter, offlineAfter, recoverAfter }) => {
+  if (streaks.down >= offlineAfter) {
+    return 'offline';
+  }
+
+  if (current !== 'healthy' && streaks.healthy >= recoverAfter) {
+    return 'healthy';
+  }
+
+  if (current === 'healthy' && streaks.failing >= degradeAfter) {
+    return 'degraded';
+  }
+
+  // Reachable again but not fully working
+  if (current === 'offline' && streaks.reachable >= recoverAfter) {
+    return 'degraded';
+  }
+
+  return current || 'healthy';
+};
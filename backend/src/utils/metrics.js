@@ -0,0 +1,106 @@
+import client from 'prom-client';
+import Server from '../models/Server.js';
+import Connection from '../models/Connection.js';
+import { getConnectedClientsCount } from './websocket.js';
+
+/**
+ * Prometheus metrics, exposed at /metrics
+ */
+export const register = new client.Registry();
+
+client.collectDefaultMetrics({ register });
+
+export const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request duration by route and status',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+export const rateLimitHits = new client.Counter({
+  name: 'rate_limit_hits_total',
+  help: 'Requests rejected by a rate limiter',
+  labelNames: ['limiter'],
+  registers: [register]
+});
+
+export const cronJobDuration = new client.Histogram({
+  name: 'cron_job_duration_seconds',
+  help: 'Duration of background job runs',
+  labelNames: ['job'],
+  buckets: [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+  registers: [register]
+});
+
+export const cronJobFailures = new client.Counter({
+  name: 'cron_job_failures_total',
+  help: 'Background job runs that threw',
+  labelNames: ['job'],
+  registers: [register]
+});
+
+export const overloadedServerCount = new client.Gauge({
+  name: 'vpn_overloaded_servers',
+  help: 'Active servers above their load or user threshold at the last check',
+  registers: [register]
+});
+
+new client.Gauge({
+  name: 'websocket_clients',
+  help: 'Connected WebSocket clients',
+  registers: [register],
+  collect() {
+    this.set(getConnectedClientsCount());
+  }
+});
+
+new client.Gauge({
+  name: 'vpn_active_connections',
+  help: 'Connecting and connected VPN sessions per server',
+  labelNames: ['server_id', 'server_name'],
+  registers: [register],
+  // Read at scrape time so the value cannot drift from the database
+  async collect() {
+    let servers;
+    let counts;
+
+    try {
+      [servers, counts] = await Promise.all([
+        Server.find({ 'lifecycle.state': { $ne: 'retired' } }).select('name').lean(),
+        Connection.countActiveByServer()
+      ]);
+    } catch (error) {
+      // Keep the last values rather than failing the whole scrape
+      console.error('Failed to collect active connections:', error.message);
+      return;
+    }
+
+    const countByServer = new Map(counts.map(entry => [String(entry._id), entry.count]));
+
+    this.reset();
+    for (const server of servers) {
+      this.set(
+        { server_id: server._id.toString(), server_name: server.name },
+        countByServer.get(server._id.toString()) || 0
+      );
+    }
+  }
+});
+
+/**
+ * Run a background job and record how long it took and whether it failed.
+ * Errors are rethrown for the job's own handling.
+ */
+export const trackJob = async (job, fn) => {
+  const end = cronJobDuration.startTimer({ job });
+
+  try {
+    return await fn();
+  } catch (error) {
+    cronJobFailures.inc({ job });
+    throw error;
+  } finally {
+    end();
+  }
+};
@@ -0,0 +1,241 @@
+import { isIP } from 'net';
+
+/**
+ * Address arithmetic helpers for tunnel address pools
+ */
+
+/**
+ * Convert dotted IPv4 address to unsigned integer
+ * @param {string} ip - IPv4 address
+ * @returns {number} Address as unsigned 32-bit integer
+ */
+export const ipv4ToInt = (ip) => {
+  const octets = ip.split('.').map(Number);
+
+  if (octets.length !== 4 || octets.some(octet => !Number.isInteger(octet) || octet < 0 || octet > 255)) {
+    throw new Error(`Invalid IPv4 address: ${ip}`);
+  }
+
+  return ((octets[0] << 24) >>> 0) + (octets[1] << 16) + (octets[2] << 8) + octets[3];
+};
+
+/**
+ * Convert unsigned integer to dotted IPv4 address
+ * @param {number} value - Address as unsigned 32-bit integer
+ * @returns {string} IPv4 address
+ */
+export const intToIpv4 = (value) => {
+  return [
+    (value >>> 24) & 255,
+    (value >>> 16) & 255,
+    (value >>> 8) & 255,
+    value & 255
+  ].join('.');
+};
+
+/**
+ * Parse an IPv4 CIDR block
+ * @param {string} cidr - Subnet in CIDR notation (e.g. 10.8.0.0/16)
+ * @returns {Object} { network, prefix, firstHost, lastHost, gateway }
+ */
+export const parseIPv4Cidr = (cidr) => {
+  const [address, prefixPart] = (cidr || '').split('/');
+  const prefix = parseInt(prefixPart, 10);
+
+  if (!Number.isInteger(prefix) || prefix < 8 || prefix > 30) {
+    throw new Error(`Invalid IPv4 subnet: ${cidr}`);
+  }
+
+  const mask = (~0 << (32 - prefix)) >>> 0;
+  const network = (ipv4ToInt(address) & mask) >>> 0;
+  const broadcast = (network | (~mask >>> 0)) >>> 0;
+
+  return {
+    network,
+    prefix,
+    // First host is reserved for the server side of the tunnel
+    gateway: network + 1,
+    firstHost: network + 2,
+    lastHost: broadcast - 1
+  };
+};
+
+/**
+ * Check whether an IPv4 address belongs to a subnet
+ * @param {string} ip - IPv4 address
+ * @param {string} cidr - Subnet in CIDR notation
+ * @returns {boolean}
+ */
+export const isIPv4InSubnet = (ip, cidr) => {
+  try {
+    const { network, prefix } = parseIPv4Cidr(cidr);
+    const mask = (~0 << (32 - prefix)) >>> 0;
+    return ((ipv4ToInt(ip) & mask) >>> 0) === network;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Convert IPv6 address to BigInt
+ * @param {string} ip - IPv6 address, compressed or full form
+ * @returns {bigint} Address as 128-bit integer
+ */
+export const ipv6ToBigInt = (ip) => {
+  const halves = (ip || '').split('::');
+
+  if (halves.length > 2) {
+    throw new Error(`Invalid IPv6 address: ${ip}`);
+  }
+
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+
+  if ((halves.length === 1 && missing !== 0) || (halves.length === 2 && missing < 1)) {
+    throw new Error(`Invalid IPv6 address: ${ip}`);
+  }
+
+  const groups = [...head, ...new Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+
+  return groups.reduce((value, group) => {
+    if (!/^[0-9a-fA-F]{1,4}$/.test(group)) {
+      throw new Error(`Invalid IPv6 address: ${ip}`);
+    }
+    return (value << 16n) + BigInt(parseInt(group, 16));
+  }, 0n);
+};
+
+/**
+ * Convert BigInt to compressed IPv6 address
+ * @param {bigint} value - Address as 128-bit integer
+ * @returns {string} IPv6 address in RFC 5952 form
+ */
+export const bigIntToIpv6 = (value) => {
+  const groups = [];
+  for (let i = 7; i >= 0; i--) {
+    groups.push(Number((value >> BigInt(i * 16)) & 0xffffn));
+  }
+
+  // Find the longest run of zero groups to compress
+  let bestStart = -1;
+  let bestLength = 0;
+  for (let i = 0; i < 8;) {
+    if (groups[i] !== 0) {
+      i++;
+      continue;
+    }
+    let j = i;
+    while (j < 8 && groups[j] === 0) j++;
+    if (j - i > bestLength) {
+      bestStart = i;
+      bestLength = j - i;
+    }
+    i = j;
+  }
+
+  const hex = groups.map(group => group.toString(16));
+
+  if (bestLength < 2) {
+    return hex.join(':');
+  }
+
+  return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+};
+
+/**
+ * Parse an IPv6 CIDR block
+ * @param {string} cidr - Prefix in CIDR notation (e.g. fd00:8::/64)
+ * @returns {Object} { network, prefix, hostBits }
+ */
+export const parseIPv6Cidr = (cidr) => {
+  const [address, prefixPart] = (cidr || '').split('/');
+  const prefix = parseInt(prefixPart, 10);
+
+  if (!Number.isInteger(prefix) || prefix < 48 || prefix > 120) {
+    throw new Error(`Invalid IPv6 prefix: ${cidr}`);
+  }
+
+  const hostBits = 128 - prefix;
+  const mask = ((1n << 128n) - 1n) ^ ((1n << BigInt(hostBits)) - 1n);
+
+  return {
+    network: ipv6ToBigInt(address) & mask,
+    prefix,
+    hostBits
+  };
+};
+
+/**
+ * Check whether a prefix is a unique local address block (fc00::/7)
+ * @param {string} cidr - Prefix in CIDR notation
+ * @returns {boolean}
+ */
+export const isUniqueLocalPrefix = (cidr) => {
+  try {
+    const { network } = parseIPv6Cidr(cidr);
+    return (network >> 121n) === (0xfcn >> 1n);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Address at a host offset inside an IPv6 prefix
+ * @param {string} cidr - Prefix in CIDR notation
+ * @param {number} offset - Host offset from the network address
+ * @returns {string} IPv6 address
+ */
+export const ipv6AtOffset = (cidr, offset) => {
+  const { network, hostBits } = parseIPv6Cidr(cidr);
+  const host = BigInt(offset);
+
+  if (host <= 0n || host >= (1n << BigInt(hostBits))) {
+    throw new Error(`Offset ${offset} does not fit in prefix ${cidr}`);
+  }
+
+  return bigIntToIpv6(network + host);
+};
+
+/**
+ * Check whether an IPv6 prefix has room for every host of an IPv4 pool,
+ * so each IPv4 lease can take the IPv6 address at the same offset
+ * @param {string} ipv6Cidr - IPv6 prefix in CIDR notation
+ * @param {string} ipv4Cidr - IPv4 pool in CIDR notation
+ * @returns {boolean}
+ */
+export const ipv6PrefixFitsPool = (ipv6Cidr, ipv4Cidr) => {
+  try {
+    const { hostBits } = parseIPv6Cidr(ipv6Cidr);
+    const { prefix } = parseIPv4Cidr(ipv4Cidr);
+    return hostBits >= 32 - prefix;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate an IPv4 or IPv6 address
+ * @param {string} value - Address to validate
+ * @returns {boolean}
+ */
+export const isValidAddress = (value) => {
+  return typeof value === 'string' && isIP(value) !== 0;
+};
+
+/**
+ * Validate an IPv4 or IPv6 CIDR block
+ * @param {string} value - Block in CIDR notation
+ * @returns {boolean}
+ */
+export const isValidCidr = (value) => {
+  if (typeof value !== 'string') return false;
+
+  const [address, prefixPart] = value.split('/');
+  if (!/^\d{1,3}$/.test(prefixPart || '')) return false;
+
+  const family = isIP(address);
+  const prefix = parseInt(prefixPart, 10);
+
+  return (family === 4 && prefix <= 32) || (family === 6 && prefix <= 128);
+};
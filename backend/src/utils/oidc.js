@@ -0,0 +1,158 @@
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import { createHash, createPublicKey, randomBytes } from 'crypto';
+
+// Discovery documents and key sets are cached per issuer
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'ES256'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * PKCE (RFC 7636) helpers
+ */
+export const generateCodeVerifier = () => randomBytes(32).toString('base64url');
+
+export const createCodeChallenge = (verifier) => {
+  return createHash('sha256').update(verifier).digest('base64url');
+};
+
+export const generateRandomToken = (bytes = 32) => randomBytes(bytes).toString('base64url');
+
+const getCached = (cache, key) => {
+  const entry = cache.get(key);
+  return entry && entry.expiresAt > Date.now() ? entry.value : null;
+};
+
+const setCached = (cache, key, value) => {
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+/**
+ * Fetch an issuer's OpenID Provider metadata
+ */
+export const discover = async (issuer) => {
+  const cached = getCached(discoveryCache, issuer);
+  if (cached) return cached;
+
+  const url = `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+  const { data } = await axios.get(url, { timeout: HTTP_TIMEOUT_MS });
+
+  // The metadata must be about the issuer it was fetched for
+  if (data.issuer !== issuer) {
+    throw new Error(`Discovery issuer mismatch: expected ${issuer}, got ${data.issuer}`);
+  }
+
+  for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (!data[field]) {
+      throw new Error(`Discovery document is missing ${field}`);
+    }
+  }
+
+  return setCached(discoveryCache, issuer, data);
+};
+
+const fetchJwks = async (jwksUri, { refresh = false } = {}) => {
+  const cached = !refresh && getCached(jwksCache, jwksUri);
+  if (cached) return cached;
+
+  const { data } = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT_MS });
+  return setCached(jwksCache, jwksUri, data.keys || []);
+};
+
+/**
+ * Find the signing key for a token, refetching once in case the IdP rotated its keys
+ */
+const getSigningKey = async (jwksUri, kid) => {
+  const find = keys => keys.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+
+  let jwk = find(await fetchJwks(jwksUri));
+  if (!jwk) {
+    jwk = find(await fetchJwks(jwksUri, { refresh: true }));
+  }
+
+  if (!jwk) {
+    throw new Error(`No signing key found for kid ${kid}`);
+  }
+
+  return createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Build the URL the browser is sent to for the authorization request
+ */
+export const buildAuthorizationUrl = (metadata, { clientId, redirectUri, scopes, state, nonce, codeChallenge }) => {
+  const url = new URL(metadata.authorization_endpoint);
+
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', scopes.join(' '));
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return url.toString();
+};
+
+/**
+ * Exchange an authorization code at the token endpoint
+ * @returns {Promise<Object>} The token response, including id_token
+ */
+export const exchangeCode = async (metadata, { clientId, clientSecret, redirectUri, code, codeVerifier }) => {
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: clientId,
+    code_verifier: codeVerifier
+  });
+
+  if (clientSecret) {
+    params.set('client_secret', clientSecret);
+  }
+
+  const { data } = await axios.post(metadata.token_endpoint, params.toString(), {
+    timeout: HTTP_TIMEOUT_MS,
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    }
+  });
+
+  if (!data.id_token) {
+    throw new Error('Token response did not include an id_token');
+  }
+
+  return data;
+};
+
+/**
+ * Verify an ID token's signature and claims
+ * @returns {Promise<Object>} The token's claims
+ */
+export const verifyIdToken = async (metadata, idToken, { clientId, nonce }) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw new Error('ID token is malformed');
+  }
+
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: metadata.issuer,
+    audience: clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+};
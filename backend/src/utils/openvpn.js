@@ -0,0 +1,95 @@
+import { randomBytes } from 'crypto';
+
+// 'tcp' exists for networks that only let HTTPS-looking traffic out
+export const OPENVPN_TRANSPORTS = ['udp', 'tcp'];
+
+/**
+ * Generate a 2048-bit tls-crypt key in OpenVPN static key format
+ * @returns {string} Static key file content
+ */
+export const generateTlsCryptKey = () => {
+  const hex = randomBytes(256).toString('hex');
+  const lines = hex.match(/.{32}/g);
+
+  return [
+    '-----BEGIN OpenVPN Static key V1-----',
+    ...lines,
+    '-----END OpenVPN Static key V1-----'
+  ].join('\n');
+};
+
+const inlineBlock = (tag, content) => `<${tag}>\n${content.trim()}\n</${tag}>`;
+
+/**
+ * Format an OpenVPN client profile with inline credentials
+ * @param {Object} profile
+ * @param {string} profile.host - Server hostname or IP address
+ * @param {number} profile.port - Server port
+ * @param {string} profile.transport - 'udp' or 'tcp'
+ * @param {string} profile.caCertificate - CA chain as PEM
+ * @param {string} profile.certificate - Client certificate as PEM
+ * @param {string} profile.privateKey - Client private key as PEM
+ * @param {string} profile.tlsCryptKey - Server tls-crypt static key
+ * @returns {string} .ovpn file content
+ */
+export const formatOpenVPNProfile = (profile) => {
+  const lines = [
+    'client',
+    'dev tun',
+    `proto ${profile.transport}`,
+    // Host and port are separate arguments, so IPv6 addresses go in bare
+    `remote ${profile.host.replace(/^\[(.*)\]$/, '$1')} ${profile.port}`,
+    'resolv-retry infinite',
+    'nobind',
+    'persist-key',
+    'persist-tun',
+    'remote-cert-tls server',
+    'tls-version-min 1.2',
+    'data-ciphers AES-256-GCM:CHACHA20-POLY1305',
+    'auth SHA256',
+    'verb 3'
+  ];
+
+  // Tell the server right away when we leave, only meaningful over UDP
+  if (profile.transport === 'udp') {
+    lines.push('explicit-exit-notify 1');
+  }
+
+  lines.push(
+    '',
+    inlineBlock('ca', profile.caCertificate),
+    inlineBlock('cert', profile.certificate),
+    inlineBlock('key', profile.privateKey),
+    inlineBlock('tls-crypt', profile.tlsCryptKey)
+  );
+
+  return lines.join('\n');
+};
+
+/**
+ * The connection a client certificate was issued for
+ * @param {string} commonName - Certificate common name, connection-<id>
+ * @returns {string|null} Connection ID
+ */
+export const connectionIdFromCommonName = (commonName) => {
+  return /^connection-([a-f0-9]{24})$/.exec(commonName)?.[1] || null;
+};
+
+/**
+ * Read the connected clients from an OpenVPN status file.
+ * Understands status-version 2 and 3, which list one CLIENT_LIST row per client.
+ * @param {string} content - Status file content
+ * @returns {Array} [{ commonName, realAddress, bytesReceived, bytesSent }]
+ */
+export const parseOpenVPNStatus = (content) => {
+  return content
+    .split('\n')
+    .map(line => line.trim().split(/[,\t]/))
+    .filter(fields => fields[0] === 'CLIENT_LIST' && fields[1] && fields[1] !== 'UNDEF')
+    .map(fields => ({
+      commonName: fields[1],
+      realAddress: fields[2],
+      bytesReceived: parseInt(fields[5], 10) || 0,
+      bytesSent: parseInt(fields[6], 10) || 0
+    }));
+};
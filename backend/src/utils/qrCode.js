@@ -0,0 +1,29 @@
+import QRCode from 'qrcode';
+
+export const QR_IMAGE_TYPES = ['png', 'svg'];
+
+// Medium error correction keeps a full WireGuard config scannable from a screen
+const QR_OPTIONS = {
+  errorCorrectionLevel: 'M',
+  margin: 2
+};
+
+/**
+ * Encode text as a QR code image
+ * @param {string} content - Text to encode
+ * @param {string} type - 'png' or 'svg'
+ * @returns {Promise<{contentType: string, body: Buffer|string}>}
+ */
+export const renderQrCode = async (content, type = 'png') => {
+  if (!QR_IMAGE_TYPES.includes(type)) {
+    throw new Error(`Unsupported QR image type: ${type}`);
+  }
+
+  if (type === 'svg') {
+    const body = await QRCode.toString(content, { ...QR_OPTIONS, type: 'svg' });
+    return { contentType: 'image/svg+xml', body };
+  }
+
+  const body = await QRCode.toBuffer(content, { ...QR_OPTIONS, type: 'png', width: 512 });
+  return { contentType: 'image/png', body };
+};
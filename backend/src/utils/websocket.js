@@ -1,6 +1,7 @@
 import { WebSocketServer } from 'ws';
 import { verifyToken } from '../middleware/auth.js';
 import Connection from '../models/Connection.js';
+import Session from '../models/Session.js';
 
 const clients = new Map();
 const connectionIntervals = new Map();
@@ -28,6 +29,12 @@ export const setupWebSocket = (server) => {
       }
 
       const decoded = verifyToken(token);
+
+      if (!decoded.sid || !await Session.findActive(decoded.sid, decoded.userId)) {
+        ws.close(1008, 'Session expired');
+        return;
+      }
+
       userId = decoded.userId;
 
       // Store client connection
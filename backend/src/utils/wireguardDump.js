@@ -0,0 +1,54 @@
+/**
+ * Parse the output of `wg show <interface> dump`
+ *
+ * The first line describes the interface:
+ *   private-key public-key listen-port fwmark
+ * Every following line describes one peer:
+ *   public-key preshared-key endpoint allowed-ips latest-handshake transfer-rx transfer-tx persistent-keepalive
+ *
+ * @param {string} output - Raw dump output
+ * @returns {Object} { interface, peers }
+ */
+export const parseWireGuardDump = (output) => {
+  const lines = (output || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  if (lines.length === 0) {
+    return { interface: null, peers: [] };
+  }
+
+  const [, publicKey, listenPort, fwmark] = lines[0].split('\t');
+
+  const peers = lines.slice(1).map(line => {
+    const fields = line.split('\t');
+
+    if (fields.length < 8) {
+      throw new Error(`Malformed peer line in WireGuard dump: ${line}`);
+    }
+
+    const [peerKey, presharedKey, endpoint, allowedIPs, latestHandshake, rx, tx, keepalive] = fields;
+    const handshakeSeconds = parseInt(latestHandshake, 10) || 0;
+
+    return {
+      publicKey: peerKey,
+      hasPresharedKey: presharedKey !== '(none)',
+      endpoint: endpoint === '(none)' ? null : endpoint,
+      allowedIPs: allowedIPs === '(none)' ? [] : allowedIPs.split(','),
+      latestHandshake: handshakeSeconds > 0 ? new Date(handshakeSeconds * 1000) : null,
+      transferRx: parseInt(rx, 10) || 0,
+      transferTx: parseInt(tx, 10) || 0,
+      persistentKeepalive: keepalive === 'off' ? 0 : parseInt(keepalive, 10) || 0
+    };
+  });
+
+  return {
+    interface: {
+      publicKey,
+      listenPort: parseInt(listenPort, 10) || null,
+      fwmark: fwmark === 'off' ? null : fwmark
+    },
+    peers
+  };
+};
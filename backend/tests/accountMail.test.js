@@ -0,0 +1,178 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import User from '../src/models/User.js';
+import AuditLog from '../src/models/AuditLog.js';
+import { AccountService } from '../src/services/accountService.js';
+import { MailService } from '../src/services/mailService.js';
+import { FileMailTransport, setMailTransport } from '../src/services/mail/index.js';
+
+/**
+ * Read the dropped messages, with quoted-printable line breaks undone
+ * so links can be matched whole
+ */
+const readDrop = async (directory) => {
+  const files = (await fs.readdir(directory)).sort();
+
+  return Promise.all(files.map(async (file) => {
+    const raw = await fs.readFile(path.join(directory, file), 'utf8');
+    return raw.replace(/=\r?\n/g, '').replace(/=3D/g, '=');
+  }));
+};
+
+const makeUser = (overrides = {}) => ({
+  _id: '64b000000000000000000001',
+  username: 'jane',
+  email: 'jane@example.com',
+  password: '$2a$12$hashedpassword',
+  isActive: true,
+  isSsoAccount: () => false,
+  ...overrides
+});
+
+// Stand-in for the query findByEmail returns
+const mockFindByEmail = (user) => {
+  jest.spyOn(User, 'findByEmail').mockReturnValue({ select: async () => user });
+};
+
+describe('mail through the file drop', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mail-drop-'));
+    setMailTransport(new FileMailTransport({ directory }));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('writes each message as an .eml file', async () => {
+    const result = await MailService.send({ to: 'jane@example.com', subject: 'Hello', text: 'Hi there' });
+
+    expect(result.file).toMatch(/\.eml$/);
+
+    const [message] = await readDrop(directory);
+    expect(message).toContain('To: jane@example.com');
+    expect(message).toContain('Subject: Hello');
+    expect(message).toContain('Hi there');
+  });
+
+  test('password reset mail links to a reset token for the user', async () => {
+    const transport = new FileMailTransport({ directory });
+    let sending;
+    setMailTransport({ send: (message) => (sending = transport.send(message)) });
+    jest.spyOn(AuditLog, 'log').mockResolvedValue();
+    mockFindByEmail(makeUser());
+
+    await AccountService.requestPasswordReset('jane@example.com', {});
+    // The mail is sent in the background
+    await sending;
+
+    const [message] = await readDrop(directory);
+    const token = /reset-password\?token=([\w.-]+)/.exec(message)[1];
+    const claims = jwt.verify(token, process.env.JWT_SECRET, { audience: 'password-reset' });
+
+    expect(claims.sub).toBe('64b000000000000000000001');
+  });
+
+  test('invitations escape names in the HTML body', async () => {
+    const organization = { name: 'Acme <a href="https://evil.example">Log in</a>' };
+    const inviter = { username: '<b>boss</b>' };
+
+    await MailService.sendOrganizationInvitation('sam@example.com', organization, inviter, 'token');
+
+    const [message] = await readDrop(directory);
+    const htmlPart = message.split('Content-Type: text/html')[1];
+    expect(htmlPart).not.toContain('<a href="https://evil.example">');
+    expect(htmlPart).toContain('Acme &lt;a href=&quot;https://evil.example&quot;&gt;Log in&lt;/a&gt;');
+    expect(htmlPart).toContain('&lt;b&gt;boss&lt;/b&gt; invited you');
+  });
+
+  test('unknown addresses get no mail', async () => {
+    const log = jest.spyOn(AuditLog, 'log').mockResolvedValue();
+    mockFindByEmail(null);
+
+    await AccountService.requestPasswordReset('nobody@example.com', {});
+
+    expect(await readDrop(directory)).toEqual([]);
+    expect(log.mock.calls[0][0]).toMatchObject({ status: 'failure', details: { reason: 'user_not_found' } });
+  });
+});
+
+describe('password reset requests', () => {
+  beforeEach(() => {
+    jest.spyOn(AuditLog, 'log').mockResolvedValue();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('do not wait for the mail to be sent', async () => {
+    setMailTransport({ send: () => new Promise(() => {}) });
+    mockFindByEmail(makeUser());
+
+    await expect(AccountService.requestPasswordReset('jane@example.com', {})).resolves.toBeUndefined();
+  });
+
+  test('do not fail when the mail cannot be sent', async () => {
+    setMailTransport({ send: async () => { throw new Error('SMTP is down'); } });
+    mockFindByEmail(makeUser());
+
+    await expect(AccountService.requestPasswordReset('jane@example.com', {})).resolves.toBeUndefined();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Could not send password reset email'), 'SMTP is down');
+  });
+});
+
+describe('reset tokens', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('stop working once the password has changed', async () => {
+    const user = makeUser();
+    const token = AccountService.signToken(user, 'password-reset', AccountService.passwordFingerprint(user), '1h');
+
+    user.password = '$2a$12$anotherhash';
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+
+    await expect(AccountService.resetPassword(token, 'NewPassw0rd!', {}))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_TOKEN' });
+  });
+
+  test('are not accepted as verification links', async () => {
+    const user = makeUser({ emailVerified: false });
+    const token = AccountService.signToken(user, 'password-reset', AccountService.emailFingerprint(user), '1h');
+
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+
+    await expect(AccountService.verifyEmail(token, {})).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+  });
+});
+
+describe('server tier', () => {
+  test('is free for unverified new accounts', () => {
+    const user = new User({ subscription: 'premium', emailVerificationRequired: true });
+
+    expect(user.getServerTier()).toBe('free');
+  });
+
+  test('follows the plan once verified', () => {
+    const user = new User({ subscription: 'premium', emailVerificationRequired: true, emailVerified: true });
+
+    expect(user.getServerTier()).toBe('premium');
+  });
+
+  test('follows the plan for accounts from before verification', () => {
+    const user = new User({ subscription: 'enterprise' });
+
+    expect(user.getServerTier()).toBe('enterprise');
+  });
+});
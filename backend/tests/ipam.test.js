@@ -0,0 +1,59 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import AddressLease from '../src/models/AddressLease.js';
+import Connection from '../src/models/Connection.js';
+import { IpamService } from '../src/services/ipamService.js';
+
+const MINUTE = 60 * 1000;
+
+describe('address lease reclaim', () => {
+  const now = new Date('2026-01-01T12:00:00Z');
+  let leases;
+
+  beforeEach(() => {
+    leases = [];
+
+    // Apply the leasedAt filter the way MongoDB would
+    const olderThan = (filter) => leases.filter(lease => lease.leasedAt < filter.leasedAt.$lt);
+
+    jest.spyOn(AddressLease, 'find').mockImplementation((filter) => ({
+      select: () => ({ lean: async () => olderThan(filter) })
+    }));
+    jest.spyOn(AddressLease, 'deleteMany').mockImplementation(async (filter) => {
+      const ids = filter.connectionId.$in.map(id => id.toString());
+      const doomed = olderThan(filter).filter(lease => ids.includes(lease.connectionId.toString()));
+      leases = leases.filter(lease => !doomed.includes(lease));
+      return { deletedCount: doomed.length };
+    });
+    jest.spyOn(Connection, 'distinct').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const lease = (ageMinutes) => {
+    const entry = { connectionId: new mongoose.Types.ObjectId(), leasedAt: new Date(now.getTime() - ageMinutes * MINUTE) };
+    leases.push(entry);
+    return entry;
+  };
+
+  test('keeps the lease of a connect whose connection is not saved yet', async () => {
+    const inProgress = lease(0);
+
+    expect(await IpamService.reclaimStaleLeases(now)).toBe(0);
+    expect(leases).toEqual([inProgress]);
+    expect(Connection.distinct).not.toHaveBeenCalled();
+  });
+
+  test('releases old leases without an active connection', async () => {
+    const stale = lease(30);
+    const active = lease(30);
+    const young = lease(1);
+    Connection.distinct.mockResolvedValue([active.connectionId]);
+
+    expect(await IpamService.reclaimStaleLeases(now)).toBe(1);
+    expect(leases).toEqual([active, young]);
+    expect(leases).not.toContain(stale);
+  });
+});
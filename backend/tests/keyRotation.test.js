@@ -0,0 +1,86 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import { TwoFactorService } from '../src/services/twoFactorService.js';
+import { rotateCollection } from '../src/scripts/rotateEncryptionKey.js';
+import { EnvelopeEncryption } from '../src/utils/crypto.js';
+import { generateTotp, generateTotpSecret } from '../src/utils/totp.js';
+import { config } from '../src/config/environment.js';
+
+const encryption = config.security.encryption;
+const original = { keys: encryption.keys, currentKeyId: encryption.currentKeyId };
+
+const setByPath = (doc, field, value) => {
+  const keys = field.split('.');
+  const parent = keys.slice(0, -1).reduce((current, key) => current[key], doc);
+  parent[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Serve the rotation's cursor and updates from an in-memory user list
+ */
+const useUsers = (users) => {
+  jest.spyOn(User, 'find').mockImplementation((filter) => {
+    const [field] = Object.keys(filter);
+    const matching = users.filter(user => field.split('.').reduce((current, key) => current?.[key], user));
+    const query = { select: () => query, lean: () => query, cursor: () => matching.values() };
+    return query;
+  });
+
+  jest.spyOn(User, 'updateOne').mockImplementation(async ({ _id }, { $set }) => {
+    const user = users.find(candidate => candidate._id.equals(_id));
+    for (const [field, value] of Object.entries($set)) {
+      setByPath(user, field, value);
+    }
+    return { modifiedCount: 1 };
+  });
+};
+
+describe('encryption key rotation', () => {
+  afterEach(() => {
+    encryption.keys = original.keys;
+    encryption.currentKeyId = original.currentKeyId;
+    jest.restoreAllMocks();
+  });
+
+  test('keeps two-factor secrets readable once the old key is removed', async () => {
+    const secret = generateTotpSecret();
+    const pendingSecret = generateTotpSecret();
+    const user = {
+      _id: new mongoose.Types.ObjectId(),
+      twoFactor: {
+        enabled: true,
+        secret: EnvelopeEncryption.encrypt(secret),
+        pendingSecret: EnvelopeEncryption.encrypt(pendingSecret)
+      }
+    };
+    useUsers([user]);
+
+    // Steps 1 and 2: add the new key and make it current
+    encryption.keys = { ...original.keys, next: Buffer.alloc(32, 9).toString('base64') };
+    encryption.currentKeyId = 'next';
+
+    expect(await rotateCollection(User, 'twoFactor.secret')).toBe(1);
+    expect(await rotateCollection(User, 'twoFactor.pendingSecret')).toBe(1);
+
+    // Step 4: remove the old key
+    encryption.keys = { next: encryption.keys.next };
+
+    expect(EnvelopeEncryption.getKeyId(user.twoFactor.secret)).toBe('next');
+    expect(EnvelopeEncryption.decrypt(user.twoFactor.pendingSecret)).toBe(pendingSecret);
+
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+    expect(await TwoFactorService.verifyCode(user._id, { code: generateTotp(secret) })).toBe('totp');
+  });
+
+  test('leaves secrets already on the current key alone', async () => {
+    const user = {
+      _id: new mongoose.Types.ObjectId(),
+      twoFactor: { enabled: true, secret: EnvelopeEncryption.encrypt(generateTotpSecret()) }
+    };
+    useUsers([user]);
+
+    expect(await rotateCollection(User, 'twoFactor.secret')).toBe(0);
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,122 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import Connection from '../src/models/Connection.js';
+import User from '../src/models/User.js';
+import Organization from '../src/models/Organization.js';
+import Server from '../src/models/Server.js';
+import { TransferStatsService } from '../src/services/transferStatsService.js';
+import { QuotaService } from '../src/services/quotaService.js';
+import { validateHeartbeat } from '../src/middleware/validation.js';
+import { errorHandler } from '../src/middleware/errorHandler.js';
+import { parseOpenVPNStatus } from '../src/utils/openvpn.js';
+
+const heartbeat = (clients) => ({
+  cpu: { usage: 10 },
+  bandwidth: { rxBytesPerSec: 0, txBytesPerSec: 0 },
+  peers: { total: 0 },
+  interface: { up: true },
+  openvpn: { clients }
+});
+
+describe('OpenVPN heartbeat validation', () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/heartbeat', validateHeartbeat, (req, res) => res.json(req.body.openvpn));
+  app.use(errorHandler);
+
+  test('accepts clients with byte counts', async () => {
+    const response = await request(app)
+      .post('/heartbeat')
+      .send(heartbeat([{ commonName: 'connection-1', bytesReceived: '100', bytesSent: 200 }]));
+
+    expect(response.status).toBe(200);
+    expect(response.body.clients).toEqual([{ commonName: 'connection-1', bytesReceived: 100, bytesSent: 200 }]);
+  });
+
+  test('still accepts the bare names older agents send', async () => {
+    const response = await request(app).post('/heartbeat').send(heartbeat(['connection-1']));
+
+    expect(response.status).toBe(200);
+    expect(response.body.clients).toEqual([{ commonName: 'connection-1' }]);
+  });
+
+  test('refuses negative byte counts', async () => {
+    const response = await request(app)
+      .post('/heartbeat')
+      .send(heartbeat([{ commonName: 'connection-1', bytesReceived: -1, bytesSent: 0 }]));
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('OpenVPN transfer accounting', () => {
+  const server = { _id: new mongoose.Types.ObjectId(), name: 'de-1' };
+  const startTime = new Date('2026-01-01T12:00:00Z');
+  let connection;
+
+  beforeEach(() => {
+    connection = {
+      _id: new mongoose.Types.ObjectId(),
+      userId: new mongoose.Types.ObjectId(),
+      serverId: server._id,
+      startTime,
+      peerCounters: {}
+    };
+
+    jest.spyOn(Connection, 'find').mockImplementation(async () => [connection]);
+    // Keep the stored counters, so the next reading is a delta against them
+    jest.spyOn(Connection, 'updateOne').mockImplementation(async (filter, { $set }) => {
+      connection.peerCounters = { rx: $set['peerCounters.rx'], tx: $set['peerCounters.tx'], sampledAt: $set['peerCounters.sampledAt'] };
+    });
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Organization, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Server, 'updateOne').mockResolvedValue({});
+    jest.spyOn(QuotaService, 'enforce').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('counts status file bytes against the user, organization pool and quota', async () => {
+    const status = [
+      'TITLE,OpenVPN 2.6.8',
+      'HEADER,CLIENT_LIST,Common Name,Real Address,Virtual Address,Virtual IPv6 Address,Bytes Received,Bytes Sent',
+      `CLIENT_LIST,connection-${connection._id},203.0.113.5:51820,10.8.0.2,,1000,5000`,
+      'CLIENT_LIST,UNDEF,203.0.113.6:51821,,,10,10'
+    ].join('\n');
+
+    const first = await TransferStatsService.applyOpenVpnReadings(server, parseOpenVPNStatus(status), new Date('2026-01-01T12:01:00Z'));
+
+    expect(first).toEqual({ sessions: 1, upload: 1000, download: 5000 });
+    expect(Connection.find.mock.calls[0][0]).toMatchObject({ status: 'connected', 'metadata.protocol': 'openvpn' });
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: connection.userId },
+      { $inc: { 'dataUsage.upload': 1000, 'dataUsage.download': 5000 } }
+    );
+    expect(Organization.updateOne).toHaveBeenCalledWith(
+      { 'members.userId': connection.userId },
+      { $inc: { 'dataUsage.upload': 1000, 'dataUsage.download': 5000 } }
+    );
+    expect(QuotaService.enforce).toHaveBeenCalledWith(connection.userId.toString());
+
+    const second = await TransferStatsService.applyOpenVpnReadings(server, [
+      { commonName: `connection-${connection._id}`, bytesReceived: 1500, bytesSent: 9000 }
+    ], new Date('2026-01-01T12:02:00Z'));
+
+    expect(second).toEqual({ sessions: 1, upload: 500, download: 4000 });
+  });
+
+  test('ignores clients without byte counts or a connection certificate', async () => {
+    const totals = await TransferStatsService.applyOpenVpnReadings(server, [
+      { commonName: `connection-${connection._id}` },
+      { commonName: 'node-1', bytesReceived: 10, bytesSent: 10 }
+    ]);
+
+    expect(totals).toEqual({ sessions: 0, upload: 0, download: 0 });
+    expect(Connection.find).not.toHaveBeenCalled();
+    expect(QuotaService.enforce).not.toHaveBeenCalled();
+  });
+});
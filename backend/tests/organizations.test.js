@@ -0,0 +1,54 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Organization from '../src/models/Organization.js';
+import AuditLog from '../src/models/AuditLog.js';
+import { OrganizationService } from '../src/services/organizationService.js';
+
+const duplicateKey = (keyPattern) => Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern });
+
+describe('organization membership', () => {
+  const organizationId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('is enforced by a unique index on member IDs', () => {
+    const index = Organization.schema.indexes().find(([fields]) => fields['members.userId']);
+
+    expect(index[1]).toMatchObject({ unique: true });
+  });
+
+  test('adds a user in one conditional update', async () => {
+    const updateOne = jest.spyOn(Organization, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const findByMember = jest.spyOn(Organization, 'findByMember');
+
+    expect(await OrganizationService.addMember(organizationId, userId)).toBe(true);
+    expect(updateOne.mock.calls[0][0]).toEqual({ _id: organizationId, 'members.userId': { $ne: userId } });
+    expect(findByMember).not.toHaveBeenCalled();
+  });
+
+  test('does not add a user who joined another organization meanwhile', async () => {
+    jest.spyOn(Organization, 'updateOne').mockRejectedValue(duplicateKey({ 'members.userId': 1 }));
+
+    expect(await OrganizationService.addMember(organizationId, userId)).toBe(false);
+  });
+
+  test('passes other errors on', async () => {
+    jest.spyOn(Organization, 'updateOne').mockRejectedValue(new Error('connection lost'));
+
+    await expect(OrganizationService.addMember(organizationId, userId)).rejects.toThrow('connection lost');
+  });
+
+  test('refuses an owned organization for a user who joined one meanwhile', async () => {
+    const user = { _id: userId, subscription: 'enterprise' };
+    jest.spyOn(Organization, 'findByMember').mockResolvedValue(null);
+    jest.spyOn(Organization, 'findBySlug').mockResolvedValue(null);
+    jest.spyOn(Organization, 'create').mockRejectedValue(duplicateKey({ 'members.userId': 1 }));
+    jest.spyOn(AuditLog, 'log').mockResolvedValue();
+
+    await expect(OrganizationService.createOwnedOrganization(user, { name: 'Acme', slug: 'acme' }, {}))
+      .rejects.toMatchObject({ statusCode: 409, code: 'ALREADY_IN_ORGANIZATION' });
+  });
+});
@@ -0,0 +1,190 @@
+import { jest } from '@jest/globals';
+import dgram from 'dgram';
+import http from 'http';
+import net from 'net';
+import Server from '../src/models/Server.js';
+import ProbeResult from '../src/models/ProbeResult.js';
+import { ProbeService } from '../src/services/probeService.js';
+import { ServerService } from '../src/services/serverService.js';
+import { AgentService } from '../src/services/agentService.js';
+import { TcpProbe, UdpProbe, HttpProbe, getProbe, setProbe } from '../src/services/probes/index.js';
+import { isInitiationPacket } from '../src/services/probes/udpProbe.js';
+
+const HOST = '127.0.0.1';
+const TIMEOUT_MS = 500;
+
+const listen = (server) => new Promise((resolve) => {
+  server.listen(0, HOST, () => resolve(server.address().port));
+});
+
+const close = (server) => new Promise(resolve => server.close(resolve));
+
+/**
+ * A port nothing listens on
+ */
+const getClosedPort = async () => {
+  const server = net.createServer();
+  const port = await listen(server);
+  await close(server);
+  return port;
+};
+
+/**
+ * UDP stub that answers like the agent's echo responder, or stays silent
+ */
+const startUdpStub = ({ echo = true } = {}) => new Promise((resolve) => {
+  const socket = dgram.createSocket('udp4');
+
+  socket.on('message', (packet, remote) => {
+    if (echo && isInitiationPacket(packet)) {
+      socket.send(packet, remote.port, remote.address);
+    }
+  });
+
+  socket.bind(0, HOST, () => resolve(socket));
+});
+
+describe('probes against local stubs', () => {
+  test('TCP succeeds when the port accepts connections', async () => {
+    const server = net.createServer(socket => socket.end());
+    const port = await listen(server);
+
+    try {
+      const result = await new TcpProbe().run({ host: HOST, port, timeoutMs: TIMEOUT_MS });
+      expect(result).toMatchObject({ ok: true, latencyMs: expect.any(Number) });
+    } finally {
+      await close(server);
+    }
+  });
+
+  test('TCP fails when the port is closed', async () => {
+    const result = await new TcpProbe().run({ host: HOST, port: await getClosedPort(), timeoutMs: TIMEOUT_MS });
+
+    expect(result.ok).toBe(false);
+    expect(result.error).toMatch(/ECONNREFUSED/);
+  });
+
+  test('UDP succeeds when the handshake initiation is echoed', async () => {
+    const socket = await startUdpStub();
+
+    try {
+      const result = await new UdpProbe().run({ host: HOST, port: socket.address().port, timeoutMs: TIMEOUT_MS });
+      expect(result).toMatchObject({ ok: true, latencyMs: expect.any(Number) });
+    } finally {
+      socket.close();
+    }
+  });
+
+  test('UDP fails when nothing answers in time', async () => {
+    const socket = await startUdpStub({ echo: false });
+
+    try {
+      const result = await new UdpProbe().run({ host: HOST, port: socket.address().port, timeoutMs: 200 });
+      expect(result).toEqual({ ok: false, error: 'No echo within 200ms' });
+    } finally {
+      socket.close();
+    }
+  });
+
+  test('HTTP succeeds on a 2xx health answer', async () => {
+    const server = http.createServer((req, res) => {
+      res.writeHead(req.url === '/health' ? 200 : 404).end();
+    });
+    const port = await listen(server);
+
+    try {
+      const result = await new HttpProbe().run({ host: HOST, port, timeoutMs: TIMEOUT_MS });
+      expect(result).toMatchObject({ ok: true, latencyMs: expect.any(Number) });
+    } finally {
+      await close(server);
+    }
+  });
+
+  test('HTTP fails on an error answer', async () => {
+    const server = http.createServer((req, res) => res.writeHead(503).end());
+    const port = await listen(server);
+
+    try {
+      const result = await new HttpProbe().run({ host: HOST, port, path: '/ready', timeoutMs: TIMEOUT_MS });
+      expect(result).toMatchObject({ ok: false, error: 'Health URL answered 503' });
+    } finally {
+      await close(server);
+    }
+  });
+});
+
+describe('ProbeService', () => {
+  const originals = { tcp: getProbe('tcp'), udp: getProbe('udp'), http: getProbe('http') };
+  let outcomes;
+
+  const makeServer = (probes) => ({
+    _id: 'server-1',
+    ip: HOST,
+    technical: { openvpn: { tcpPort: 1194 } },
+    healthChecks: { probes, streaks: undefined, status: undefined }
+  });
+
+  beforeEach(() => {
+    outcomes = { tcp: true, udp: true };
+    setProbe('tcp', { run: async () => ({ ok: outcomes.tcp, latencyMs: 5 }) });
+    setProbe('udp', { run: async () => ({ ok: outcomes.udp, latencyMs: 3 }) });
+    setProbe('http', { run: async () => { throw new Error('Probe crashed'); } });
+
+    jest.spyOn(AgentService, 'getReportedStatus').mockResolvedValue(null);
+    jest.spyOn(ServerService, 'updateServerMetrics').mockResolvedValue();
+    jest.spyOn(ProbeResult, 'insertMany').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    Object.entries(originals).forEach(([type, probe]) => setProbe(type, probe));
+    jest.restoreAllMocks();
+  });
+
+  test('fills in default ports and timeouts', () => {
+    const server = makeServer([]);
+
+    expect(ProbeService.resolveTarget(server, { type: 'tcp' })).toMatchObject({ host: HOST, port: 1194, timeoutMs: 3000 });
+    expect(ProbeService.resolveTarget(server, { type: 'udp', port: 9999, timeoutMs: 100 })).toMatchObject({ port: 9999, timeoutMs: 100 });
+  });
+
+  test('turns a crashing probe into a failed result', async () => {
+    const results = await ProbeService.runProbes(makeServer([{ type: 'http', port: 8080 }]));
+
+    expect(results).toEqual([{ type: 'http', port: 8080, ok: false, error: 'Probe crashed' }]);
+  });
+
+  test('only changes state after several rounds in a row', async () => {
+    const server = makeServer([{ type: 'tcp' }, { type: 'udp' }]);
+
+    // Apply what probeServer stores, so the next round sees it
+    jest.spyOn(Server, 'updateOne').mockImplementation(async (filter, { $set }) => {
+      server.healthChecks.status = $set['healthChecks.status'];
+      server.healthChecks.streaks = $set['healthChecks.streaks'];
+    });
+
+    const round = async () => (await ProbeService.probeServer(server)).probeStatus;
+
+    outcomes.udp = false;
+    expect(await round()).toBe('healthy');
+    expect(await round()).toBe('degraded');
+
+    outcomes.tcp = false;
+    expect(await round()).toBe('degraded');
+    expect(await round()).toBe('degraded');
+    expect(await round()).toBe('offline');
+
+    outcomes.tcp = true;
+    outcomes.udp = true;
+    expect(await round()).toBe('offline');
+    expect(await round()).toBe('offline');
+    expect(await round()).toBe('healthy');
+  });
+
+  test('records the lowest passing latency as ping', async () => {
+    jest.spyOn(Server, 'updateOne').mockResolvedValue();
+
+    await ProbeService.probeServer(makeServer([{ type: 'tcp' }, { type: 'udp' }]));
+
+    expect(ServerService.updateServerMetrics).toHaveBeenCalledWith('server-1', { healthStatus: 'healthy', ping: 3 });
+  });
+});
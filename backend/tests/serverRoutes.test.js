@@ -0,0 +1,76 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import apiRoutes from '../src/routes/index.js';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import Server from '../src/models/Server.js';
+import AuditLog from '../src/models/AuditLog.js';
+import { generateToken } from '../src/middleware/auth.js';
+import { errorHandler, notFound } from '../src/middleware/errorHandler.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api', apiRoutes);
+app.use(notFound);
+app.use(errorHandler);
+
+/**
+ * Let a bearer token through authenticate as a user with the given roles
+ */
+const signInAs = (roles) => {
+  const user = new User({ username: 'admin', email: 'admin@example.com', password: 'unused-password', roles });
+
+  jest.spyOn(Session, 'findActive').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+  jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+  return `Bearer ${generateToken(user._id, new mongoose.Types.ObjectId().toString())}`;
+};
+
+describe('server routes', () => {
+  beforeEach(() => {
+    jest.spyOn(AuditLog, 'log').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('GET /api/servers/admin reaches the admin list', async () => {
+    const servers = [{ _id: new mongoose.Types.ObjectId(), name: 'de-1' }];
+    const find = jest.spyOn(Server, 'find').mockReturnValue({ sort: () => ({ lean: async () => servers }) });
+
+    const response = await request(app)
+      .get('/api/servers/admin?state=draining')
+      .set('Authorization', signInAs(['admin']));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(1);
+    expect(find).toHaveBeenCalledWith({ 'lifecycle.state': 'draining' });
+  });
+
+  test('GET /api/servers/admin is refused without a login', async () => {
+    const response = await request(app).get('/api/servers/admin');
+
+    expect(response.status).toBe(401);
+  });
+
+  test('GET /api/servers/admin is refused without the permission', async () => {
+    jest.spyOn(Server, 'find');
+
+    const response = await request(app)
+      .get('/api/servers/admin')
+      .set('Authorization', signInAs(['user']));
+
+    expect(response.status).toBe(403);
+    expect(Server.find).not.toHaveBeenCalled();
+  });
+
+  test('GET /api/servers/:serverId still validates the ID', async () => {
+    const response = await request(app).get('/api/servers/not-a-server');
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBeDefined();
+  });
+});
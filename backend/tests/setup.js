@@ -0,0 +1,9 @@
+// Configuration is read when modules load, so tests need it set first.
+// Nothing here connects to a database.
+process.env.NODE_ENV = 'test';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/vpn-test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.DATA_ENCRYPTION_KEY_ID = 'test';
+process.env.DATA_ENCRYPTION_KEYS = `test:${Buffer.alloc(32, 7).toString('base64')}`;
+process.env.WIREGUARD_DRIVER = 'memory';
+process.env.MAIL_TRANSPORT = 'file';
@@ -0,0 +1,210 @@
+import { jest } from '@jest/globals';
+import { spawn } from 'child_process';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import AuditLog from '../src/models/AuditLog.js';
+import { SsoService } from '../src/services/ssoService.js';
+import { OrganizationService } from '../src/services/organizationService.js';
+import {
+  buildAuthorizationUrl,
+  createCodeChallenge,
+  discover,
+  exchangeCode,
+  generateCodeVerifier,
+  verifyIdToken
+} from '../src/utils/oidc.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CLIENT_ID = 'vpn-app';
+const REDIRECT_URI = 'http://localhost:3001/api/auth/sso/callback';
+
+const getFreePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+/**
+ * Start the mock IdP script on a free local port
+ */
+const startMockIdp = async () => {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '../src/scripts/mockOidcProvider.js')], {
+    env: { ...process.env, MOCK_IDP_PORT: String(port), MOCK_IDP_GROUPS: 'vpn-users,vpn-admins' },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Mock IdP did not start')), 10000);
+    child.stdout.on('data', (chunk) => {
+      if (chunk.toString().includes('Mock OIDC provider running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Mock IdP exited with code ${code}`));
+    });
+  });
+
+  return { child, issuer: `http://localhost:${port}` };
+};
+
+/**
+ * Run the authorization request and return the code the IdP redirects with
+ */
+const authorize = async (metadata, { codeVerifier, nonce, loginHint }) => {
+  const url = new URL(buildAuthorizationUrl(metadata, {
+    clientId: CLIENT_ID,
+    redirectUri: REDIRECT_URI,
+    scopes: ['openid', 'email', 'profile'],
+    state: 'state-1',
+    nonce,
+    codeChallenge: createCodeChallenge(codeVerifier)
+  }));
+  if (loginHint) {
+    url.searchParams.set('login_hint', loginHint);
+  }
+
+  const response = await axios.get(url.toString(), { maxRedirects: 0, validateStatus: status => status === 302 });
+  const location = new URL(response.headers.location);
+
+  expect(location.searchParams.get('state')).toBe('state-1');
+  return location.searchParams.get('code');
+};
+
+const makeOrganization = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  slug: 'acme',
+  domains: ['example.com'],
+  ownsEmail: () => true,
+  sso: {
+    jitProvisioning: true,
+    groupsClaim: 'groups',
+    defaultSubscription: 'premium',
+    groupMappings: [
+      { group: 'vpn-admins', subscription: 'enterprise', roles: ['admin'] },
+      { group: 'vpn-users', roles: [] }
+    ]
+  }
+});
+
+describe('SSO against the mock IdP', () => {
+  let idp;
+  let metadata;
+
+  beforeAll(async () => {
+    idp = await startMockIdp();
+    metadata = await discover(idp.issuer);
+  });
+
+  afterAll(() => {
+    idp?.child.kill();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('discovers the provider', () => {
+    expect(metadata).toMatchObject({
+      issuer: idp.issuer,
+      token_endpoint: `${idp.issuer}/token`,
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+
+  test('completes the code flow with PKCE', async () => {
+    const codeVerifier = generateCodeVerifier();
+    const code = await authorize(metadata, { codeVerifier, nonce: 'nonce-1' });
+
+    const tokens = await exchangeCode(metadata, { clientId: CLIENT_ID, redirectUri: REDIRECT_URI, code, codeVerifier });
+    const claims = await verifyIdToken(metadata, tokens.id_token, { clientId: CLIENT_ID, nonce: 'nonce-1' });
+
+    expect(claims).toMatchObject({
+      iss: idp.issuer,
+      aud: CLIENT_ID,
+      email: 'jane.doe@example.com',
+      email_verified: true,
+      groups: ['vpn-users', 'vpn-admins']
+    });
+  });
+
+  test('refuses a code redeemed with the wrong verifier', async () => {
+    const code = await authorize(metadata, { codeVerifier: generateCodeVerifier(), nonce: 'nonce-1' });
+
+    await expect(exchangeCode(metadata, {
+      clientId: CLIENT_ID,
+      redirectUri: REDIRECT_URI,
+      code,
+      codeVerifier: generateCodeVerifier()
+    })).rejects.toMatchObject({ response: { status: 400, data: { error: 'invalid_grant' } } });
+  });
+
+  test('refuses an ID token issued for another login', async () => {
+    const codeVerifier = generateCodeVerifier();
+    const code = await authorize(metadata, { codeVerifier, nonce: 'nonce-1' });
+    const tokens = await exchangeCode(metadata, { clientId: CLIENT_ID, redirectUri: REDIRECT_URI, code, codeVerifier });
+
+    await expect(verifyIdToken(metadata, tokens.id_token, { clientId: CLIENT_ID, nonce: 'nonce-2' }))
+      .rejects.toThrow('ID token nonce mismatch');
+  });
+
+  describe('provisioning', () => {
+    let claims;
+
+    beforeEach(async () => {
+      const codeVerifier = generateCodeVerifier();
+      const code = await authorize(metadata, { codeVerifier, nonce: 'nonce-1', loginHint: 'sam@example.com' });
+      const tokens = await exchangeCode(metadata, { clientId: CLIENT_ID, redirectUri: REDIRECT_URI, code, codeVerifier });
+      claims = await verifyIdToken(metadata, tokens.id_token, { clientId: CLIENT_ID, nonce: 'nonce-1' });
+
+      jest.spyOn(AuditLog, 'log').mockResolvedValue();
+      jest.spyOn(OrganizationService, 'addMember').mockResolvedValue(true);
+      jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+    });
+
+    test('creates the account with the mapped plan and roles', async () => {
+      jest.spyOn(User, 'findOne').mockResolvedValue(null);
+      jest.spyOn(User, 'findByEmail').mockResolvedValue(null);
+      jest.spyOn(User, 'exists').mockResolvedValue(null);
+
+      const user = await SsoService.provisionUser(makeOrganization(), claims, {});
+
+      expect(user).toMatchObject({
+        username: 'sam',
+        email: 'sam@example.com',
+        subscription: 'enterprise',
+        emailVerified: true,
+        emailVerificationRequired: true
+      });
+      expect([...user.roles]).toEqual(['user', 'admin']);
+    });
+
+    test('keeps roles granted since the account was provisioned', async () => {
+      const organization = makeOrganization();
+      const existing = new User({
+        username: 'sam',
+        email: 'sam@example.com',
+        password: 'unused-password',
+        subscription: 'free',
+        roles: ['user', 'support'],
+        sso: { organizationId: organization._id, subject: claims.sub }
+      });
+      jest.spyOn(User, 'findOne').mockResolvedValue(existing);
+
+      const user = await SsoService.provisionUser(organization, claims, {});
+
+      expect(user.subscription).toBe('enterprise');
+      expect([...user.roles]).toEqual(['user', 'support']);
+    });
+  });
+});
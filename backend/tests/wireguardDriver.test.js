@@ -0,0 +1,154 @@
+import { jest } from '@jest/globals';
+import Server from '../src/models/Server.js';
+import { WireGuardService } from '../src/services/wireguardService.js';
+import { MemoryWireGuardDriver, WireGuardCliDriver, setWireGuardDriver } from '../src/services/drivers/index.js';
+import { CryptoUtils, EnvelopeEncryption } from '../src/utils/crypto.js';
+
+const server = { _id: 'server-1' };
+const otherServer = { _id: 'server-2' };
+
+describe('MemoryWireGuardDriver', () => {
+  let driver;
+
+  beforeEach(() => {
+    driver = new MemoryWireGuardDriver();
+  });
+
+  test('keeps peers per server', async () => {
+    await driver.addPeer(server, { publicKey: 'key-a', allowedIPs: ['10.8.0.2/32'] });
+    await driver.addPeer(otherServer, { publicKey: 'key-b', allowedIPs: ['10.8.0.3/32'] });
+
+    const peers = await driver.getPeerStats(server);
+
+    expect(peers).toHaveLength(1);
+    expect(peers[0]).toMatchObject({ publicKey: 'key-a', allowedIPs: ['10.8.0.2/32'], hasPresharedKey: false });
+  });
+
+  test('keeps counters when a peer is added again', async () => {
+    await driver.addPeer(server, { publicKey: 'key-a', allowedIPs: ['10.8.0.2/32'] });
+    driver.recordTraffic(server, 'key-a', { rx: 100, tx: 50 });
+    await driver.addPeer(server, { publicKey: 'key-a', allowedIPs: ['10.8.0.2/32'], presharedKey: 'psk' });
+
+    const [peer] = await driver.getPeerStats(server);
+
+    expect(peer).toMatchObject({ transferRx: 100, transferTx: 50, hasPresharedKey: true });
+    expect(peer.latestHandshake).toBeInstanceOf(Date);
+  });
+
+  test('removes peers', async () => {
+    await driver.addPeer(server, { publicKey: 'key-a', allowedIPs: ['10.8.0.2/32'] });
+    await driver.removePeer(server, { publicKey: 'key-a' });
+
+    expect(await driver.getPeerStats(server)).toEqual([]);
+    expect(() => driver.recordTraffic(server, 'key-a', { rx: 1 })).toThrow('Peer not found');
+  });
+});
+
+describe('WireGuardCliDriver', () => {
+  const dump = 'private\tpublic\t51820\toff\n';
+
+  test('manages the interface of the local server', async () => {
+    const driver = new WireGuardCliDriver({ interfaceName: 'wg1', localServerId: 'server-1' });
+    const run = jest.spyOn(driver, 'run').mockResolvedValue(dump);
+
+    await driver.addPeer(server, { publicKey: 'key-a', allowedIPs: ['10.8.0.2/32'] });
+    await driver.getPeerStats(server);
+
+    expect(run).toHaveBeenCalledWith('wg', ['set', 'wg1', 'peer', 'key-a', 'allowed-ips', '10.8.0.2/32'], undefined);
+    expect(run).toHaveBeenCalledWith('wg', ['show', 'wg1', 'dump']);
+  });
+
+  test('refuses servers on other hosts', async () => {
+    const driver = new WireGuardCliDriver({ localServerId: 'server-1' });
+    const run = jest.spyOn(driver, 'run').mockResolvedValue(dump);
+
+    await expect(driver.addPeer(otherServer, { publicKey: 'key-a', allowedIPs: ['10.8.0.2/32'] }))
+      .rejects.toThrow('Server server-2 is not on this host');
+    await expect(driver.removePeer(otherServer, { publicKey: 'key-a' })).rejects.toThrow('not on this host');
+    await expect(driver.getPeerStats(otherServer)).rejects.toThrow('not on this host');
+    expect(run).not.toHaveBeenCalled();
+  });
+
+  test('refuses every server until the local one is configured', async () => {
+    const driver = new WireGuardCliDriver();
+    const run = jest.spyOn(driver, 'run');
+
+    await expect(driver.getPeerStats(server)).rejects.toThrow('WIREGUARD_LOCAL_SERVER_ID');
+    expect(run).not.toHaveBeenCalled();
+  });
+});
+
+describe('WireGuardService peers', () => {
+  let driver;
+  const config = {
+    publicKey: CryptoUtils.generateKeyPair().publicKey,
+    address: '10.8.0.2/32',
+    addressV6: 'fd00::2/128'
+  };
+
+  beforeEach(() => {
+    driver = new MemoryWireGuardDriver();
+    setWireGuardDriver(driver);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('installs a peer with both tunnel addresses', async () => {
+    await WireGuardService.installPeer(server, config);
+
+    const [peer] = await driver.getPeerStats(server);
+    expect(peer.allowedIPs).toEqual(['10.8.0.2/32', 'fd00::2/128']);
+  });
+
+  test('hands the driver the preshared key unwrapped', async () => {
+    const presharedKey = CryptoUtils.generatePresharedKey();
+    const addPeer = jest.spyOn(driver, 'addPeer');
+
+    await WireGuardService.installPeer(server, { ...config, presharedKey: EnvelopeEncryption.encrypt(presharedKey) });
+
+    expect(addPeer.mock.calls[0][1].presharedKey).toBe(presharedKey);
+  });
+
+  test('fails when the interface does not confirm the peer', async () => {
+    jest.spyOn(driver, 'addPeer').mockResolvedValue();
+
+    await expect(WireGuardService.installPeer(server, config))
+      .rejects.toThrow('Peer was not confirmed by the WireGuard interface');
+  });
+
+  test('fails when the preshared key was not applied', async () => {
+    const addPeer = driver.addPeer.bind(driver);
+    jest.spyOn(driver, 'addPeer').mockImplementation((target, peer) => addPeer(target, { ...peer, presharedKey: undefined }));
+
+    await expect(WireGuardService.installPeer(server, { ...config, presharedKey: CryptoUtils.generatePresharedKey() }))
+      .rejects.toThrow('Preshared key was not applied by the WireGuard interface');
+  });
+
+  test('uninstalls a peer and confirms it is gone', async () => {
+    jest.spyOn(Server, 'findById').mockResolvedValue(server);
+    await WireGuardService.installPeer(server, config);
+
+    await WireGuardService.uninstallPeer(server._id, config);
+
+    expect(await driver.getPeerStats(server)).toEqual([]);
+  });
+
+  test('fails when the peer is still on the interface', async () => {
+    jest.spyOn(Server, 'findById').mockResolvedValue(server);
+    jest.spyOn(driver, 'removePeer').mockResolvedValue();
+    await WireGuardService.installPeer(server, config);
+
+    await expect(WireGuardService.uninstallPeer(server._id, config))
+      .rejects.toThrow('Peer is still present on the WireGuard interface');
+  });
+
+  test('leaves OpenVPN sessions alone', async () => {
+    const findById = jest.spyOn(Server, 'findById');
+
+    await WireGuardService.uninstallPeer(server._id, { address: '10.8.0.2/32' });
+
+    expect(findById).not.toHaveBeenCalled();
+  });
+});
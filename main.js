@@ -1,17 +1,42 @@
-const { app, BrowserWindow } = require('electron');
+const { app, BrowserWindow, ipcMain, shell } = require('electron');
 const path = require('path');
+const crypto = require('crypto');
+const QRCode = require('qrcode');
 
 const isDev = process.env.NODE_ENV === 'development';
 
+// SSO logins come back through vpnapp://sso/callback
+const PROTOCOL = 'vpnapp';
+const SSO_REDIRECT_URI = `${PROTOCOL}://sso/callback`;
+const API_URL = process.env.VITE_API_URL || 'http://localhost:3001';
+
+let mainWindow = null;
+// The SSO login in flight, its PKCE verifier never leaves this process until the callback
+let pendingSso = null;
+// WireGuard private keys by public key, kept in this process and only in memory
+const clientKeys = new Map();
+// Must match the placeholder the backend writes into configs with a client-held key
+const PRIVATE_KEY_PLACEHOLDER = '<YOUR_PRIVATE_KEY>';
+
+// In development Electron runs through the electron binary, which needs the app path
+if (process.defaultApp) {
+  if (process.argv.length >= 2) {
+    app.setAsDefaultProtocolClient(PROTOCOL, process.execPath, [path.resolve(process.argv[1])]);
+  }
+} else {
+  app.setAsDefaultProtocolClient(PROTOCOL);
+}
+
 function createWindow() {
   console.log('🚀 Creating main window...');
   
-  const mainWindow = new BrowserWindow({
+  mainWindow = new BrowserWindow({
     width: 900,
     height: 700,
     webPreferences: {
       nodeIntegration: false,
       contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
     },
     show: true,
     title: 'VPN Desktop Application'
@@ -44,12 +69,116 @@ function createWindow() {
   }
 }
 
-app.whenReady().then(createWindow);
+function findProtocolUrl(argv) {
+  return argv.find(arg => arg.startsWith(`${PROTOCOL}://`));
+}
+
+/**
+ * Open the organization's SSO login in the system browser
+ */
+function startSso(organization) {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const state = crypto.randomBytes(16).toString('base64url');
+
+  pendingSso = { codeVerifier, state };
+
+  const url = new URL(`/api/auth/sso/${encodeURIComponent(organization)}/start`, API_URL);
+  url.searchParams.set('redirect_uri', SSO_REDIRECT_URI);
+  url.searchParams.set('code_challenge', crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+  url.searchParams.set('code_challenge_method', 'S256');
+  url.searchParams.set('state', state);
+
+  return shell.openExternal(url.toString());
+}
+
+/**
+ * Pass a login code from the backend on to the renderer, which exchanges it for a session
+ */
+function handleProtocolUrl(rawUrl) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (error) {
+    console.error('❌ Ignoring malformed protocol URL');
+    return;
+  }
+
+  if (`${url.protocol}//${url.host}${url.pathname}` !== SSO_REDIRECT_URI) {
+    return;
+  }
+
+  // Only answer the login this app started
+  if (!pendingSso || url.searchParams.get('state') !== pendingSso.state) {
+    console.warn('⚠️  Ignoring SSO callback that does not match a pending login');
+    return;
+  }
+
+  const { codeVerifier } = pendingSso;
+  pendingSso = null;
+
+  const payload = url.searchParams.has('error')
+    ? { error: url.searchParams.get('error'), errorDescription: url.searchParams.get('error_description') }
+    : { code: url.searchParams.get('code'), codeVerifier };
+
+  if (mainWindow) {
+    if (mainWindow.isMinimized()) mainWindow.restore();
+    mainWindow.focus();
+    mainWindow.webContents.send('sso:callback', payload);
+  }
+}
+
+/**
+ * Create a WireGuard keypair, only the public key is handed out
+ */
+function createClientKey() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+  const toBase64 = (value) => Buffer.from(value, 'base64url').toString('base64');
+
+  const encodedPublicKey = toBase64(publicKey.export({ format: 'jwk' }).x);
+  clientKeys.set(encodedPublicKey, toBase64(privateKey.export({ format: 'jwk' }).d));
+
+  return encodedPublicKey;
+}
+
+/**
+ * Fill in the private key of a downloaded config and encode it as an SVG QR code
+ */
+function renderConfigQr({ config, publicKey }) {
+  const privateKey = clientKeys.get(publicKey);
+  if (!privateKey) {
+    throw new Error('This app no longer holds the key for this connection, reconnect to get a QR code');
+  }
 
-app.on('window-all-closed', () => {
-  if (process.platform !== 'darwin') app.quit();
-});
+  return QRCode.toString(config.replace(PRIVATE_KEY_PLACEHOLDER, privateKey), { type: 'svg', errorCorrectionLevel: 'M' });
+}
 
-app.on('activate', () => {
-  if (BrowserWindow.getAllWindows().length === 0) createWindow();
-});
\ No newline at end of file
+// On Windows and Linux the OS starts a second instance with the URL, hand it to the first
+if (!app.requestSingleInstanceLock()) {
+  app.quit();
+} else {
+  ipcMain.handle('sso:start', (event, organization) => startSso(organization));
+  ipcMain.handle('wireguard:create-key', () => createClientKey());
+  ipcMain.handle('wireguard:render-config-qr', (event, payload) => renderConfigQr(payload));
+  ipcMain.handle('wireguard:forget-key', (event, publicKey) => clientKeys.delete(publicKey));
+
+  app.on('second-instance', (event, argv) => {
+    const url = findProtocolUrl(argv);
+    if (url) handleProtocolUrl(url);
+  });
+
+  // macOS delivers protocol URLs as an event instead
+  app.on('open-url', (event, url) => {
+    event.preventDefault();
+    handleProtocolUrl(url);
+  });
+
+  app.whenReady().then(createWindow);
+
+  app.on('window-all-closed', () => {
+    if (process.platform !== 'darwin') app.quit();
+  });
+
+  app.on('activate', () => {
+    if (BrowserWindow.getAllWindows().length === 0) createWindow();
+  });
+}
\ No newline at end of file
@@ -1,4 +1,4 @@
-const { contextBridge } = require('electron');
+const { contextBridge, ipcRenderer } = require('electron');
 
 // Предоставляем безопасные API для рендерера
 contextBridge.exposeInMainWorld('electronAPI', {
@@ -9,5 +9,21 @@ contextBridge.exposeInMainWorld('electronAPI', {
     electron: process.versions.electron
   },
   // Добавьте здесь свои кастомные API
-  ping: () => 'pong from main process'
+  ping: () => 'pong from main process',
+  // Вход через SSO организации: логин открывается в системном браузере,
+  // результат приходит через vpnapp://sso/callback
+  sso: {
+    start: (organization) => ipcRenderer.invoke('sso:start', organization),
+    onCallback: (callback) => {
+      const listener = (event, payload) => callback(payload);
+      ipcRenderer.on('sso:callback', listener);
+      return () => ipcRenderer.removeListener('sso:callback', listener);
+    }
+  },
+  // Ключи WireGuard создаются в main-процессе, рендерер видит только публичный ключ
+  wireguard: {
+    createKey: () => ipcRenderer.invoke('wireguard:create-key'),
+    renderConfigQr: (config, publicKey) => ipcRenderer.invoke('wireguard:render-config-qr', { config, publicKey }),
+    forgetKey: (publicKey) => ipcRenderer.invoke('wireguard:forget-key', publicKey)
+  }
 });
\ No newline at end of file
@@ -1,12 +1,18 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import ConnectionPage from './pages/ConnectionPage';
+import LoginPage from './pages/LoginPage';
 import { NotificationProvider } from './components/NotificationCenter';
+import { getSession, onSessionChange } from './api/client';
 
 function App() {
+  const [session, setSession] = useState(getSession);
+
+  useEffect(() => onSessionChange(setSession), []);
+
   return (
     <NotificationProvider>
       <div className="min-h-screen bg-dark-950">
-        <ConnectionPage />
+        {session?.token ? <ConnectionPage /> : <LoginPage />}
       </div>
     </NotificationProvider>
   );
@@ -0,0 +1,103 @@
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+const SESSION_KEY = 'vpn-session';
+
+const listeners = new Set();
+
+export function getSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Keep the tokens from a login or refresh response
+ */
+export function saveSession({ token, refreshToken, user }) {
+  const session = { ...getSession(), token, refreshToken, ...(user && { user }) };
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  listeners.forEach(listener => listener(session));
+}
+
+export function clearSession() {
+  localStorage.removeItem(SESSION_KEY);
+  listeners.forEach(listener => listener(null));
+}
+
+export function onSessionChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Concurrent requests that hit an expired token share one refresh
+let refreshing = null;
+
+async function refreshSession() {
+  const session = getSession();
+  if (!session?.refreshToken) {
+    return false;
+  }
+
+  refreshing = refreshing || fetch(`${API_URL}/api/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken: session.refreshToken })
+  })
+    .then(async (response) => {
+      if (!response.ok) {
+        clearSession();
+        return false;
+      }
+      saveSession((await response.json()).data);
+      return true;
+    })
+    .finally(() => {
+      refreshing = null;
+    });
+
+  return refreshing;
+}
+
+/**
+ * Call the backend as the signed-in user. Expired access tokens are
+ * refreshed once before giving up.
+ * @returns {Promise<Response>}
+ */
+export async function apiFetch(path, { method = 'GET', body, headers = {} } = {}, retry = true) {
+  const session = getSession();
+
+  const response = await fetch(`${API_URL}${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(session?.token && { Authorization: `Bearer ${session.token}` }),
+      ...headers
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+
+  if (response.status === 401 && retry && await refreshSession()) {
+    return apiFetch(path, { method, body, headers }, false);
+  }
+
+  return response;
+}
+
+/**
+ * Call the backend and unwrap the data of a JSON response
+ */
+export async function apiRequest(path, options) {
+  const response = await apiFetch(path, options);
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok || result.success === false) {
+    const error = new Error(result.message || `Request failed with status ${response.status}`);
+    error.code = result.code;
+    error.status = response.status;
+    throw error;
+  }
+
+  return result.data;
+}
@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api/client';
+
+const wireguardKeys = window.electronAPI?.wireguard;
+
+/**
+ * Build the QR code on this device when it holds the connection's private key,
+ * otherwise ask the backend, which can only encode server-generated keys
+ */
+async function fetchQrCode(connectionId, clientPublicKey) {
+  if (!clientPublicKey || !wireguardKeys) {
+    const response = await apiFetch(`/api/vpn/config/${connectionId}?format=qr&type=svg`);
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.message || 'Could not load QR code');
+    }
+    return response.blob();
+  }
+
+  const response = await apiFetch(`/api/vpn/config/${connectionId}`);
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.message || 'Could not load configuration');
+  }
+
+  try {
+    const svg = await wireguardKeys.renderConfigQr(await response.text(), clientPublicKey);
+    return new Blob([svg], { type: 'image/svg+xml' });
+  } catch (err) {
+    // Errors thrown in the main process arrive wrapped in the IPC channel name
+    throw new Error(err.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, ''));
+  }
+}
+
+function QrCodeModal({ isOpen, onClose, connectionId, clientPublicKey }) {
+  const [imageUrl, setImageUrl] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen || !connectionId) {
+      return undefined;
+    }
+
+    let objectUrl;
+    let cancelled = false;
+
+    const loadQrCode = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        // Keep the config in memory only, it is never written to disk here
+        objectUrl = URL.createObjectURL(await fetchQrCode(connectionId, clientPublicKey));
+        if (!cancelled) {
+          setImageUrl(objectUrl);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message);
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadQrCode();
+
+    return () => {
+      cancelled = true;
+      setImageUrl(null);
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
+      }
+    };
+  }, [isOpen, connectionId, clientPublicKey]);
+
+  return (
+    <div className={`fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 transition-opacity ${isOpen ? 'opacity-100' : 'opacity-0 pointer-events-none'}`}>
+      <div className="bg-gray-800 rounded-2xl p-6 w-96 max-w-full mx-4">
+        <div className="flex justify-between items-center mb-6">
+          <h3 className="text-xl font-bold text-white">Scan with your phone</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-white">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="bg-white rounded-lg p-4 flex items-center justify-center aspect-square">
+          {loading && <p className="text-gray-500 text-sm">Generating QR code...</p>}
+          {!loading && error && <p className="text-red-500 text-sm text-center">{error}</p>}
+          {!loading && !error && imageUrl && (
+            <img src={imageUrl} alt="WireGuard configuration QR code" className="w-full h-full" />
+          )}
+          {!connectionId && <p className="text-gray-500 text-sm text-center">Connect to a server to get a QR code</p>}
+        </div>
+
+        <p className="text-gray-400 text-xs mt-4 text-center">
+          Open the WireGuard app, tap "+" and choose "Scan from QR code". This code contains your private key, do not share it.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default QrCodeModal;
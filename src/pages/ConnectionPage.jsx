@@ -7,14 +7,22 @@ import NotificationCenter from '../components/NotificationCenter';
 import QuickActions from '../components/QuickActions';
 import SystemTray from '../components/SystemTray';
 import Tooltip from '../components/Tooltip';
+import QrCodeModal from '../components/QrCodeModal';
 import { useTheme } from '../hooks/useTheme';
 import { useNotifications } from '../components/NotificationCenter';
+import { apiRequest, getSession } from '../api/client';
+
+// Without the desktop app there is nowhere safe to create and keep a WireGuard key
+const wireguardKeys = window.electronAPI?.wireguard;
 
 
 function ConnectionPage() {
   const [isConnected, setIsConnected] = useState(false);
   const [link, setLink] = useState('');
   const [themeManagerOpen, setThemeManagerOpen] = useState(false);
+  const [qrModalOpen, setQrModalOpen] = useState(false);
+  const [connectionId, setConnectionId] = useState(null);
+  const [clientPublicKey, setClientPublicKey] = useState(null);
   const [showWelcome, setShowWelcome] = useState(true);
   const [connectionTime, setConnectionTime] = useState(0);
   const [uploadSpeed, setUploadSpeed] = useState(0);
@@ -58,19 +66,53 @@ function ConnectionPage() {
     return () => clearTimeout(timer);
   }, []);
 
-  const handleCountrySelect = (country) => {
+  const handleCountrySelect = async (country) => {
     if (isConnected && connectedCountry === country.id) {
-    handleDisconnect();
-    } else {
-      const serverLink = `vpn-${country.id.toLowerCase()}.secure-server.com:51820`;
-      setLink(serverLink);
+      handleDisconnect();
+      return;
+    }
+
+    if (!wireguardKeys && !getSession()?.user?.preferences?.serverKeyGeneration) {
+      addNotification({
+        type: 'warning',
+        title: 'Desktop App Required',
+        message: 'Quick connect creates your WireGuard key on this device, which only the desktop app can do. Use the desktop app, or allow server-generated keys in your preferences.'
+      });
+      return;
+    }
+
+    let publicKey = null;
+
+    try {
+      publicKey = wireguardKeys ? await wireguardKeys.createKey() : null;
+
+      const result = await apiRequest('/api/vpn/quick-connect', {
+        method: 'POST',
+        body: {
+          preferredCountry: country.id.toUpperCase(),
+          ...(publicKey && { clientPublicKey: publicKey })
+        }
+      });
+
+      setLink(result.server.hostname);
       setConnectedCountry(country.id);
+      setConnectionId(result.connectionId);
+      setClientPublicKey(publicKey);
       setIsConnected(true);
-      
+
       addNotification({
         type: 'success',
         title: `Connected to ${country.name}`,
-        message: `Server: ${serverLink} • Ping: ${country.ping}ms • Load: ${country.load}%`
+        message: `Server: ${result.server.name} • Ping: ${result.server.ping}ms • Load: ${result.server.load}%`
+      });
+    } catch (error) {
+      if (publicKey) {
+        wireguardKeys.forgetKey(publicKey);
+      }
+      addNotification({
+        type: 'error',
+        title: 'Connection Failed',
+        message: error.message
       });
     }
   };
@@ -87,10 +129,29 @@ function ConnectionPage() {
     });
   };
 
-  const handleDisconnect = () => {
+  const handleDisconnect = async () => {
+    if (connectionId) {
+      try {
+        await apiRequest(`/api/vpn/disconnect/${connectionId}`, { method: 'POST' });
+      } catch (error) {
+        addNotification({
+          type: 'error',
+          title: 'Disconnect Failed',
+          message: error.message
+        });
+      }
+    }
+
     setIsConnected(false);
     setLink('');
     setConnectedCountry(null);
+    setConnectionId(null);
+    setQrModalOpen(false);
+
+    if (clientPublicKey) {
+      wireguardKeys.forgetKey(clientPublicKey);
+      setClientPublicKey(null);
+    }
     
     addNotification({
       type: 'info', 
@@ -152,6 +213,18 @@ function ConnectionPage() {
           message: 'Configuration copied to clipboard'
         });
         break;
+
+      case 'show-qr':
+        if (!isConnected) {
+          addNotification({
+            type: 'warning',
+            title: 'Not Connected',
+            message: 'Connect to a server to get a QR code for your phone'
+          });
+          break;
+        }
+        setQrModalOpen(true);
+        break;
     }
   };
 
@@ -188,6 +261,7 @@ function ConnectionPage() {
       />
       <QuickActions onAction={handleQuickAction} />
       <ThemeManager isOpen={themeManagerOpen} onClose={() => setThemeManagerOpen(false)} />
+      <QrCodeModal isOpen={qrModalOpen} onClose={() => setQrModalOpen(false)} connectionId={connectionId} clientPublicKey={clientPublicKey} />
 
       {/* Основной контент */}
       <div className="w-full max-w-6xl relative">
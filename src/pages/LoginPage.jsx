@@ -0,0 +1,166 @@
+import React, { useState, useEffect } from 'react';
+import { apiRequest, saveSession } from '../api/client';
+
+function LoginPage() {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [ssoMode, setSsoMode] = useState(false);
+  const [organization, setOrganization] = useState('');
+
+  // Only available in the desktop shell, which receives the vpnapp:// callback
+  const sso = window.electronAPI?.sso;
+
+  useEffect(() => {
+    if (!sso) return undefined;
+
+    return sso.onCallback(async (payload) => {
+      if (payload.error) {
+        setError(payload.errorDescription || payload.error);
+        setLoading(false);
+        return;
+      }
+
+      try {
+        saveSession(await apiRequest('/api/auth/sso/exchange', {
+          method: 'POST',
+          body: { code: payload.code, codeVerifier: payload.codeVerifier }
+        }));
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    });
+  }, [sso]);
+
+  const handleSsoSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      // The login finishes in the browser and comes back through onCallback
+      await sso.start(organization.trim());
+    } catch (err) {
+      setError(err.message);
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const data = challengeToken
+        ? await apiRequest('/api/auth/2fa/login', { method: 'POST', body: { challengeToken, code } })
+        : await apiRequest('/api/auth/login', { method: 'POST', body: { email, password } });
+
+      if (data.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+        return;
+      }
+
+      saveSession(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 flex items-center justify-center p-4">
+      <div className="w-full max-w-md bg-gray-800 rounded-2xl shadow-2xl border border-gray-700 p-8 space-y-6">
+        <div className="text-center">
+          <h1 className="text-3xl font-bold text-white mb-2 bg-gradient-to-r from-accent to-purple-500 bg-clip-text text-transparent">
+            Secure VPN
+          </h1>
+          <p className="text-gray-400 text-sm">
+            {challengeToken
+              ? 'Enter the code from your authenticator app'
+              : ssoMode ? 'Sign in through your organization' : 'Sign in to your account'}
+          </p>
+        </div>
+
+        {ssoMode ? (
+          <form onSubmit={handleSsoSubmit} className="space-y-4">
+            <input
+              type="text"
+              value={organization}
+              onChange={(e) => setOrganization(e.target.value)}
+              className="w-full bg-dark-700 border border-dark-600 text-white placeholder-dark-400 rounded-lg px-4 py-3 focus:outline-none focus:ring-2 focus:ring-accent focus:border-transparent"
+              placeholder="Organization"
+            />
+
+            {error && <p className="text-red-400 text-xs">{error}</p>}
+
+            <button type="submit" disabled={loading || !organization.trim()} className="w-full btn-primary disabled:opacity-50">
+              {loading ? 'Waiting for your browser...' : 'Continue'}
+            </button>
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {challengeToken ? (
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className="w-full bg-dark-700 border border-dark-600 text-white placeholder-dark-400 rounded-lg px-4 py-3 focus:outline-none focus:ring-2 focus:ring-accent focus:border-transparent"
+                placeholder="123456"
+              />
+            ) : (
+              <>
+                <input
+                  type="email"
+                  autoComplete="username"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="w-full bg-dark-700 border border-dark-600 text-white placeholder-dark-400 rounded-lg px-4 py-3 focus:outline-none focus:ring-2 focus:ring-accent focus:border-transparent"
+                  placeholder="Email"
+                />
+                <input
+                  type="password"
+                  autoComplete="current-password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="w-full bg-dark-700 border border-dark-600 text-white placeholder-dark-400 rounded-lg px-4 py-3 focus:outline-none focus:ring-2 focus:ring-accent focus:border-transparent"
+                  placeholder="Password"
+                />
+              </>
+            )}
+
+            {error && <p className="text-red-400 text-xs">{error}</p>}
+
+            <button type="submit" disabled={loading} className="w-full btn-primary disabled:opacity-50">
+              {loading ? 'Signing in...' : 'Sign in'}
+            </button>
+          </form>
+        )}
+
+        {sso && !challengeToken && (
+          <button
+            type="button"
+            onClick={() => {
+              setSsoMode(!ssoMode);
+              setError('');
+              setLoading(false);
+            }}
+            className="w-full text-sm text-gray-400 hover:text-white transition-colors"
+          >
+            {ssoMode ? 'Sign in with email and password' : 'Sign in with SSO'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default LoginPage;